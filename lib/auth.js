@@ -0,0 +1,181 @@
+// lib/auth.js — per-experience API keys + HMAC request signing
+//
+// Every /api request must carry:
+//   X-Api-Key    public key id (e.g. "nck_3f9a…")
+//   X-Timestamp  unix epoch milliseconds
+//   X-Signature  hex HMAC-SHA256(secret, `${ts}\n${METHOD}\n${path}\n${rawBody}`)
+//
+// `path` is the request path including the query string. Keys live in
+// the api_keys table and are cached for KEY_CACHE_MS, so revoking or
+// rotating a key takes effect without a redeploy. After a rotation the
+// previous secret keeps working for ROTATION_GRACE_MS so running game
+// servers can pick up the new one.
+//
+// ADMIN_TOKEN (env) is a bootstrap credential sent as
+// `Authorization: Bearer <token>`; it carries the admin scope and is how
+// the first keys get issued. A key serves the tenant it was issued for
+// (req.apiKey.tenantId; see lib/tenants.js), the admin token none.
+
+const crypto = require("crypto");
+const { logger } = require("./logger");
+
+const SCOPES            = ["read", "write", "admin"];
+const MAX_SKEW_MS       = 5 * 60 * 1000;
+const KEY_CACHE_MS      = 30 * 1000;
+const ROTATION_GRACE_MS = parseInt(process.env.KEY_ROTATION_GRACE_MS) || 24 * 60 * 60 * 1000;
+
+// ═══════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════
+function safeEqual(a, b) {
+    const ba = Buffer.from(String(a));
+    const bb = Buffer.from(String(b));
+    return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+function sign(secret, ts, method, path, rawBody) {
+    return crypto
+        .createHmac("sha256", secret)
+        .update(`${ts}\n${method.toUpperCase()}\n${path}\n${rawBody || ""}`)
+        .digest("hex");
+}
+
+function newKeyId()  { return "nck_" + crypto.randomBytes(8).toString("hex"); }
+function newSecret() { return crypto.randomBytes(32).toString("hex"); }
+
+// Mounted behind requireScope("admin") in server.js
+const ADMIN_PATHS = ["/api/admin", "/api/stats/global", "/api/stats/tenants"];
+
+// Scope a request needs. admin implies write implies read. Express
+// matches routes case-insensitively, so compare lowercased.
+function requiredScope(req) {
+    const path = ((req.baseUrl || "") + req.path).toLowerCase();
+    if (ADMIN_PATHS.some(prefix => path.startsWith(prefix))) return "admin";
+    return req.method === "GET" || req.method === "HEAD" ? "read" : "write";
+}
+
+function hasScope(scopes, needed) {
+    if (scopes.includes("admin")) return true;
+    if (needed === "read") return scopes.includes("read") || scopes.includes("write");
+    return scopes.includes(needed);
+}
+
+// express.json() `verify` hook — keeps the exact bytes for signing
+function captureRawBody(req, res, buf) {
+    req.rawBody = buf.toString("utf8");
+}
+
+// ═══════════════════════════════════════════════════════════════
+// FACTORY
+// ═══════════════════════════════════════════════════════════════
+function createAuth(repo) {
+    const cache = new Map();    // keyId → { row, expires }
+    const seen  = new Map();    // signature → expiry (replay guard)
+    const touched = new Map();  // keyId → last last_used_at write
+
+    async function loadKey(keyId) {
+        const hit = cache.get(keyId);
+        if (hit && hit.expires > Date.now()) return hit.row;
+        const row = await repo.apiKeys.get(keyId);
+        if (cache.size > 5000) {
+            for (const [k, v] of cache) if (v.expires <= Date.now()) cache.delete(k);
+        }
+        cache.set(keyId, { row, expires: Date.now() + KEY_CACHE_MS });
+        return row;
+    }
+
+    function invalidate(keyId) {
+        cache.delete(keyId);
+    }
+
+    function rememberSignature(sig) {
+        const now = Date.now();
+        if (seen.size > 10000) {
+            for (const [k, exp] of seen) if (exp <= now) seen.delete(k);
+        }
+        if (seen.has(sig) && seen.get(sig) > now) return false;
+        seen.set(sig, now + MAX_SKEW_MS * 2);
+        return true;
+    }
+
+    async function middleware(req, res, next) {
+        if (process.env.API_AUTH === "off") return next();
+
+        const needed = requiredScope(req);
+
+        // Bootstrap admin token
+        const bearer = (req.get("authorization") || "").match(/^Bearer\s+(.+)$/i);
+        if (bearer) {
+            if (process.env.ADMIN_TOKEN && safeEqual(bearer[1], process.env.ADMIN_TOKEN)) {
+                req.apiKey = { keyId: "admin-token", universeId: null, tenantId: null, scopes: ["admin"] };
+                return next();
+            }
+            return res.status(401).json({ error: "Invalid credentials" });
+        }
+
+        const keyId = req.get("x-api-key");
+        const ts    = req.get("x-timestamp");
+        const sig   = req.get("x-signature");
+        if (!keyId || !ts || !sig)
+            return res.status(401).json({ error: "Missing X-Api-Key, X-Timestamp or X-Signature" });
+
+        const tsNum = parseInt(ts);
+        if (isNaN(tsNum) || Math.abs(Date.now() - tsNum) > MAX_SKEW_MS)
+            return res.status(401).json({ error: "Request timestamp outside allowed window" });
+
+        try {
+            const key = await loadKey(keyId);
+            if (!key || key.revoked_at)
+                return res.status(401).json({ error: "Invalid credentials" });
+
+            const expected = sign(key.secret, ts, req.method, req.originalUrl, req.rawBody);
+            let valid = safeEqual(sig, expected);
+            if (!valid && key.previous_secret && new Date(key.previous_expires_at) > new Date()) {
+                valid = safeEqual(sig, sign(key.previous_secret, ts, req.method, req.originalUrl, req.rawBody));
+            }
+            if (!valid)
+                return res.status(401).json({ error: "Invalid credentials" });
+            if (!rememberSignature(sig))
+                return res.status(401).json({ error: "Replayed request" });
+
+            const scopes = key.scopes || [];
+            if (!hasScope(scopes, needed))
+                return res.status(403).json({ error: `Key lacks '${needed}' scope` });
+
+            req.apiKey = { keyId: key.key_id, universeId: key.universe_id, tenantId: key.tenant_id, scopes };
+            if ((touched.get(key.key_id) || 0) < Date.now() - KEY_CACHE_MS) {
+                touched.set(key.key_id, Date.now());
+                repo.apiKeys.touch(key.key_id)
+                    .catch(err => logger.error("Key usage update error", { err }));
+            }
+            next();
+        } catch (err) {
+            logger.error("Auth error", { err });
+            res.status(500).json({ error: "Auth check failed" });
+        }
+    }
+
+    // Route guard on top of middleware(): refuses credentials without
+    // `needed`, however the path was spelled
+    function requireScope(needed) {
+        return (req, res, next) => {
+            if (process.env.API_AUTH === "off") return next();
+            if (!req.apiKey || !hasScope(req.apiKey.scopes, needed))
+                return res.status(403).json({ error: `Key lacks '${needed}' scope` });
+            next();
+        };
+    }
+
+    return { middleware, requireScope, invalidate };
+}
+
+module.exports = {
+    SCOPES,
+    ADMIN_PATHS,
+    ROTATION_GRACE_MS,
+    createAuth,
+    captureRawBody,
+    sign,
+    newKeyId,
+    newSecret,
+};
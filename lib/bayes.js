@@ -0,0 +1,125 @@
+// lib/bayes.js — multinomial naive Bayes trainer for bayesian_probs
+//
+// Trains from labelled prompts ({ id, intent, text }) using the same
+// tokenizer as the matcher. Word conditionals use Laplace (add-alpha)
+// smoothing over the whole vocabulary; only words an intent actually
+// saw are stored, the rest share the intent's unseen_prob.
+//
+//   train(examples, { alpha }) → {
+//       alpha, samples, vocabSize,
+//       intents: [{ intent, count, prior, conditional, unseen }]
+//   }
+//   toRows(model)              → bayesian_probs-shaped rows
+//   evaluate(examples, opts)   → accuracy on a held-out split
+
+const { tokenize, classifyIntent } = require("./matcher");
+
+const DEFAULT_ALPHA = 1;
+// Keeps conditional_probs JSONB bounded; dropped words fall back to unseen
+const MAX_WORDS_PER_INTENT = 2000;
+
+function train(examples, { alpha = DEFAULT_ALPHA } = {}) {
+    const byIntent = new Map();   // intent → { count, total, words: Map }
+    const vocab = new Set();
+
+    for (const ex of examples) {
+        let stats = byIntent.get(ex.intent);
+        if (!stats) byIntent.set(ex.intent, stats = { count: 0, total: 0, words: new Map() });
+        stats.count++;
+        for (const t of tokenize(ex.text)) {
+            vocab.add(t);
+            stats.total++;
+            stats.words.set(t, (stats.words.get(t) || 0) + 1);
+        }
+    }
+
+    const V = Math.max(1, vocab.size);
+    const K = byIntent.size;
+    const intents = [];
+    for (const [intent, stats] of byIntent) {
+        const denom = stats.total + alpha * V;
+        const conditional = {};
+        [...stats.words]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, MAX_WORDS_PER_INTENT)
+            .forEach(([word, n]) => { conditional[word] = (n + alpha) / denom; });
+        intents.push({
+            intent,
+            count: stats.count,
+            prior: (stats.count + alpha) / (examples.length + alpha * K),
+            conditional,
+            unseen: alpha / denom,
+        });
+    }
+    intents.sort((a, b) => b.count - a.count);
+
+    return { alpha, samples: examples.length, vocabSize: vocab.size, intents };
+}
+
+function toRows(model) {
+    return model.intents.map(i => ({
+        intent:            i.intent,
+        prior_probability: i.prior,
+        conditional_probs: i.conditional,
+        unseen_prob:       i.unseen,
+        sample_count:      i.count,
+    }));
+}
+
+// Deterministic split so repeated evaluations see the same test set:
+// an example is held out when its hashed id falls below `holdout`.
+function isHeldOut(id, holdout) {
+    return (Math.imul(parseInt(id) || 0, 2654435761) >>> 0) / 2 ** 32 < holdout;
+}
+
+function evaluate(examples, { alpha = DEFAULT_ALPHA, holdout = 0.2, top = 3 } = {}) {
+    const trainSet = [], testSet = [];
+    for (const ex of examples) (isHeldOut(ex.id, holdout) ? testSet : trainSet).push(ex);
+
+    const model = train(trainSet, { alpha });
+    const rows = toRows(model);
+    const majority = model.intents.length ? model.intents[0].intent : null;
+
+    const perIntent = new Map();
+    const stat = (intent) => {
+        if (!perIntent.has(intent)) perIntent.set(intent, { intent, support: 0, predicted: 0, correct: 0 });
+        return perIntent.get(intent);
+    };
+
+    let correct = 0, correctTopK = 0, baseline = 0;
+    for (const ex of testSet) {
+        const guess = classifyIntent(ex.text, rows);
+        const predicted = guess ? guess.intent : null;
+        stat(ex.intent).support++;
+        if (predicted !== null) stat(predicted).predicted++;
+        if (predicted === ex.intent) {
+            correct++;
+            stat(ex.intent).correct++;
+        }
+        if (guess && guess.ranked.slice(0, top).some(r => r.intent === ex.intent)) correctTopK++;
+        if (majority === ex.intent) baseline++;
+    }
+
+    const ratio = (n, d) => (d > 0 ? n / d : null);
+    return {
+        alpha,
+        holdout,
+        trainSize:        trainSet.length,
+        testSize:         testSet.length,
+        intents:          model.intents.length,
+        accuracy:         ratio(correct, testSet.length),
+        topKAccuracy:     ratio(correctTopK, testSet.length),
+        top,
+        baselineAccuracy: ratio(baseline, testSet.length),
+        perIntent: [...perIntent.values()]
+            .map(s => ({ ...s, precision: ratio(s.correct, s.predicted), recall: ratio(s.correct, s.support) }))
+            .sort((a, b) => b.support - a.support),
+    };
+}
+
+module.exports = {
+    DEFAULT_ALPHA,
+    train,
+    toRows,
+    evaluate,
+};
@@ -0,0 +1,116 @@
+// lib/bulkwrite.js — set-based writes for the batch routes
+//
+// /api/sync and /api/vocab/save used to send one INSERT per item. These
+// helpers pass each column as an array and unnest() it into a single
+// statement per CHUNK_ROWS rows, so a 2,000-word save is two round
+// trips instead of 2,000. scripts/bench-bulk.js measures the
+// difference against a local database.
+//
+// All of them take the connection to write on, so they join the
+// caller's transaction, and the tenant every row belongs to.
+
+const CHUNK_ROWS = parseInt(process.env.BULK_CHUNK_ROWS) || 1000;
+
+function chunks(rows, size = CHUNK_ROWS) {
+    const out = [];
+    for (let i = 0; i < rows.length; i += size) out.push(rows.slice(i, i + size));
+    return out;
+}
+
+const column = (rows, key) => rows.map(r => (r[key] === undefined ? null : r[key]));
+
+// entries: [{ word, freq, category, weight }]
+// mode "add": frequencies accumulate (sync deltas); "max": the larger
+// one wins (vocab save sends totals). Weight always keeps the max.
+// Repeated words are merged first (one upsert can't hit a row twice)
+// and written in word order so concurrent batches lock rows in the
+// same order. → number of distinct words written
+async function upsertVocab(db, tenantId, userId, entries, mode = "add") {
+    const merged = new Map();
+    for (const e of entries) {
+        const prev = merged.get(e.word);
+        if (!prev) { merged.set(e.word, { ...e }); continue; }
+        prev.freq   = mode === "add" ? prev.freq + e.freq : Math.max(prev.freq, e.freq);
+        prev.weight = Math.max(prev.weight, e.weight);
+    }
+    const rows = [...merged.values()].sort((a, b) => (a.word < b.word ? -1 : a.word > b.word ? 1 : 0));
+    const freq = mode === "add" ? "vocab.freq + EXCLUDED.freq" : "GREATEST(vocab.freq, EXCLUDED.freq)";
+
+    for (const part of chunks(rows)) {
+        await db.query(
+            `INSERT INTO vocab (tenant_id, user_id, word, freq, category, weight)
+             SELECT $6, $1, w.word, w.freq, w.category, w.weight
+             FROM unnest($2::text[], $3::int[], $4::text[], $5::float8[]) AS w(word, freq, category, weight)
+             ON CONFLICT (tenant_id, user_id, word)
+             DO UPDATE SET
+                freq       = ${freq},
+                weight     = GREATEST(vocab.weight, EXCLUDED.weight),
+                updated_at = NOW()`,
+            [userId, column(part, "word"), column(part, "freq"), column(part, "category"), column(part, "weight"), tenantId]
+        );
+    }
+    return rows.length;
+}
+
+// rows: [{ user_id, user_prompt, bot_response, script, intent,
+//          confidence, timestamp, script_risk_score, script_risk, session_id }]
+// → inserted ids, in row order. Ids are drawn from the sequence in a
+// materialized CTE, so the mapping doesn't depend on RETURNING order.
+async function insertInteractions(db, tenantId, rows) {
+    const ids = [];
+    for (const part of chunks(rows)) {
+        const result = await db.query(
+            `WITH input AS MATERIALIZED (
+                SELECT nextval(pg_get_serial_sequence('interactions', 'id'))::int AS id, r.*
+                FROM unnest($1::text[], $2::text[], $3::text[], $4::text[], $5::text[],
+                            $6::float8[], $7::bigint[], $8::smallint[], $9::jsonb[], $10::text[])
+                     WITH ORDINALITY AS r(user_id, user_prompt, bot_response, script, intent,
+                                          confidence, timestamp, script_risk_score, script_risk, session_id, ord)
+             ), inserted AS (
+                INSERT INTO interactions
+                    (id, tenant_id, user_id, user_prompt, bot_response, script, intent, confidence, timestamp,
+                     script_risk_score, script_risk, session_id)
+                SELECT id, $11, user_id, user_prompt, bot_response, script, intent, confidence, timestamp,
+                       script_risk_score, script_risk, session_id
+                FROM input
+             )
+             SELECT id FROM input ORDER BY ord`,
+            [
+                column(part, "user_id"), column(part, "user_prompt"), column(part, "bot_response"),
+                column(part, "script"), column(part, "intent"), column(part, "confidence"),
+                column(part, "timestamp"), column(part, "script_risk_score"), column(part, "script_risk"),
+                column(part, "session_id"), tenantId,
+            ]
+        );
+        ids.push(...result.rows.map(r => r.id));
+    }
+    return ids;
+}
+
+// flags: [{ table, recordId, userId, field, action, severity, rules, excerpt }]
+// rules is TEXT[], which unnest() can't carry per row, so this one is
+// a multi-row VALUES list.
+async function insertFlags(db, tenantId, flags) {
+    for (const part of chunks(flags, 500)) {
+        const params = [tenantId];
+        const values = part.map(f => {
+            params.push(f.table, f.recordId, f.userId, f.field, f.action, f.severity, f.rules, f.excerpt);
+            const n = params.length - 8;
+            return `($1,${Array.from({ length: 8 }, (_, i) => `$${n + i + 1}`).join(",")})`;
+        });
+        await db.query(
+            `INSERT INTO content_flags
+                (tenant_id, table_name, record_id, user_id, field, action, severity, rules, excerpt)
+             VALUES ${values.join(", ")}`,
+            params
+        );
+    }
+}
+
+module.exports = {
+    CHUNK_ROWS,
+    chunks,
+    upsertVocab,
+    insertInteractions,
+    insertFlags,
+};
@@ -0,0 +1,140 @@
+// lib/contentfilter.js — write-time filtering of player text and scripts
+//
+// Rules come from config/content-filter.json (or CONTENT_FILTER_CONFIG).
+// A rule is either a word list (whole-word, case-insensitive) or a
+// regex `pattern`, and carries a severity. Severities map to actions:
+//   reject  refuse the write
+//   mask    replace the matched text with #### (Roblox-style) and flag
+//   flag    store as-is and record a flag for admin review
+// Built-in PII detectors (email, phone, url) use the same severity →
+// action mapping. Scripts are never masked (that would break the Lua);
+// a mask there is downgraded to a flag. CONTENT_FILTER=off disables
+// the pipeline.
+
+const fs   = require("fs");
+const path = require("path");
+
+const DEFAULT_CONFIG = path.join(__dirname, "..", "config", "content-filter.json");
+const ACTION_RANK    = { allow: 0, flag: 1, mask: 2, reject: 3 };
+const SEVERITY_RANK  = { low: 1, medium: 2, high: 3 };
+
+const PII_PATTERNS = {
+    email: /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi,
+    phone: /(?:\+?\d{1,3}[\s.-]?)?(?:\(\d{3}\)|\d{3})[\s.-]?\d{3}[\s.-]?\d{4}\b/g,
+    url:   /\b(?:https?:\/\/|www\.)[^\s"'<>]+|\b[a-z0-9-]+\.(?:com|net|org|gg|io|xyz|me|ly)(?:\/[^\s"'<>]*)?/gi,
+};
+
+function escapeRegex(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function compileRules(config) {
+    const rules = [];
+    for (const r of config.rules || []) {
+        if (!r.id || !SEVERITY_RANK[r.severity])
+            throw new Error(`Content rule ${r.id || "(unnamed)"} needs an id and a low|medium|high severity`);
+        const source = Array.isArray(r.words)
+            ? `\\b(?:${r.words.map(escapeRegex).join("|")})\\b`
+            : r.pattern;
+        if (!source) throw new Error(`Content rule ${r.id} needs words or pattern`);
+        rules.push({ id: r.id, category: r.category || "custom", severity: r.severity, regex: new RegExp(source, "gi") });
+    }
+    for (const [kind, severity] of Object.entries(config.pii || {})) {
+        if (!severity || severity === "off") continue;
+        if (!PII_PATTERNS[kind] || !SEVERITY_RANK[severity])
+            throw new Error(`Unknown PII detector ${kind}=${severity}`);
+        rules.push({ id: `pii-${kind}`, category: "pii", severity, regex: PII_PATTERNS[kind] });
+    }
+    return rules;
+}
+
+function loadConfig(file = process.env.CONTENT_FILTER_CONFIG || DEFAULT_CONFIG) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// FACTORY
+// ═══════════════════════════════════════════════════════════════
+function createContentFilter(config = loadConfig()) {
+    const disabled = process.env.CONTENT_FILTER === "off";
+    const rules    = compileRules(config);
+    const actions  = { high: "reject", medium: "mask", low: "flag", ...(config.actions || {}) };
+
+    // text → [[start, end, rule]] for every match of every rule
+    function findSpans(text) {
+        const spans = [];
+        for (const rule of rules) {
+            rule.regex.lastIndex = 0;
+            let m;
+            while ((m = rule.regex.exec(text)) !== null) {
+                if (m[0] === "") { rule.regex.lastIndex++; continue; }
+                spans.push([m.index, m.index + m[0].length, rule]);
+            }
+        }
+        return spans;
+    }
+
+    function maskSpans(text, spans, shouldMask) {
+        const chars = text.split("");
+        for (const [start, end, rule] of spans) {
+            if (!shouldMask(rule)) continue;
+            for (let i = start; i < end; i++) if (!/\s/.test(chars[i])) chars[i] = "#";
+        }
+        return chars.join("");
+    }
+
+    // text → { text, action, severity, hits: [{ rule, category, severity }] }
+    function check(text, { script = false } = {}) {
+        const result = { text, action: "allow", severity: null, hits: [] };
+        if (disabled || typeof text !== "string" || !text) return result;
+
+        const spans = findSpans(text);
+        for (const rule of new Set(spans.map(s => s[2]))) {
+            let action = actions[rule.severity] || "flag";
+            if (script && action === "mask") action = "flag";
+            result.hits.push({ rule: rule.id, category: rule.category, severity: rule.severity, action });
+            if (ACTION_RANK[action] > ACTION_RANK[result.action]) result.action = action;
+            if (!result.severity || SEVERITY_RANK[rule.severity] > SEVERITY_RANK[result.severity])
+                result.severity = rule.severity;
+        }
+
+        if (result.action === "mask")
+            result.text = maskSpans(text, spans, rule => actions[rule.severity] === "mask");
+        return result;
+    }
+
+    // What admins see of a flagged field: PII and mask-severity matches
+    // are masked whatever happened to the write (rejected, or a script
+    // where masking was downgraded to a flag)
+    function excerpt(text) {
+        const masked = maskSpans(text, findSpans(text), rule => rule.category === "pii" || actions[rule.severity] === "mask");
+        return masked.slice(0, 200);
+    }
+
+    // Screens several fields of one record at once.
+    // values: { field: text }  →  { values, rejected, flags }
+    //   rejected: { field, rules } for the first rejected field, or null
+    //   flags:    [{ field, action, severity, rules, excerpt }] for every hit
+    function screen(values, { scriptFields = [] } = {}) {
+        const out = { values: { ...values }, rejected: null, flags: [] };
+        for (const [field, text] of Object.entries(values)) {
+            const r = check(text, { script: scriptFields.includes(field) });
+            if (!r.hits.length) continue;
+            out.values[field] = r.text;
+            const rulesHit = r.hits.map(h => h.rule);
+            if (r.action === "reject" && !out.rejected) out.rejected = { field, rules: rulesHit };
+            out.flags.push({
+                field,
+                action:   r.action,
+                severity: r.severity,
+                rules:    rulesHit,
+                excerpt:  excerpt(text),
+            });
+        }
+        return out;
+    }
+
+    return { check, screen, rules: rules.map(r => ({ id: r.id, category: r.category, severity: r.severity })) };
+}
+
+module.exports = { createContentFilter, loadConfig };
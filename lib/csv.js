@@ -0,0 +1,66 @@
+// lib/csv.js — minimal RFC 4180 CSV reader/writer
+// Enough for spreadsheet round-trips of training data: quoted fields,
+// doubled quotes, commas and newlines inside quotes, CRLF or LF.
+// stringify() prefixes cells a spreadsheet would read as a formula
+// (leading = + - @ tab or CR) with a single quote; parseObjects()
+// strips that quote again, so "-- comment" scripts import unchanged.
+
+// text → array of rows (arrays of strings). Throws on an unterminated quote.
+function parse(text) {
+    const rows = [];
+    let row = [], field = "", i = 0, quoted = false;
+    const src = String(text).replace(/^\uFEFF/, "");   // Excel BOM
+
+    while (i < src.length) {
+        const ch = src[i];
+        if (quoted) {
+            if (ch === '"') {
+                if (src[i + 1] === '"') { field += '"'; i += 2; continue; }
+                quoted = false; i++; continue;
+            }
+            field += ch; i++; continue;
+        }
+        if (ch === '"' && field === "") { quoted = true; i++; continue; }
+        if (ch === ",") { row.push(field); field = ""; i++; continue; }
+        if (ch === "\r" && src[i + 1] === "\n") i++;
+        if (ch === "\n" || ch === "\r") {
+            row.push(field); rows.push(row);
+            row = []; field = ""; i++; continue;
+        }
+        field += ch; i++;
+    }
+    if (quoted) throw new Error("Unterminated quoted field");
+    if (field !== "" || row.length) { row.push(field); rows.push(row); }
+
+    // Drop blank lines
+    return rows.filter(r => r.length > 1 || r[0] !== "");
+}
+
+const FORMULA_START   = /^[=+\-@\t\r]/;
+const FORMULA_ESCAPED = /^'[=+\-@\t\r]/;
+
+// rows (array of arrays) → CSV text with CRLF line endings
+function stringify(rows) {
+    return rows.map(r => r.map(cell => {
+        let s = cell === null || cell === undefined ? "" : String(cell);
+        if (FORMULA_START.test(s)) s = "'" + s;
+        return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    }).join(",")).join("\r\n") + "\r\n";
+}
+
+// Header-keyed objects; header names are lower-cased and trimmed
+function parseObjects(text) {
+    const [header, ...rows] = parse(text);
+    if (!header) return [];
+    const keys = header.map(h => h.trim().toLowerCase());
+    return rows.map(r => {
+        const obj = {};
+        keys.forEach((k, i) => {
+            const cell = r[i] !== undefined ? r[i] : "";
+            obj[k] = FORMULA_ESCAPED.test(cell) ? cell.slice(1) : cell;
+        });
+        return obj;
+    });
+}
+
+module.exports = { parse, stringify, parseObjects };
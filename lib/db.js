@@ -0,0 +1,23 @@
+// lib/db.js — shared PostgreSQL pool
+// Railway injects DATABASE_URL automatically when you link a
+// PostgreSQL service. Make sure the two services are linked.
+
+require("dotenv").config();
+const { Pool } = require("pg");
+const { logger } = require("./logger");
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_URL && process.env.DATABASE_URL.includes("railway")
+        ? { rejectUnauthorized: false }
+        : false,
+    max: 10,
+    idleTimeoutMillis: 30000,
+    connectionTimeoutMillis: 5000,
+});
+
+pool.on("error", (err) => {
+    logger.error("Unexpected PG pool error", { err });
+});
+
+module.exports = { pool };
@@ -0,0 +1,63 @@
+// lib/deltasync.js — cursors for incremental reads
+//
+// A cursor is the xmin of the reader's snapshot, taken *before* the
+// data is read: any row the read couldn't see was written by a
+// transaction with id >= xmin, so `change_txid >= cursor` on the next
+// read picks it up. Rows can come back twice; clients apply them as
+// upserts so that's harmless.
+//
+// Cursors are opaque base64url strings carrying the xmin and when it
+// was issued. Tombstones are pruned after TOMBSTONE_RETENTION_MS, so a
+// cursor older than that gets a full snapshot instead of a delta.
+
+const TOMBSTONE_RETENTION_MS = parseInt(process.env.TOMBSTONE_RETENTION_MS) || 30 * 24 * 60 * 60 * 1000;
+
+function encodeCursor(xmin) {
+    return Buffer.from(JSON.stringify({ x: String(xmin), t: Date.now() })).toString("base64url");
+}
+
+// → { xmin, issuedAt } or null when malformed
+function decodeCursor(cursor) {
+    try {
+        const { x, t } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+        if (!/^\d+$/.test(String(x)) || typeof t !== "number") return null;
+        return { xmin: String(x), issuedAt: t };
+    } catch {
+        return null;
+    }
+}
+
+// Cursor for a read that is about to happen on `db`
+async function readCursor(db) {
+    const result = await db.query("SELECT pg_snapshot_xmin(pg_current_snapshot())::text AS xmin");
+    return encodeCursor(result.rows[0].xmin);
+}
+
+// Parses ?since=. Returns { since } for a usable cursor, { since: null }
+// when absent or too old (caller sends everything), or { error }.
+function parseSince(raw) {
+    if (raw === undefined || raw === "") return { since: null };
+    const decoded = decodeCursor(raw);
+    if (!decoded) return { error: "Invalid since cursor" };
+    if (Date.now() - decoded.issuedAt > TOMBSTONE_RETENTION_MS) return { since: null, expired: true };
+    return { since: decoded.xmin };
+}
+
+// Record keys of `table` deleted for the tenant's userId since the cursor
+async function deletedSince(db, tenantId, table, userId, since) {
+    const result = await db.query(
+        `SELECT DISTINCT record_key FROM deleted_records
+         WHERE table_name=$1 AND tenant_id=$2 AND user_id=$3 AND change_txid >= $4::xid8`,
+        [table, tenantId, userId, since]
+    );
+    return result.rows.map(r => r.record_key);
+}
+
+module.exports = {
+    TOMBSTONE_RETENTION_MS,
+    encodeCursor,
+    decodeCursor,
+    readCursor,
+    parseSince,
+    deletedSince,
+};
@@ -0,0 +1,73 @@
+// lib/embedding.js — local text embeddings for vector search
+//
+// No model download and no external API: a text becomes a DIM-sized
+// vector by feature hashing its words, word bigrams and the character
+// trigrams of each word (so "teleport", "teleporting" and "teleportd"
+// still land close together). Counts are log-scaled and the vector is
+// L2-normalized, so cosine similarity is a plain dot product.
+//
+// Changing DIM or the features invalidates stored vectors; bump
+// VERSION and the embeddings job recomputes them.
+
+const { tokenize } = require("./matcher");
+
+const DIM     = 256;
+const VERSION = 1;
+
+// Feature weights: whole words matter most, trigrams catch word forms
+const WORD_WEIGHT    = 1.0;
+const BIGRAM_WEIGHT  = 0.7;
+const TRIGRAM_WEIGHT = 0.4;
+
+// Too common to say anything about what a prompt is about
+const STOPWORDS = new Set(("a an and are as at be but by can could did do does for from had has have " +
+    "how i if in is it its me my no not of on or so that the then there this to u was we what when " +
+    "where which who why will with would you your").split(" "));
+
+// 32-bit FNV-1a
+function hash(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+function add(counts, feature, weight) {
+    const h = hash(feature);
+    const slot = h % DIM;
+    const sign = (h >>> 31) ? -1 : 1;   // signed hashing keeps collisions unbiased
+    counts[slot] = (counts[slot] || 0) + sign * weight;
+}
+
+function embed(text) {
+    const tokens = tokenize(text).filter(t => !STOPWORDS.has(t));
+    const counts = {};
+    tokens.forEach((t, i) => {
+        add(counts, `w:${t}`, WORD_WEIGHT);
+        if (i > 0) add(counts, `b:${tokens[i - 1]} ${t}`, BIGRAM_WEIGHT);
+        const padded = `^${t}$`;
+        for (let j = 0; j + 3 <= padded.length; j++) add(counts, `c:${padded.slice(j, j + 3)}`, TRIGRAM_WEIGHT);
+    });
+
+    const vec = new Array(DIM).fill(0);
+    let norm = 0;
+    for (const [slot, c] of Object.entries(counts)) {
+        const v = Math.sign(c) * Math.log1p(Math.abs(c));
+        vec[slot] = v;
+        norm += v * v;
+    }
+    if (!norm) return vec;
+    norm = Math.sqrt(norm);
+    return vec.map(v => Math.round((v / norm) * 1e6) / 1e6);
+}
+
+function cosine(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+    return dot;
+}
+
+module.exports = { DIM, VERSION, embed, cosine };
@@ -0,0 +1,154 @@
+// lib/erasure.js — per-user export and right-to-erasure
+//
+// USER_TABLES is the single list of every table holding a player's
+// rows; keep it in step with new migrations. Erasure deletes from all
+// of them in one transaction and writes an erasure_requests audit row
+// in that same transaction, so the log only says "completed" when the
+// data really is gone.
+//
+// Both work on one tenant's copy of the user. Erasure with a null
+// tenant covers every tenant (Roblox erasure requests are about the
+// player, not one of our games) and is logged with tenant_id NULL.
+
+const crypto = require("crypto");
+
+// [table, user column, exported?] — children before parents.
+// deleted_records goes last: the delete triggers on vocab,
+// trained_responses and user_preferences write tombstones for the user
+// while the earlier deletes run.
+const USER_TABLES = [
+    ["interaction_feedback",       "user_id",      true],
+    ["trained_response_revisions", "user_id",      true],
+    ["trained_response_variants",  "user_id",      true],
+    ["content_flags",              "user_id",      true],
+    ["interactions",               "user_id",      true],
+    ["interaction_daily",          "user_id",      true],
+    ["sessions",                   "user_id",      true],
+    ["vocab",                      "user_id",      true],
+    ["learning_patterns",          "user_id",      true],
+    ["bayesian_probs",             "user_id",      true],
+    ["intent_stats",               "user_id",      true],
+    ["script_analytics",           "user_id",      true],
+    ["script_analytics_daily",     "user_id",      true],
+    ["shared_responses",           "submitted_by", true],
+    ["trained_responses",          "user_id",      true],
+    ["user_preferences",           "user_id",      true],
+    ["personalities",              "user_id",      true],
+    ["search_embeddings",          "user_id",      false],
+    ["sync_batches",               "user_id",      false],
+    ["deleted_records",            "user_id",      false],
+];
+
+// Every exported table's rows for the tenant's userId, read from one snapshot
+async function exportUser(pool, tenantId, userId) {
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY");
+        const tables = {};
+        for (const [table, column, exported] of USER_TABLES) {
+            if (!exported) continue;
+            const result = await client.query(
+                `SELECT * FROM ${table} WHERE tenant_id=$1 AND ${column}=$2 ORDER BY 1`, [tenantId, userId]
+            );
+            // search_tsv is derived from columns already in the row
+            tables[table] = result.rows.map(({ search_tsv, ...row }) => row);
+        }
+        await client.query("COMMIT");
+        return tables;
+    } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+// opts: { source: "api" | "roblox", requestedBy, notificationId, gameIds }
+// → { requestId, rowsDeleted: { table: count } }
+// A failed erasure is rolled back and logged with status 'failed'.
+async function eraseUser(pool, tenantId, userId, opts = {}) {
+    const audit = [
+        tenantId,
+        userId,
+        opts.source || "api",
+        opts.notificationId || null,
+        opts.requestedBy || null,
+        opts.gameIds ? opts.gameIds.map(String) : null,
+    ];
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const rowsDeleted = {};
+        for (const [table, column] of USER_TABLES) {
+            const result = await client.query(
+                `DELETE FROM ${table} WHERE ${column}=$1 AND ($2::text IS NULL OR tenant_id=$2)`,
+                [userId, tenantId]
+            );
+            rowsDeleted[table] = result.rowCount;
+        }
+        const logged = await client.query(
+            `INSERT INTO erasure_requests
+                (tenant_id, user_id, source, notification_id, requested_by, game_ids, status, rows_deleted, completed_at)
+             VALUES ($1,$2,$3,$4,$5,$6,'completed',$7,NOW())
+             RETURNING id`,
+            [...audit, JSON.stringify(rowsDeleted)]
+        );
+        await client.query("COMMIT");
+        return { requestId: logged.rows[0].id, rowsDeleted };
+    } catch (err) {
+        await client.query("ROLLBACK");
+        await pool.query(
+            `INSERT INTO erasure_requests
+                (tenant_id, user_id, source, notification_id, requested_by, game_ids, status, error)
+             VALUES ($1,$2,$3,NULL,$4,$5,'failed',$6)`,
+            [audit[0], audit[1], audit[2], audit[4], audit[5], err.message]
+        ).catch(() => {});
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ROBLOX WEBHOOK
+// Roblox signs webhooks with a `roblox-signature: t=<unix>,v1=<b64>`
+// header, where v1 = base64(HMAC-SHA256(secret, "<t>.<raw body>")).
+// ═══════════════════════════════════════════════════════════════
+const WEBHOOK_TOLERANCE_SEC = 600;
+
+function verifyRobloxSignature(header, rawBody, secret, nowSec = Math.floor(Date.now() / 1000)) {
+    const parts = {};
+    for (const piece of String(header || "").split(",")) {
+        const eq = piece.indexOf("=");
+        if (eq > 0) parts[piece.slice(0, eq).trim()] = piece.slice(eq + 1).trim();
+    }
+    const t = parseInt(parts.t);
+    if (!t || !parts.v1) return false;
+    if (Math.abs(nowSec - t) > WEBHOOK_TOLERANCE_SEC) return false;
+    const expected = crypto.createHmac("sha256", secret).update(`${t}.${rawBody || ""}`).digest();
+    const given = Buffer.from(parts.v1, "base64");
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// → { notificationId, userId, gameIds } for a RightToErasureRequest,
+// { ignored: eventType } for other notifications, or { error }
+function parseRobloxErasure(body) {
+    if (!body || typeof body !== "object") return { error: "Invalid payload" };
+    if (body.EventType !== "RightToErasureRequest") return { ignored: String(body.EventType || "unknown") };
+    const payload = body.EventPayload || {};
+    if (!payload.UserId || !/^\d+$/.test(String(payload.UserId)))
+        return { error: "EventPayload.UserId missing" };
+    return {
+        notificationId: body.NotificationId ? String(body.NotificationId).slice(0, 128) : null,
+        userId:         String(payload.UserId),
+        gameIds:        Array.isArray(payload.GameIds) ? payload.GameIds : [],
+    };
+}
+
+module.exports = {
+    USER_TABLES,
+    exportUser,
+    eraseUser,
+    verifyRobloxSignature,
+    parseRobloxErasure,
+};
@@ -0,0 +1,94 @@
+// lib/errors.js — the error envelope
+//
+// Every error response has the shape
+//   { error: "human readable message", code: "MACHINE_CODE", details?: [...] }
+// `error` stays a plain string so clients written against the old
+// responses keep working; `code` is what to branch on. Routes that just
+// do res.status(4xx).json({ error }) get the default code for the
+// status from envelope(); anything more specific passes its own code.
+//
+// Database and other unexpected errors go through internalError(),
+// which logs the real message and answers with a generic one — raw
+// Postgres errors never reach the client.
+
+const { logger }   = require("./logger");
+const { registry } = require("./metrics");
+
+const dbErrors = registry.counter("chatbot_db_errors_total",
+    "Database errors answered by internalError(), by SQLSTATE or connection error code", ["code"]);
+
+const CODES_BY_STATUS = {
+    400: "INVALID_REQUEST",
+    401: "UNAUTHORIZED",
+    403: "FORBIDDEN",
+    404: "NOT_FOUND",
+    409: "CONFLICT",
+    413: "PAYLOAD_TOO_LARGE",
+    422: "CONTENT_REJECTED",
+    429: "RATE_LIMITED",
+    500: "INTERNAL",
+    503: "UNAVAILABLE",
+};
+
+function defaultCode(status) {
+    return CODES_BY_STATUS[status] || (status >= 500 ? "INTERNAL" : "INVALID_REQUEST");
+}
+
+function sendError(res, status, code, message, details) {
+    const body = { error: message, code: code || defaultCode(status) };
+    if (details !== undefined) body.details = details;
+    return res.status(status).json(body);
+}
+
+// Fills in `code` on error bodies that don't carry one
+function envelope(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode >= 400 && body && typeof body.error === "string" && !body.code)
+            body = { ...body, code: defaultCode(res.statusCode) };
+        return json(body);
+    };
+    next();
+}
+
+// SQLSTATE / driver error → [status, code, message safe to show]
+const PG_ERRORS = {
+    "23505": [409, "CONFLICT",       "Conflicts with an existing record"],
+    "23503": [409, "CONFLICT",       "Referenced record does not exist"],
+    "23502": [400, "INVALID_REQUEST", "A required value is missing"],
+    "23514": [400, "INVALID_REQUEST", "A value is out of the allowed range"],
+    "22001": [400, "INVALID_REQUEST", "A value is too long"],
+    "22003": [400, "INVALID_REQUEST", "A number is out of range"],
+    "22P02": [400, "INVALID_REQUEST", "A value is malformed"],
+    "57014": [503, "DB_TIMEOUT",     "Database query timed out"],
+    "53300": [503, "DB_UNAVAILABLE", "Database is busy, retry shortly"],
+    "57P01": [503, "DB_UNAVAILABLE", "Database is restarting, retry shortly"],
+    "57P03": [503, "DB_UNAVAILABLE", "Database is starting up, retry shortly"],
+};
+const CONNECTION_ERRORS = new Set(["ECONNREFUSED", "ECONNRESET", "ETIMEDOUT", "ENOTFOUND", "EPIPE"]);
+
+function isDbError(err) {
+    return !!err && typeof err.code === "string" && (/^[0-9A-Z]{5}$/.test(err.code) || CONNECTION_ERRORS.has(err.code));
+}
+
+function classify(err) {
+    if (err && PG_ERRORS[err.code]) return PG_ERRORS[err.code];
+    if (err && (CONNECTION_ERRORS.has(err.code) || /^08/.test(err.code || "")))
+        return [503, "DB_UNAVAILABLE", "Database unavailable, retry shortly"];
+    return [500, "INTERNAL", "Internal server error"];
+}
+
+function internalError(res, err, context) {
+    logger.error(`${context || "Request"} error`, { err });
+    if (isDbError(err)) dbErrors.inc({ code: err.code });
+    const [status, code, message] = classify(err);
+    return sendError(res, status, code, message);
+}
+
+module.exports = {
+    CODES_BY_STATUS,
+    sendError,
+    envelope,
+    internalError,
+    classify,
+};
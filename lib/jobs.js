@@ -0,0 +1,74 @@
+// lib/jobs.js — in-process scheduled jobs
+//
+// Every replica runs the same timers; a lock per job (repo.jobs.withLock,
+// a Postgres advisory lock) makes sure only one of them executes it at
+// a time, and a scheduled run is skipped when another replica already
+// completed one within the job's interval. Every run is recorded in
+// job_runs.
+//
+//   const jobs = createJobRunner(repo);
+//   jobs.register("sessions", 5 * 60 * 1000, async () => ({ expired: n }));
+//   jobs.start();
+//   await jobs.run("sessions", "manual") → { status, runId, result | error }
+//
+// status is "ok", "failed", "locked" (running elsewhere) or "skipped".
+
+const os = require("os");
+const { logger } = require("./logger");
+
+function createJobRunner(repo, { log = logger, instance = os.hostname() } = {}) {
+    const jobs = new Map();   // name → { name, intervalMs, fn }
+
+    function register(name, intervalMs, fn) {
+        jobs.set(name, { name, intervalMs, fn });
+    }
+
+    async function run(name, trigger = "schedule") {
+        const job = jobs.get(name);
+        if (!job) throw new Error(`Unknown job '${name}'`);
+
+        const outcome = await repo.jobs.withLock(name, async (store) => {
+            if (trigger === "schedule" && await store.succeededWithin(name, Math.floor(job.intervalMs * 0.9)))
+                return { status: "skipped" };
+            const runId = await store.start(name, trigger, instance);
+            try {
+                const result = await job.fn();
+                await store.finish(runId, "ok", { result });
+                return { status: "ok", runId, result };
+            } catch (err) {
+                await store.finish(runId, "failed", { error: err.message });
+                return { status: "failed", runId, error: err.message };
+            }
+        });
+        return outcome || { status: "locked" };
+    }
+
+    function start() {
+        for (const job of jobs.values()) {
+            setInterval(() => {
+                run(job.name)
+                    .then(r => { if (r.status === "failed") log.error("Job failed", { job: job.name, error: r.error }); })
+                    .catch(err => log.error("Job error", { job: job.name, err }));
+            }, job.intervalMs).unref();
+        }
+    }
+
+    // [{ name, intervalMs, lastRun, lastSuccess }] for every registered job
+    async function status() {
+        const out = [];
+        for (const job of jobs.values()) {
+            const [last, ok] = await Promise.all([repo.jobs.lastRun(job.name), repo.jobs.lastSuccess(job.name)]);
+            out.push({
+                name:        job.name,
+                intervalMs:  job.intervalMs,
+                lastRun:     last,
+                lastSuccess: ok,
+            });
+        }
+        return out;
+    }
+
+    return { register, run, start, status, has: (name) => jobs.has(name) };
+}
+
+module.exports = { createJobRunner };
@@ -0,0 +1,94 @@
+// lib/logger.js — structured logging with request context
+//
+// One JSON object per line:
+//   {"ts":"…","level":"error","msg":"Sync error","requestId":"…","err":{"message":"…","code":"23505"}}
+// LOG_LEVEL=debug|info|warn|error (default info) sets the threshold;
+// LOG_FORMAT=text prints "ts LEVEL msg key=value" lines for local runs.
+//
+// requestContext() gives every request an id — taken from the incoming
+// X-Request-Id header (REQUEST_ID_HEADER to change it) when it looks
+// sane, otherwise a new UUID — echoes it back on the response, and
+// keeps it in AsyncLocalStorage so anything logged while handling the
+// request carries it without the id being passed around.
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS  = { debug: 10, info: 20, warn: 30, error: 40 };
+const context = new AsyncLocalStorage();
+
+const REQUEST_ID_HEADER = (process.env.REQUEST_ID_HEADER || "x-request-id").toLowerCase();
+const REQUEST_ID_RE     = /^[\w.:\-]{1,128}$/;
+
+function serializeError(err) {
+    if (!(err instanceof Error)) return err;
+    const out = { message: err.message };
+    if (err.code) out.code = err.code;
+    else out.stack = err.stack;   // no code usually means a bug rather than a DB/network error
+    return out;
+}
+
+function formatText(entry) {
+    const { ts, level, msg, ...fields } = entry;
+    const rest = Object.entries(fields)
+        .map(([k, v]) => `${k}=${typeof v === "object" ? JSON.stringify(v) : v}`)
+        .join(" ");
+    return `${ts} ${level.toUpperCase().padEnd(5)} ${msg}${rest ? " " + rest : ""}`;
+}
+
+function createLogger(base = {}, opts = {}) {
+    const threshold = LEVELS[opts.level || process.env.LOG_LEVEL] || LEVELS.info;
+    const format    = opts.format || process.env.LOG_FORMAT || "json";
+
+    function write(level, msg, fields = {}) {
+        if (LEVELS[level] < threshold) return;
+        const entry = { ts: new Date().toISOString(), level, msg, ...base, ...context.getStore() };
+        for (const [k, v] of Object.entries(fields)) {
+            if (v !== undefined) entry[k] = k === "err" ? serializeError(v) : v;
+        }
+        const line = format === "text" ? formatText(entry) : JSON.stringify(entry);
+        (LEVELS[level] >= LEVELS.error ? process.stderr : process.stdout).write(line + "\n");
+    }
+
+    return {
+        debug: (msg, fields) => write("debug", msg, fields),
+        info:  (msg, fields) => write("info",  msg, fields),
+        warn:  (msg, fields) => write("warn",  msg, fields),
+        error: (msg, fields) => write("error", msg, fields),
+        child: (fields) => createLogger({ ...base, ...fields }, opts),
+    };
+}
+
+const logger = createLogger();
+
+// Request id + access log line once the response is finished.
+// quiet: paths logged at debug instead of info (probes, scrapes)
+function requestContext({ log = logger, quiet = [] } = {}) {
+    return (req, res, next) => {
+        const incoming = req.get(REQUEST_ID_HEADER);
+        req.id = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+        res.set(REQUEST_ID_HEADER, req.id);
+
+        const start = process.hrtime.bigint();
+        res.on("finish", () => {
+            const level = quiet.includes(req.path) ? "debug" : res.statusCode >= 500 ? "warn" : "info";
+            log[level]("Request", {
+                requestId:  req.id,
+                method:     req.method,
+                path:       req.originalUrl.split("?")[0],
+                status:     res.statusCode,
+                durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+                keyId:      req.apiKey ? req.apiKey.keyId : undefined,
+            });
+        });
+        context.run({ requestId: req.id }, next);
+    };
+}
+
+module.exports = {
+    LEVELS,
+    logger,
+    createLogger,
+    requestContext,
+    context,
+};
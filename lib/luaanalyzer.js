@@ -0,0 +1,313 @@
+// lib/luaanalyzer.js — static safety analysis for stored Luau scripts
+//
+// Not a full Luau parser: a tokenizer plus a block-structure pass,
+// which is enough to check the script is well formed, find calls to
+// risky APIs and spot loops that never yield. The result is stored
+// next to the script so clients can check it before running the code.
+//
+//   analyze(source) → {
+//       score,        0..100, sum of finding weights (capped)
+//       level,        "none" | "low" | "medium" | "high"
+//       findings,     [{ rule, severity, line, message }]
+//       parseError,   string | null
+//       version,      ANALYZER_VERSION (bump when rules change)
+//   }
+
+const ANALYZER_VERSION = 1;
+
+const WEIGHTS = { low: 10, medium: 25, high: 50 };
+
+const KEYWORDS = new Set([
+    "and", "break", "continue", "do", "else", "elseif", "end", "false", "for", "function",
+    "if", "in", "local", "nil", "not", "or", "repeat", "return", "then", "true", "until", "while",
+]);
+
+// Services whose mere use is worth surfacing
+const SERVICES = {
+    HttpService:        { severity: "medium", message: "HttpService can reach external servers" },
+    TeleportService:    { severity: "medium", message: "TeleportService can move players to other places" },
+    MarketplaceService: { severity: "medium", message: "MarketplaceService can prompt purchases" },
+    DataStoreService:   { severity: "low",    message: "DataStoreService writes persistent data" },
+};
+
+// HttpService methods that actually hit the network (GetAsync also
+// exists on DataStores, so these only count alongside HttpService)
+const HTTP_METHODS = new Set(["GetAsync", "PostAsync", "RequestAsync"]);
+
+// Executor-only globals that fetch remote code
+const REMOTE_FETCH = new Set(["HttpGet", "HttpGetAsync", "HttpPost"]);
+
+// Calls that yield, so a loop containing one can't hang the server
+const YIELDS = new Set(["wait", "Wait", "yield", "delay", "spawn", "defer"]);
+
+// ═══════════════════════════════════════════════════════════════
+// TOKENIZER
+// ═══════════════════════════════════════════════════════════════
+class LuaSyntaxError extends Error {
+    constructor(message, line) {
+        super(`${message} (line ${line})`);
+        this.line = line;
+    }
+}
+
+// [= ... =[ long bracket at src[i]; returns level or -1
+function longBracketLevel(src, i) {
+    if (src[i] !== "[") return -1;
+    let j = i + 1, level = 0;
+    while (src[j] === "=") { level++; j++; }
+    return src[j] === "[" ? level : -1;
+}
+
+function tokenize(src) {
+    const tokens = [];
+    let i = 0, line = 1;
+
+    const readLong = (level) => {
+        const close = "]" + "=".repeat(level) + "]";
+        const start = i;
+        const end = src.indexOf(close, i + level + 2);
+        if (end < 0) throw new LuaSyntaxError("Unfinished long string or comment", line);
+        const body = src.slice(start + level + 2, end);
+        line += (src.slice(start, end).match(/\n/g) || []).length;
+        i = end + close.length;
+        return body;
+    };
+
+    while (i < src.length) {
+        const ch = src[i];
+        if (ch === "\n") { line++; i++; continue; }
+        if (/\s/.test(ch)) { i++; continue; }
+
+        // Comments
+        if (ch === "-" && src[i + 1] === "-") {
+            i += 2;
+            const level = longBracketLevel(src, i);
+            if (level >= 0) { readLong(level); continue; }
+            while (i < src.length && src[i] !== "\n") i++;
+            continue;
+        }
+
+        // Strings
+        if (ch === '"' || ch === "'" || ch === "`") {
+            const startLine = line;
+            let value = "";
+            i++;
+            while (i < src.length && src[i] !== ch) {
+                if (src[i] === "\n") throw new LuaSyntaxError("Unfinished string", startLine);
+                if (src[i] === "\\") {
+                    const next = src[i + 1];
+                    if (next === "\n") line++;
+                    value += "\\" + (next || "");
+                    i += 2;
+                    continue;
+                }
+                value += src[i++];
+            }
+            if (i >= src.length) throw new LuaSyntaxError("Unfinished string", startLine);
+            i++;
+            tokens.push({ type: "string", value, line: startLine });
+            continue;
+        }
+        const level = longBracketLevel(src, i);
+        if (level >= 0) {
+            const startLine = line;
+            tokens.push({ type: "string", value: readLong(level), line: startLine });
+            continue;
+        }
+
+        // Numbers
+        const num = src.slice(i).match(/^(?:0[xX][0-9a-fA-F_]+|0[bB][01_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)/);
+        if (num && /[\d.]/.test(ch) && !(ch === "." && !/\d/.test(src[i + 1] || ""))) {
+            tokens.push({ type: "number", value: num[0], line });
+            i += num[0].length;
+            continue;
+        }
+
+        // Names / keywords
+        const name = src.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+        if (name) {
+            tokens.push({ type: KEYWORDS.has(name[0]) ? "keyword" : "name", value: name[0], line });
+            i += name[0].length;
+            continue;
+        }
+
+        // Operators / punctuation (longest first)
+        const op = src.slice(i).match(/^(?:\.\.\.|\.\.=|\.\.|==|~=|<=|>=|\/\/=?|[+\-*\/%^]=|::|->|[-+*\/%^#=<>(){}\[\];:,.?&|~])/);
+        if (!op) throw new LuaSyntaxError(`Unexpected character '${ch}'`, line);
+        tokens.push({ type: "op", value: op[0], line });
+        i += op[0].length;
+    }
+    return tokens;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// BLOCK STRUCTURE
+// Matches function/if/do/while/for/repeat with end/until and returns
+// the loops found: [{ kind, start, end, line, infinite }] as token
+// index ranges of their bodies.
+// ═══════════════════════════════════════════════════════════════
+function isTruthyConstant(tok) {
+    return tok && ((tok.type === "keyword" && tok.value === "true") || tok.type === "number");
+}
+
+function parseBlocks(tokens) {
+    const stack = [];
+    const loops = [];
+    let pendingDo = 0;   // while/for headers waiting for their `do`
+
+    tokens.forEach((tok, idx) => {
+        if (tok.type !== "keyword") return;
+        const prev = tokens[idx - 1];
+        switch (tok.value) {
+            case "function":
+                stack.push({ kind: tok.value, line: tok.line, start: idx });
+                break;
+            case "if":
+                // Luau if-expressions (`x = if a then b else c`) have no `end`
+                if (prev && ((prev.type === "op" && !")]};".includes(prev.value))
+                    || (prev.type === "keyword" && ["return", "and", "or", "not", "in"].includes(prev.value))))
+                    break;
+                stack.push({ kind: tok.value, line: tok.line, start: idx });
+                break;
+            case "while": {
+                const next = tokens[idx + 1], after = tokens[idx + 2];
+                const infinite = isTruthyConstant(next) && after && after.value === "do";
+                stack.push({ kind: "while", line: tok.line, start: idx, infinite });
+                pendingDo++;
+                break;
+            }
+            case "for":
+                stack.push({ kind: "for", line: tok.line, start: idx });
+                pendingDo++;
+                break;
+            case "do":
+                if (pendingDo > 0) pendingDo--;
+                else stack.push({ kind: "do", line: tok.line, start: idx });
+                break;
+            case "repeat":
+                stack.push({ kind: "repeat", line: tok.line, start: idx });
+                break;
+            case "until": {
+                const open = stack.pop();
+                if (!open || open.kind !== "repeat")
+                    throw new LuaSyntaxError("'until' without matching 'repeat'", tok.line);
+                const cond = tokens[idx + 1];
+                const infinite = cond && ((cond.type === "keyword" && (cond.value === "false" || cond.value === "nil")));
+                loops.push({ kind: "repeat", start: open.start, end: idx, line: open.line, infinite });
+                break;
+            }
+            case "end": {
+                // `end` used as a method/field name (obj.end) isn't a keyword in practice
+                if (prev && prev.type === "op" && (prev.value === "." || prev.value === ":")) break;
+                const open = stack.pop();
+                if (!open || open.kind === "repeat")
+                    throw new LuaSyntaxError("'end' without matching block", tok.line);
+                if (open.kind === "while" || open.kind === "for")
+                    loops.push({ kind: open.kind, start: open.start, end: idx, line: open.line, infinite: !!open.infinite });
+                break;
+            }
+        }
+    });
+
+    if (stack.length) {
+        const open = stack[stack.length - 1];
+        throw new LuaSyntaxError(`'${open.kind}' block is never closed`, open.line);
+    }
+    return loops;
+}
+
+function bodyYields(tokens, start, end) {
+    for (let i = start; i < end; i++) {
+        const t = tokens[i];
+        if (t.type === "name" && YIELDS.has(t.value) && tokens[i + 1] && tokens[i + 1].value === "(")
+            return true;
+        // Returning or breaking out also ends the loop
+        if (t.type === "keyword" && (t.value === "break" || t.value === "return")) return true;
+    }
+    return false;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ANALYSIS
+// ═══════════════════════════════════════════════════════════════
+function analyze(source) {
+    const report = { score: 0, level: "none", findings: [], parseError: null, version: ANALYZER_VERSION };
+    if (typeof source !== "string" || !source.trim()) return report;
+
+    const add = (rule, severity, line, message) => {
+        report.findings.push({ rule, severity, line, message });
+    };
+
+    let tokens;
+    try {
+        tokens = tokenize(source);
+    } catch (err) {
+        report.parseError = err.message;
+        add("parse-error", "medium", err.line || 1, "Script does not tokenize; it can't be checked");
+        return finish(report);
+    }
+
+    const usesHttpService = tokens.some(t => t.value === "HttpService");
+
+    tokens.forEach((t, i) => {
+        const prev = tokens[i - 1];
+        const next = tokens[i + 1];
+        const isCall   = next && (next.value === "(" || next.type === "string");
+        const isGlobal = !prev || (prev.value !== "." && prev.value !== ":");
+        const isMethod = prev && prev.value === ":";
+
+        if (t.type === "name" && (t.value === "loadstring" || t.value === "load") && isCall && isGlobal)
+            add("loadstring", "high", t.line, `${t.value}() runs code that can't be checked ahead of time`);
+
+        if (t.type === "name" && (t.value === "getfenv" || t.value === "setfenv") && isCall && isGlobal)
+            add("fenv", "medium", t.line, `${t.value}() manipulates function environments (common in obfuscated code)`);
+
+        if (t.type === "name" && REMOTE_FETCH.has(t.value) && isCall)
+            add("remote-fetch", "high", t.line, `${t.value}() downloads remote content (exploit executor API)`);
+
+        if (t.type === "name" && usesHttpService && HTTP_METHODS.has(t.value) && isMethod && isCall)
+            add("http-request", "high", t.line, `HttpService:${t.value}() sends a request to an external server`);
+
+        if (t.type === "name" && t.value === "require" && isGlobal && next && next.value === "(") {
+            const arg = tokens[i + 2];
+            if (arg && (arg.type === "number" || (arg.type === "name" && arg.value === "tonumber")))
+                add("require-asset", "high", t.line, "require() with an asset id loads third-party code from the catalog");
+        }
+
+        if ((t.type === "name" || t.type === "string") && SERVICES[t.value]) {
+            const s = SERVICES[t.value];
+            add(`service-${t.value}`, s.severity, t.line, s.message);
+        }
+
+        if (t.type === "string" && (t.value.match(/\\\d{1,3}/g) || []).length >= 40)
+            add("obfuscation", "medium", t.line, "Long run of escaped bytes looks like obfuscated code");
+    });
+
+    try {
+        for (const loop of parseBlocks(tokens)) {
+            if (loop.infinite && !bodyYields(tokens, loop.start, loop.end))
+                add("infinite-loop", "high", loop.line, `Unbounded ${loop.kind} loop never yields and will hang the server`);
+        }
+    } catch (err) {
+        report.parseError = err.message;
+        add("parse-error", "medium", err.line || 1, "Unbalanced blocks; the script will not compile");
+    }
+
+    return finish(report);
+}
+
+// Same rule on several lines counts once towards the score
+function finish(report) {
+    const seen = new Map();
+    for (const f of report.findings) {
+        if (!seen.has(f.rule) || WEIGHTS[f.severity] > WEIGHTS[seen.get(f.rule)]) seen.set(f.rule, f.severity);
+    }
+    report.score = Math.min(100, [...seen.values()].reduce((n, sev) => n + WEIGHTS[sev], 0));
+    report.level = report.score === 0 ? "none"
+        : report.score < 25 ? "low"
+        : report.score < 50 ? "medium"
+        : "high";
+    return report;
+}
+
+module.exports = { ANALYZER_VERSION, analyze, tokenize, LuaSyntaxError };
@@ -0,0 +1,234 @@
+// lib/matcher.js — prompt → trained_responses matching
+// Pure helpers used by POST /api/respond. No DB access in here; the route
+// loads the user's pairs, vocab weights and Bayesian priors and hands
+// them over. bestMatch() only fully scores the closest candidates (see
+// CANDIDATES), so a user with thousands of pairs can't stall the loop.
+
+// ═══════════════════════════════════════════════════════════════
+// TEXT HELPERS
+// ═══════════════════════════════════════════════════════════════
+function normalize(text) {
+    return String(text || "")
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+function tokenize(text) {
+    const norm = normalize(text);
+    return norm ? norm.split(" ") : [];
+}
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+    let prev = new Uint16Array(b.length + 1);
+    let cur  = new Uint16Array(b.length + 1);
+    for (let j = 0; j <= b.length; j++) prev[j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        cur[0] = i;
+        const ca = a.charCodeAt(i - 1);
+        for (let j = 1; j <= b.length; j++) {
+            cur[j] = Math.min(
+                prev[j] + 1,
+                cur[j - 1] + 1,
+                prev[j - 1] + (ca === b.charCodeAt(j - 1) ? 0 : 1)
+            );
+        }
+        [prev, cur] = [cur, prev];
+    }
+    return prev[b.length];
+}
+
+// 0..1, 1 meaning identical
+function similarity(a, b) {
+    const len = Math.max(a.length, b.length);
+    return len === 0 ? 1 : 1 - levenshtein(a, b) / len;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SCORING
+// Weighted token overlap: every prompt token is matched against its
+// closest pattern token (typos within FUZZY_TOKEN_MIN still count,
+// scaled by how close they are). Tokens carry the user's vocab weight
+// so words the user leans on matter more than filler.
+// ═══════════════════════════════════════════════════════════════
+const FUZZY_TOKEN_MIN = 0.75;
+const TOKEN_SHARE     = 0.7;   // remainder goes to whole-string similarity
+
+function tokenOverlap(promptTokens, patternTokens, weights) {
+    if (!promptTokens.length || !patternTokens.length) return 0;
+    const w = (t) => (weights && weights[t] > 0 ? weights[t] : 1);
+
+    let matched = 0;
+    let total   = 0;
+    const used  = new Set();
+
+    for (const pt of promptTokens) {
+        total += w(pt);
+        let best = 0, bestIdx = -1;
+        patternTokens.forEach((tt, idx) => {
+            if (used.has(idx)) return;
+            // The length gap alone caps the similarity: skip what can't win
+            const ceiling = 1 - Math.abs(pt.length - tt.length) / Math.max(pt.length, tt.length);
+            if (ceiling < FUZZY_TOKEN_MIN || ceiling <= best) return;
+            const s = pt === tt ? 1 : similarity(pt, tt);
+            if (s > best) { best = s; bestIdx = idx; }
+        });
+        if (bestIdx >= 0 && best >= FUZZY_TOKEN_MIN) {
+            used.add(bestIdx);
+            matched += w(pt) * best;
+        }
+    }
+    // Unmatched pattern tokens count against the score too
+    patternTokens.forEach((tt, idx) => { if (!used.has(idx)) total += w(tt); });
+
+    return total > 0 ? matched / total : 0;
+}
+
+// Scoring is quadratic in string length, so both sides are cut to MATCH_CHARS
+const MATCH_CHARS = 120;
+
+function clip(norm) {
+    return norm.length > MATCH_CHARS ? norm.slice(0, MATCH_CHARS).trim() : norm;
+}
+
+function scorePair(prompt, pattern, weights) {
+    return scoreNormalized(clip(normalize(prompt)), clip(normalize(pattern)), weights);
+}
+
+function scoreNormalized(a, b, weights) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    const tokens = tokenOverlap(a.split(" "), b.split(" "), weights);
+    return TOKEN_SHARE * tokens + (1 - TOKEN_SHARE) * similarity(a, b);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// FEEDBACK ADAPTATION
+// Player ratings nudge a pair's score by up to ±FEEDBACK_SWING. Uses
+// a Laplace-smoothed success rate so a single thumbs-down doesn't bury
+// a pair; unrated pairs are left alone (factor 1).
+// ═══════════════════════════════════════════════════════════════
+const FEEDBACK_SWING = 0.2;
+
+function feedbackFactor(up, down) {
+    up = parseInt(up) || 0;
+    down = parseInt(down) || 0;
+    const smoothed = (up + 1) / (up + down + 2);
+    return 1 + 2 * FEEDBACK_SWING * (smoothed - 0.5);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CANDIDATES
+// Only the MATCH_CANDIDATES pairs sharing the most character trigrams
+// with the prompt get the full score; pairs sharing none can't clear
+// FUZZY_TOKEN_MIN on any token and are never looked at. The trigram
+// index is linear to build; callers matching the same pairs over and
+// over (the shared pool) build it once with buildIndex().
+// ═══════════════════════════════════════════════════════════════
+const MATCH_CANDIDATES = 100;
+
+function trigrams(norm) {
+    const grams = new Set();
+    for (const token of norm.split(" ")) {
+        const padded = ` ${token} `;
+        for (let i = 0; i + 3 <= padded.length; i++) grams.add(padded.slice(i, i + 3));
+    }
+    return grams;
+}
+
+// pairs → { entries: [{ pair, norm, size }], postings: trigram → entry numbers }
+function buildIndex(pairs) {
+    const entries  = [];
+    const postings = new Map();
+    for (const pair of pairs) {
+        const norm  = clip(normalize(pair.pattern));
+        const grams = trigrams(norm);
+        for (const g of grams) {
+            if (!postings.has(g)) postings.set(g, []);
+            postings.get(g).push(entries.length);
+        }
+        entries.push({ pair, norm, size: grams.size });
+    }
+    return { entries, postings };
+}
+
+// The `limit` entries most alike to the normalized prompt (Dice
+// coefficient over trigrams), best first
+function candidates(index, norm, limit = MATCH_CANDIDATES) {
+    const grams  = trigrams(norm);
+    const shared = new Map();   // entry number → trigrams in common
+    for (const g of grams) {
+        for (const n of index.postings.get(g) || []) shared.set(n, (shared.get(n) || 0) + 1);
+    }
+    return [...shared]
+        .map(([n, k]) => [index.entries[n], (2 * k) / (grams.size + index.entries[n].size)])
+        .sort((x, y) => y[1] - x[1])
+        .slice(0, limit)
+        .map(([entry]) => entry);
+}
+
+// pairs: [{ id, pattern, response, script, feedback_up?, feedback_down? }]
+// or an index of them from buildIndex() → { pair, score, rawScore } | null
+function bestMatch(prompt, pairs, weights) {
+    const index = Array.isArray(pairs) ? buildIndex(pairs) : pairs;
+    const norm  = clip(normalize(prompt));
+    if (!norm) return null;
+    let best = null;
+    for (const { pair, norm: pattern } of candidates(index, norm)) {
+        const rawScore = scoreNormalized(norm, pattern, weights);
+        const score = Math.min(1, rawScore * feedbackFactor(pair.feedback_up, pair.feedback_down));
+        if (!best || score > best.score) best = { pair, score, rawScore };
+    }
+    return best;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// BAYESIAN FALLBACK
+// rows: bayesian_probs rows → { intent, confidence, ranked } | null
+// Log-space naive Bayes over prompt tokens; words missing from an
+// intent's conditional_probs get the row's unseen_prob (set by the
+// server trainer) or a small floor instead of zero.
+// ═══════════════════════════════════════════════════════════════
+const UNSEEN_WORD_PROB = 1e-4;
+
+function classifyIntent(prompt, rows) {
+    const tokens = tokenize(prompt);
+    const scored = [];
+    for (const row of rows) {
+        const prior = parseFloat(row.prior_probability);
+        if (!(prior > 0)) continue;
+        const cond = row.conditional_probs || {};
+        const unseen = parseFloat(row.unseen_prob) > 0 ? parseFloat(row.unseen_prob) : UNSEEN_WORD_PROB;
+        let logp = Math.log(prior);
+        for (const t of tokens) {
+            const p = parseFloat(cond[t]);
+            logp += Math.log(p > 0 ? p : unseen);
+        }
+        scored.push({ intent: row.intent, logp });
+    }
+    if (!scored.length) return null;
+
+    const max = Math.max(...scored.map(s => s.logp));
+    const sum = scored.reduce((acc, s) => acc + Math.exp(s.logp - max), 0);
+    const ranked = scored
+        .map(s => ({ intent: s.intent, probability: Math.exp(s.logp - max) / sum }))
+        .sort((x, y) => y.probability - x.probability);
+
+    return { intent: ranked[0].intent, confidence: ranked[0].probability, ranked };
+}
+
+module.exports = {
+    normalize,
+    tokenize,
+    similarity,
+    scorePair,
+    feedbackFactor,
+    buildIndex,
+    candidates,
+    bestMatch,
+    classifyIntent,
+};
@@ -0,0 +1,119 @@
+// lib/metrics.js — Prometheus metrics in the text exposition format
+//
+//   const c = registry.counter("x_total", "Help text", ["route"]);
+//   c.inc({ route: "/a" });
+//   registry.histogram("x_seconds", "Help", ["route"], [0.1, 1]).observe({ route: "/a" }, 0.3);
+//   registry.gauge("x", "Help", [], () => [[{}, 42]]);   // computed at scrape
+//   registry.render()   → text for GET /metrics
+//
+// Metrics live in process memory, so each replica is scraped on its
+// own. Keep label values bounded: route templates, not raw paths.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labelText(names, values, extra = "") {
+    const parts = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+    if (extra) parts.push(extra);
+    return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function createRegistry() {
+    const metrics = new Map();   // name → { type, help, render() }
+
+    function define(name, type, help, render) {
+        if (metrics.has(name)) throw new Error(`Metric ${name} already registered`);
+        metrics.set(name, { type, help, render });
+    }
+
+    // labels object → stable key plus the values in labelNames order
+    const keyOf = (labelNames, labels = {}) => {
+        const values = labelNames.map(n => (labels[n] === undefined ? "" : labels[n]));
+        return [JSON.stringify(values), values];
+    };
+
+    function counter(name, help, labelNames = []) {
+        const series = new Map();   // key → { values, value }
+        define(name, "counter", help, () =>
+            [...series.values()].map(s => `${name}${labelText(labelNames, s.values)} ${s.value}`));
+        return {
+            inc(labels, by = 1) {
+                const [key, values] = keyOf(labelNames, labels);
+                let s = series.get(key);
+                if (!s) series.set(key, s = { values, value: 0 });
+                s.value += by;
+            },
+        };
+    }
+
+    function gauge(name, help, labelNames = [], collect = null) {
+        const series = new Map();
+        const set = (labels, value) => {
+            const [key, values] = keyOf(labelNames, labels);
+            series.set(key, { values, value });
+        };
+        define(name, "gauge", help, () => {
+            if (collect) for (const [labels, value] of collect()) set(labels, value);
+            return [...series.values()].map(s => `${name}${labelText(labelNames, s.values)} ${s.value}`);
+        });
+        return { set };
+    }
+
+    function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        const series = new Map();   // key → { values, counts[], sum, count }
+        define(name, "histogram", help, () => {
+            const lines = [];
+            for (const s of series.values()) {
+                let cumulative = 0;
+                buckets.forEach((le, i) => {
+                    cumulative += s.counts[i];
+                    lines.push(`${name}_bucket${labelText(labelNames, s.values, `le="${le}"`)} ${cumulative}`);
+                });
+                lines.push(`${name}_bucket${labelText(labelNames, s.values, 'le="+Inf"')} ${s.count}`);
+                lines.push(`${name}_sum${labelText(labelNames, s.values)} ${s.sum}`);
+                lines.push(`${name}_count${labelText(labelNames, s.values)} ${s.count}`);
+            }
+            return lines;
+        });
+        return {
+            observe(labels, value) {
+                const [key, values] = keyOf(labelNames, labels);
+                let s = series.get(key);
+                if (!s) series.set(key, s = { values, counts: buckets.map(() => 0), sum: 0, count: 0 });
+                const i = buckets.findIndex(le => value <= le);
+                if (i !== -1) s.counts[i]++;
+                s.sum += value;
+                s.count++;
+            },
+        };
+    }
+
+    function render() {
+        const out = [];
+        for (const [name, m] of metrics) {
+            out.push(`# HELP ${name} ${m.help}`, `# TYPE ${name} ${m.type}`, ...m.render());
+        }
+        return out.join("\n") + "\n";
+    }
+
+    return { counter, gauge, histogram, render };
+}
+
+// Shared by server.js and the lib/ modules that report into it
+const registry = createRegistry();
+
+registry.gauge("process_resident_memory_bytes", "Resident memory size in bytes", [],
+    () => [[{}, process.memoryUsage().rss]]);
+registry.gauge("nodejs_heap_used_bytes", "V8 heap in use in bytes", [],
+    () => [[{}, process.memoryUsage().heapUsed]]);
+registry.gauge("process_uptime_seconds", "Seconds since the process started", [],
+    () => [[{}, Math.round(process.uptime())]]);
+
+module.exports = {
+    DEFAULT_BUCKETS,
+    createRegistry,
+    registry,
+};
@@ -0,0 +1,160 @@
+// lib/migrate.js — versioned schema migrations
+//
+// Migrations live in /migrations as NNN_description.js and export
+// `up(client)` and `down(client)`. Applied versions are tracked in
+// schema_migrations. Each migration runs in its own transaction, and
+// the whole run holds a Postgres advisory lock so two replicas booting
+// at once don't race each other.
+
+const fs   = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const LOCK_KEY       = 727274001;   // arbitrary, app-wide constant
+
+// ═══════════════════════════════════════════════════════════════
+// DISCOVERY
+// ═══════════════════════════════════════════════════════════════
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    return fs.readdirSync(dir)
+        .map(file => {
+            const m = file.match(/^(\d+)_([\w-]+)\.js$/);
+            return m && { version: parseInt(m[1]), name: m[2], file: path.join(dir, file) };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.version - b.version)
+        .map((m, i, all) => {
+            if (i > 0 && all[i - 1].version === m.version)
+                throw new Error(`Duplicate migration version ${m.version}`);
+            const mod = require(m.file);
+            if (typeof mod.up !== "function" || typeof mod.down !== "function")
+                throw new Error(`Migration ${path.basename(m.file)} must export up() and down()`);
+            return { ...m, up: mod.up, down: mod.down };
+        });
+}
+
+async function ensureTable(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version    INTEGER PRIMARY KEY,
+            name       VARCHAR(128) NOT NULL,
+            applied_at TIMESTAMP DEFAULT NOW()
+        );
+    `);
+}
+
+async function appliedVersions(client) {
+    const result = await client.query("SELECT version FROM schema_migrations ORDER BY version");
+    return new Set(result.rows.map(r => r.version));
+}
+
+async function withLock(pool, fn) {
+    const client = await pool.connect();
+    try {
+        await client.query("SELECT pg_advisory_lock($1)", [LOCK_KEY]);
+        try {
+            await ensureTable(client);
+            return await fn(client);
+        } finally {
+            await client.query("SELECT pg_advisory_unlock($1)", [LOCK_KEY]);
+        }
+    } finally {
+        client.release();
+    }
+}
+
+async function runStep(client, migration, direction) {
+    await client.query("BEGIN");
+    try {
+        await migration[direction](client);
+        if (direction === "up") {
+            await client.query(
+                "INSERT INTO schema_migrations (version, name) VALUES ($1,$2)",
+                [migration.version, migration.name]
+            );
+        } else {
+            await client.query("DELETE FROM schema_migrations WHERE version=$1", [migration.version]);
+        }
+        await client.query("COMMIT");
+    } catch (err) {
+        await client.query("ROLLBACK");
+        throw new Error(`Migration ${migration.version}_${migration.name} (${direction}) failed: ${err.message}`);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// COMMANDS
+// ═══════════════════════════════════════════════════════════════
+
+// Apply every pending migration; returns the versions applied
+async function up(pool, { log = console.log } = {}) {
+    const migrations = loadMigrations();
+    return withLock(pool, async (client) => {
+        const done = await appliedVersions(client);
+        const ran  = [];
+        for (const m of migrations) {
+            if (done.has(m.version)) continue;
+            await runStep(client, m, "up");
+            log(`⬆️  Applied migration ${m.version}_${m.name}`);
+            ran.push(m.version);
+        }
+        return ran;
+    });
+}
+
+// Revert the last `steps` applied migrations; returns the versions reverted
+async function down(pool, steps = 1, { log = console.log } = {}) {
+    const migrations = loadMigrations();
+    return withLock(pool, async (client) => {
+        const done = await appliedVersions(client);
+        const targets = migrations.filter(m => done.has(m.version)).reverse().slice(0, steps);
+        const ran = [];
+        for (const m of targets) {
+            await runStep(client, m, "down");
+            log(`⬇️  Reverted migration ${m.version}_${m.name}`);
+            ran.push(m.version);
+        }
+        return ran;
+    });
+}
+
+// Migrations on disk not applied yet, as "NNN_name". Read-only (no
+// lock, doesn't create schema_migrations) so readiness probes can call it.
+async function pending(pool) {
+    const migrations = loadMigrations();
+    let applied = new Set();
+    try {
+        const result = await pool.query("SELECT version FROM schema_migrations");
+        applied = new Set(result.rows.map(r => r.version));
+    } catch (err) {
+        if (err.code !== "42P01") throw err;   // no table yet: everything is pending
+    }
+    return migrations.filter(m => !applied.has(m.version)).map(m => `${m.version}_${m.name}`);
+}
+
+// [{ version, name, applied, applied_at }] — also lists applied
+// versions whose file is missing, so drift is visible
+async function status(pool) {
+    const migrations = loadMigrations();
+    const client = await pool.connect();
+    try {
+        await ensureTable(client);
+        const result = await client.query("SELECT version, name, applied_at FROM schema_migrations");
+        const applied = new Map(result.rows.map(r => [r.version, r]));
+        const rows = migrations.map(m => ({
+            version:    m.version,
+            name:       m.name,
+            applied:    applied.has(m.version),
+            applied_at: applied.has(m.version) ? applied.get(m.version).applied_at : null,
+        }));
+        for (const r of result.rows) {
+            if (!migrations.some(m => m.version === r.version))
+                rows.push({ version: r.version, name: r.name, applied: true, applied_at: r.applied_at, missing: true });
+        }
+        return rows.sort((a, b) => a.version - b.version);
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = { loadMigrations, up, down, pending, status };
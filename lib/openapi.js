@@ -0,0 +1,138 @@
+// lib/openapi.js — OpenAPI 3 document built from the live router
+//
+// Every route carries a validate(spec) middleware (lib/validate.js);
+// walking the Express router for those specs means the document can't
+// drift from what the server actually accepts. Served at /openapi.json.
+
+const ERROR_SCHEMA = {
+    type: "object",
+    required: ["error", "code"],
+    properties: {
+        error:   { type: "string", description: "Human readable message" },
+        code:    { type: "string", description: "Machine readable code, e.g. VALIDATION_FAILED, NOT_FOUND, RATE_LIMITED" },
+        details: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    path:    { type: "string", example: "body.prompt" },
+                    code:    { type: "string", example: "too_long" },
+                    message: { type: "string" },
+                },
+            },
+        },
+    },
+};
+
+const SIGNED = [{ ApiKey: [], Timestamp: [], Signature: [] }];
+
+// OpenAPI 3.0 has no type lists: ["string", "null"] → nullable string,
+// anything else with several types → oneOf
+function toOpenApi(schema) {
+    if (!schema || typeof schema !== "object") return schema;
+    const out = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (key === "properties") {
+            out.properties = {};
+            for (const [name, prop] of Object.entries(value)) out.properties[name] = toOpenApi(prop);
+        } else if (key === "items" || key === "additionalProperties") {
+            out[key] = toOpenApi(value);
+        } else if (key === "propertyNames") {
+            continue;   // not in OpenAPI 3.0
+        } else if (key === "required") {
+            if (value.length) out.required = value;
+        } else if (key !== "type") {
+            out[key] = value;
+        }
+    }
+    if (schema.type === undefined) return out;
+    const types = [].concat(schema.type).filter(t => t !== "null");
+    if (types.length < [].concat(schema.type).length) out.nullable = true;
+    if (types.length === 1) return { type: types[0], ...out };
+    return { ...out, oneOf: types.map(type => ({ type })) };
+}
+
+function parameters(where, schema) {
+    if (!schema || !schema.properties) return [];
+    const required = new Set(schema.required || []);
+    return Object.entries(schema.properties).map(([name, prop]) => {
+        const { description, ...rest } = toOpenApi(prop);
+        return {
+            name,
+            in: where,
+            required: where === "path" || required.has(name),
+            ...(description ? { description } : {}),
+            schema: rest,
+        };
+    });
+}
+
+function operation(method, path, spec) {
+    const segments = path.split("/").filter(Boolean);
+    const tag = segments[0] === "api" ? segments[1] : segments[0];
+    const op = {
+        tags: [tag],
+        summary: spec.summary,
+        operationId: `${method}${path.replace(/[^\w]+(\w)?/g, (_, c) => (c ? c.toUpperCase() : ""))}`,
+        parameters: [...parameters("path", spec.params), ...parameters("query", spec.query)],
+        responses: {
+            200: spec.stream
+                ? { description: "Event stream", content: { "text/event-stream": { schema: { type: "string" } } } }
+                : spec.text
+                ? { description: "OK", content: { "text/plain": { schema: { type: "string" } } } }
+                : { description: "OK", content: { "application/json": { schema: { type: "object" } } } },
+            400: { $ref: "#/components/responses/Error" },
+            default: { $ref: "#/components/responses/Error" },
+        },
+    };
+    if (spec.body) {
+        const content = { "application/json": { schema: toOpenApi(spec.body) } };
+        if (spec.csvBody) content["text/csv"] = { schema: { type: "string" } };
+        op.requestBody = { required: true, content };
+    }
+    if (spec.public) op.security = [];
+    return op;
+}
+
+function buildOpenApi(app, { title = "NeuralChatbot API", version = "7.0" } = {}) {
+    const paths = {};
+    for (const layer of app._router.stack) {
+        if (!layer.route) continue;
+        const handler = layer.route.stack.find(l => l.handle && l.handle.spec);
+        if (!handler) continue;
+        const path = layer.route.path.replace(/:(\w+)/g, "{$1}");
+        for (const method of Object.keys(layer.route.methods)) {
+            paths[path] = paths[path] || {};
+            paths[path][method] = operation(method, path, handler.handle.spec);
+        }
+    }
+    return {
+        openapi: "3.0.3",
+        info: {
+            title,
+            version,
+            description: "Every error response is { error, code, details? }. /api routes need an " +
+                "HMAC-signed request: X-Api-Key, X-Timestamp and X-Signature (see lib/auth.js). " +
+                "Player data belongs to the key's tenant (Roblox universe); admin credentials pick " +
+                "another with X-Universe-Id (see lib/tenants.js).",
+        },
+        paths,
+        security: SIGNED,
+        components: {
+            schemas: { Error: ERROR_SCHEMA },
+            responses: {
+                Error: {
+                    description: "Error",
+                    content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+                },
+            },
+            securitySchemes: {
+                ApiKey:    { type: "apiKey", in: "header", name: "X-Api-Key" },
+                Timestamp: { type: "apiKey", in: "header", name: "X-Timestamp" },
+                Signature: { type: "apiKey", in: "header", name: "X-Signature" },
+            },
+        },
+    };
+}
+
+module.exports = { buildOpenApi };
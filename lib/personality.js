@@ -0,0 +1,199 @@
+// lib/personality.js — personality profiles
+//
+// A profile decides how the bot words things:
+//   tone       { case, ending, replace, maxLength } applied to responses
+//   template   wraps the toned response; must contain {response}
+//              ({personality} and {intent} are filled in too)
+//   greetings  lines for a new session
+//   fallbacks  lines for when nothing matched
+//   intents    { intent: { tone, template, responses } } — overrides for
+//              one intent; `responses` replace the fallbacks for it
+//
+// Built-ins come from config/personalities.json (or
+// PERSONALITIES_CONFIG). Players can add their own or shadow a built-in
+// by saving one with the same name (the personalities table). A
+// trained pair's per-personality variant (trained_response_variants) is
+// written in that voice already, so it's used verbatim.
+
+const fs   = require("fs");
+const path = require("path");
+
+const DEFAULT_CONFIG = path.join(__dirname, "..", "config", "personalities.json");
+const CASES   = ["as-is", "lower", "upper", "sentence"];
+const ENDINGS = ["keep", "period", "exclaim", "none"];
+
+function loadConfig(file = process.env.PERSONALITIES_CONFIG || DEFAULT_CONFIG) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Fills in defaults so the rest of this file never checks for missing keys
+function normalizeProfile(name, raw = {}) {
+    return {
+        name,
+        description: raw.description || "",
+        tone:        { case: "as-is", ending: "keep", replace: {}, maxLength: null, ...(raw.tone || {}) },
+        template:    raw.template || "{response}",
+        greetings:   raw.greetings || [],
+        fallbacks:   raw.fallbacks || [],
+        intents:     raw.intents || {},
+    };
+}
+
+// Checks the rules the request schema can't express → message or null
+function profileError(profile) {
+    const tones = [["tone", profile.tone]];
+    const templates = [["template", profile.template]];
+    for (const [intent, o] of Object.entries(profile.intents)) {
+        if (o.tone) tones.push([`intents.${intent}.tone`, o.tone]);
+        if (o.template) templates.push([`intents.${intent}.template`, o.template]);
+    }
+    for (const [where, tone] of tones) {
+        if (tone.case !== undefined && !CASES.includes(tone.case))
+            return `${where}.case must be one of ${CASES.join(", ")}`;
+        if (tone.ending !== undefined && !ENDINGS.includes(tone.ending))
+            return `${where}.ending must be one of ${ENDINGS.join(", ")}`;
+    }
+    for (const [where, template] of templates) {
+        if (!template.includes("{response}"))
+            return `${where} must contain {response}`;
+    }
+    return null;
+}
+
+// → { defaultName, builtins: { name: profile } }; throws on a bad config
+function loadBuiltins(config = loadConfig()) {
+    const builtins = {};
+    for (const [name, raw] of Object.entries(config.personalities || {})) {
+        const profile = normalizeProfile(name, raw);
+        const invalid = profileError(profile);
+        if (invalid) throw new Error(`Personality ${name}: ${invalid}`);
+        builtins[name] = profile;
+    }
+    const defaultName = config.default || Object.keys(builtins)[0];
+    if (!builtins[defaultName])
+        throw new Error(`Default personality ${defaultName} is not defined`);
+    return { defaultName, builtins };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RENDERING
+// ═══════════════════════════════════════════════════════════════
+function escapeRegex(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Whole-word, case-insensitive; keeps a leading capital
+function replaceWords(text, replace) {
+    let out = text;
+    for (const [from, to] of Object.entries(replace || {})) {
+        out = out.replace(new RegExp(`\\b${escapeRegex(from)}\\b`, "gi"), (m) =>
+            m[0] !== m[0].toLowerCase() && to ? to[0].toUpperCase() + to.slice(1) : to);
+    }
+    return out;
+}
+
+function applyCase(text, mode) {
+    if (mode === "lower") return text.toLowerCase();
+    if (mode === "upper") return text.toUpperCase();
+    if (mode === "sentence") return text.replace(/(^\s*|[.!?]\s+)([a-z])/g, (m, lead, c) => lead + c.toUpperCase());
+    return text;
+}
+
+// Questions keep their "?"; text ending in an emoticon or symbol is left alone
+function applyEnding(text, ending) {
+    if (ending === "keep" || /\?\s*$/.test(text) || !/[\w.!]\s*$/.test(text)) return text;
+    const bare = text.replace(/[.!]+\s*$/, "");
+    if (ending === "period")  return bare + ".";
+    if (ending === "exclaim") return bare + "!";
+    return bare;
+}
+
+function truncate(text, max) {
+    if (!max || text.length <= max) return text;
+    const cut = text.slice(0, max - 1);
+    const space = cut.lastIndexOf(" ");
+    return (space > max / 2 ? cut.slice(0, space) : cut).replace(/[\s,;:]+$/, "") + "…";
+}
+
+function applyTone(text, tone) {
+    let out = replaceWords(String(text), tone.replace);
+    out = applyCase(out, tone.case);
+    return applyEnding(out, tone.ending);
+}
+
+// A stored response in the profile's voice (intent overrides win)
+function render(profile, text, intent) {
+    const o = (intent && profile.intents[intent]) || {};
+    const tone = { ...profile.tone, ...(o.tone || {}) };
+    const out = (o.template || profile.template)
+        .split("{response}").join(applyTone(text, tone))
+        .split("{personality}").join(profile.name)
+        .split("{intent}").join(intent || "");
+    return truncate(out, tone.maxLength);
+}
+
+function pick(lines, random = Math.random) {
+    return lines.length ? lines[Math.floor(random() * lines.length)] : null;
+}
+
+function greeting(profile, random) {
+    return pick(profile.greetings, random);
+}
+
+// The intent's own responses when it has some, else a general fallback
+function fallback(profile, intent, random) {
+    const o = intent && profile.intents[intent];
+    return pick(o && o.responses && o.responses.length ? o.responses : profile.fallbacks, random);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CONTENT FILTER
+// Profiles are player-written text shown to other players, so every
+// line goes through the same filter as trained pairs.
+// ═══════════════════════════════════════════════════════════════
+function profileTexts(profile) {
+    const texts = { template: profile.template };
+    profile.greetings.forEach((t, i) => { texts[`greetings.${i}`] = t; });
+    profile.fallbacks.forEach((t, i) => { texts[`fallbacks.${i}`] = t; });
+    for (const [from, to] of Object.entries(profile.tone.replace)) texts[`tone.replace.${from}`] = to;
+    for (const [intent, o] of Object.entries(profile.intents)) {
+        if (o.template) texts[`intents.${intent}.template`] = o.template;
+        (o.responses || []).forEach((t, i) => { texts[`intents.${intent}.responses.${i}`] = t; });
+    }
+    return texts;
+}
+
+// → { profile (masked where needed), rejected, flags } like filter.screen()
+function screenProfile(filter, profile) {
+    const screened = filter.screen(profileTexts(profile));
+    const v = screened.values;
+    const out = {
+        ...profile,
+        template:  v.template,
+        greetings: profile.greetings.map((t, i) => v[`greetings.${i}`]),
+        fallbacks: profile.fallbacks.map((t, i) => v[`fallbacks.${i}`]),
+        tone:      { ...profile.tone, replace: {} },
+        intents:   {},
+    };
+    for (const from of Object.keys(profile.tone.replace)) out.tone.replace[from] = v[`tone.replace.${from}`];
+    for (const [intent, o] of Object.entries(profile.intents)) {
+        out.intents[intent] = { ...o };
+        if (o.template) out.intents[intent].template = v[`intents.${intent}.template`];
+        if (o.responses) out.intents[intent].responses = o.responses.map((t, i) => v[`intents.${intent}.responses.${i}`]);
+    }
+    return { profile: out, rejected: screened.rejected, flags: screened.flags };
+}
+
+module.exports = {
+    CASES,
+    ENDINGS,
+    loadConfig,
+    loadBuiltins,
+    normalizeProfile,
+    profileError,
+    applyTone,
+    render,
+    greeting,
+    fallback,
+    screenProfile,
+};
@@ -0,0 +1,156 @@
+// lib/ratelimit.js — token-bucket rate limiting
+//
+// Three kinds of bucket are checked for each request:
+//   ip:<addr>                 every /api request from one address
+//   user:<tenant>:<userId>    every request naming that userId
+//   route:<name>:<user|ip>    one route for one user (or address)
+//
+// A user is one player in one tenant (req.tenant, lib/tenants.js).
+//
+// Limits are "capacity/seconds" strings: a bucket holds `capacity`
+// tokens and refills completely over `seconds`. Defaults can be
+// overridden with RATE_LIMIT_IP, RATE_LIMIT_USER, RATE_LIMIT_ROUTE
+// (any route) and RATE_LIMIT_ROUTE_<NAME> (e.g. RATE_LIMIT_ROUTE_SYNC,
+// dots in route names become underscores). Set RATE_LIMIT=off to
+// disable entirely.
+//
+// Stores implement one async method:
+//   take(key, { capacity, refillPerSec, cost })
+//     → { allowed, remaining, retryAfterMs }
+// MemoryStore is the default; a shared store (Redis, Postgres) can be
+// passed to createRateLimiter() when running several replicas.
+
+const { logger } = require("./logger");
+
+const DEFAULTS = {
+    ip:    "600/60",
+    user:  "300/60",
+    route: "120/60",
+    routes: {
+        "sync":            "10/60",
+        "vocab.save":      "10/60",
+        "training.import": "5/60",
+        "respond":         "60/60",
+        "search":          "30/60",
+    },
+};
+
+function parseLimit(spec) {
+    const m = String(spec || "").match(/^\s*(\d+)\s*\/\s*(\d+)\s*$/);
+    if (!m || parseInt(m[1]) <= 0 || parseInt(m[2]) <= 0) return null;
+    const capacity = parseInt(m[1]);
+    return { capacity, refillPerSec: capacity / parseInt(m[2]) };
+}
+
+function envLimit(name, fallback) {
+    const parsed = parseLimit(process.env[name]);
+    if (process.env[name] && !parsed)
+        logger.warn(`Ignoring invalid ${name}="${process.env[name]}" (expected capacity/seconds)`);
+    return parsed || parseLimit(fallback);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MEMORY STORE
+// ═══════════════════════════════════════════════════════════════
+class MemoryStore {
+    constructor({ sweepMs = 60 * 1000 } = {}) {
+        this.buckets = new Map();   // key → { tokens, updated, capacity, refillPerSec }
+        this.sweeper = setInterval(() => this.sweep(), sweepMs);
+        this.sweeper.unref();
+    }
+
+    async take(key, { capacity, refillPerSec, cost = 1 }) {
+        const now = Date.now();
+        let b = this.buckets.get(key);
+        if (!b) {
+            b = { tokens: capacity, updated: now, capacity, refillPerSec };
+            this.buckets.set(key, b);
+        } else {
+            b.tokens = Math.min(capacity, b.tokens + ((now - b.updated) / 1000) * refillPerSec);
+            b.updated = now;
+        }
+        if (b.tokens >= cost) {
+            b.tokens -= cost;
+            return { allowed: true, remaining: Math.floor(b.tokens), retryAfterMs: 0 };
+        }
+        return {
+            allowed: false,
+            remaining: 0,
+            retryAfterMs: Math.ceil(((cost - b.tokens) / refillPerSec) * 1000),
+        };
+    }
+
+    // Drop buckets that have refilled completely; they carry no state
+    sweep() {
+        const now = Date.now();
+        for (const [key, b] of this.buckets) {
+            if (b.tokens + ((now - b.updated) / 1000) * b.refillPerSec >= b.capacity)
+                this.buckets.delete(key);
+        }
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// FACTORY
+// ═══════════════════════════════════════════════════════════════
+function createRateLimiter({ store = new MemoryStore() } = {}) {
+    const disabled = process.env.RATE_LIMIT === "off";
+    const ipLimit    = envLimit("RATE_LIMIT_IP", DEFAULTS.ip);
+    const userLimit  = envLimit("RATE_LIMIT_USER", DEFAULTS.user);
+    const routeLimit = envLimit("RATE_LIMIT_ROUTE", DEFAULTS.route);
+
+    function limitForRoute(name) {
+        const envName = "RATE_LIMIT_ROUTE_" + name.toUpperCase().replace(/\./g, "_");
+        return envLimit(envName, DEFAULTS.routes[name]) || routeLimit;
+    }
+
+    function reject(res, check, limit) {
+        const retryAfter = Math.max(1, Math.ceil(check.retryAfterMs / 1000));
+        res.set("Retry-After", String(retryAfter));
+        res.set("X-RateLimit-Limit", String(limit.capacity));
+        res.set("X-RateLimit-Remaining", "0");
+        res.status(429).json({ error: "Too many requests", retryAfter });
+    }
+
+    // app.use("/api", limiter.perIp)
+    async function perIp(req, res, next) {
+        if (disabled) return next();
+        try {
+            const check = await store.take(`ip:${req.ip}`, ipLimit);
+            if (!check.allowed) return reject(res, check, ipLimit);
+            next();
+        } catch (err) {
+            logger.error("Rate limit error", { err });
+            next();
+        }
+    }
+
+    // app.post("/api/sync", limiter.route("sync"), handler)
+    function route(name) {
+        const limit = limitForRoute(name);
+        return async function routeLimiter(req, res, next) {
+            if (disabled) return next();
+            const userId = (req.params && req.params.userId) || (req.body && req.body.userId);
+            const user = userId && (req.tenant ? `${req.tenant.id}:${userId}` : String(userId));
+            try {
+                if (user) {
+                    const check = await store.take(`user:${user}`, userLimit);
+                    if (!check.allowed) return reject(res, check, userLimit);
+                }
+                const check = await store.take(`route:${name}:${user || req.ip}`, limit);
+                if (!check.allowed) return reject(res, check, limit);
+                res.set("X-RateLimit-Limit", String(limit.capacity));
+                res.set("X-RateLimit-Remaining", String(check.remaining));
+                next();
+            } catch (err) {
+                // A broken store shouldn't take the API down with it
+                logger.error("Rate limit error", { err });
+                next();
+            }
+        };
+    }
+
+    return { perIp, route };
+}
+
+module.exports = { MemoryStore, createRateLimiter, parseLimit };
@@ -0,0 +1,120 @@
+// lib/realtime.js — cross-replica change notifications
+//
+// Writers call notify() with the repository or transaction they are
+// writing through; it publishes on CHANNEL (pg_notify on Postgres), so
+// inside a transaction the message is only delivered if the transaction
+// commits. Every replica that has subscribers holds one listener on the
+// channel (repo.listen) and fans messages out to the subscribers for
+// that tenant and userId (the SSE route in server.js). The tenant is
+// taken from the repository notify() writes through.
+//
+//   const rt = createRealtime(repo);
+//   await rt.ensureListener();
+//   const off = rt.subscribe(tenant, userId, (msg) => ...);   // { t, u, type, data, at }
+//   await rt.notify(tx, userId, "training.created", { ids: [12] });
+
+const { logger } = require("./logger");
+
+const CHANNEL     = "chatbot_changes";
+const MAX_PAYLOAD = 7900;   // NOTIFY payloads must stay under 8000 bytes
+const MAX_LIST    = 100;    // longer id/word lists are cut, with truncated: true
+
+function createRealtime(repo, { channel = CHANNEL, log = logger } = {}) {
+    const subscribers = new Map();   // tenant + userId → Set<fn>
+    let listener   = null;
+    let connecting = null;
+    let retryTimer = null;
+
+    function deliver(payload) {
+        let msg;
+        try { msg = JSON.parse(payload); } catch { return; }
+        const subs = subscribers.get(subscriberKey(msg.t, msg.u));
+        if (!subs) return;
+        for (const fn of subs) {
+            try { fn(msg); } catch (err) { log.error("Realtime subscriber error", { err }); }
+        }
+    }
+
+    function dropListener(handle, err) {
+        if (!handle || listener !== handle) return;
+        listener = null;
+        log.warn("Realtime listener lost", { err: err || "closed" });
+        handle.close();
+        // Come back while anyone is still subscribed
+        if (subscribers.size && !retryTimer) {
+            retryTimer = setTimeout(() => {
+                retryTimer = null;
+                ensureListener().catch(e => log.error("Realtime reconnect failed", { err: e }));
+            }, 2000);
+            retryTimer.unref();
+        }
+    }
+
+    async function ensureListener() {
+        if (listener) return;
+        if (connecting) return connecting;
+        connecting = (async () => {
+            let handle = null;   // errors before listen() resolves are its rejection
+            handle = await repo.listen(channel, deliver, (err) => dropListener(handle, err));
+            listener = handle;
+        })().finally(() => { connecting = null; });
+        return connecting;
+    }
+
+    function subscriberKey(tenant, userId) {
+        return `${tenant}\u0000${userId}`;
+    }
+
+    function subscribe(tenant, userId, fn) {
+        const key = subscriberKey(tenant, userId);
+        if (!subscribers.has(key)) subscribers.set(key, new Set());
+        subscribers.get(key).add(fn);
+        return () => {
+            const subs = subscribers.get(key);
+            if (!subs) return;
+            subs.delete(fn);
+            if (!subs.size) subscribers.delete(key);
+        };
+    }
+
+    function subscriberCount(tenant, userId) {
+        if (tenant === undefined) {
+            let n = 0;
+            for (const subs of subscribers.values()) n += subs.size;
+            return n;
+        }
+        const subs = subscribers.get(subscriberKey(tenant, userId));
+        return subs ? subs.size : 0;
+    }
+
+    async function notify(db, userId, type, data = {}) {
+        const body = {};
+        for (const [k, v] of Object.entries(data)) {
+            if (Array.isArray(v) && v.length > MAX_LIST) {
+                body[k] = v.slice(0, MAX_LIST);
+                body.truncated = true;
+            } else {
+                body[k] = v;
+            }
+        }
+        const msg = { t: db.tenant, u: String(userId), type, data: body, at: Date.now() };
+        let payload = JSON.stringify(msg);
+        if (Buffer.byteLength(payload) > MAX_PAYLOAD)
+            payload = JSON.stringify({ ...msg, data: { truncated: true } });
+        await db.publish(channel, payload);
+    }
+
+    // Releases the listening connection (the repository can't close
+    // while it is held)
+    function close() {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+        subscribers.clear();
+        if (listener) listener.close();
+        listener = null;
+    }
+
+    return { ensureListener, subscribe, subscriberCount, notify, close };
+}
+
+module.exports = { createRealtime };
@@ -0,0 +1,61 @@
+// lib/repository — storage behind one interface
+//
+// server.js and the lib/ factories never talk to a database driver
+// directly; they get a repository from createRepository():
+//
+//   STORAGE_BACKEND=postgres (default)  lib/repository/postgres.js, DATABASE_URL
+//   STORAGE_BACKEND=memory              lib/repository/memory.js, in-process,
+//                                       for local dev and the test suite
+//
+// A repository is a set of namespaces named after what they store
+// (sessions, interactions, training, variants, personalities, vocab,
+// preferences, feedback, shared, bayes, analytics, flags, apiKeys,
+// tenants, users, jobs, search, retention, …) whose async methods take and
+// return plain rows with the Postgres column names. Both backends
+// return the same shapes, down to pg's quirks (BIGINT and SUM() come
+// back as strings, timestamps as Dates).
+//
+// Player data is kept per tenant (one Roblox universe, see
+// lib/tenants.js). forTenant(id) returns a repository whose namespaces
+// only see and write that tenant's rows; it is what routes use. The
+// root repository has tenant null: player-keyed methods must not be
+// called on it (writes fail, reads find nothing). analytics.global,
+// users.erase and users.erasures cover every tenant on the root and
+// one on forTenant(). apiKeys, tenants, jobs, analytics.tenants,
+// interactions.untrainedUsers, users.erasureByNotification and the
+// sweeps (sessions.expireIdle, syncBatches.prune, tombstones.prune,
+// search.refreshEmbeddings, retention.run) always cover every tenant.
+//
+// Beyond the namespaces:
+//
+//   tenant                 the tenant id, or null on the root
+//   forTenant(id)          (root only) the repository for one tenant
+//   transaction(fn)        runs fn(tx) atomically; tx has the same
+//                          namespaces. Throwing rolls back; so does
+//                          returning tx.rollback(value), which hands
+//                          value back without treating it as an error
+//   cursor()               delta-sync cursor for a read about to happen
+//                          (lib/deltasync.js)
+//   publish(channel, msg)  notification delivered to listen()ers when
+//                          the surrounding transaction commits
+//   listen(channel, onPayload, onError) → { close }
+//   jobs.withLock(name, fn(jobs))  runs fn unless the job is running
+//                          elsewhere (→ undefined)
+//   backend, ping(timeoutMs), migrate(opts), pendingMigrations(),
+//   poolStats() → { total, idle, waiting } or null, close()
+
+const BACKENDS = {
+    postgres: () => require("./postgres").createPostgresRepository(),
+    memory:   () => require("./memory").createMemoryRepository(),
+};
+
+function createRepository(backend = process.env.STORAGE_BACKEND || "postgres") {
+    const create = BACKENDS[backend];
+    if (!create) throw new Error(`Unknown STORAGE_BACKEND '${backend}' (expected ${Object.keys(BACKENDS).join(" or ")})`);
+    return create();
+}
+
+module.exports = {
+    BACKENDS: Object.keys(BACKENDS),
+    createRepository,
+};
@@ -0,0 +1,1439 @@
+// lib/repository/memory.js — in-process repository
+//
+// Same interface as lib/repository/postgres.js, kept in plain arrays
+// for local development and the test suite (STORAGE_BACKEND=memory).
+// Nothing is persisted and nothing is shared between processes, so
+// don't run more than one replica on it.
+//
+// Rows use the Postgres table and column names, so erasure can walk
+// lib/erasure.js USER_TABLES here too. Writes are serialized by one
+// lock: transaction() holds it until fn settles and snapshots the state
+// first, restoring it on throw or tx.rollback(); single calls outside a
+// transaction take it just long enough to run. Notifications published
+// in a transaction go out when it commits, as with pg_notify.
+//
+// Tenants work as on Postgres: build() is bound to one tenant and only
+// sees that tenant's rows (all of them on the root repository, tenant
+// null), and inserting a tenant-keyed row with no tenant throws, as the
+// NOT NULL column would.
+//
+// Results match what pg returns, down to aggregates coming back as
+// strings (bigint/numeric) and created/updated timestamps as Dates.
+// Where Postgres does the work (full-text search, advisory locks) this
+// is a simpler approximation; see search below.
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const deltaSync  = require("../deltasync");
+const erasure    = require("../erasure");
+const retentionPolicy = require("../retention");
+const searchLib  = require("../search");
+const embedding  = require("../embedding");
+const { tokenize } = require("../matcher");
+
+// Column defaults, in table order (export returns columns in this order;
+// tenant_id comes last, where migration 016 added it)
+const SERIAL = Symbol("serial");
+const NOW    = Symbol("now");
+const TENANT = Symbol("tenant");   // the repository's tenant, required
+
+const SCHEMA = {
+    interactions: {
+        id: SERIAL, user_id: null, user_prompt: null, bot_response: null, script: null, intent: null,
+        confidence: null, timestamp: null, created_at: NOW, trained_response_id: null,
+        script_risk_score: null, script_risk: null, session_id: null, intent_source: "client", personality: null,
+        tenant_id: TENANT,
+    },
+    vocab: {
+        id: SERIAL, user_id: null, word: null, freq: 1, category: "general", weight: 1.0, updated_at: NOW,
+        change_txid: null, tenant_id: TENANT,
+    },
+    learning_patterns: {
+        id: SERIAL, user_id: null, patterns: null, pattern_type: "general", success_rate: 0, created_at: NOW,
+        tenant_id: TENANT,
+    },
+    user_preferences: {
+        user_id: null, personality: null, settings: null, total_interactions: 0, last_active: NOW,
+        change_txid: null, tenant_id: TENANT,
+    },
+    bayesian_probs: {
+        id: SERIAL, user_id: null, intent: null, prior_probability: null, conditional_probs: null,
+        updated_at: NOW, source: "client", unseen_prob: null, sample_count: null, trained_at: null,
+        tenant_id: TENANT,
+    },
+    script_analytics: {
+        id: SERIAL, user_id: null, script_type: null, execution_success: null, error_message: null, created_at: NOW,
+        tenant_id: TENANT,
+    },
+    trained_responses: {
+        id: SERIAL, user_id: null, pattern: null, response: null, created_at: NOW, script: "", updated_at: null,
+        feedback_up: 0, feedback_down: 0, success_rate: null, script_risk_score: null, script_risk: null,
+        change_txid: null, tenant_id: TENANT,
+    },
+    api_keys: {
+        id: SERIAL, key_id: null, universe_id: null, name: "", secret: null, previous_secret: null,
+        previous_expires_at: null, scopes: ["read"], created_at: NOW, rotated_at: null, revoked_at: null,
+        last_used_at: null, tenant_id: null,
+    },
+    trained_response_revisions: {
+        id: SERIAL, response_id: null, user_id: null, revision: null, pattern: null, response: null,
+        script: "", change_type: "update", changed_by: null, changed_at: NOW, tenant_id: TENANT,
+    },
+    interaction_feedback: {
+        id: SERIAL, interaction_id: null, user_id: null, rating: null, corrected_response: null,
+        promoted_response_id: null, created_at: NOW, updated_at: NOW, tenant_id: TENANT,
+    },
+    intent_stats: {
+        id: SERIAL, user_id: null, intent: null, feedback_up: 0, feedback_down: 0, success_rate: null, updated_at: NOW,
+        tenant_id: TENANT,
+    },
+    shared_responses: {
+        id: SERIAL, source_response_id: null, submitted_by: null, pattern: null, response: null, script: "",
+        status: "pending", review_note: null, reviewed_by: null, reviewed_at: null, hits: 0, created_at: NOW,
+        script_risk_score: null, script_risk: null, tenant_id: TENANT,
+    },
+    content_flags: {
+        id: SERIAL, table_name: null, record_id: null, user_id: null, field: null, action: null, severity: null,
+        rules: null, excerpt: null, resolved_at: null, resolved_by: null, created_at: NOW,
+        tenant_id: TENANT,
+    },
+    sessions: {
+        id: null, user_id: null, game_server_id: null, place_id: null, turn_count: 0, started_at: NOW,
+        last_activity_at: NOW, ended_at: null, end_reason: null, tenant_id: TENANT,
+    },
+    deleted_records: {
+        id: SERIAL, table_name: null, user_id: null, record_key: null, change_txid: null, deleted_at: NOW,
+        tenant_id: TENANT,
+    },
+    sync_batches: {
+        user_id: null, idempotency_key: null, response: null, created_at: NOW, tenant_id: TENANT,
+    },
+    erasure_requests: {
+        id: SERIAL, user_id: null, source: null, notification_id: null, requested_by: null, game_ids: null,
+        status: null, rows_deleted: null, error: null, requested_at: NOW, completed_at: null,
+        tenant_id: null,
+    },
+    interaction_daily: {
+        user_id: null, day: null, intent: "", interactions: 0, confidence_sum: 0, confidence_n: 0,
+        tenant_id: TENANT,
+    },
+    script_analytics_daily: {
+        user_id: "", day: null, script_type: "", total: 0, successful: 0, tenant_id: TENANT,
+    },
+    job_runs: {
+        id: SERIAL, job_name: null, trigger: null, instance: null, status: null, result: null, error: null,
+        started_at: NOW, finished_at: null,
+    },
+    search_embeddings: {
+        source: null, record_id: null, user_id: null, content_md5: null, version: null, embedding: null, updated_at: NOW,
+        tenant_id: TENANT,
+    },
+    personalities: {
+        id: SERIAL, user_id: null, name: null, description: "", tone: {}, template: "{response}", greetings: [],
+        fallbacks: [], intents: {}, created_at: NOW, updated_at: NOW, tenant_id: TENANT,
+    },
+    trained_response_variants: {
+        id: SERIAL, response_id: null, user_id: null, personality: null, response: null, script: null,
+        created_at: NOW, updated_at: NOW, tenant_id: TENANT,
+    },
+    tenants: {
+        id: null, name: "", config: {}, created_at: NOW, updated_at: NOW,
+    },
+};
+
+// Tables with change tracking (migration 010) → tombstone key column
+const TRACKED = { vocab: "word", trained_responses: "id", user_preferences: "user_id" };
+
+// Foreign keys: [child table, column, on delete]
+const REFERENCES = {
+    trained_responses: [
+        ["trained_response_revisions", "response_id",        "cascade"],
+        ["trained_response_variants",  "response_id",        "cascade"],
+        ["shared_responses",           "source_response_id", "set null"],
+    ],
+    interactions: [["interaction_feedback", "interaction_id", "cascade"]],
+};
+
+const SCRIPT_RISK_TABLES = ["trained_responses", "interactions"];
+const SESSION_COLUMNS = ["id", "game_server_id", "place_id", "turn_count", "started_at", "last_activity_at", "ended_at", "end_reason"];
+const PERSONALITY_COLUMNS = ["name", "description", "tone", "template", "greetings", "fallbacks", "intents", "updated_at"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function emptyState() {
+    const tables = {};
+    for (const name of Object.keys(SCHEMA)) tables[name] = [];
+    tables.tenants.push({ id: "default", name: "Default", config: {}, created_at: new Date(), updated_at: new Date() });
+    return { tables, serial: {}, clock: 0 };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════
+const clone = (v) => (v === undefined ? null : structuredClone(v));
+
+function pick(row, columns) {
+    const out = {};
+    for (const c of columns) out[c] = clone(row[c]);
+    return out;
+}
+
+// JSONB parameters arrive as JSON text from the callers, like for pg
+const json = (v) => (v === null || v === undefined ? null : typeof v === "string" ? JSON.parse(v) : clone(v));
+
+function compare(a, b) {
+    if (a instanceof Date) a = a.getTime();
+    if (b instanceof Date) b = b.getTime();
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// ORDER BY for [[column or fn, "asc"|"desc"], ...]; nulls sort as the
+// largest value, as in Postgres
+function sortBy(list, keys) {
+    const value = (row, key) => (typeof key === "function" ? key(row) : row[key]);
+    return [...list].sort((x, y) => {
+        for (const [key, dir] of keys) {
+            const a = value(x, key), b = value(y, key);
+            if (a === b) continue;
+            const c = a === null ? 1 : b === null ? -1 : compare(a, b);
+            if (c) return dir === "desc" ? -c : c;
+        }
+        return 0;
+    });
+}
+
+function groupCount(list, keyOf, valueOf = () => 1) {
+    const out = new Map();
+    for (const row of list) {
+        const key = keyOf(row);
+        out.set(key, (out.get(key) || 0) + valueOf(row));
+    }
+    return out;
+}
+
+const olderThan = (date, ms) => date && date.getTime() < Date.now() - ms;
+
+// Local calendar day, like DATE(created_at) on a server in this zone
+const dayOf = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// One re-entrant lock: calls made while holding it run straight through
+function createLock() {
+    const held = new AsyncLocalStorage();
+    let tail = Promise.resolve();
+    return async function exclusive(fn) {
+        if (held.getStore()) return fn();
+        const prev = tail;
+        let release;
+        tail = new Promise(resolve => { release = resolve; });
+        await prev;
+        try {
+            return await held.run(true, fn);
+        } finally {
+            release();
+        }
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TEXT SEARCH
+// A stand-in for websearch_to_tsquery: words are ANDed, "or" separates
+// alternatives, "quoted phrases" must appear in order and -word
+// excludes. Words are lowercased and lightly stemmed. Matches in the
+// prompt/pattern count more than in the response; snippets are the
+// whole text with matches in <mark></mark>.
+// ═══════════════════════════════════════════════════════════════
+const STOPWORDS = new Set(("a an and are as at be but by for from has have i in is it its me my of on or " +
+    "so that the this to was we what when where which who will with you your").split(" "));
+
+function stem(word) {
+    const stripped = word.replace(/(ing|ed|es|s|ly)$/, "");
+    return stripped.length >= 3 ? stripped : word;
+}
+
+const terms = (text) => tokenize(text).filter(t => !STOPWORDS.has(t)).map(stem);
+
+// → [{ include: [[term…]], exclude: [[term…]] }], one entry per "or" branch
+function parseQuery(q) {
+    const clauses = [{ include: [], exclude: [] }];
+    for (const m of String(q).matchAll(/(-?)"([^"]*)"|(\S+)/g)) {
+        const negated = m[3] ? m[3].startsWith("-") : m[1] === "-";
+        const raw = m[3] ? m[3].replace(/^-/, "") : m[2];
+        if (m[3] && raw.toLowerCase() === "or") {
+            clauses.push({ include: [], exclude: [] });
+            continue;
+        }
+        const unit = terms(raw);
+        if (unit.length) clauses[clauses.length - 1][negated ? "exclude" : "include"].push(unit);
+    }
+    return clauses.filter(c => c.include.length);
+}
+
+function hasUnit(docTerms, unit) {
+    for (let i = 0; i + unit.length <= docTerms.length; i++) {
+        if (unit.every((t, j) => docTerms[i + j] === t)) return true;
+    }
+    return false;
+}
+
+// → { score, matched: Set<term> } or null
+function textMatch(clauses, text, response) {
+    const a = terms(text || ""), b = terms(response || "");
+    const has = (unit) => hasUnit(a, unit) || hasUnit(b, unit);
+    const matched = new Set();
+    for (const c of clauses) {
+        if (c.include.every(has) && !c.exclude.some(has)) c.include.flat().forEach(t => matched.add(t));
+    }
+    if (!matched.size) return null;
+    let rank = 0;
+    for (const t of matched) rank += a.filter(x => x === t).length + 0.4 * b.filter(x => x === t).length;
+    return { score: rank / (rank + 1), matched };
+}
+
+function highlight(text, matched) {
+    return text.replace(/[A-Za-z0-9]+/g, (w) => (matched.has(stem(w.toLowerCase())) ? `<mark>${w}</mark>` : w));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// NAMESPACES
+// build(mem, emit, tenant) reads and writes mem.state; emit(channel,
+// payload) delivers a notification (or queues it inside a transaction).
+// ═══════════════════════════════════════════════════════════════
+function build(mem, emit, tenant) {
+    const t = (name) => mem.state.tables[name];
+
+    // Rows of this tenant; tables without tenant_id are shared
+    const mine = (table, row) => tenant === null || SCHEMA[table].tenant_id !== TENANT || row.tenant_id === tenant;
+    const own  = (name) => t(name).filter(row => mine(name, row));
+
+    function nextId(table) {
+        mem.state.serial[table] = (mem.state.serial[table] || 0) + 1;
+        return mem.state.serial[table];
+    }
+
+    function stamp(table, row) {
+        if (TRACKED[table]) row.change_txid = String(++mem.state.clock);
+    }
+
+    function insert(table, values) {
+        const row = {};
+        for (const [column, def] of Object.entries(SCHEMA[table])) {
+            row[column] = values[column] !== undefined ? values[column]
+                : def === SERIAL ? nextId(table)
+                : def === NOW ? new Date()
+                : def === TENANT ? tenant
+                : clone(def);
+        }
+        if (SCHEMA[table].tenant_id === TENANT && !row.tenant_id)
+            throw new Error(`null value in column "tenant_id" of relation "${table}"`);
+        stamp(table, row);
+        t(table).push(row);
+        return row;
+    }
+
+    function update(table, row, changes) {
+        Object.assign(row, changes);
+        stamp(table, row);
+        return row;
+    }
+
+    // Deletes matching rows, with the triggers and foreign key actions
+    // the schema has → the removed rows
+    function remove(table, where) {
+        const kept = [], removed = [];
+        for (const row of t(table)) (where(row) && mine(table, row) ? removed : kept).push(row);
+        if (!removed.length) return removed;
+        mem.state.tables[table] = kept;
+        if (TRACKED[table]) {
+            for (const row of removed) {
+                insert("deleted_records", {
+                    table_name: table, tenant_id: row.tenant_id, user_id: row.user_id, record_key: String(row[TRACKED[table]]),
+                    change_txid: String(++mem.state.clock),
+                });
+            }
+        }
+        const ids = new Set(removed.map(r => r.id));
+        for (const [child, column, action] of REFERENCES[table] || []) {
+            if (action === "cascade") remove(child, r => ids.has(r[column]));
+            else for (const r of t(child)) if (ids.has(r[column])) r[column] = null;
+        }
+        return removed;
+    }
+
+    const find = (table, where) => t(table).find(row => where(row) && mine(table, row)) || null;
+    const userRows = (table, userId, column = "user_id") => own(table).filter(r => r[column] === userId);
+    const pair = (userId, id) => find("trained_responses", r => r.user_id === userId && r.id === id);
+
+    // ─── sessions ─────────────────────────────────────────────
+    const sessions = {
+        async open(userId, sessionId, idleMs) {
+            const row = find("sessions", s => s.id === String(sessionId) && s.user_id === userId);
+            if (!row || row.ended_at) return null;
+            if (olderThan(row.last_activity_at, idleMs)) {
+                row.ended_at = new Date(row.last_activity_at.getTime() + idleMs);
+                row.end_reason = "expired";
+                return null;
+            }
+            return { id: row.id, ended_at: null, idle: false };
+        },
+
+        async touch(sessionId, turns) {
+            const row = find("sessions", s => s.id === sessionId);
+            if (row) Object.assign(row, { turn_count: row.turn_count + turns, last_activity_at: new Date() });
+        },
+
+        async expireIdle(idleMs) {
+            let n = 0;
+            for (const row of t("sessions")) {
+                if (row.ended_at || !olderThan(row.last_activity_at, idleMs)) continue;
+                row.ended_at = new Date(row.last_activity_at.getTime() + idleMs);
+                row.end_reason = "expired";
+                n++;
+            }
+            return n;
+        },
+
+        async endOpen(userId) {
+            const open = userRows("sessions", userId).filter(s => !s.ended_at);
+            for (const row of open) Object.assign(row, { ended_at: new Date(), end_reason: "replaced" });
+            return open.map(s => s.id);
+        },
+
+        async create({ id, userId, gameServerId, placeId }) {
+            const row = insert("sessions", { id, user_id: userId, game_server_id: gameServerId, place_id: placeId });
+            return pick(row, ["started_at"]);
+        },
+
+        async end(userId, sessionId) {
+            const row = find("sessions", s => s.id === sessionId && s.user_id === userId && !s.ended_at);
+            if (!row) return null;
+            Object.assign(row, { ended_at: new Date(), end_reason: "ended" });
+            return pick(row, ["id", "turn_count", "started_at", "ended_at"]);
+        },
+
+        async get(userId, sessionId) {
+            const row = find("sessions", s => s.id === sessionId && s.user_id === userId);
+            return row && pick(row, SESSION_COLUMNS);
+        },
+
+        async list(userId, limit) {
+            return sortBy(userRows("sessions", userId), [["started_at", "desc"]])
+                .slice(0, limit).map(r => pick(r, SESSION_COLUMNS));
+        },
+
+        async turns(userId, sessionId, limit) {
+            return sortBy(userRows("interactions", userId).filter(r => r.session_id === sessionId), [["id", "desc"]])
+                .slice(0, limit)
+                .map(r => pick(r, ["id", "user_prompt", "bot_response", "intent", "confidence", "created_at"]));
+        },
+    };
+
+    // ─── interactions ─────────────────────────────────────────
+    function insertInteraction(r, extra = {}) {
+        return insert("interactions", {
+            user_id: r.user_id, user_prompt: r.user_prompt, bot_response: r.bot_response,
+            script: r.script === undefined ? null : r.script, intent: r.intent === undefined ? null : r.intent,
+            confidence: r.confidence === undefined ? null : r.confidence,
+            timestamp: r.timestamp === null || r.timestamp === undefined ? null : String(r.timestamp),
+            script_risk_score: r.script_risk_score === undefined ? null : r.script_risk_score,
+            script_risk: json(r.script_risk), session_id: r.session_id === undefined ? null : r.session_id,
+            ...extra,
+        });
+    }
+
+    const interactions = {
+        async insertMany(list) {
+            return list.map(r => insertInteraction(r).id);
+        },
+
+        async insert(r) {
+            return insertInteraction(r, {
+                trained_response_id: r.trained_response_id, intent_source: "server", personality: r.personality,
+            }).id;
+        },
+
+        async get(userId, id) {
+            const row = find("interactions", r => r.user_id === userId && r.id === id);
+            return row && pick(row, ["id", "user_prompt", "intent", "trained_response_id"]);
+        },
+
+        async recent(userId, limit) {
+            return sortBy(userRows("interactions", userId), [["created_at", "desc"], ["id", "desc"]])
+                .slice(0, limit)
+                .map(r => pick(r, ["id", "user_prompt", "bot_response", "intent", "confidence", "created_at"]));
+        },
+
+        async labelled(userId, limit) {
+            return sortBy(userRows("interactions", userId).filter(r => r.intent_source === "client" && r.intent), [["id", "desc"]])
+                .slice(0, limit)
+                .map(r => ({ id: r.id, intent: r.intent, text: r.user_prompt }));
+        },
+
+        async untrainedUsers(minNew, limit) {
+            const key = (r) => `${r.tenant_id}\u0000${r.user_id}`;
+            const trainedAt = new Map();
+            for (const b of t("bayesian_probs")) {
+                const prev = trainedAt.get(key(b));
+                if (b.trained_at && (!prev || b.trained_at > prev)) trainedAt.set(key(b), b.trained_at);
+            }
+            const fresh = new Map();   // key → [row, n]
+            for (const r of t("interactions")) {
+                if (r.intent_source !== "client" || !r.intent) continue;
+                if (trainedAt.has(key(r)) && r.created_at <= trainedAt.get(key(r))) continue;
+                const cur = fresh.get(key(r)) || [r, 0];
+                fresh.set(key(r), [cur[0], cur[1] + 1]);
+            }
+            return [...fresh.values()].filter(([, n]) => n >= minNew).slice(0, limit)
+                .map(([r]) => ({ tenant_id: r.tenant_id, user_id: r.user_id }));
+        },
+    };
+
+    // ─── script risk ──────────────────────────────────────────
+    const scriptRisk = {
+        async get(table, userId, id) {
+            if (!SCRIPT_RISK_TABLES.includes(table)) throw new Error(`No script risk on ${table}`);
+            const row = find(table, r => r.user_id === userId && r.id === id);
+            return row && pick(row, ["id", "script", "script_risk"]);
+        },
+
+        async save(table, userId, id, score, report) {
+            if (!SCRIPT_RISK_TABLES.includes(table)) throw new Error(`No script risk on ${table}`);
+            const row = find(table, r => r.user_id === userId && r.id === id);
+            if (row) update(table, row, { script_risk_score: score, script_risk: json(report) });
+        },
+    };
+
+    // ─── content flags ────────────────────────────────────────
+    const FLAG_COLUMNS = ["id", "table_name", "record_id", "user_id", "field", "action", "severity", "rules",
+                          "excerpt", "resolved_at", "resolved_by", "created_at"];
+    const flags = {
+        async insertMany(list) {
+            for (const f of list) {
+                insert("content_flags", {
+                    table_name: f.table, record_id: f.recordId === undefined ? null : f.recordId,
+                    user_id: f.userId, field: f.field, action: f.action, severity: f.severity,
+                    rules: clone(f.rules), excerpt: f.excerpt === undefined ? null : f.excerpt,
+                });
+            }
+        },
+
+        async list(filter, limit) {
+            const matches = own("content_flags").filter(f =>
+                !(filter.status === "open" && f.resolved_at) &&
+                !(filter.status === "resolved" && !f.resolved_at) &&
+                [["table", "table_name"], ["userId", "user_id"], ["action", "action"], ["severity", "severity"]]
+                    .every(([key, column]) => !filter[key] || f[column] === filter[key]));
+            return sortBy(matches, [["created_at", "desc"], ["id", "desc"]]).slice(0, limit).map(f => pick(f, FLAG_COLUMNS));
+        },
+
+        async resolve(id, by) {
+            const row = find("content_flags", f => f.id === id && !f.resolved_at);
+            if (!row) return null;
+            Object.assign(row, { resolved_at: new Date(), resolved_by: by });
+            return pick(row, ["id", "resolved_at"]);
+        },
+    };
+
+    // ─── vocab ────────────────────────────────────────────────
+    const vocabRow = (r) => ({ word: r.word, freq: r.freq, cat: r.category, weight: r.weight });
+    const vocab = {
+        async upsert(userId, entries, mode = "add") {
+            const merged = new Map();
+            for (const e of entries) {
+                const prev = merged.get(e.word);
+                if (!prev) { merged.set(e.word, { ...e }); continue; }
+                prev.freq   = mode === "add" ? prev.freq + e.freq : Math.max(prev.freq, e.freq);
+                prev.weight = Math.max(prev.weight, e.weight);
+            }
+            const current = new Map(userRows("vocab", userId).map(v => [v.word, v]));
+            for (const e of merged.values()) {
+                const row = current.get(e.word);
+                if (!row) {
+                    insert("vocab", { user_id: userId, word: e.word, freq: e.freq, category: e.category, weight: e.weight });
+                } else {
+                    update("vocab", row, {
+                        freq:       mode === "add" ? row.freq + e.freq : Math.max(row.freq, e.freq),
+                        weight:     Math.max(row.weight, e.weight),
+                        updated_at: new Date(),
+                    });
+                }
+            }
+            return merged.size;
+        },
+
+        async changedSince(userId, since, limit) {
+            return userRows("vocab", userId).filter(v => Number(v.change_txid) >= Number(since))
+                .slice(0, limit).map(vocabRow);
+        },
+
+        async snapshot(userId, limit) {
+            return sortBy(userRows("vocab", userId), [[v => v.freq * v.weight, "desc"]]).slice(0, limit).map(vocabRow);
+        },
+
+        async top(userId, limit) {
+            return sortBy(userRows("vocab", userId), [["freq", "desc"]])
+                .slice(0, limit).map(v => pick(v, ["word", "freq", "category", "weight"]));
+        },
+
+        async weights(userId, words) {
+            const wanted = new Set(words);
+            return userRows("vocab", userId).filter(v => wanted.has(v.word)).map(v => pick(v, ["word", "weight"]));
+        },
+    };
+
+    // ─── user preferences ─────────────────────────────────────
+    const prefs = (userId) => find("user_preferences", p => p.user_id === userId);
+    const preferences = {
+        async get(userId) {
+            const row = prefs(userId);
+            return row && clone(row);
+        },
+
+        async load(userId, since) {
+            const row = prefs(userId);
+            if (!row || (since && Number(row.change_txid) < Number(since))) return null;
+            return pick(row, ["user_id", "personality", "settings", "total_interactions", "last_active"]);
+        },
+
+        async personality(userId) {
+            const row = prefs(userId);
+            return row ? row.personality : null;
+        },
+
+        async save(userId, name, settings) {
+            const row = prefs(userId);
+            if (!row) {
+                insert("user_preferences", { user_id: userId, personality: name, settings: clone(settings || null) });
+                return;
+            }
+            update("user_preferences", row, {
+                personality: name !== null && name !== undefined ? name : row.personality,
+                settings:    settings ? clone(settings) : row.settings,
+                last_active: new Date(),
+            });
+        },
+
+        async countInteractions(userId, n) {
+            const row = prefs(userId);
+            if (!row) insert("user_preferences", { user_id: userId, total_interactions: n });
+            else update("user_preferences", row, { total_interactions: row.total_interactions + n, last_active: new Date() });
+        },
+    };
+
+    // ─── sync idempotency keys + tombstones ───────────────────
+    const batch = (userId, key) => find("sync_batches", b => b.user_id === userId && b.idempotency_key === key);
+    const syncBatches = {
+        async claim(userId, key) {
+            if (batch(userId, key)) return false;
+            insert("sync_batches", { user_id: userId, idempotency_key: key });
+            return true;
+        },
+
+        async response(userId, key) {
+            const row = batch(userId, key);
+            return row ? clone(row.response) : null;
+        },
+
+        async complete(userId, key, payload) {
+            const row = batch(userId, key);
+            if (row) row.response = clone(payload);
+        },
+
+        async prune(olderThanMs) {
+            return remove("sync_batches", b => olderThan(b.created_at, olderThanMs)).length;
+        },
+    };
+
+    const tombstones = {
+        async deletedSince(table, userId, since) {
+            const keys = own("deleted_records")
+                .filter(d => d.table_name === table && d.user_id === userId && Number(d.change_txid) >= Number(since))
+                .map(d => d.record_key);
+            return [...new Set(keys)];
+        },
+
+        async prune(olderThanMs) {
+            return remove("deleted_records", d => olderThan(d.deleted_at, olderThanMs)).length;
+        },
+    };
+
+    // ─── trained pairs + revisions ────────────────────────────
+    const PAIR_COLUMNS = ["id", "pattern", "response", "script", "script_risk_score", "created_at", "updated_at"];
+    const createPair = (userId, p) => insert("trained_responses", {
+        user_id: userId, pattern: p.pattern, response: p.response, script: p.script,
+        script_risk_score: p.riskScore === undefined ? null : p.riskScore, script_risk: json(p.risk),
+    });
+
+    const training = {
+        async create(userId, p) {
+            return pick(createPair(userId, p), ["id", "created_at"]);
+        },
+
+        async createMany(userId, pairs) {
+            return pairs.map(p => pick(createPair(userId, p), ["id", "pattern"]));
+        },
+
+        async list(userId, since) {
+            const changed = userRows("trained_responses", userId)
+                .filter(r => !since || Number(r.change_txid) >= Number(since));
+            return sortBy(changed, [["created_at", "asc"]]).map(r => {
+                const variants = {};
+                for (const v of t("trained_response_variants")) {
+                    if (v.response_id === r.id) variants[v.personality] = { response: v.response, script: v.script };
+                }
+                return { ...pick(r, ["id", "pattern", "response", "script", "script_risk_score"]), ts: r.created_at, variants };
+            });
+        },
+
+        async summaries(userId) {
+            return sortBy(userRows("trained_responses", userId), [["created_at", "asc"]])
+                .map(r => pick(r, ["id", "pattern", "response"]));
+        },
+
+        async exportRows(userId) {
+            return sortBy(userRows("trained_responses", userId), [["created_at", "asc"]])
+                .map(r => pick(r, ["id", "pattern", "response", "script", "created_at"]));
+        },
+
+        async get(userId, id) {
+            const row = pair(userId, id);
+            return row && pick(row, ["id", "pattern", "response", "script", "script_risk_score", "script_risk",
+                                     "created_at", "updated_at"]);
+        },
+
+        async delete(userId, id) {
+            return remove("trained_responses", r => r.user_id === userId && r.id === id).length > 0;
+        },
+
+        async deleteAll(userId) {
+            return remove("trained_responses", r => r.user_id === userId).map(r => r.id);
+        },
+
+        async idsByPattern(userId, patterns) {
+            const wanted = new Set(patterns);
+            return new Map(userRows("trained_responses", userId).filter(r => wanted.has(r.pattern)).map(r => [r.pattern, r.id]));
+        },
+
+        async firstByPattern(userId, pattern) {
+            const [row] = sortBy(userRows("trained_responses", userId).filter(r => r.pattern === pattern), [["id", "asc"]]);
+            return row ? row.id : null;
+        },
+
+        async update(userId, id, changes) {
+            const row = pair(userId, id);
+            if (!row) return null;
+            const set = { updated_at: new Date() };
+            if (changes.pattern   !== undefined) set.pattern = changes.pattern;
+            if (changes.response  !== undefined) set.response = changes.response;
+            if (changes.script    !== undefined) set.script = changes.script;
+            if (changes.riskScore !== undefined) set.script_risk_score = changes.riskScore;
+            if (changes.risk      !== undefined) set.script_risk = json(changes.risk);
+            return pick(update("trained_responses", row, set), PAIR_COLUMNS);
+        },
+
+        async touch(userId, ids) {
+            const wanted = new Set(ids);
+            for (const row of userRows("trained_responses", userId)) {
+                if (wanted.has(row.id)) update("trained_responses", row, { updated_at: new Date() });
+            }
+        },
+
+        async recordRevision(userId, id, changeType, who) {
+            const row = pair(userId, id);
+            if (!row) return null;
+            const last = t("trained_response_revisions").reduce((max, r) => (r.response_id === id ? Math.max(max, r.revision) : max), 0);
+            insert("trained_response_revisions", {
+                response_id: id, user_id: userId, revision: last + 1, pattern: row.pattern, response: row.response,
+                script: row.script || "", change_type: changeType, changed_by: who,
+            });
+            return last + 1;
+        },
+
+        async revisions(userId, id) {
+            return sortBy(userRows("trained_response_revisions", userId).filter(r => r.response_id === id), [["revision", "desc"]])
+                .map(r => pick(r, ["revision", "pattern", "response", "script", "change_type", "changed_by", "changed_at"]));
+        },
+
+        async revision(userId, id, revision) {
+            const row = find("trained_response_revisions", r =>
+                r.user_id === userId && r.response_id === id && r.revision === revision);
+            return row && pick(row, ["pattern", "response", "script"]);
+        },
+
+        async forMatching(userId, personalityName) {
+            return userRows("trained_responses", userId).map(r => {
+                const v = find("trained_response_variants", x => x.response_id === r.id && x.personality === personalityName);
+                return {
+                    ...pick(r, ["id", "pattern", "response", "script", "feedback_up", "feedback_down"]),
+                    variant_response: v ? v.response : null,
+                    variant_script:   v ? v.script : null,
+                };
+            });
+        },
+
+        async setFeedback(userId, id, c) {
+            const row = pair(userId, id);
+            if (row) update("trained_responses", row, { feedback_up: c.up, feedback_down: c.down, success_rate: c.rate });
+        },
+
+        async rated(userId) {
+            return sortBy(userRows("trained_responses", userId).filter(r => r.feedback_up + r.feedback_down > 0),
+                          [["success_rate", "asc"], ["id", "asc"]])
+                .map(r => pick(r, ["id", "pattern", "feedback_up", "feedback_down", "success_rate"]));
+        },
+    };
+
+    // ─── personality variants ─────────────────────────────────
+    const variants = {
+        async list(userId, responseId) {
+            return sortBy(userRows("trained_response_variants", userId).filter(v => v.response_id === responseId),
+                          [["personality", "asc"]])
+                .map(v => pick(v, ["personality", "response", "script", "created_at", "updated_at"]));
+        },
+
+        async save(userId, responseId, personalityName, response, script) {
+            let row = find("trained_response_variants", v => v.response_id === responseId && v.personality === personalityName);
+            const created = !row;
+            if (row) Object.assign(row, { response, script, updated_at: new Date() });
+            else row = insert("trained_response_variants", { response_id: responseId, user_id: userId, personality: personalityName, response, script });
+            return { ...pick(row, ["id", "personality", "response", "script", "created_at", "updated_at"]), created };
+        },
+
+        async delete(userId, responseId, personalityName) {
+            return remove("trained_response_variants", v =>
+                v.user_id === userId && v.response_id === responseId && v.personality === personalityName).length > 0;
+        },
+
+        async deleteFor(userId, personalityName) {
+            return remove("trained_response_variants", v => v.user_id === userId && v.personality === personalityName)
+                .map(v => v.response_id);
+        },
+    };
+
+    // ─── personalities ────────────────────────────────────────
+    const personalities = {
+        async list(userId) {
+            return sortBy(userRows("personalities", userId), [["name", "asc"]]).map(p => pick(p, PERSONALITY_COLUMNS));
+        },
+
+        async get(userId, name) {
+            const row = find("personalities", p => p.user_id === userId && p.name === name);
+            return row && pick(row, PERSONALITY_COLUMNS);
+        },
+
+        async save(userId, name, p) {
+            const values = {
+                description: p.description, tone: clone(p.tone), template: p.template,
+                greetings: clone(p.greetings), fallbacks: clone(p.fallbacks), intents: clone(p.intents),
+            };
+            let row = find("personalities", x => x.user_id === userId && x.name === name);
+            const created = !row;
+            if (row) Object.assign(row, values, { updated_at: new Date() });
+            else row = insert("personalities", { user_id: userId, name, ...values });
+            return { id: row.id, created, ...pick(row, PERSONALITY_COLUMNS) };
+        },
+
+        async delete(userId, name) {
+            return remove("personalities", p => p.user_id === userId && p.name === name).length > 0;
+        },
+    };
+
+    // ─── shared knowledge base ────────────────────────────────
+    const shared = {
+        async approved(limit) {
+            return sortBy(own("shared_responses").filter(s => s.status === "approved"), [["hits", "desc"]])
+                .slice(0, limit).map(s => pick(s, ["id", "pattern", "response", "script"]));
+        },
+
+        async findLive(pattern, response) {
+            const row = find("shared_responses", s => s.pattern === pattern && s.response === response && s.status !== "rejected");
+            return row && pick(row, ["id", "status"]);
+        },
+
+        async submit(userId, p) {
+            const row = insert("shared_responses", {
+                source_response_id: p.id, submitted_by: userId, pattern: p.pattern, response: p.response,
+                script: p.script || "", script_risk_score: p.script_risk_score, script_risk: json(p.script_risk),
+            });
+            return pick(row, ["id", "status", "created_at"]);
+        },
+
+        async submissions(userId) {
+            return sortBy(userRows("shared_responses", userId, "submitted_by"), [["created_at", "desc"]])
+                .map(s => pick(s, ["id", "source_response_id", "pattern", "response", "status", "review_note",
+                                   "reviewed_at", "hits", "created_at"]));
+        },
+
+        async withdraw(userId, id) {
+            const [row] = remove("shared_responses", s => s.submitted_by === userId && s.id === id);
+            return row ? row.status : null;
+        },
+
+        async queue(status, limit) {
+            return sortBy(own("shared_responses").filter(s => s.status === status), [["created_at", "asc"]])
+                .slice(0, limit)
+                .map(s => pick(s, ["id", "submitted_by", "pattern", "response", "script", "status", "review_note",
+                                   "reviewed_by", "reviewed_at", "hits", "created_at"]));
+        },
+
+        async review(id, status, note, by) {
+            const row = find("shared_responses", s => s.id === id);
+            if (!row) return null;
+            Object.assign(row, { status, review_note: note, reviewed_by: by, reviewed_at: new Date() });
+            return pick(row, ["id", "status", "reviewed_at"]);
+        },
+
+        async hit(id) {
+            const row = find("shared_responses", s => s.id === id);
+            if (row) row.hits++;
+        },
+    };
+
+    // ─── feedback ─────────────────────────────────────────────
+    const feedback = {
+        async save(f) {
+            const row = find("interaction_feedback", x => x.interaction_id === f.interactionId);
+            if (!row) {
+                return insert("interaction_feedback", {
+                    interaction_id: f.interactionId, user_id: f.userId, rating: f.rating,
+                    corrected_response: f.correction || null, promoted_response_id: f.promotedId,
+                }).id;
+            }
+            Object.assign(row, {
+                rating:               f.rating,
+                corrected_response:   f.correction || row.corrected_response,
+                promoted_response_id: f.promotedId !== null ? f.promotedId : row.promoted_response_id,
+                updated_at:           new Date(),
+            });
+            return row.id;
+        },
+
+        async counts(userId, { trainedId, intent }) {
+            const [column, value] = trainedId !== undefined ? ["trained_response_id", trainedId] : ["intent", intent];
+            const ids = new Set(userRows("interactions", userId).filter(i => i[column] === value).map(i => i.id));
+            const rated = own("interaction_feedback").filter(f => ids.has(f.interaction_id));
+            return { up: rated.filter(f => f.rating === 1).length, down: rated.filter(f => f.rating === -1).length };
+        },
+
+        async saveIntentStats(userId, intent, c) {
+            const values = { feedback_up: c.up, feedback_down: c.down, success_rate: c.rate, updated_at: new Date() };
+            const row = find("intent_stats", s => s.user_id === userId && s.intent === intent);
+            if (row) Object.assign(row, values);
+            else insert("intent_stats", { user_id: userId, intent, ...values });
+        },
+
+        async intentStats(userId) {
+            return sortBy(userRows("intent_stats", userId), [["intent", "asc"]])
+                .map(s => pick(s, ["intent", "feedback_up", "feedback_down", "success_rate", "updated_at"]));
+        },
+    };
+
+    // ─── learning patterns ────────────────────────────────────
+    const learning = {
+        async add(userId, patterns, type, successRate) {
+            insert("learning_patterns", { user_id: userId, patterns: clone(patterns), pattern_type: type, success_rate: successRate });
+        },
+
+        async setSuccessRate(userId, type, rate) {
+            for (const row of userRows("learning_patterns", userId)) {
+                if (row.pattern_type === type) row.success_rate = rate;
+            }
+        },
+    };
+
+    // ─── bayesian model ───────────────────────────────────────
+    const bayes = {
+        async model(userId) {
+            return userRows("bayesian_probs", userId)
+                .map(b => pick(b, ["intent", "prior_probability", "conditional_probs", "unseen_prob"]));
+        },
+
+        async all(userId) {
+            return userRows("bayesian_probs", userId).map(clone);
+        },
+
+        async replace(userId, modelRows) {
+            remove("bayesian_probs", b => b.user_id === userId);
+            for (const row of modelRows) {
+                insert("bayesian_probs", {
+                    user_id: userId, intent: row.intent, prior_probability: row.prior_probability,
+                    conditional_probs: clone(row.conditional_probs), unseen_prob: row.unseen_prob,
+                    sample_count: row.sample_count, source: "server", trained_at: new Date(),
+                });
+            }
+        },
+
+        async push(userId, intent, prior, conditional) {
+            const values = {
+                prior_probability: prior, conditional_probs: clone(conditional), unseen_prob: null,
+                source: "client", updated_at: new Date(),
+            };
+            const row = find("bayesian_probs", b => b.user_id === userId && b.intent === intent);
+            if (row) Object.assign(row, values);
+            else insert("bayesian_probs", { user_id: userId, intent, ...values });
+        },
+    };
+
+    // ─── analytics + global stats ─────────────────────────────
+    const scriptTotals = (raw, daily) => {
+        const out = new Map();   // script_type → [total, successful]
+        const add = (type, total, ok) => {
+            const cur = out.get(type) || [0, 0];
+            out.set(type, [cur[0] + total, cur[1] + ok]);
+        };
+        for (const r of raw) add(r.script_type, 1, r.execution_success ? 1 : 0);
+        for (const d of daily) add(d.script_type || null, d.total, d.successful);
+        return out;
+    };
+
+    const analytics = {
+        async recordScript(userId, scriptType, success, errorMessage) {
+            insert("script_analytics", {
+                user_id: userId === undefined ? null : userId, script_type: scriptType === undefined ? null : scriptType,
+                execution_success: success === undefined ? null : success, error_message: errorMessage,
+            });
+        },
+
+        async scriptStats(userId) {
+            const totals = scriptTotals(userRows("script_analytics", userId), userRows("script_analytics_daily", userId));
+            return [...totals].map(([type, [total, ok]]) => ({ script_type: type, total: String(total), successful: String(ok) }));
+        },
+
+        async dailyInteractions(userId) {
+            const since = Date.now() - 30 * DAY_MS;
+            const today = dayOf(new Date()).getTime();
+            const byDay = groupCount(userRows("interactions", userId).filter(r => r.created_at.getTime() > since),
+                                     r => dayOf(r.created_at).getTime());
+            for (const d of userRows("interaction_daily", userId)) {
+                const day = d.day.getTime();
+                if (day > today - 30 * DAY_MS) byDay.set(day, (byDay.get(day) || 0) + d.interactions);
+            }
+            return [...byDay].sort((a, b) => b[0] - a[0]).map(([day, n]) => ({ date: new Date(day), interactions: String(n) }));
+        },
+
+        async global() {
+            const userIds = new Set([...own("interactions"), ...own("interaction_daily")].map(r => r.user_id));
+            const rolled = own("interaction_daily").reduce((n, d) => n + d.interactions, 0);
+            const scripts = scriptTotals(own("script_analytics"), own("script_analytics_daily"));
+            const words = groupCount(own("vocab"), v => v.word, v => v.freq);
+            const counts = { pending: 0, approved: 0, rejected: 0 };
+            for (const s of own("shared_responses")) counts[s.status]++;
+            return {
+                users:        userIds.size,
+                interactions: own("interactions").length + rolled,
+                trainedPairs: own("trained_responses").length,
+                topScripts:   [...scripts].sort((a, b) => b[1][0] - a[1][0]).slice(0, 10)
+                    .map(([type, [n]]) => ({ script_type: type, cnt: String(n) })),
+                topVocab:     [...words].sort((a, b) => b[1] - a[1]).slice(0, 20)
+                    .map(([word, n]) => ({ word, total_freq: String(n) })),
+                shared:       counts,
+                topShared:    sortBy(own("shared_responses").filter(s => s.status === "approved"), [["hits", "desc"]])
+                    .slice(0, 10).map(s => pick(s, ["id", "pattern", "response", "submitted_by", "hits"])),
+            };
+        },
+
+        async tenants() {
+            const byTenant = new Map(t("tenants").map(x => [x.id, {
+                tenant_id: x.id, name: x.name, users: 0, interactions: 0, trainedPairs: 0, vocabWords: 0,
+            }]));
+            const entry = (id) => {
+                if (!byTenant.has(id)) {
+                    byTenant.set(id, { tenant_id: id, name: null, users: 0, interactions: 0, trainedPairs: 0, vocabWords: 0 });
+                }
+                return byTenant.get(id);
+            };
+            const users = new Map();   // tenant → Set<user_id>
+            for (const r of [...t("interactions"), ...t("interaction_daily")]) {
+                if (!users.has(r.tenant_id)) users.set(r.tenant_id, new Set());
+                users.get(r.tenant_id).add(r.user_id);
+            }
+            for (const [id, set] of users) entry(id).users = set.size;
+            for (const r of t("interactions")) entry(r.tenant_id).interactions++;
+            for (const d of t("interaction_daily")) entry(d.tenant_id).interactions += d.interactions;
+            for (const r of t("trained_responses")) entry(r.tenant_id).trainedPairs++;
+            for (const v of t("vocab")) entry(v.tenant_id).vocabWords++;
+            return [...byTenant.values()].sort((a, b) => b.interactions - a.interactions || (a.tenant_id < b.tenant_id ? -1 : 1));
+        },
+    };
+
+    // ─── export + erasure ─────────────────────────────────────
+    const ERASURE_COLUMNS = ["id", "tenant_id", "user_id", "source", "notification_id", "requested_by", "game_ids", "status",
+                             "rows_deleted", "error", "requested_at", "completed_at"];
+    const users = {
+        async exportData(userId) {
+            const tables = {};
+            for (const [table, column, exported] of erasure.USER_TABLES) {
+                if (!exported) continue;
+                const firstColumn = Object.keys(SCHEMA[table])[0];
+                tables[table] = sortBy(userRows(table, userId, column), [[firstColumn, "asc"]]).map(clone);
+            }
+            return tables;
+        },
+
+        async erase(userId, opts = {}) {
+            const audit = {
+                tenant_id: tenant, user_id: userId, source: opts.source || "api", requested_by: opts.requestedBy || null,
+                game_ids: opts.gameIds ? opts.gameIds.map(String) : null,
+            };
+            const snapshot = structuredClone(mem.state);
+            try {
+                const rowsDeleted = {};
+                for (const [table, column] of erasure.USER_TABLES) {
+                    rowsDeleted[table] = remove(table, r => r[column] === userId).length;
+                }
+                const logged = insert("erasure_requests", {
+                    ...audit, notification_id: opts.notificationId || null, status: "completed",
+                    rows_deleted: rowsDeleted, completed_at: new Date(),
+                });
+                return { requestId: logged.id, rowsDeleted };
+            } catch (err) {
+                mem.state = snapshot;
+                insert("erasure_requests", { ...audit, status: "failed", error: err.message });
+                throw err;
+            }
+        },
+
+        async erasures(userId, limit) {
+            const rows = t("erasure_requests").filter(r =>
+                (!tenant || r.tenant_id === tenant || r.tenant_id === null) && (!userId || r.user_id === String(userId)));
+            return sortBy(rows, [["requested_at", "desc"], ["id", "desc"]]).slice(0, limit).map(r => pick(r, ERASURE_COLUMNS));
+        },
+
+        async erasureByNotification(notificationId) {
+            const row = find("erasure_requests", r => r.notification_id === notificationId);
+            return row && pick(row, ["id"]);
+        },
+    };
+
+    // ─── API keys ─────────────────────────────────────────────
+    const activeKey = (keyId) => find("api_keys", k => k.key_id === keyId && !k.revoked_at);
+    const apiKeys = {
+        async get(keyId) {
+            const row = find("api_keys", k => k.key_id === keyId);
+            return row && pick(row, ["key_id", "universe_id", "tenant_id", "name", "secret", "previous_secret",
+                                     "previous_expires_at", "scopes", "revoked_at"]);
+        },
+
+        async touch(keyId) {
+            const row = find("api_keys", k => k.key_id === keyId);
+            if (row) row.last_used_at = new Date();
+        },
+
+        async list() {
+            return sortBy(t("api_keys"), [["created_at", "desc"]])
+                .map(k => pick(k, ["key_id", "universe_id", "tenant_id", "name", "scopes", "created_at", "rotated_at",
+                                   "revoked_at", "last_used_at"]));
+        },
+
+        async create({ keyId, universeId, tenantId, name, secret, scopes }) {
+            if (find("api_keys", k => k.key_id === keyId)) throw new Error(`Duplicate key id ${keyId}`);
+            const row = insert("api_keys", {
+                key_id: keyId, universe_id: universeId, tenant_id: tenantId, name, secret, scopes: clone(scopes),
+            });
+            return pick(row, ["created_at"]);
+        },
+
+        async rotate(keyId, secret, graceMs) {
+            const row = activeKey(keyId);
+            if (!row) return null;
+            Object.assign(row, {
+                previous_secret: row.secret, previous_expires_at: new Date(Date.now() + graceMs),
+                secret, rotated_at: new Date(),
+            });
+            return pick(row, ["previous_expires_at"]);
+        },
+
+        async revoke(keyId) {
+            const row = activeKey(keyId);
+            if (!row) return false;
+            Object.assign(row, { revoked_at: new Date(), previous_secret: null });
+            return true;
+        },
+    };
+
+    // ─── tenants ──────────────────────────────────────────────
+    const TENANT_COLUMNS = ["id", "name", "config", "created_at", "updated_at"];
+    const tenants = {
+        async list() {
+            return sortBy(t("tenants"), [["id", "asc"]]).map(x => pick(x, TENANT_COLUMNS));
+        },
+
+        async get(id) {
+            const row = find("tenants", x => x.id === id);
+            return row && pick(row, TENANT_COLUMNS);
+        },
+
+        async save(id, name, config) {
+            let row = find("tenants", x => x.id === id);
+            const created = !row;
+            if (row) {
+                Object.assign(row, {
+                    name:       name !== null && name !== undefined ? name : row.name,
+                    config:     config ? clone(config) : row.config,
+                    updated_at: new Date(),
+                });
+            } else {
+                row = insert("tenants", { id, name: name || "", config: clone(config || {}) });
+            }
+            return { ...pick(row, TENANT_COLUMNS), created };
+        },
+    };
+
+    // ─── job runs ─────────────────────────────────────────────
+    const jobs = {
+        async succeededWithin(name, windowMs) {
+            return t("job_runs").some(r => r.job_name === name && r.status === "ok" && !olderThan(r.started_at, windowMs));
+        },
+
+        async start(name, trigger, instance) {
+            return insert("job_runs", { job_name: name, trigger, instance, status: "running" }).id;
+        },
+
+        async finish(runId, status, { result = null, error = null } = {}) {
+            const row = find("job_runs", r => r.id === runId);
+            if (!row) return;
+            Object.assign(row, {
+                status, finished_at: new Date(), error,
+                result: status === "ok" ? clone(result === undefined ? null : result) : null,
+            });
+        },
+
+        async lastRun(name) {
+            const [row] = sortBy(t("job_runs").filter(r => r.job_name === name), [["started_at", "desc"], ["id", "desc"]]);
+            return row ? pick(row, ["id", "trigger", "instance", "status", "result", "error", "started_at", "finished_at"]) : null;
+        },
+
+        async lastSuccess(name) {
+            const [row] = sortBy(t("job_runs").filter(r => r.job_name === name && r.status === "ok"),
+                                 [["started_at", "desc"], ["id", "desc"]]);
+            return row ? pick(row, ["id", "started_at", "finished_at"]) : null;
+        },
+    };
+
+    // ─── search ───────────────────────────────────────────────
+    // Rows of one source that pass the filters, as search result input
+    function candidates(name, opts) {
+        const src = searchLib.SOURCES[name];
+        return own(src.table).filter(r =>
+            (!opts.userId || r.user_id === String(opts.userId)) &&
+            (!opts.intent || r[src.intent] === opts.intent) &&
+            (!opts.from || r.created_at >= opts.from) &&
+            (!opts.to || r.created_at < opts.to)
+        ).map(r => ({
+            source: name, id: r.id, user_id: r.user_id, text: r[src.text], response: r[src.response],
+            intent: src.intent ? r[src.intent] : null, created_at: r.created_at,
+        }));
+    }
+
+    const content = (row) => `${row.text || ""} ${row.response || ""}`;
+    const md5 = (text) => crypto.createHash("md5").update(text).digest("hex");
+    const storedVector = (name, id) => find("search_embeddings", e => e.source === name && e.record_id === id);
+
+    const search = {
+        async text(opts) {
+            const clauses = parseQuery(opts.q);
+            const found = [];
+            for (const name of searchLib.sourcesFor(opts)) {
+                for (const row of candidates(name, opts)) {
+                    const hit = clauses.length && textMatch(clauses, row.text, row.response);
+                    if (hit) found.push([hit, row]);
+                }
+            }
+            found.sort((a, b) => b[0].score - a[0].score || compare(b[1].created_at, a[1].created_at));
+            return {
+                results: found.slice(0, opts.limit).map(([hit, row]) =>
+                    searchLib.toResult(row, hit.score, highlight(`${row.text} — ${row.response}`, hit.matched))),
+            };
+        },
+
+        async vector(opts) {
+            const query = embedding.embed(opts.q);
+            const scored = [];
+            let scanned = 0, computed = 0, truncated = false;
+            for (const name of searchLib.sourcesFor(opts)) {
+                const rows = sortBy(candidates(name, opts), [["id", "desc"]]).slice(0, opts.candidates);
+                if (rows.length >= opts.candidates) truncated = true;
+                for (const row of rows) {
+                    scanned++;
+                    const stored = storedVector(name, row.id);
+                    let vec = stored && stored.embedding;
+                    if (!stored || stored.content_md5 !== md5(content(row)) || stored.version !== embedding.VERSION) {
+                        vec = embedding.embed(content(row));
+                        computed++;
+                    }
+                    const score = embedding.cosine(query, vec);
+                    if (score >= opts.minScore) scored.push([score, row]);
+                }
+            }
+            scored.sort((a, b) => b[0] - a[0]);
+            return {
+                results: scored.slice(0, opts.limit).map(([score, row]) => searchLib.toResult(row, score)),
+                scanned,
+                computed,
+                truncated,
+            };
+        },
+
+        async refreshEmbeddings({ batch = 500 } = {}) {
+            const embedded = {};
+            let removed = 0;
+            for (const [name, src] of Object.entries(searchLib.SOURCES)) {
+                const text = (r) => content({ text: r[src.text], response: r[src.response] });
+                const stale = sortBy(t(src.table), [["id", "desc"]]).filter(r => {
+                    const e = storedVector(name, r.id);
+                    return !e || e.content_md5 !== md5(text(r)) || e.version !== embedding.VERSION;
+                }).slice(0, batch);
+                embedded[name] = stale.length;
+                for (const r of stale) {
+                    const values = {
+                        tenant_id: r.tenant_id, user_id: r.user_id, content_md5: md5(text(r)), version: embedding.VERSION,
+                        embedding: embedding.embed(text(r)), updated_at: new Date(),
+                    };
+                    const e = storedVector(name, r.id);
+                    if (e) Object.assign(e, values);
+                    else insert("search_embeddings", { source: name, record_id: r.id, ...values });
+                }
+                const live = new Set(t(src.table).map(r => r.id));
+                removed += remove("search_embeddings", e => e.source === name && !live.has(e.record_id)).length;
+            }
+            return { embedded, removed };
+        },
+    };
+
+    // ─── retention (see lib/retention.js for the policy) ──────
+    const retention = {
+        async run(policy = retentionPolicy.loadPolicy()) {
+            let interactionsRolledUp = 0, scriptAnalyticsRolledUp = 0;
+            if (policy.interactionsDays) {
+                const rated = new Set(t("interaction_feedback").map(f => f.interaction_id));
+                const doomed = remove("interactions", r =>
+                    olderThan(r.created_at, policy.interactionsDays * DAY_MS) && !rated.has(r.id));
+                for (const r of doomed) {
+                    const day = dayOf(r.created_at), intent = r.intent || "";
+                    let d = find("interaction_daily", x => x.tenant_id === r.tenant_id && x.user_id === r.user_id
+                        && x.day.getTime() === day.getTime() && x.intent === intent);
+                    if (!d) d = insert("interaction_daily", { tenant_id: r.tenant_id, user_id: r.user_id, day, intent });
+                    d.interactions++;
+                    if (r.confidence !== null) { d.confidence_sum += r.confidence; d.confidence_n++; }
+                }
+                interactionsRolledUp = doomed.length;
+            }
+            if (policy.scriptAnalyticsDays) {
+                const doomed = remove("script_analytics", r => olderThan(r.created_at, policy.scriptAnalyticsDays * DAY_MS));
+                for (const r of doomed) {
+                    const day = dayOf(r.created_at), userId = r.user_id || "", type = r.script_type || "";
+                    let d = find("script_analytics_daily", x => x.tenant_id === r.tenant_id && x.user_id === userId
+                        && x.day.getTime() === day.getTime() && x.script_type === type);
+                    if (!d) d = insert("script_analytics_daily", { tenant_id: r.tenant_id, user_id: userId, day, script_type: type });
+                    d.total++;
+                    if (r.execution_success) d.successful++;
+                }
+                scriptAnalyticsRolledUp = doomed.length;
+            }
+            // Newest `learningKeep` rows per tenant/user/type stay; past learningDays only the newest one
+            const rank = new Map();
+            const doomedLearning = new Set();
+            for (const r of sortBy(t("learning_patterns"), [["id", "desc"]])) {
+                const key = `${r.tenant_id}\u0000${r.user_id}\u0000${r.pattern_type}`;
+                const rn = (rank.get(key) || 0) + 1;
+                rank.set(key, rn);
+                if (rn > policy.learningKeep || (policy.learningDays > 0 && rn > 1 && olderThan(r.created_at, policy.learningDays * DAY_MS)))
+                    doomedLearning.add(r.id);
+            }
+            const learningPatternsPruned = remove("learning_patterns", r => doomedLearning.has(r.id)).length;
+            const jobRunsPruned = policy.jobRunsDays
+                ? remove("job_runs", r => olderThan(r.started_at, policy.jobRunsDays * DAY_MS)).length
+                : 0;
+            return { policy, interactionsRolledUp, scriptAnalyticsRolledUp, learningPatternsPruned, jobRunsPruned };
+        },
+    };
+
+    return {
+        tenant,
+        sessions, interactions, scriptRisk, flags, vocab, preferences, syncBatches, tombstones,
+        training, variants, personalities, shared, feedback, learning, bayes, analytics, users,
+        apiKeys, tenants, jobs, search, retention,
+
+        cursor: async () => deltaSync.encodeCursor(mem.state.clock + 1),
+
+        async publish(channel, payload) {
+            emit(channel, payload);
+        },
+    };
+}
+
+// Wraps every method of every namespace so it runs under the lock
+function locked(api, exclusive) {
+    const out = {};
+    for (const [key, value] of Object.entries(api)) {
+        if (typeof value === "function") out[key] = (...args) => exclusive(() => value(...args));
+        else if (value && typeof value === "object") out[key] = locked(value, exclusive);
+        else out[key] = value;
+    }
+    return out;
+}
+
+function createMemoryRepository() {
+    const mem = { state: emptyState() };
+    const listeners = new Map();   // channel → Set<fn>
+    const exclusive = createLock();
+    const runningJobs = new Set();
+
+    function deliver(channel, payload) {
+        for (const fn of listeners.get(channel) || []) setImmediate(() => fn(payload));
+    }
+
+    // One tenant's namespaces (null: the root) plus transaction()
+    function open(tenant) {
+        const scoped = locked(build(mem, deliver, tenant), exclusive);
+        scoped.transaction = (fn) => exclusive(async () => {
+            const snapshot = structuredClone(mem.state);
+            const queued = [];
+            let rolledBack = false;
+            const tx = build(mem, (channel, payload) => queued.push([channel, payload]), tenant);
+            tx.rollback = (value) => { rolledBack = true; return value; };
+            try {
+                const value = await fn(tx);
+                if (rolledBack) mem.state = snapshot;
+                else for (const [channel, payload] of queued) deliver(channel, payload);
+                return value;
+            } catch (err) {
+                mem.state = snapshot;
+                throw err;
+            }
+        });
+        return scoped;
+    }
+
+    const repo = open(null);
+    const tenants = new Map();   // tenant id → repository
+    repo.forTenant = (id) => {
+        if (!tenants.has(id)) tenants.set(id, open(id));
+        return tenants.get(id);
+    };
+
+    // Jobs hold their lock without the data lock, like the advisory lock
+    repo.jobs.withLock = async (name, fn) => {
+        if (runningJobs.has(name)) return undefined;
+        runningJobs.add(name);
+        try {
+            return await fn(repo.jobs);
+        } finally {
+            runningJobs.delete(name);
+        }
+    };
+
+    repo.listen = async (channel, onPayload) => {
+        if (!listeners.has(channel)) listeners.set(channel, new Set());
+        listeners.get(channel).add(onPayload);
+        return { close: () => listeners.get(channel).delete(onPayload) };
+    };
+
+    repo.backend = "memory";
+    repo.ping = async () => {};
+    repo.migrate = async () => [];
+    repo.pendingMigrations = async () => [];
+    repo.poolStats = () => null;
+    repo.close = async () => {};
+    return repo;
+}
+
+module.exports = { createMemoryRepository };
@@ -0,0 +1,1285 @@
+// lib/repository/postgres.js — the Postgres repository
+//
+// Every statement server.js used to send lives here, grouped by the
+// namespaces described in lib/repository/index.js. build(db, pool,
+// tenant) binds them to a connection — the pool for a repository, a
+// checked-out client inside transaction() — and to the tenant whose
+// rows they read and write. The lib/ helpers that already took a
+// connection (deltasync, bulkwrite, search, retention, erasure,
+// migrate) are reused as they are.
+
+const crypto    = require("crypto");
+const migrate   = require("../migrate");
+const deltaSync = require("../deltasync");
+const bulk      = require("../bulkwrite");
+const search    = require("../search");
+const retention = require("../retention");
+const erasure   = require("../erasure");
+
+const PERSONALITY_COLUMNS = "name, description, tone, template, greetings, fallbacks, intents, updated_at";
+const SCRIPT_RISK_TABLES  = ["trained_responses", "interactions"];
+const JOB_LOCK_NAMESPACE  = 727274002;   // first key of the two-key advisory lock
+
+function jobLockKey(name) {
+    return crypto.createHash("sha1").update(name).digest().readInt32BE(0);
+}
+
+const ms = (n) => String(n);
+
+function build(db, pool, tenant) {
+    const q = (text, params) => db.query(text, params);
+    const rows  = async (text, params) => (await q(text, params)).rows;
+    const first = async (text, params) => (await q(text, params)).rows[0] || null;
+
+    // ─── sessions ─────────────────────────────────────────────
+    const sessions = {
+        // The row if it belongs to userId and is still live; an idle
+        // one is expired on the spot and null is returned
+        async open(userId, sessionId, idleMs) {
+            const row = await first(
+                `SELECT id, ended_at,
+                        last_activity_at < NOW() - ($3 || ' milliseconds')::interval AS idle
+                 FROM sessions WHERE id=$1 AND user_id=$2 AND tenant_id=$4`,
+                [String(sessionId), userId, ms(idleMs), tenant]
+            );
+            if (!row || row.ended_at) return null;
+            if (row.idle) {
+                await q(
+                    `UPDATE sessions SET
+                        ended_at   = last_activity_at + ($2 || ' milliseconds')::interval,
+                        end_reason = 'expired'
+                     WHERE id=$1 AND ended_at IS NULL`,
+                    [row.id, ms(idleMs)]
+                );
+                return null;
+            }
+            return row;
+        },
+
+        async touch(sessionId, turns) {
+            await q(
+                "UPDATE sessions SET turn_count = turn_count + $2, last_activity_at = NOW() WHERE id=$1 AND tenant_id=$3",
+                [sessionId, turns, tenant]
+            );
+        },
+
+        async expireIdle(idleMs) {
+            const result = await q(
+                `UPDATE sessions SET
+                    ended_at   = last_activity_at + ($1 || ' milliseconds')::interval,
+                    end_reason = 'expired'
+                 WHERE ended_at IS NULL
+                   AND last_activity_at < NOW() - ($1 || ' milliseconds')::interval`,
+                [ms(idleMs)]
+            );
+            return result.rowCount;
+        },
+
+        // Ends the user's open sessions → [ids]
+        async endOpen(userId) {
+            return (await rows(
+                `UPDATE sessions SET ended_at=NOW(), end_reason='replaced'
+                 WHERE user_id=$1 AND tenant_id=$2 AND ended_at IS NULL
+                 RETURNING id`,
+                [userId, tenant]
+            )).map(r => r.id);
+        },
+
+        async create({ id, userId, gameServerId, placeId }) {
+            return first(
+                `INSERT INTO sessions (id, tenant_id, user_id, game_server_id, place_id)
+                 VALUES ($1,$5,$2,$3,$4)
+                 RETURNING started_at`,
+                [id, userId, gameServerId, placeId, tenant]
+            );
+        },
+
+        async end(userId, sessionId) {
+            return first(
+                `UPDATE sessions SET ended_at=NOW(), end_reason='ended'
+                 WHERE id=$1 AND user_id=$2 AND tenant_id=$3 AND ended_at IS NULL
+                 RETURNING id, turn_count, started_at, ended_at`,
+                [sessionId, userId, tenant]
+            );
+        },
+
+        async get(userId, sessionId) {
+            return first(
+                `SELECT id, game_server_id, place_id, turn_count, started_at, last_activity_at,
+                        ended_at, end_reason
+                 FROM sessions WHERE id=$1 AND user_id=$2 AND tenant_id=$3`,
+                [sessionId, userId, tenant]
+            );
+        },
+
+        async list(userId, limit) {
+            return rows(
+                `SELECT id, game_server_id, place_id, turn_count, started_at, last_activity_at,
+                        ended_at, end_reason
+                 FROM sessions WHERE user_id=$1 AND tenant_id=$3
+                 ORDER BY started_at DESC LIMIT $2`,
+                [userId, limit, tenant]
+            );
+        },
+
+        // Newest first
+        async turns(userId, sessionId, limit) {
+            return rows(
+                `SELECT id, user_prompt, bot_response, intent, confidence, created_at
+                 FROM interactions
+                 WHERE session_id=$1 AND user_id=$2 AND tenant_id=$4
+                 ORDER BY id DESC LIMIT $3`,
+                [sessionId, userId, limit, tenant]
+            );
+        },
+    };
+
+    // ─── interactions ─────────────────────────────────────────
+    const interactions = {
+        insertMany: (list) => bulk.insertInteractions(db, tenant, list),
+
+        // One server-answered exchange (/api/respond) → id
+        async insert(r) {
+            const row = await first(
+                `INSERT INTO interactions
+                    (tenant_id, user_id, user_prompt, bot_response, script, intent, confidence, timestamp,
+                     trained_response_id, script_risk_score, script_risk, session_id, intent_source, personality)
+                 VALUES ($13,$1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,'server',$12)
+                 RETURNING id`,
+                [r.user_id, r.user_prompt, r.bot_response, r.script, r.intent, r.confidence, r.timestamp,
+                 r.trained_response_id, r.script_risk_score, r.script_risk, r.session_id, r.personality, tenant]
+            );
+            return row.id;
+        },
+
+        async get(userId, id) {
+            return first(
+                `SELECT id, user_prompt, intent, trained_response_id
+                 FROM interactions WHERE user_id=$1 AND id=$2 AND tenant_id=$3`,
+                [userId, id, tenant]
+            );
+        },
+
+        async recent(userId, limit) {
+            return rows(
+                `SELECT id, user_prompt, bot_response, intent, confidence, created_at
+                 FROM interactions WHERE user_id=$1 AND tenant_id=$3 ORDER BY created_at DESC, id DESC LIMIT $2`,
+                [userId, limit, tenant]
+            );
+        },
+
+        // Most recent client-labelled prompts, as bayes trainer examples
+        async labelled(userId, limit) {
+            return rows(
+                `SELECT id, intent, user_prompt AS text
+                 FROM interactions
+                 WHERE tenant_id=$3 AND user_id=$1
+                   AND intent_source='client' AND intent IS NOT NULL AND intent <> ''
+                 ORDER BY id DESC
+                 LIMIT $2`,
+                [userId, limit, tenant]
+            );
+        },
+
+        // Users, in any tenant, with at least minNew labels newer than
+        // their last training → [{ tenant_id, user_id }]
+        async untrainedUsers(minNew, limit) {
+            return rows(
+                `SELECT i.tenant_id, i.user_id
+                 FROM interactions i
+                 LEFT JOIN (SELECT tenant_id, user_id, MAX(trained_at) AS trained_at
+                            FROM bayesian_probs GROUP BY tenant_id, user_id) b
+                        ON b.tenant_id = i.tenant_id AND b.user_id = i.user_id
+                 WHERE i.intent_source='client' AND i.intent IS NOT NULL AND i.intent <> ''
+                   AND (b.trained_at IS NULL OR i.created_at > b.trained_at)
+                 GROUP BY i.tenant_id, i.user_id
+                 HAVING COUNT(*) >= $1
+                 LIMIT $2`,
+                [minNew, limit]
+            );
+        },
+    };
+
+    // ─── script risk (trained_responses | interactions) ───────
+    const scriptRisk = {
+        async get(table, userId, id) {
+            if (!SCRIPT_RISK_TABLES.includes(table)) throw new Error(`No script risk on ${table}`);
+            return first(
+                `SELECT id, script, script_risk FROM ${table} WHERE user_id=$1 AND id=$2 AND tenant_id=$3`,
+                [userId, id, tenant]
+            );
+        },
+
+        async save(table, userId, id, score, report) {
+            if (!SCRIPT_RISK_TABLES.includes(table)) throw new Error(`No script risk on ${table}`);
+            await q(
+                `UPDATE ${table} SET script_risk_score=$3, script_risk=$4 WHERE user_id=$1 AND id=$2 AND tenant_id=$5`,
+                [userId, id, score, report, tenant]
+            );
+        },
+    };
+
+    // ─── content flags ────────────────────────────────────────
+    const flags = {
+        insertMany: (list) => bulk.insertFlags(db, tenant, list),
+
+        // filter: { status: open|resolved|all, table, userId, action, severity }
+        async list(filter, limit) {
+            const where  = ["tenant_id = $1"];
+            const params = [tenant];
+            if (filter.status === "open")     where.push("resolved_at IS NULL");
+            if (filter.status === "resolved") where.push("resolved_at IS NOT NULL");
+            for (const [key, column] of [["table", "table_name"], ["userId", "user_id"], ["action", "action"], ["severity", "severity"]]) {
+                if (filter[key]) {
+                    params.push(filter[key]);
+                    where.push(`${column} = $${params.length}`);
+                }
+            }
+            params.push(limit);
+            return rows(
+                `SELECT id, table_name, record_id, user_id, field, action, severity, rules,
+                        excerpt, resolved_at, resolved_by, created_at
+                 FROM content_flags
+                 WHERE ${where.join(" AND ")}
+                 ORDER BY created_at DESC
+                 LIMIT $${params.length}`,
+                params
+            );
+        },
+
+        async resolve(id, by) {
+            return first(
+                `UPDATE content_flags SET resolved_at=NOW(), resolved_by=$2
+                 WHERE id=$1 AND tenant_id=$3 AND resolved_at IS NULL
+                 RETURNING id, resolved_at`,
+                [id, by, tenant]
+            );
+        },
+    };
+
+    // ─── vocab ────────────────────────────────────────────────
+    const vocab = {
+        upsert: (userId, entries, mode) => bulk.upsertVocab(db, tenant, userId, entries, mode),
+
+        async changedSince(userId, since, limit) {
+            return rows(
+                `SELECT word, freq, category AS cat, weight
+                 FROM vocab
+                 WHERE tenant_id = $4 AND user_id = $1 AND change_txid >= $2::xid8
+                 LIMIT $3`,
+                [userId, since, limit, tenant]
+            );
+        },
+
+        // Highest freq * weight first
+        async snapshot(userId, limit) {
+            return rows(
+                `SELECT word, freq, category AS cat, weight
+                 FROM vocab
+                 WHERE tenant_id = $3 AND user_id = $1
+                 ORDER BY freq * weight DESC
+                 LIMIT $2`,
+                [userId, limit, tenant]
+            );
+        },
+
+        async top(userId, limit) {
+            return rows(
+                `SELECT word, freq, category, weight FROM vocab
+                 WHERE tenant_id=$3 AND user_id=$1 ORDER BY freq DESC LIMIT $2`,
+                [userId, limit, tenant]
+            );
+        },
+
+        async weights(userId, words) {
+            return rows(
+                `SELECT word, weight FROM vocab
+                 WHERE tenant_id=$3 AND user_id=$1 AND word = ANY($2)`,
+                [userId, words, tenant]
+            );
+        },
+    };
+
+    // ─── user preferences ─────────────────────────────────────
+    const preferences = {
+        async get(userId) {
+            return first("SELECT * FROM user_preferences WHERE tenant_id=$2 AND user_id=$1", [userId, tenant]);
+        },
+
+        // null when since is given and nothing changed after it
+        async load(userId, since) {
+            return first(
+                `SELECT user_id, personality, settings, total_interactions, last_active
+                 FROM user_preferences
+                 WHERE tenant_id=$2 AND user_id=$1 ${since ? "AND change_txid >= $3::xid8" : ""}`,
+                since ? [userId, tenant, since] : [userId, tenant]
+            );
+        },
+
+        async personality(userId) {
+            const row = await first(
+                "SELECT personality FROM user_preferences WHERE tenant_id=$2 AND user_id=$1", [userId, tenant]
+            );
+            return row ? row.personality : null;
+        },
+
+        // null name/settings keep what is stored
+        async save(userId, name, settings) {
+            await q(
+                `INSERT INTO user_preferences (tenant_id, user_id, personality, settings)
+                 VALUES ($4,$1,$2,$3)
+                 ON CONFLICT (tenant_id, user_id)
+                 DO UPDATE SET
+                    personality = COALESCE($2, user_preferences.personality),
+                    settings    = COALESCE($3::jsonb, user_preferences.settings),
+                    last_active = NOW()`,
+                [userId, name, settings ? JSON.stringify(settings) : null, tenant]
+            );
+        },
+
+        async countInteractions(userId, n) {
+            await q(
+                `INSERT INTO user_preferences (tenant_id, user_id, total_interactions, last_active)
+                 VALUES ($3,$1,$2,NOW())
+                 ON CONFLICT (tenant_id, user_id)
+                 DO UPDATE SET
+                    total_interactions = user_preferences.total_interactions + $2,
+                    last_active        = NOW()`,
+                [userId, n, tenant]
+            );
+        },
+    };
+
+    // ─── sync idempotency keys + tombstones ───────────────────
+    const syncBatches = {
+        // false when the key was already claimed; blocks behind a
+        // concurrent attempt with the same key until it settles
+        async claim(userId, key) {
+            const result = await q(
+                `INSERT INTO sync_batches (tenant_id, user_id, idempotency_key) VALUES ($3,$1,$2)
+                 ON CONFLICT DO NOTHING RETURNING user_id`,
+                [userId, key, tenant]
+            );
+            return result.rows.length > 0;
+        },
+
+        async response(userId, key) {
+            const row = await first(
+                "SELECT response FROM sync_batches WHERE tenant_id=$3 AND user_id=$1 AND idempotency_key=$2",
+                [userId, key, tenant]
+            );
+            return row ? row.response : null;
+        },
+
+        async complete(userId, key, payload) {
+            await q(
+                "UPDATE sync_batches SET response=$3 WHERE tenant_id=$4 AND user_id=$1 AND idempotency_key=$2",
+                [userId, key, JSON.stringify(payload), tenant]
+            );
+        },
+
+        async prune(olderThanMs) {
+            const result = await q(
+                "DELETE FROM sync_batches WHERE created_at < NOW() - ($1 || ' milliseconds')::interval",
+                [ms(olderThanMs)]
+            );
+            return result.rowCount;
+        },
+    };
+
+    const tombstones = {
+        deletedSince: (table, userId, since) => deltaSync.deletedSince(db, tenant, table, userId, since),
+
+        async prune(olderThanMs) {
+            const result = await q(
+                "DELETE FROM deleted_records WHERE deleted_at < NOW() - ($1 || ' milliseconds')::interval",
+                [ms(olderThanMs)]
+            );
+            return result.rowCount;
+        },
+    };
+
+    // ─── trained pairs + revisions ────────────────────────────
+    const training = {
+        // pair: { pattern, response, script, riskScore, risk } → { id, created_at }
+        async create(userId, p) {
+            return first(
+                `INSERT INTO trained_responses (tenant_id, user_id, pattern, response, script, script_risk_score, script_risk)
+                 VALUES ($7, $1, $2, $3, $4, $5, $6)
+                 RETURNING id, created_at`,
+                [userId, p.pattern, p.response, p.script, p.riskScore === undefined ? null : p.riskScore,
+                 p.risk === undefined ? null : p.risk, tenant]
+            );
+        },
+
+        // pairs: same shape as create → [{ id, pattern }]
+        async createMany(userId, pairs) {
+            if (!pairs.length) return [];
+            return rows(
+                `INSERT INTO trained_responses (tenant_id, user_id, pattern, response, script, script_risk_score, script_risk)
+                 SELECT $7, $1, t.pattern, t.response, t.script, t.risk_score, t.risk
+                 FROM unnest($2::text[], $3::text[], $4::text[], $5::smallint[], $6::jsonb[])
+                      AS t(pattern, response, script, risk_score, risk)
+                 RETURNING id, pattern`,
+                [userId, pairs.map(p => p.pattern), pairs.map(p => p.response), pairs.map(p => p.script),
+                 pairs.map(p => p.riskScore), pairs.map(p => p.risk), tenant]
+            );
+        },
+
+        // Every pair (or those changed since the cursor) with its variants
+        async list(userId, since) {
+            return rows(
+                `SELECT t.id, t.pattern, t.response, t.script, t.script_risk_score, t.created_at AS ts,
+                        COALESCE((SELECT jsonb_object_agg(v.personality,
+                                      jsonb_build_object('response', v.response, 'script', v.script))
+                                  FROM trained_response_variants v WHERE v.response_id = t.id), '{}') AS variants
+                 FROM trained_responses t
+                 WHERE t.tenant_id = $2 AND t.user_id = $1 ${since ? "AND t.change_txid >= $3::xid8" : ""}
+                 ORDER BY t.created_at ASC`,
+                since ? [userId, tenant, since] : [userId, tenant]
+            );
+        },
+
+        async summaries(userId) {
+            return rows(
+                `SELECT id, pattern, response FROM trained_responses
+                 WHERE tenant_id=$2 AND user_id=$1 ORDER BY created_at ASC`,
+                [userId, tenant]
+            );
+        },
+
+        async exportRows(userId) {
+            return rows(
+                `SELECT id, pattern, response, script, created_at
+                 FROM trained_responses
+                 WHERE tenant_id = $2 AND user_id = $1
+                 ORDER BY created_at ASC`,
+                [userId, tenant]
+            );
+        },
+
+        // opts.lock takes a row lock for the rest of the transaction
+        async get(userId, id, { lock = false } = {}) {
+            return first(
+                `SELECT id, pattern, response, script, script_risk_score, script_risk, created_at, updated_at
+                 FROM trained_responses WHERE tenant_id=$3 AND user_id=$1 AND id=$2 ${lock ? "FOR UPDATE" : ""}`,
+                [userId, id, tenant]
+            );
+        },
+
+        async delete(userId, id) {
+            const result = await q(
+                "DELETE FROM trained_responses WHERE tenant_id = $3 AND user_id = $1 AND id = $2 RETURNING id",
+                [userId, id, tenant]
+            );
+            return result.rows.length > 0;
+        },
+
+        async deleteAll(userId) {
+            return (await rows(
+                "DELETE FROM trained_responses WHERE tenant_id=$2 AND user_id=$1 RETURNING id", [userId, tenant]
+            )).map(r => r.id);
+        },
+
+        // → Map pattern → id for the given patterns
+        async idsByPattern(userId, patterns) {
+            const found = await rows(
+                "SELECT id, pattern FROM trained_responses WHERE tenant_id=$3 AND user_id=$1 AND pattern = ANY($2)",
+                [userId, patterns, tenant]
+            );
+            return new Map(found.map(r => [r.pattern, r.id]));
+        },
+
+        async firstByPattern(userId, pattern) {
+            const row = await first(
+                "SELECT id FROM trained_responses WHERE tenant_id=$3 AND user_id=$1 AND pattern=$2 ORDER BY id LIMIT 1",
+                [userId, pattern, tenant]
+            );
+            return row ? row.id : null;
+        },
+
+        // changes: any of pattern, response, script, riskScore, risk
+        async update(userId, id, changes) {
+            const columns = { pattern: "pattern", response: "response", script: "script",
+                              riskScore: "script_risk_score", risk: "script_risk" };
+            const params = [userId, id, tenant];
+            const sets = [];
+            for (const [key, column] of Object.entries(columns)) {
+                if (changes[key] === undefined) continue;
+                params.push(changes[key]);
+                sets.push(`${column}=$${params.length}`);
+            }
+            return first(
+                `UPDATE trained_responses SET ${sets.join(", ")}, updated_at=NOW()
+                 WHERE user_id=$1 AND id=$2 AND tenant_id=$3
+                 RETURNING id, pattern, response, script, script_risk_score, created_at, updated_at`,
+                params
+            );
+        },
+
+        // Bumps updated_at so delta sync sends the pairs again
+        async touch(userId, ids) {
+            await q(
+                "UPDATE trained_responses SET updated_at=NOW() WHERE tenant_id=$3 AND user_id=$1 AND id = ANY($2::int[])",
+                [userId, ids, tenant]
+            );
+        },
+
+        // Copies the current row into history and locks it, so
+        // concurrent edits get consecutive revision numbers. Call inside
+        // a transaction. → new revision number, or null if no such pair
+        async recordRevision(userId, id, changeType, who) {
+            const row = await first(
+                `SELECT id, pattern, response, script FROM trained_responses
+                 WHERE tenant_id=$3 AND user_id=$1 AND id=$2 FOR UPDATE`,
+                [userId, id, tenant]
+            );
+            if (!row) return null;
+            const saved = await first(
+                `INSERT INTO trained_response_revisions
+                    (response_id, tenant_id, user_id, revision, pattern, response, script, change_type, changed_by)
+                 SELECT $1::int, $8, $2, COALESCE(MAX(revision), 0) + 1, $3, $4, $5, $6, $7
+                 FROM trained_response_revisions WHERE response_id=$1::int
+                 RETURNING revision`,
+                [row.id, userId, row.pattern, row.response, row.script || "", changeType, who, tenant]
+            );
+            return saved.revision;
+        },
+
+        async revisions(userId, id) {
+            return rows(
+                `SELECT revision, pattern, response, script, change_type, changed_by, changed_at
+                 FROM trained_response_revisions
+                 WHERE tenant_id=$3 AND user_id=$1 AND response_id=$2
+                 ORDER BY revision DESC`,
+                [userId, id, tenant]
+            );
+        },
+
+        async revision(userId, id, revision) {
+            return first(
+                `SELECT pattern, response, script FROM trained_response_revisions
+                 WHERE tenant_id=$4 AND user_id=$1 AND response_id=$2 AND revision=$3`,
+                [userId, id, revision, tenant]
+            );
+        },
+
+        // Candidates for /api/respond, with the personality's variant if any
+        async forMatching(userId, personalityName) {
+            return rows(
+                `SELECT t.id, t.pattern, t.response, t.script, t.feedback_up, t.feedback_down,
+                        v.response AS variant_response, v.script AS variant_script
+                 FROM trained_responses t
+                 LEFT JOIN trained_response_variants v ON v.response_id = t.id AND v.personality = $2
+                 WHERE t.tenant_id=$3 AND t.user_id=$1`,
+                [userId, personalityName, tenant]
+            );
+        },
+
+        async setFeedback(userId, id, c) {
+            await q(
+                `UPDATE trained_responses SET feedback_up=$3, feedback_down=$4, success_rate=$5
+                 WHERE tenant_id=$6 AND user_id=$1 AND id=$2`,
+                [userId, id, c.up, c.down, c.rate, tenant]
+            );
+        },
+
+        async rated(userId) {
+            return rows(
+                `SELECT id, pattern, feedback_up, feedback_down, success_rate
+                 FROM trained_responses
+                 WHERE tenant_id=$2 AND user_id=$1 AND feedback_up + feedback_down > 0
+                 ORDER BY success_rate ASC, id`,
+                [userId, tenant]
+            );
+        },
+    };
+
+    // ─── personality variants ─────────────────────────────────
+    const variants = {
+        async list(userId, responseId) {
+            return rows(
+                `SELECT personality, response, script, created_at, updated_at
+                 FROM trained_response_variants
+                 WHERE tenant_id=$3 AND user_id=$1 AND response_id=$2
+                 ORDER BY personality`,
+                [userId, responseId, tenant]
+            );
+        },
+
+        // script null: use the pair's script → row with id and created
+        async save(userId, responseId, personalityName, response, script) {
+            return first(
+                `INSERT INTO trained_response_variants (response_id, tenant_id, user_id, personality, response, script)
+                 VALUES ($1,$6,$2,$3,$4,$5)
+                 ON CONFLICT (response_id, personality)
+                 DO UPDATE SET response=EXCLUDED.response, script=EXCLUDED.script, updated_at=NOW()
+                 RETURNING id, personality, response, script, created_at, updated_at, (xmax = 0) AS created`,
+                [responseId, userId, personalityName, response, script, tenant]
+            );
+        },
+
+        async delete(userId, responseId, personalityName) {
+            const result = await q(
+                `DELETE FROM trained_response_variants
+                 WHERE tenant_id=$4 AND user_id=$1 AND response_id=$2 AND personality=$3
+                 RETURNING id`,
+                [userId, responseId, personalityName, tenant]
+            );
+            return result.rows.length > 0;
+        },
+
+        // Every variant for the personality → [pair ids]
+        async deleteFor(userId, personalityName) {
+            return (await rows(
+                `DELETE FROM trained_response_variants WHERE tenant_id=$3 AND user_id=$1 AND personality=$2
+                 RETURNING response_id`,
+                [userId, personalityName, tenant]
+            )).map(r => r.response_id);
+        },
+    };
+
+    // ─── personalities (player-defined) ───────────────────────
+    const personalities = {
+        async list(userId) {
+            return rows(
+                `SELECT ${PERSONALITY_COLUMNS} FROM personalities WHERE tenant_id=$2 AND user_id=$1 ORDER BY name`,
+                [userId, tenant]
+            );
+        },
+
+        async get(userId, name) {
+            return first(
+                `SELECT ${PERSONALITY_COLUMNS} FROM personalities WHERE tenant_id=$3 AND user_id=$1 AND name=$2`,
+                [userId, name, tenant]
+            );
+        },
+
+        // Upsert → row with id and created
+        async save(userId, name, p) {
+            return first(
+                `INSERT INTO personalities (tenant_id, user_id, name, description, tone, template, greetings, fallbacks, intents)
+                 VALUES ($9,$1,$2,$3,$4,$5,$6,$7,$8)
+                 ON CONFLICT (tenant_id, user_id, name)
+                 DO UPDATE SET
+                    description = EXCLUDED.description,
+                    tone        = EXCLUDED.tone,
+                    template    = EXCLUDED.template,
+                    greetings   = EXCLUDED.greetings,
+                    fallbacks   = EXCLUDED.fallbacks,
+                    intents     = EXCLUDED.intents,
+                    updated_at  = NOW()
+                 RETURNING id, (xmax = 0) AS created, ${PERSONALITY_COLUMNS}`,
+                [userId, name, p.description, JSON.stringify(p.tone), p.template,
+                 JSON.stringify(p.greetings), JSON.stringify(p.fallbacks), JSON.stringify(p.intents), tenant]
+            );
+        },
+
+        async delete(userId, name) {
+            const result = await q(
+                "DELETE FROM personalities WHERE tenant_id=$3 AND user_id=$1 AND name=$2 RETURNING id", [userId, name, tenant]
+            );
+            return result.rows.length > 0;
+        },
+    };
+
+    // ─── shared knowledge base ────────────────────────────────
+    const shared = {
+        async approved(limit) {
+            return rows(
+                `SELECT id, pattern, response, script FROM shared_responses
+                 WHERE tenant_id=$2 AND status='approved' ORDER BY hits DESC LIMIT $1`,
+                [limit, tenant]
+            );
+        },
+
+        // A pending or approved submission of the same pair
+        async findLive(pattern, response) {
+            return first(
+                `SELECT id, status FROM shared_responses
+                 WHERE tenant_id=$3 AND pattern=$1 AND response=$2 AND status <> 'rejected' LIMIT 1`,
+                [pattern, response, tenant]
+            );
+        },
+
+        // pair: a training.get() row
+        async submit(userId, pair) {
+            return first(
+                `INSERT INTO shared_responses
+                    (tenant_id, source_response_id, submitted_by, pattern, response, script, script_risk_score, script_risk)
+                 VALUES ($8,$1,$2,$3,$4,$5,$6,$7)
+                 RETURNING id, status, created_at`,
+                [pair.id, userId, pair.pattern, pair.response, pair.script || "", pair.script_risk_score,
+                 pair.script_risk ? JSON.stringify(pair.script_risk) : null, tenant]
+            );
+        },
+
+        async submissions(userId) {
+            return rows(
+                `SELECT id, source_response_id, pattern, response, status, review_note, reviewed_at, hits, created_at
+                 FROM shared_responses WHERE tenant_id=$2 AND submitted_by=$1 ORDER BY created_at DESC`,
+                [userId, tenant]
+            );
+        },
+
+        // → the withdrawn submission's status, or null
+        async withdraw(userId, id) {
+            const row = await first(
+                "DELETE FROM shared_responses WHERE tenant_id=$3 AND submitted_by=$1 AND id=$2 RETURNING status",
+                [userId, id, tenant]
+            );
+            return row ? row.status : null;
+        },
+
+        async queue(status, limit) {
+            return rows(
+                `SELECT id, submitted_by, pattern, response, script, status, review_note,
+                        reviewed_by, reviewed_at, hits, created_at
+                 FROM shared_responses WHERE tenant_id=$3 AND status=$1
+                 ORDER BY created_at ASC LIMIT $2`,
+                [status, limit, tenant]
+            );
+        },
+
+        async review(id, status, note, by) {
+            return first(
+                `UPDATE shared_responses SET
+                    status=$2, review_note=$3, reviewed_by=$4, reviewed_at=NOW()
+                 WHERE id=$1 AND tenant_id=$5
+                 RETURNING id, status, reviewed_at`,
+                [id, status, note, by, tenant]
+            );
+        },
+
+        async hit(id) {
+            await q("UPDATE shared_responses SET hits = hits + 1 WHERE id=$1 AND tenant_id=$2", [id, tenant]);
+        },
+    };
+
+    // ─── feedback ─────────────────────────────────────────────
+    const feedback = {
+        // Upsert by interaction → id
+        async save(f) {
+            const row = await first(
+                `INSERT INTO interaction_feedback
+                    (interaction_id, tenant_id, user_id, rating, corrected_response, promoted_response_id)
+                 VALUES ($1,$6,$2,$3,$4,$5)
+                 ON CONFLICT (interaction_id)
+                 DO UPDATE SET
+                    rating               = EXCLUDED.rating,
+                    corrected_response   = COALESCE(EXCLUDED.corrected_response, interaction_feedback.corrected_response),
+                    promoted_response_id = COALESCE(EXCLUDED.promoted_response_id, interaction_feedback.promoted_response_id),
+                    updated_at           = NOW()
+                 RETURNING id`,
+                [f.interactionId, f.userId, f.rating, f.correction, f.promotedId, tenant]
+            );
+            return row.id;
+        },
+
+        // Ratings on the user's interactions with that trained pair or
+        // intent → { up, down }
+        async counts(userId, { trainedId, intent }) {
+            const [column, value] = trainedId !== undefined ? ["trained_response_id", trainedId] : ["intent", intent];
+            const row = await first(
+                `SELECT COALESCE(SUM(CASE WHEN f.rating = 1  THEN 1 ELSE 0 END), 0) AS up,
+                        COALESCE(SUM(CASE WHEN f.rating = -1 THEN 1 ELSE 0 END), 0) AS down
+                 FROM interaction_feedback f
+                 JOIN interactions i ON i.id = f.interaction_id
+                 WHERE i.tenant_id = $3 AND i.user_id = $1 AND i.${column} = $2`,
+                [userId, value, tenant]
+            );
+            return { up: parseInt(row.up), down: parseInt(row.down) };
+        },
+
+        async saveIntentStats(userId, intent, c) {
+            await q(
+                `INSERT INTO intent_stats (tenant_id, user_id, intent, feedback_up, feedback_down, success_rate, updated_at)
+                 VALUES ($6,$1,$2,$3,$4,$5,NOW())
+                 ON CONFLICT (tenant_id, user_id, intent)
+                 DO UPDATE SET
+                    feedback_up   = EXCLUDED.feedback_up,
+                    feedback_down = EXCLUDED.feedback_down,
+                    success_rate  = EXCLUDED.success_rate,
+                    updated_at    = NOW()`,
+                [userId, intent, c.up, c.down, c.rate, tenant]
+            );
+        },
+
+        async intentStats(userId) {
+            return rows(
+                `SELECT intent, feedback_up, feedback_down, success_rate, updated_at
+                 FROM intent_stats WHERE tenant_id=$2 AND user_id=$1 ORDER BY intent`,
+                [userId, tenant]
+            );
+        },
+    };
+
+    // ─── learning patterns ────────────────────────────────────
+    const learning = {
+        async add(userId, patterns, type, successRate) {
+            await q(
+                `INSERT INTO learning_patterns (tenant_id, user_id, patterns, pattern_type, success_rate)
+                 VALUES ($5,$1,$2,$3,$4)`,
+                [userId, JSON.stringify(patterns), type, successRate, tenant]
+            );
+        },
+
+        async setSuccessRate(userId, type, rate) {
+            await q(
+                "UPDATE learning_patterns SET success_rate=$3 WHERE tenant_id=$4 AND user_id=$1 AND pattern_type=$2",
+                [userId, type, rate, tenant]
+            );
+        },
+    };
+
+    // ─── bayesian model ───────────────────────────────────────
+    const bayes = {
+        // What the classifier needs, one row per intent
+        async model(userId) {
+            return rows(
+                `SELECT intent, prior_probability, conditional_probs, unseen_prob
+                 FROM bayesian_probs WHERE tenant_id=$2 AND user_id=$1`,
+                [userId, tenant]
+            );
+        },
+
+        async all(userId) {
+            return rows("SELECT * FROM bayesian_probs WHERE tenant_id=$2 AND user_id=$1", [userId, tenant]);
+        },
+
+        // Swaps in a server-trained model (lib/bayes.js toRows())
+        async replace(userId, modelRows) {
+            await q("DELETE FROM bayesian_probs WHERE tenant_id=$2 AND user_id=$1", [userId, tenant]);
+            for (const row of modelRows) {
+                await q(
+                    `INSERT INTO bayesian_probs
+                        (tenant_id, user_id, intent, prior_probability, conditional_probs, unseen_prob,
+                         sample_count, source, trained_at, updated_at)
+                     VALUES ($7,$1,$2,$3,$4,$5,$6,'server',NOW(),NOW())`,
+                    [userId, row.intent, row.prior_probability, JSON.stringify(row.conditional_probs),
+                     row.unseen_prob, row.sample_count, tenant]
+                );
+            }
+        },
+
+        // A client-pushed prior for one intent
+        async push(userId, intent, prior, conditional) {
+            await q(
+                `INSERT INTO bayesian_probs (tenant_id, user_id, intent, prior_probability, conditional_probs, source, updated_at)
+                 VALUES ($5,$1,$2,$3,$4,'client',NOW())
+                 ON CONFLICT (tenant_id, user_id, intent)
+                 DO UPDATE SET
+                    prior_probability = $3,
+                    conditional_probs = $4,
+                    unseen_prob       = NULL,
+                    source            = 'client',
+                    updated_at        = NOW()`,
+                [userId, intent, prior, JSON.stringify(conditional), tenant]
+            );
+        },
+    };
+
+    // ─── analytics + global stats ─────────────────────────────
+    const analytics = {
+        async recordScript(userId, scriptType, success, errorMessage) {
+            await q(
+                `INSERT INTO script_analytics (tenant_id, user_id, script_type, execution_success, error_message)
+                 VALUES ($5,$1,$2,$3,$4)`,
+                [userId, scriptType, success, errorMessage, tenant]
+            );
+        },
+
+        // Raw rows plus whatever retention already rolled up
+        async scriptStats(userId) {
+            return rows(
+                `SELECT script_type, SUM(total) AS total, SUM(successful) AS successful
+                 FROM (
+                     SELECT script_type,
+                            COUNT(*) AS total,
+                            SUM(CASE WHEN execution_success THEN 1 ELSE 0 END) AS successful
+                     FROM script_analytics WHERE tenant_id=$2 AND user_id=$1
+                     GROUP BY script_type
+                     UNION ALL
+                     SELECT NULLIF(script_type, ''), total, successful
+                     FROM script_analytics_daily WHERE tenant_id=$2 AND user_id=$1
+                 ) s
+                 GROUP BY script_type`,
+                [userId, tenant]
+            );
+        },
+
+        async dailyInteractions(userId) {
+            return rows(
+                `SELECT date, SUM(n) AS interactions
+                 FROM (
+                     SELECT DATE(created_at) AS date, COUNT(*) AS n
+                     FROM interactions
+                     WHERE tenant_id=$2 AND user_id=$1 AND created_at > NOW() - INTERVAL '30 days'
+                     GROUP BY DATE(created_at)
+                     UNION ALL
+                     SELECT day, interactions
+                     FROM interaction_daily
+                     WHERE tenant_id=$2 AND user_id=$1 AND day > CURRENT_DATE - 30
+                 ) d
+                 GROUP BY date
+                 ORDER BY date DESC`,
+                [userId, tenant]
+            );
+        },
+
+        // Everything /api/stats/global reports, counts as numbers: for
+        // every tenant on the root repository, for one on forTenant()
+        async global() {
+            const params = tenant ? [tenant] : [];
+            const where  = tenant ? "WHERE tenant_id = $1" : "";
+            const and    = tenant ? "AND tenant_id = $1" : "";
+            const [users, total, topScripts, topVocab, trained, topShared, sharedCounts] = await Promise.all([
+                first(`
+                    SELECT COUNT(DISTINCT user_id) AS count FROM (
+                        SELECT user_id FROM interactions ${where}
+                        UNION SELECT user_id FROM interaction_daily ${where}
+                    ) u
+                `, params),
+                first(`
+                    SELECT (SELECT COUNT(*) FROM interactions ${where})
+                         + (SELECT COALESCE(SUM(interactions), 0) FROM interaction_daily ${where}) AS count
+                `, params),
+                rows(`
+                    SELECT script_type, SUM(cnt) AS cnt FROM (
+                        SELECT script_type, COUNT(*) AS cnt FROM script_analytics ${where} GROUP BY script_type
+                        UNION ALL
+                        SELECT NULLIF(script_type, ''), total FROM script_analytics_daily ${where}
+                    ) s
+                    GROUP BY script_type ORDER BY cnt DESC LIMIT 10
+                `, params),
+                rows(`
+                    SELECT word, SUM(freq) AS total_freq
+                    FROM vocab ${where} GROUP BY word ORDER BY total_freq DESC LIMIT 20
+                `, params),
+                first(`SELECT COUNT(*) AS count FROM trained_responses ${where}`, params),
+                rows(`
+                    SELECT id, pattern, response, submitted_by, hits
+                    FROM shared_responses WHERE status='approved' ${and}
+                    ORDER BY hits DESC LIMIT 10
+                `, params),
+                rows(`SELECT status, COUNT(*) AS count FROM shared_responses ${where} GROUP BY status`, params),
+            ]);
+            const sharedByStatus = { pending: 0, approved: 0, rejected: 0 };
+            for (const row of sharedCounts) sharedByStatus[row.status] = parseInt(row.count);
+            return {
+                users:        parseInt(users.count),
+                interactions: parseInt(total.count),
+                trainedPairs: parseInt(trained.count),
+                topScripts,
+                topVocab,
+                shared:       sharedByStatus,
+                topShared,
+            };
+        },
+
+        // Headline totals per tenant, including tenants with data but no
+        // tenants row → [{ tenant_id, name, users, interactions, trainedPairs, vocabWords }]
+        async tenants() {
+            const [named, users, interactions, trained, words] = await Promise.all([
+                rows("SELECT id, name FROM tenants"),
+                rows(`
+                    SELECT tenant_id, COUNT(DISTINCT user_id) AS n FROM (
+                        SELECT tenant_id, user_id FROM interactions
+                        UNION SELECT tenant_id, user_id FROM interaction_daily
+                    ) u GROUP BY tenant_id
+                `),
+                rows(`
+                    SELECT tenant_id, SUM(n) AS n FROM (
+                        SELECT tenant_id, COUNT(*) AS n FROM interactions GROUP BY tenant_id
+                        UNION ALL
+                        SELECT tenant_id, SUM(interactions) FROM interaction_daily GROUP BY tenant_id
+                    ) i GROUP BY tenant_id
+                `),
+                rows("SELECT tenant_id, COUNT(*) AS n FROM trained_responses GROUP BY tenant_id"),
+                rows("SELECT tenant_id, COUNT(*) AS n FROM vocab GROUP BY tenant_id"),
+            ]);
+            const byTenant = new Map(named.map(t => [t.id, {
+                tenant_id: t.id, name: t.name, users: 0, interactions: 0, trainedPairs: 0, vocabWords: 0,
+            }]));
+            const add = (list, key) => {
+                for (const row of list) {
+                    if (!byTenant.has(row.tenant_id)) {
+                        byTenant.set(row.tenant_id, {
+                            tenant_id: row.tenant_id, name: null, users: 0, interactions: 0, trainedPairs: 0, vocabWords: 0,
+                        });
+                    }
+                    byTenant.get(row.tenant_id)[key] = parseInt(row.n);
+                }
+            };
+            add(users, "users");
+            add(interactions, "interactions");
+            add(trained, "trainedPairs");
+            add(words, "vocabWords");
+            return [...byTenant.values()].sort((a, b) => b.interactions - a.interactions || (a.tenant_id < b.tenant_id ? -1 : 1));
+        },
+    };
+
+    // ─── export + erasure ─────────────────────────────────────
+    const users = {
+        exportData: (userId) => erasure.exportUser(pool, tenant, userId),
+        // On the root repository, every tenant's copy of the user
+        erase:      (userId, opts) => erasure.eraseUser(pool, tenant, userId, opts),
+
+        // A tenant's own requests plus the ones that covered every tenant
+        async erasures(userId, limit) {
+            const params = [limit];
+            const where = [];
+            if (tenant) {
+                params.push(tenant);
+                where.push(`(tenant_id=$${params.length} OR tenant_id IS NULL)`);
+            }
+            if (userId) {
+                params.push(String(userId));
+                where.push(`user_id=$${params.length}`);
+            }
+            return rows(
+                `SELECT id, tenant_id, user_id, source, notification_id, requested_by, game_ids, status,
+                        rows_deleted, error, requested_at, completed_at
+                 FROM erasure_requests ${where.length ? "WHERE " + where.join(" AND ") : ""}
+                 ORDER BY requested_at DESC
+                 LIMIT $1`,
+                params
+            );
+        },
+
+        async erasureByNotification(notificationId) {
+            return first("SELECT id FROM erasure_requests WHERE notification_id=$1", [notificationId]);
+        },
+    };
+
+    // ─── API keys ─────────────────────────────────────────────
+    const apiKeys = {
+        async get(keyId) {
+            return first(
+                `SELECT key_id, universe_id, tenant_id, name, secret, previous_secret,
+                        previous_expires_at, scopes, revoked_at
+                 FROM api_keys WHERE key_id=$1`,
+                [keyId]
+            );
+        },
+
+        async touch(keyId) {
+            await q("UPDATE api_keys SET last_used_at=NOW() WHERE key_id=$1", [keyId]);
+        },
+
+        async list() {
+            return rows(
+                `SELECT key_id, universe_id, tenant_id, name, scopes, created_at, rotated_at,
+                        revoked_at, last_used_at
+                 FROM api_keys ORDER BY created_at DESC`
+            );
+        },
+
+        async create({ keyId, universeId, tenantId, name, secret, scopes }) {
+            return first(
+                `INSERT INTO api_keys (key_id, universe_id, tenant_id, name, secret, scopes)
+                 VALUES ($1,$2,$3,$4,$5,$6)
+                 RETURNING created_at`,
+                [keyId, universeId, tenantId, name, secret, scopes]
+            );
+        },
+
+        // The old secret stays valid for graceMs → row or null if not active
+        async rotate(keyId, secret, graceMs) {
+            return first(
+                `UPDATE api_keys SET
+                    previous_secret     = secret,
+                    previous_expires_at = NOW() + ($3 || ' milliseconds')::interval,
+                    secret              = $2,
+                    rotated_at          = NOW()
+                 WHERE key_id=$1 AND revoked_at IS NULL
+                 RETURNING previous_expires_at`,
+                [keyId, secret, ms(graceMs)]
+            );
+        },
+
+        async revoke(keyId) {
+            const result = await q(
+                `UPDATE api_keys SET revoked_at=NOW(), previous_secret=NULL
+                 WHERE key_id=$1 AND revoked_at IS NULL
+                 RETURNING key_id`,
+                [keyId]
+            );
+            return result.rows.length > 0;
+        },
+    };
+
+    // ─── tenants ──────────────────────────────────────────────
+    const tenants = {
+        async list() {
+            return rows("SELECT id, name, config, created_at, updated_at FROM tenants ORDER BY id");
+        },
+
+        async get(id) {
+            return first("SELECT id, name, config, created_at, updated_at FROM tenants WHERE id=$1", [id]);
+        },
+
+        // Upsert; null name/config keep what is stored → row with created
+        async save(id, name, config) {
+            return first(
+                `INSERT INTO tenants (id, name, config)
+                 VALUES ($1, COALESCE($2, ''), COALESCE($3::jsonb, '{}'))
+                 ON CONFLICT (id) DO UPDATE SET
+                    name       = COALESCE($2, tenants.name),
+                    config     = COALESCE($3::jsonb, tenants.config),
+                    updated_at = NOW()
+                 RETURNING id, name, config, created_at, updated_at, (xmax = 0) AS created`,
+                [id, name, config ? JSON.stringify(config) : null]
+            );
+        },
+    };
+
+    // ─── job runs (lib/jobs.js) ───────────────────────────────
+    const jobs = {
+        // Runs fn(store) holding the job's advisory lock on one
+        // connection; undefined when another replica holds it
+        async withLock(name, fn) {
+            const client = await pool.connect();
+            try {
+                const lock = await client.query(
+                    "SELECT pg_try_advisory_lock($1, $2) AS ok", [JOB_LOCK_NAMESPACE, jobLockKey(name)]
+                );
+                if (!lock.rows[0].ok) return undefined;
+                try {
+                    return await fn(build(client, pool, null).jobs);
+                } finally {
+                    await client.query("SELECT pg_advisory_unlock($1, $2)", [JOB_LOCK_NAMESPACE, jobLockKey(name)]);
+                }
+            } finally {
+                client.release();
+            }
+        },
+
+        async succeededWithin(name, windowMs) {
+            const row = await first(
+                `SELECT 1 FROM job_runs
+                 WHERE job_name=$1 AND status='ok'
+                   AND started_at > NOW() - ($2 || ' milliseconds')::interval
+                 LIMIT 1`,
+                [name, ms(windowMs)]
+            );
+            return !!row;
+        },
+
+        async start(name, trigger, instance) {
+            const row = await first(
+                `INSERT INTO job_runs (job_name, trigger, instance, status)
+                 VALUES ($1,$2,$3,'running') RETURNING id`,
+                [name, trigger, instance]
+            );
+            return row.id;
+        },
+
+        async finish(runId, status, { result = null, error = null } = {}) {
+            await q(
+                "UPDATE job_runs SET status=$2, result=$3, error=$4, finished_at=NOW() WHERE id=$1",
+                [runId, status, status === "ok" ? JSON.stringify(result === undefined ? null : result) : null, error]
+            );
+        },
+
+        async lastRun(name) {
+            return first(
+                `SELECT id, trigger, instance, status, result, error, started_at, finished_at
+                 FROM job_runs WHERE job_name=$1 ORDER BY started_at DESC, id DESC LIMIT 1`,
+                [name]
+            );
+        },
+
+        async lastSuccess(name) {
+            return first(
+                `SELECT id, started_at, finished_at FROM job_runs
+                 WHERE job_name=$1 AND status='ok' ORDER BY started_at DESC, id DESC LIMIT 1`,
+                [name]
+            );
+        },
+    };
+
+    return {
+        tenant,
+        sessions, interactions, scriptRisk, flags, vocab, preferences, syncBatches, tombstones,
+        training, variants, personalities, shared, feedback, learning, bayes, analytics, users,
+        apiKeys, tenants, jobs,
+
+        cursor: () => deltaSync.readCursor(db),
+
+        async publish(channel, payload) {
+            await q("SELECT pg_notify($1, $2)", [channel, payload]);
+        },
+
+        search: {
+            text:              (opts) => search.searchText(db, { ...opts, tenantId: tenant }),
+            vector:            (opts) => search.searchVector(db, { ...opts, tenantId: tenant }),
+            refreshEmbeddings: (opts) => search.refreshEmbeddings(db, opts),
+        },
+
+        retention: {
+            run: (policy) => retention.runRetention(db, policy),
+        },
+    };
+}
+
+// The namespaces for one tenant (null: the root repository) plus
+// transaction()
+function open(pool, tenant) {
+    const repo = build(pool, pool, tenant);
+
+    // fn(tx) runs on one connection between BEGIN and COMMIT; it rolls
+    // back when fn throws or returns tx.rollback(value)
+    repo.transaction = async (fn) => {
+        const client = await pool.connect();
+        let rolledBack = false;
+        try {
+            await client.query("BEGIN");
+            const tx = build(client, pool, tenant);
+            tx.rollback = (value) => { rolledBack = true; return value; };
+            const value = await fn(tx);
+            await client.query(rolledBack ? "ROLLBACK" : "COMMIT");
+            return value;
+        } catch (err) {
+            await client.query("ROLLBACK").catch(() => {});
+            throw err;
+        } finally {
+            client.release();
+        }
+    };
+    return repo;
+}
+
+function createPostgresRepository(pool = require("../db").pool) {
+    const repo = open(pool, null);
+    const scoped = new Map();   // tenant id → repository
+
+    repo.forTenant = (id) => {
+        if (!scoped.has(id)) scoped.set(id, open(pool, id));
+        return scoped.get(id);
+    };
+
+    // One connection LISTENing on channel until close()
+    repo.listen = async (channel, onPayload, onError) => {
+        const client = await pool.connect();
+        try {
+            client.on("notification", (n) => { if (n.channel === channel) onPayload(n.payload); });
+            client.on("error", onError);
+            await client.query(`LISTEN ${channel}`);
+        } catch (err) {
+            client.release(true);
+            throw err;
+        }
+        return { close: () => client.release(true) };
+    };
+
+    repo.backend = "postgres";
+    repo.ping = (timeoutMs) => pool.query({ text: "SELECT 1", query_timeout: timeoutMs });
+    repo.migrate = (opts) => migrate.up(pool, opts);
+    repo.pendingMigrations = () => migrate.pending(pool);
+    repo.poolStats = () => ({ total: pool.totalCount, idle: pool.idleCount, waiting: pool.waitingCount });
+    repo.close = () => pool.end();
+    return repo;
+}
+
+module.exports = { createPostgresRepository };
@@ -0,0 +1,148 @@
+// lib/retention.js — data retention policy and pruning
+//
+// Windows are in days from env; 0 keeps that data forever.
+//
+//   RETENTION_INTERACTIONS_DAYS      raw interactions (default 90), older
+//                                    rows roll up into interaction_daily
+//   RETENTION_SCRIPT_ANALYTICS_DAYS  script_analytics (default 90), rolled
+//                                    up into script_analytics_daily
+//   RETENTION_LEARNING_DAYS          learning_patterns older than this keep
+//                                    only their newest row per user/type (30)
+//   RETENTION_LEARNING_KEEP          newest rows kept per user/type (20)
+//
+// Runs cover every tenant; rollups stay per tenant.
+//   RETENTION_JOB_RUNS_DAYS          job_runs history (30)
+//
+// Interactions with player feedback are kept: success rates are
+// recomputed from them. Each run moves at most BATCH_SIZE * MAX_BATCHES
+// rows per table so a backlog is worked off over several runs.
+
+const BATCH_SIZE  = 5000;
+const MAX_BATCHES = 20;
+
+function envDays(name, fallback) {
+    const v = parseInt(process.env[name]);
+    return Number.isFinite(v) && v >= 0 ? v : fallback;
+}
+
+function loadPolicy() {
+    return {
+        interactionsDays:    envDays("RETENTION_INTERACTIONS_DAYS", 90),
+        scriptAnalyticsDays: envDays("RETENTION_SCRIPT_ANALYTICS_DAYS", 90),
+        learningDays:        envDays("RETENTION_LEARNING_DAYS", 30),
+        learningKeep:        Math.max(1, envDays("RETENTION_LEARNING_KEEP", 20)),
+        jobRunsDays:         envDays("RETENTION_JOB_RUNS_DAYS", 30),
+    };
+}
+
+// Runs `sql` (which must return a single row with column n = rows
+// removed) until a batch comes back short or MAX_BATCHES is reached
+async function inBatches(db, sql, params) {
+    let total = 0;
+    for (let i = 0; i < MAX_BATCHES; i++) {
+        const result = await db.query(sql, [...params, BATCH_SIZE]);
+        const n = parseInt(result.rows[0].n) || 0;
+        total += n;
+        if (n < BATCH_SIZE) break;
+    }
+    return total;
+}
+
+async function rollupInteractions(db, days) {
+    if (!days) return 0;
+    return inBatches(db, `
+        WITH doomed AS (
+            DELETE FROM interactions
+            WHERE id IN (
+                SELECT i.id FROM interactions i
+                WHERE i.created_at < NOW() - ($1 || ' days')::interval
+                  AND NOT EXISTS (SELECT 1 FROM interaction_feedback f WHERE f.interaction_id = i.id)
+                ORDER BY i.id
+                LIMIT $2
+            )
+            RETURNING tenant_id, user_id, created_at, intent, confidence
+        ), rolled AS (
+            INSERT INTO interaction_daily (tenant_id, user_id, day, intent, interactions, confidence_sum, confidence_n)
+            SELECT tenant_id, user_id, created_at::date, COALESCE(intent, ''), COUNT(*),
+                   COALESCE(SUM(confidence), 0), COUNT(confidence)
+            FROM doomed
+            GROUP BY 1, 2, 3, 4
+            ON CONFLICT (tenant_id, user_id, day, intent) DO UPDATE SET
+                interactions   = interaction_daily.interactions   + EXCLUDED.interactions,
+                confidence_sum = interaction_daily.confidence_sum + EXCLUDED.confidence_sum,
+                confidence_n   = interaction_daily.confidence_n   + EXCLUDED.confidence_n
+            RETURNING 1
+        )
+        SELECT COUNT(*) AS n FROM doomed`, [String(days)]);
+}
+
+async function rollupScriptAnalytics(db, days) {
+    if (!days) return 0;
+    return inBatches(db, `
+        WITH doomed AS (
+            DELETE FROM script_analytics
+            WHERE id IN (
+                SELECT id FROM script_analytics
+                WHERE created_at < NOW() - ($1 || ' days')::interval
+                ORDER BY id
+                LIMIT $2
+            )
+            RETURNING tenant_id, user_id, created_at, script_type, execution_success
+        ), rolled AS (
+            INSERT INTO script_analytics_daily (tenant_id, user_id, day, script_type, total, successful)
+            SELECT tenant_id, COALESCE(user_id, ''), created_at::date, COALESCE(script_type, ''), COUNT(*),
+                   SUM(CASE WHEN execution_success THEN 1 ELSE 0 END)
+            FROM doomed
+            GROUP BY 1, 2, 3, 4
+            ON CONFLICT (tenant_id, user_id, day, script_type) DO UPDATE SET
+                total      = script_analytics_daily.total      + EXCLUDED.total,
+                successful = script_analytics_daily.successful + EXCLUDED.successful
+            RETURNING 1
+        )
+        SELECT COUNT(*) AS n FROM doomed`, [String(days)]);
+}
+
+// Beyond the newest `keep` rows per user/type everything goes; past
+// `days`, all but the newest one go.
+async function pruneLearningPatterns(db, days, keep) {
+    return inBatches(db, `
+        WITH doomed AS (
+            DELETE FROM learning_patterns
+            WHERE id IN (
+                SELECT id FROM (
+                    SELECT id, created_at,
+                           ROW_NUMBER() OVER (PARTITION BY tenant_id, user_id, pattern_type ORDER BY id DESC) AS rn
+                    FROM learning_patterns
+                ) ranked
+                WHERE rn > $1 OR ($2::int > 0 AND rn > 1 AND created_at < NOW() - $2::int * INTERVAL '1 day')
+                LIMIT $3
+            )
+            RETURNING 1
+        )
+        SELECT COUNT(*) AS n FROM doomed`, [keep, days]);
+}
+
+async function pruneJobRuns(db, days) {
+    if (!days) return 0;
+    const result = await db.query(
+        "DELETE FROM job_runs WHERE started_at < NOW() - ($1 || ' days')::interval",
+        [String(days)]
+    );
+    return result.rowCount;
+}
+
+// One pass of every policy → counts per table, for job_runs.result
+async function runRetention(db, policy = loadPolicy()) {
+    return {
+        policy,
+        interactionsRolledUp:    await rollupInteractions(db, policy.interactionsDays),
+        scriptAnalyticsRolledUp: await rollupScriptAnalytics(db, policy.scriptAnalyticsDays),
+        learningPatternsPruned:  await pruneLearningPatterns(db, policy.learningDays, policy.learningKeep),
+        jobRunsPruned:           await pruneJobRuns(db, policy.jobRunsDays),
+    };
+}
+
+module.exports = {
+    loadPolicy,
+    runRetention,
+};
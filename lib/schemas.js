@@ -0,0 +1,440 @@
+// lib/schemas.js — request schemas for every route in server.js
+//
+// One entry per route, passed to validate() (lib/validate.js) and
+// collected from the router into the OpenAPI document. Column-backed
+// strings carry the column's length so oversized values get a 400 here
+// instead of a Postgres error. Batch items in /api/sync and
+// /api/vocab/save are checked one by one in the route (SYNC_ITEM,
+// VOCAB_ENTRY) so one bad item doesn't sink the whole batch.
+
+const { SCOPES } = require("./auth");
+const { CASES, ENDINGS } = require("./personality");
+
+const LIMITS = {
+    PATTERN_MAX:       500,
+    RESPONSE_MAX:      5000,
+    PROMPT_MAX:        500,
+    SCRIPT_MAX:        100000,
+    INTENT_MAX:        64,
+    WORD_MAX:          128,
+};
+
+const str = (max, extra = {}) => ({ type: "string", maxLength: max, ...extra });
+const nonEmpty = (max, extra = {}) => str(max, { minLength: 1, ...extra });
+const int = (min, max, extra = {}) => ({ type: "integer", minimum: min, maximum: max, ...extra });
+const obj = (properties, required = [], extra = {}) => ({ type: "object", properties, required, ...extra });
+
+const userId    = { type: ["string", "integer"], minLength: 1, maxLength: 64, minimum: 1, description: "Roblox player id" };
+const rowId     = int(1, 2147483647);
+const rowIdLike = { type: ["integer", "string"], minimum: 1, maximum: 2147483647, pattern: "^[1-9][0-9]{0,9}$" };
+const sessionId = nonEmpty(64);
+const editedBy  = str(128, { description: "Shown in revision history; defaults to the API key id" });
+const cursor    = str(512, { description: "Cursor from a previous response; returns only changes since" });
+const limit     = (max) => int(1, max, { description: `Max rows (1-${max})` });
+const script    = { type: ["string", "null"], maxLength: LIMITS.SCRIPT_MAX };
+
+const user     = obj({ userId }, ["userId"]);
+const userAnd  = (props) => obj({ userId, ...props }, ["userId", ...Object.keys(props)]);
+const userRow  = userAnd({ id: rowId });
+
+const VOCAB_ENTRY = obj({
+    freq:   int(0, 1000000000),
+    cat:    str(64),
+    weight: { type: "number", minimum: 0, maximum: 1000 },
+});
+
+const SYNC_ITEM = obj({
+    Type:      { type: "string", enum: ["interaction", "vocab"] },
+    Data:      { type: "object" },
+    SessionId: str(64),
+    Timestamp: { type: "integer", minimum: 0 },
+}, ["Type", "Data"]);
+
+const INTERACTION_DATA = obj({
+    UserPrompt:  str(LIMITS.RESPONSE_MAX),
+    BotResponse: str(LIMITS.RESPONSE_MAX),
+    Script:      script,
+    Intent:      { type: ["string", "null"], maxLength: LIMITS.INTENT_MAX },
+    Confidence:  { type: ["number", "null"] },
+});
+
+const personalityName = nonEmpty(64, { pattern: "^[A-Za-z0-9][A-Za-z0-9 _-]*$", description: "Built-in or player-defined personality" });
+const tenantId = nonEmpty(64, { pattern: "^[A-Za-z0-9_-]+$", description: "Tenant (Roblox universe) id" });
+const lines = (description) => ({ type: "array", maxItems: 20, items: nonEmpty(500), description });
+const template = nonEmpty(500, { description: "Wraps the response; must contain {response} ({personality}, {intent} also filled in)" });
+
+const TONE = obj({
+    case:      { type: "string", enum: CASES },
+    ending:    { type: "string", enum: ENDINGS, description: "How a statement ends; questions keep their ?" },
+    replace:   { type: "object", maxProperties: 50, propertyNames: nonEmpty(64), additionalProperties: str(200),
+                 description: "Whole-word replacements, case-insensitive" },
+    maxLength: int(10, LIMITS.RESPONSE_MAX),
+}, [], { additionalProperties: false });
+
+const PERSONALITY = obj({
+    description: str(500),
+    tone:        TONE,
+    template,
+    greetings:   lines("Said when a session starts"),
+    fallbacks:   lines("Said when nothing matched"),
+    intents: {
+        type: "object",
+        maxProperties: 50,
+        propertyNames: nonEmpty(LIMITS.INTENT_MAX),
+        additionalProperties: obj({ tone: TONE, template, responses: lines("Used instead of fallbacks for this intent") },
+                                  [], { additionalProperties: false }),
+    },
+}, [], { additionalProperties: false });
+
+const VOCAB_DATA = {
+    type: "object",
+    propertyNames: nonEmpty(LIMITS.WORD_MAX),
+    additionalProperties: VOCAB_ENTRY,
+};
+
+// Per-tenant overrides (lib/tenants.js); every part is optional
+const FILTER_ACTION = { type: "string", enum: ["flag", "mask", "reject"] };
+const PII_SEVERITY  = { type: "string", enum: ["off", "low", "medium", "high"] };
+const CONTENT_RULE  = obj({
+    id:       nonEmpty(64),
+    category: str(64),
+    severity: { type: "string", enum: ["low", "medium", "high"] },
+    words:    { type: "array", minItems: 1, maxItems: 500, items: nonEmpty(64) },
+    pattern:  nonEmpty(500, { description: "Regex, case-insensitive" }),
+}, ["id", "severity"], { additionalProperties: false });
+
+const TENANT_CONFIG = obj({
+    limits: obj({
+        syncItems:       int(1, 100000),
+        vocabItems:      int(1, 100000),
+        importRows:      int(1, 100000),
+        scriptLength:    int(1, LIMITS.SCRIPT_MAX),
+        respondMinScore: { type: "number", minimum: 0, maximum: 1 },
+    }, [], { additionalProperties: false }),
+    contentFilter: obj({
+        actions:       obj({ low: FILTER_ACTION, medium: FILTER_ACTION, high: FILTER_ACTION }, [], { additionalProperties: false }),
+        pii:           obj({ email: PII_SEVERITY, phone: PII_SEVERITY, url: PII_SEVERITY }, [], { additionalProperties: false }),
+        rules:         { type: "array", maxItems: 100, items: CONTENT_RULE, description: "Added to the server's rules" },
+        disabledRules: { type: "array", maxItems: 100, items: nonEmpty(64), description: "Server rule ids to skip" },
+    }, [], { additionalProperties: false }),
+    defaultPersonality: { ...personalityName, description: "Built-in used when a player hasn't picked one" },
+}, [], { additionalProperties: false });
+
+const SCHEMAS = {
+    health:      { summary: "Readiness summary (kept for existing monitors)", public: true },
+    healthLive:  { summary: "Liveness: the process is serving", public: true },
+    healthReady: { summary: "Readiness: database reachable and migrations applied (503 otherwise)", public: true },
+    metrics:     { summary: "Prometheus metrics (Bearer METRICS_TOKEN when set)", public: true, text: true },
+
+    sync: {
+        summary: "Push a batch of interactions and vocab updates",
+        body: obj({
+            userId,
+            data:           { type: "array", items: { description: "See SYNC_ITEM; invalid items are reported in `errors` and skipped" } },
+            sessionId,
+            idempotencyKey: nonEmpty(128, { description: "Or the Idempotency-Key header" }),
+        }, ["userId", "data"]),
+    },
+    vocabSave: {
+        summary: "Save vocab words (max frequency/weight wins)",
+        body: obj({ userId, vocab: { type: "object", description: "word → { freq, cat, weight }; invalid entries are reported in `errors`" } }, ["userId", "vocab"]),
+    },
+    vocabLoad: {
+        summary: "Load vocab, or only changes since a cursor",
+        params: user,
+        query: obj({ since: cursor }),
+    },
+
+    trainingSave: {
+        summary: "Add a trained pattern/response pair",
+        body: obj({
+            userId,
+            pattern:  nonEmpty(LIMITS.PATTERN_MAX),
+            response: nonEmpty(LIMITS.RESPONSE_MAX),
+            script,
+        }, ["userId", "pattern", "response"]),
+    },
+    trainingLoad: {
+        summary: "List trained pairs, or only changes since a cursor",
+        params: user,
+        query: obj({ since: cursor }),
+    },
+    trainingDelete: { summary: "Delete a trained pair", params: userRow },
+    trainingUpdate: {
+        summary: "Edit a trained pair (previous version goes to history)",
+        params: userRow,
+        body: obj({
+            pattern:  nonEmpty(LIMITS.PATTERN_MAX),
+            response: nonEmpty(LIMITS.RESPONSE_MAX),
+            script,
+            editedBy,
+        }),
+    },
+    trainingHistory: { summary: "Revision history of a trained pair", params: userRow },
+    trainingVariants: { summary: "Per-personality variants of a trained pair", params: userRow },
+    trainingVariantSave: {
+        summary: "Set the response a personality gives for a trained pair",
+        params: userAnd({ id: rowId, personality: personalityName }),
+        body: obj({ response: nonEmpty(LIMITS.RESPONSE_MAX), script }, ["response"]),
+    },
+    trainingVariantDelete: {
+        summary: "Remove a personality's variant of a trained pair",
+        params: userAnd({ id: rowId, personality: personalityName }),
+    },
+    trainingRevert: {
+        summary: "Restore a trained pair to an earlier revision",
+        params: userRow,
+        body: obj({ revision: rowIdLike, editedBy }, ["revision"]),
+    },
+    trainingExport: {
+        summary: "Export all trained pairs as JSON or CSV",
+        params: user,
+        query: obj({ format: { type: "string", enum: ["json", "csv"] } }),
+    },
+    trainingImport: {
+        summary: "Bulk import trained pairs from JSON or CSV",
+        params: user,
+        query: obj({
+            mode:        { type: "string", enum: ["merge", "replace"] },
+            onDuplicate: { type: "string", enum: ["skip", "overwrite"] },
+            dryRun:      { type: "boolean" },
+        }),
+        body: {
+            type: ["object", "string"],
+            description: "JSON { pairs | csv, mode?, onDuplicate?, dryRun? } or a text/csv body",
+            properties: {
+                pairs: { type: "array", items: { type: "object" } },
+                csv:   { type: "string" },
+                mode:        { type: "string", enum: ["merge", "replace"] },
+                onDuplicate: { type: "string", enum: ["skip", "overwrite"] },
+                dryRun:      { type: ["boolean", "string"] },
+            },
+        },
+        csvBody: true,
+    },
+
+    trainingScriptRisk:    { summary: "Stored script risk report for a trained pair", params: userRow },
+    interactionScriptRisk: { summary: "Stored script risk report for an interaction", params: userRow },
+    scriptsAnalyze: {
+        summary: "Analyze a Luau script without storing it",
+        body: obj({ script: { type: "string", maxLength: LIMITS.SCRIPT_MAX } }, ["script"]),
+    },
+
+    sharedPublish: {
+        summary: "Submit a trained pair to the shared knowledge base",
+        body: obj({ userId, trainedId: rowIdLike }, ["userId", "trainedId"]),
+    },
+    sharedSubmissions: { summary: "A user's shared submissions", params: user },
+    sharedWithdraw:    { summary: "Withdraw a shared submission", params: userRow },
+    adminSharedQueue: {
+        summary: "Moderation queue for shared submissions",
+        query: obj({ status: { type: "string", enum: ["pending", "approved", "rejected"] }, limit: limit(500) }),
+    },
+    adminSharedReview: {
+        summary: "Approve or reject a shared submission",
+        params: obj({ id: rowId, decision: { type: "string", enum: ["approve", "reject"] } }, ["id", "decision"]),
+        body: obj({ note: str(1000) }),
+    },
+
+    respond: {
+        summary: "Best response for a prompt (trained, shared, then Bayes fallback)",
+        body: obj({
+            userId,
+            prompt:    nonEmpty(LIMITS.PROMPT_MAX),
+            sessionId,
+            minScore:  { type: "number", minimum: 0, maximum: 1 },
+            useShared: { type: "boolean" },
+            personality: { ...personalityName, description: "Overrides the player's saved personality for this call" },
+        }, ["userId", "prompt"]),
+    },
+
+    feedback: {
+        summary: "Rate a bot response, optionally with a correction",
+        body: obj({
+            userId,
+            interactionId:     rowIdLike,
+            rating:            { type: ["string", "integer"], enum: ["up", "down", 1, -1] },
+            correctedResponse: { type: ["string", "null"], maxLength: LIMITS.RESPONSE_MAX },
+            promote:           { type: "boolean" },
+            editedBy,
+        }, ["userId", "interactionId", "rating"]),
+    },
+    feedbackLoad: { summary: "Feedback-derived success rates per intent and pattern", params: user },
+
+    sessionStart: {
+        summary: "Start a conversation session",
+        body: obj({
+            userId,
+            gameServerId: str(64),
+            placeId:      { type: ["string", "integer"], maxLength: 32 },
+            personality:  { ...personalityName, description: "Picks the greeting; defaults to the player's saved personality" },
+        }, ["userId"]),
+    },
+    sessionEnd:   { summary: "End a session", params: userAnd({ sessionId }) },
+    sessionTurns: {
+        summary: "Last turns of a session, oldest first",
+        params: userAnd({ sessionId }),
+        query: obj({ limit: limit(50) }),
+    },
+    sessionList: { summary: "A user's recent sessions", params: user, query: obj({ limit: limit(100) }) },
+
+    userLoad:   { summary: "Recent interactions, preferences, top vocab and trained pairs", params: user, query: obj({ limit: limit(500) }) },
+    userExport: { summary: "Everything stored for a user", params: user },
+    userErase:  { summary: "Erase everything stored for a user", params: user, body: obj({ editedBy }) },
+    adminErasures: {
+        summary: "Erasure audit log",
+        query: obj({ userId, limit: limit(500) }),
+    },
+    robloxWebhook: {
+        summary: "Roblox open-cloud webhook (right-to-erasure)",
+        public: true,
+        body: obj({
+            NotificationId: str(128),
+            EventType:      str(64),
+            EventPayload:   { type: "object" },
+        }),
+    },
+
+    learning: {
+        summary: "Store a learning pattern snapshot",
+        body: obj({
+            userId,
+            patterns:    { type: ["object", "array"] },
+            patternType: nonEmpty(64),
+            successRate: { type: "number", minimum: 0, maximum: 1 },
+        }, ["userId", "patterns"]),
+    },
+
+    bayesTrain: {
+        summary: "Retrain the user's intent model from labelled interactions",
+        params: user,
+        body: obj({ alpha: { type: "number", minimum: 0.0001, maximum: 100 } }),
+    },
+    bayesClassify: {
+        summary: "Most likely intents for a prompt",
+        params: user,
+        query: obj({ prompt: nonEmpty(LIMITS.PATTERN_MAX), top: int(1, 20) }, ["prompt"]),
+    },
+    bayesEvaluate: {
+        summary: "Accuracy of the intent model on held-out interactions",
+        params: user,
+        query: obj({
+            alpha:   { type: "number", minimum: 0.0001, maximum: 100 },
+            holdout: { type: "number", minimum: 0.01, maximum: 0.99 },
+        }),
+    },
+    bayesUpdate: {
+        summary: "Store client-computed intent probabilities",
+        body: obj({
+            userId,
+            intent:           nonEmpty(LIMITS.INTENT_MAX),
+            priorProb:        { type: "number", minimum: 0, maximum: 1 },
+            conditionalProbs: { type: "object" },
+        }, ["userId", "intent", "priorProb"]),
+    },
+    bayesLoad: { summary: "Stored intent probabilities", params: user },
+
+    preferencesLoad: {
+        summary: "User preferences, or null when unchanged since a cursor",
+        params: user,
+        query: obj({ since: cursor }),
+    },
+    preferencesSave: {
+        summary: "Update personality and settings",
+        params: user,
+        body: obj({ personality: personalityName, settings: { type: "object" } }),
+    },
+
+    personalityList: { summary: "Built-in and player-defined personalities, and the active one", params: user },
+    personalityLoad: { summary: "One personality profile", params: userAnd({ name: personalityName }) },
+    personalitySave: {
+        summary: "Create or replace a player-defined personality (same name as a built-in overrides it)",
+        params: userAnd({ name: personalityName }),
+        body: PERSONALITY,
+    },
+    personalityDelete: {
+        summary: "Delete a player-defined personality and its response variants",
+        params: userAnd({ name: personalityName }),
+    },
+
+    events: { summary: "Server-Sent Events stream of the user's changes", params: user, stream: true },
+
+    search: {
+        summary: "Full-text or vector search over interactions and trained pairs",
+        query: obj({
+            q:        nonEmpty(LIMITS.PATTERN_MAX, { description: 'Search terms; text mode accepts "phrases", or, -word' }),
+            mode:     { type: "string", enum: ["text", "vector"] },
+            source:   { type: "string", enum: ["all", "interactions", "training"] },
+            userId,
+            intent:   nonEmpty(LIMITS.INTENT_MAX),
+            from:     nonEmpty(40, { description: "ISO date or date-time (inclusive)" }),
+            to:       nonEmpty(40, { description: "ISO date or date-time (exclusive)" }),
+            limit:    limit(100),
+            minScore: { type: "number", minimum: 0, maximum: 1, description: "Vector mode: lowest cosine similarity returned" },
+        }, ["q"]),
+    },
+
+    scriptAnalytics: {
+        summary: "Record a script execution result",
+        body: obj({
+            userId,
+            scriptType:       nonEmpty(64),
+            executionSuccess: { type: "boolean" },
+            errorMessage:     { type: ["string", "null"], maxLength: 2000 },
+        }, ["userId", "scriptType", "executionSuccess"]),
+    },
+    analyticsLoad: { summary: "Script success rates and daily interaction counts", params: user },
+    globalStats:   { summary: "Totals across all users (admin)" },
+
+    adminFlags: {
+        summary: "Content filter flags",
+        query: obj({
+            status:   { type: "string", enum: ["open", "resolved", "all"] },
+            limit:    limit(500),
+            table:    str(64),
+            userId,
+            action:   { type: "string", enum: ["reject", "mask", "flag"] },
+            severity: { type: "string", enum: ["low", "medium", "high"] },
+        }),
+    },
+    adminFlagResolve: { summary: "Mark a flag as reviewed", params: obj({ id: rowId }, ["id"]) },
+
+    adminKeys: { summary: "List API keys" },
+    adminKeyCreate: {
+        summary: "Issue an API key for a Roblox experience",
+        body: obj({
+            universeId: { type: ["string", "integer"], minLength: 1, maxLength: 64 },
+            tenantId:   { ...tenantId, description: "Tenant the key serves; defaults to universeId" },
+            name:       str(128),
+            scopes:     { type: "array", minItems: 1, items: { type: "string", enum: SCOPES } },
+        }, ["universeId"]),
+    },
+    adminKeyRotate: { summary: "Rotate an API key's secret", params: obj({ keyId: nonEmpty(64) }, ["keyId"]) },
+    adminKeyRevoke: { summary: "Revoke an API key", params: obj({ keyId: nonEmpty(64) }, ["keyId"]) },
+
+    tenantsStats: { summary: "Users, interactions, trained pairs and vocab per tenant (admin)" },
+    tenantStats:  { summary: "Totals for one tenant (admin)", params: obj({ tenantId }, ["tenantId"]) },
+
+    adminTenants:    { summary: "List tenants and their config" },
+    adminTenantLoad: {
+        summary: "A tenant's stored config and the settings in effect",
+        params:  obj({ tenantId }, ["tenantId"]),
+    },
+    adminTenantSave: {
+        summary: "Create a tenant or replace its config",
+        params:  obj({ tenantId }, ["tenantId"]),
+        body:    obj({ name: str(128), config: TENANT_CONFIG }),
+    },
+
+    adminJobs:   { summary: "Background jobs: schedule and last runs" },
+    adminJobRun: { summary: "Run a background job now", params: obj({ name: nonEmpty(64) }, ["name"]) },
+};
+
+module.exports = {
+    LIMITS,
+    SCHEMAS,
+    SYNC_ITEM,
+    INTERACTION_DATA,
+    VOCAB_DATA,
+    VOCAB_ENTRY,
+};
@@ -0,0 +1,186 @@
+// lib/search.js — search over interactions and trained_responses
+//
+// Two modes, same filters (tenantId, userId, intent, from, to) and
+// result shape:
+//
+//   text    Postgres full-text search on the search_tsv columns
+//           (migration 014): websearch_to_tsquery syntax ("quoted
+//           phrases", -exclusions, or), ts_rank_cd ranking and a
+//           ts_headline snippet with matches wrapped in <mark></mark>.
+//           Snippets are not HTML-escaped.
+//   vector  cosine similarity of lib/embedding.js vectors over the most
+//           recent `candidates` rows that pass the filters. Stored
+//           vectors are used when current; anything the embeddings job
+//           hasn't reached yet is embedded on the fly.
+//
+// Trained pairs have no intent, so an intent filter searches
+// interactions only.
+//
+//   result: { source, id, userId, text, response, intent, createdAt, score, snippet }
+
+const embedding = require("./embedding");
+
+const SOURCES = {
+    interaction: { table: "interactions",      text: "user_prompt", response: "bot_response", intent: "intent" },
+    trained:     { table: "trained_responses", text: "pattern",     response: "response",     intent: null },
+};
+
+const HEADLINE_OPTS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=18, MinWords=6, FragmentDelimiter=" … "';
+
+function contentExpr(src) {
+    return `coalesce(t.${src.text}, '') || ' ' || coalesce(t.${src.response}, '')`;
+}
+
+function sourcesFor(opts) {
+    const wanted = opts.sources || Object.keys(SOURCES);
+    return wanted.filter(name => !(opts.intent && !SOURCES[name].intent));
+}
+
+// Appends the filter values to params, returns the SQL conditions
+function filters(src, opts, params) {
+    const where = [];
+    const add = (sql, value) => { params.push(value); where.push(sql.replace("?", `$${params.length}`)); };
+    if (opts.tenantId) add("t.tenant_id = ?", opts.tenantId);
+    if (opts.userId) add("t.user_id = ?", String(opts.userId));
+    if (opts.intent) add(`t.${src.intent} = ?`, opts.intent);
+    if (opts.from)   add("t.created_at >= ?", opts.from);
+    if (opts.to)     add("t.created_at < ?",  opts.to);
+    return where;
+}
+
+function toResult(row, score, snippet) {
+    return {
+        source:    row.source,
+        id:        row.id,
+        userId:    row.user_id,
+        text:      row.text,
+        response:  row.response,
+        intent:    row.intent || null,
+        createdAt: row.created_at,
+        score:     Math.round(score * 10000) / 10000,
+        snippet:   snippet === undefined ? null : snippet,
+    };
+}
+
+async function searchText(db, opts) {
+    const names = sourcesFor(opts);
+    if (!names.length) return { results: [] };
+    const params = [opts.q];
+    const parts = names.map(name => {
+        const src = SOURCES[name];
+        const where = ["t.search_tsv @@ q", ...filters(src, opts, params)];
+        return `SELECT '${name}' AS source, t.id, t.user_id, t.${src.text} AS text,
+                       t.${src.response} AS response, ${src.intent ? `t.${src.intent}` : "NULL"} AS intent,
+                       t.created_at, ts_rank_cd(t.search_tsv, q, 32) AS score
+                FROM ${src.table} t, websearch_to_tsquery('english', $1) q
+                WHERE ${where.join(" AND ")}`;
+    });
+    params.push(opts.limit);
+    // Headlines are the expensive part, so only for the rows returned
+    const result = await db.query(
+        `SELECT m.*, ts_headline('english', m.text || ' — ' || m.response,
+                                 websearch_to_tsquery('english', $1), '${HEADLINE_OPTS}') AS snippet
+         FROM (${parts.join(" UNION ALL ")}
+               ORDER BY score DESC, created_at DESC
+               LIMIT $${params.length}) m
+         ORDER BY m.score DESC, m.created_at DESC`,
+        params
+    );
+    return { results: result.rows.map(r => toResult(r, Number(r.score), r.snippet)) };
+}
+
+async function searchVector(db, opts) {
+    const query = embedding.embed(opts.q);
+    const scored = [];
+    let scanned = 0, computed = 0, truncated = false;
+    for (const name of sourcesFor(opts)) {
+        const src = SOURCES[name];
+        const params = [name];
+        const where = filters(src, opts, params);
+        params.push(opts.candidates);
+        const result = await db.query(
+            `SELECT '${name}' AS source, t.id, t.user_id, t.${src.text} AS text,
+                    t.${src.response} AS response, ${src.intent ? `t.${src.intent}` : "NULL"} AS intent,
+                    t.created_at, md5(${contentExpr(src)}) AS md5,
+                    e.content_md5, e.version, e.embedding
+             FROM ${src.table} t
+             LEFT JOIN search_embeddings e ON e.source = $1 AND e.record_id = t.id
+             ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+             ORDER BY t.id DESC
+             LIMIT $${params.length}`,
+            params
+        );
+        if (result.rows.length >= opts.candidates) truncated = true;
+        for (const row of result.rows) {
+            scanned++;
+            let vec = row.embedding;
+            if (!vec || row.content_md5 !== row.md5 || row.version !== embedding.VERSION) {
+                vec = embedding.embed(`${row.text || ""} ${row.response || ""}`);
+                computed++;
+            }
+            const score = embedding.cosine(query, vec);
+            if (score >= opts.minScore) scored.push([score, row]);
+        }
+    }
+    scored.sort((a, b) => b[0] - a[0]);
+    return {
+        results: scored.slice(0, opts.limit).map(([score, row]) => toResult(row, score)),
+        scanned,
+        computed,
+        truncated,
+    };
+}
+
+// Embeds rows that are new, edited or from an older VERSION, and drops
+// vectors whose row is gone. → { embedded: { source: n }, removed }
+async function refreshEmbeddings(db, { batch = 500 } = {}) {
+    const embedded = {};
+    let removed = 0;
+    for (const [name, src] of Object.entries(SOURCES)) {
+        const stale = await db.query(
+            `SELECT t.id, t.tenant_id, t.user_id, ${contentExpr(src)} AS content, md5(${contentExpr(src)}) AS md5
+             FROM ${src.table} t
+             LEFT JOIN search_embeddings e ON e.source = $1 AND e.record_id = t.id
+             WHERE e.record_id IS NULL OR e.content_md5 <> md5(${contentExpr(src)}) OR e.version <> $2
+             ORDER BY t.id DESC
+             LIMIT $3`,
+            [name, embedding.VERSION, batch]
+        );
+        embedded[name] = stale.rows.length;
+        if (stale.rows.length) {
+            const params = [name, embedding.VERSION];
+            const values = stale.rows.map(row => {
+                params.push(row.id, row.tenant_id, row.user_id, row.md5, embedding.embed(row.content));
+                const n = params.length;
+                return `($1, $${n - 4}, $${n - 3}, $${n - 2}, $${n - 1}, $2, $${n}, NOW())`;
+            });
+            await db.query(
+                `INSERT INTO search_embeddings
+                    (source, record_id, tenant_id, user_id, content_md5, version, embedding, updated_at)
+                 VALUES ${values.join(", ")}
+                 ON CONFLICT (source, record_id) DO UPDATE SET
+                    content_md5 = EXCLUDED.content_md5,
+                    version     = EXCLUDED.version,
+                    embedding   = EXCLUDED.embedding,
+                    updated_at  = NOW()`,
+                params
+            );
+        }
+        const gone = await db.query(
+            `DELETE FROM search_embeddings e
+             WHERE e.source = $1 AND NOT EXISTS (SELECT 1 FROM ${src.table} t WHERE t.id = e.record_id)`,
+            [name]
+        );
+        removed += gone.rowCount;
+    }
+    return { embedded, removed };
+}
+
+module.exports = {
+    SOURCES,
+    sourcesFor,
+    toResult,
+    searchText,
+    searchVector,
+    refreshEmbeddings,
+};
@@ -0,0 +1,114 @@
+// lib/tenants.js — tenants (one per Roblox universe) and their settings
+//
+// Player data is keyed by tenant and user id, so the same Roblox player
+// in two of our games is two separate users here. A request runs as the
+// tenant its API key was issued for (api_keys.tenant_id). Admin
+// credentials, and every request while API_AUTH=off, may name another:
+//
+//   X-Universe-Id: <tenant id>      1-64 of A-Z a-z 0-9 _ -
+//
+// Without either, a request runs as DEFAULT_TENANT, which owns
+// everything written before tenants existed (migration 016).
+//
+// tenants.config carries optional overrides, all of them optional:
+//   limits              { syncItems, vocabItems, importRows, scriptLength,
+//                         respondMinScore } over the server's defaults
+//   contentFilter       { actions, pii, rules, disabledRules } over
+//                       config/content-filter.json: actions and pii per
+//                       key, rules appended, disabledRules (rule ids) dropped
+//   defaultPersonality  built-in used when a player hasn't picked one
+//
+// Settings are cached per replica for CACHE_MS; a PUT through the admin
+// route clears this replica's copy, others pick it up on expiry.
+
+const { createContentFilter, loadConfig } = require("./contentfilter");
+const { internalError } = require("./errors");
+
+const DEFAULT_TENANT = "default";
+const TENANT_ID      = /^[A-Za-z0-9_-]{1,64}$/;
+const CACHE_MS       = 30 * 1000;
+
+// Base filter config with a tenant's overrides applied
+function mergeFilterConfig(base, overrides) {
+    const disabled = new Set(overrides.disabledRules || []);
+    return {
+        actions: { ...base.actions, ...overrides.actions },
+        pii:     { ...base.pii, ...overrides.pii },
+        rules:   [...(base.rules || []), ...(overrides.rules || [])].filter(r => !disabled.has(r.id)),
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// FACTORY
+//   limits       the server-wide defaults for config.limits
+//   personality  { builtins, defaultName } from lib/personality.js
+// ═══════════════════════════════════════════════════════════════
+function createTenants(repo, { limits, personality, filterConfig = loadConfig() }) {
+    const baseFilter = createContentFilter(filterConfig);
+    const cache = new Map();   // tenant id → { value, expires }
+
+    // config → { limits, filter, defaultPersonality }; throws on a filter
+    // config that doesn't compile
+    function resolve(config) {
+        const filter = config.contentFilter
+            ? createContentFilter(mergeFilterConfig(filterConfig, config.contentFilter))
+            : baseFilter;
+        return {
+            limits:             { ...limits, ...config.limits },
+            filter,
+            defaultPersonality: config.defaultPersonality || personality.defaultName,
+        };
+    }
+
+    // Problems the schema can't see, as a message, or null
+    function configError(config) {
+        if (config.defaultPersonality && !personality.builtins[config.defaultPersonality])
+            return `Unknown built-in personality: ${config.defaultPersonality}`;
+        try {
+            resolve(config);
+        } catch (err) {
+            return `Invalid contentFilter: ${err.message}`;
+        }
+        return null;
+    }
+
+    // → { id, limits, filter, defaultPersonality }; a tenant without a
+    // row runs on the defaults
+    async function settings(id) {
+        const hit = cache.get(id);
+        if (hit && hit.expires > Date.now()) return hit.value;
+        const row = await repo.tenants.get(id);
+        const value = { id, ...resolve(row ? row.config : {}) };
+        cache.set(id, { value, expires: Date.now() + CACHE_MS });
+        return value;
+    }
+
+    function invalidate(id) {
+        cache.delete(id);
+    }
+
+    // After auth: sets req.tenant (settings) and req.repo (that tenant's repository)
+    async function middleware(req, res, next) {
+        const key = req.apiKey;   // unset when API_AUTH=off
+        const header = req.get("x-universe-id");
+        let id = (key && key.tenantId) || DEFAULT_TENANT;
+        if (header !== undefined) {
+            if (!TENANT_ID.test(header))
+                return res.status(400).json({ error: "X-Universe-Id must be 1-64 letters, digits, _ or -" });
+            if (header !== id && key && !key.scopes.includes("admin"))
+                return res.status(403).json({ error: "Key is not issued for this universe" });
+            id = header;
+        }
+        try {
+            req.tenant = await settings(id);
+        } catch (err) {
+            return internalError(res, err, "Tenant settings");
+        }
+        req.repo = repo.forTenant(id);
+        next();
+    }
+
+    return { settings, invalidate, configError, middleware, baseFilter };
+}
+
+module.exports = { DEFAULT_TENANT, TENANT_ID, createTenants };
@@ -0,0 +1,122 @@
+// lib/validate.js — declarative request validation
+//
+// Schemas are a JSON Schema subset so they drop straight into the
+// OpenAPI document (lib/openapi.js):
+//
+//   type                 "string" | "integer" | "number" | "boolean" |
+//                        "object" | "array", or a list (may include "null")
+//   enum, pattern, minLength, maxLength     strings
+//   minimum, maximum                        numbers
+//   items, minItems, maxItems               arrays
+//   properties, required,                   objects (extra properties are
+//   additionalProperties, maxProperties,    allowed unless set to false)
+//   propertyNames
+//
+// validate({ summary, params, query, body }) returns middleware that
+// answers 400 VALIDATION_FAILED with one detail per problem:
+//   { path: "body.data[3].Data.UserPrompt", code: "too_long", message }
+// Path params and query values arrive as strings; numeric and boolean
+// ones are checked as if converted, but req is never modified.
+
+const { sendError } = require("./errors");
+
+function typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+    return typeof value;
+}
+
+// Query/param strings → the value the schema expects, when unambiguous
+function coerceString(value, types) {
+    if (typeof value !== "string") return value;
+    if ((types.includes("integer") || types.includes("number")) && /^-?\d+(\.\d+)?$/.test(value))
+        return Number(value);
+    if (types.includes("boolean") && (value === "true" || value === "false"))
+        return value === "true";
+    return value;
+}
+
+function check(schema, value, path, errors, coerce) {
+    if (!schema) return;
+    const types = schema.type === undefined ? [] : [].concat(schema.type);
+    if (coerce) value = coerceString(value, types);
+    const actual = typeOf(value);
+
+    if (types.length) {
+        const ok = types.includes(actual) || (actual === "integer" && types.includes("number"));
+        if (!ok) {
+            errors.push({ path, code: "type", message: `must be ${types.join(" or ")}` });
+            return;
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, code: "enum", message: `must be one of ${schema.enum.join(", ")}` });
+        return;
+    }
+
+    if (actual === "string") {
+        if (schema.minLength !== undefined && value.length < schema.minLength)
+            errors.push({ path, code: schema.minLength === 1 ? "required" : "too_short",
+                          message: schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters` });
+        if (schema.maxLength !== undefined && value.length > schema.maxLength)
+            errors.push({ path, code: "too_long", message: `must be at most ${schema.maxLength} characters` });
+        if (schema.pattern && !new RegExp(schema.pattern).test(value))
+            errors.push({ path, code: "pattern", message: `must match ${schema.pattern}` });
+    } else if (actual === "integer" || actual === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum)
+            errors.push({ path, code: "too_small", message: `must be >= ${schema.minimum}` });
+        if (schema.maximum !== undefined && value > schema.maximum)
+            errors.push({ path, code: "too_large", message: `must be <= ${schema.maximum}` });
+    } else if (actual === "array") {
+        if (schema.minItems !== undefined && value.length < schema.minItems)
+            errors.push({ path, code: "too_few", message: `must have at least ${schema.minItems} items` });
+        if (schema.maxItems !== undefined && value.length > schema.maxItems)
+            errors.push({ path, code: "too_many", message: `must have at most ${schema.maxItems} items` });
+        if (schema.items) value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, errors, coerce));
+    } else if (actual === "object") {
+        const props = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (value[key] === undefined)
+                errors.push({ path: `${path}.${key}`, code: "required", message: "is required" });
+        }
+        const keys = Object.keys(value);
+        if (schema.maxProperties !== undefined && keys.length > schema.maxProperties)
+            errors.push({ path, code: "too_many", message: `must have at most ${schema.maxProperties} entries` });
+        for (const key of keys) {
+            if (schema.propertyNames) check(schema.propertyNames, key, `${path}.${key}`, errors, false);
+            if (props[key]) {
+                if (value[key] !== undefined) check(props[key], value[key], `${path}.${key}`, errors, coerce);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: `${path}.${key}`, code: "unknown_field", message: "is not allowed" });
+            } else if (typeof schema.additionalProperties === "object") {
+                check(schema.additionalProperties, value[key], `${path}.${key}`, errors, coerce);
+            }
+        }
+    }
+}
+
+// → [] when valid
+function validateValue(schema, value, path = "value", { coerce = false } = {}) {
+    const errors = [];
+    check(schema, value, path, errors, coerce);
+    return errors;
+}
+
+function validate(spec) {
+    const middleware = (req, res, next) => {
+        const errors = [];
+        if (spec.params) check(spec.params, req.params, "params", errors, true);
+        if (spec.query)  check(spec.query, req.query, "query", errors, true);
+        if (spec.body)   check(spec.body, req.body === undefined ? {} : req.body, "body", errors, false);
+        if (errors.length) {
+            const first = errors[0];
+            return sendError(res, 400, "VALIDATION_FAILED", `${first.path} ${first.message}`, errors);
+        }
+        next();
+    };
+    middleware.spec = spec;
+    return middleware;
+}
+
+module.exports = { validate, validateValue };
@@ -0,0 +1,96 @@
+// 001 — v7 baseline schema
+// Uses IF NOT EXISTS throughout so databases created by the old
+// initDB() adopt this migration without errors.
+
+exports.up = async (client) => {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS interactions (
+            id           SERIAL PRIMARY KEY,
+            user_id      VARCHAR(64)  NOT NULL,
+            user_prompt  TEXT         NOT NULL,
+            bot_response TEXT         NOT NULL,
+            script       TEXT,
+            intent       VARCHAR(64),
+            confidence   FLOAT,
+            timestamp    BIGINT,
+            created_at   TIMESTAMP DEFAULT NOW()
+        );
+
+        CREATE TABLE IF NOT EXISTS vocab (
+            id           SERIAL PRIMARY KEY,
+            user_id      VARCHAR(64)  NOT NULL,
+            word         VARCHAR(128) NOT NULL,
+            freq         INTEGER DEFAULT 1,
+            category     VARCHAR(64)  DEFAULT 'general',
+            weight       FLOAT        DEFAULT 1.0,
+            updated_at   TIMESTAMP DEFAULT NOW(),
+            UNIQUE (user_id, word)
+        );
+
+        CREATE TABLE IF NOT EXISTS learning_patterns (
+            id           SERIAL PRIMARY KEY,
+            user_id      VARCHAR(64)  NOT NULL,
+            patterns     JSONB        NOT NULL,
+            pattern_type VARCHAR(64)  DEFAULT 'general',
+            success_rate FLOAT        DEFAULT 0,
+            created_at   TIMESTAMP DEFAULT NOW()
+        );
+
+        CREATE TABLE IF NOT EXISTS user_preferences (
+            user_id            VARCHAR(64) PRIMARY KEY,
+            personality        VARCHAR(64) DEFAULT 'Friendly',
+            settings           JSONB,
+            total_interactions INTEGER DEFAULT 0,
+            last_active        TIMESTAMP DEFAULT NOW()
+        );
+
+        CREATE TABLE IF NOT EXISTS bayesian_probs (
+            id                SERIAL PRIMARY KEY,
+            user_id           VARCHAR(64) NOT NULL,
+            intent            VARCHAR(64) NOT NULL,
+            prior_probability FLOAT,
+            conditional_probs JSONB,
+            updated_at        TIMESTAMP DEFAULT NOW(),
+            UNIQUE (user_id, intent)
+        );
+
+        CREATE TABLE IF NOT EXISTS script_analytics (
+            id                SERIAL PRIMARY KEY,
+            user_id           VARCHAR(64),
+            script_type       VARCHAR(64),
+            execution_success BOOLEAN,
+            error_message     TEXT,
+            created_at        TIMESTAMP DEFAULT NOW()
+        );
+
+        CREATE TABLE IF NOT EXISTS trained_responses (
+            id           SERIAL PRIMARY KEY,
+            user_id      VARCHAR(64)  NOT NULL,
+            pattern      TEXT         NOT NULL,
+            response     TEXT         NOT NULL,
+            created_at   TIMESTAMP DEFAULT NOW()
+        );
+    `);
+
+    await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_interactions_user   ON interactions      (user_id);
+        CREATE INDEX IF NOT EXISTS idx_interactions_ts     ON interactions      (timestamp);
+        CREATE INDEX IF NOT EXISTS idx_vocab_user          ON vocab             (user_id);
+        CREATE INDEX IF NOT EXISTS idx_vocab_word          ON vocab             (word);
+        CREATE INDEX IF NOT EXISTS idx_learning_user       ON learning_patterns (user_id);
+        CREATE INDEX IF NOT EXISTS idx_analytics_type      ON script_analytics  (script_type);
+        CREATE INDEX IF NOT EXISTS idx_training_user       ON trained_responses (user_id);
+    `);
+};
+
+exports.down = async (client) => {
+    await client.query(`
+        DROP TABLE IF EXISTS trained_responses;
+        DROP TABLE IF EXISTS script_analytics;
+        DROP TABLE IF EXISTS bayesian_probs;
+        DROP TABLE IF EXISTS user_preferences;
+        DROP TABLE IF EXISTS learning_patterns;
+        DROP TABLE IF EXISTS vocab;
+        DROP TABLE IF EXISTS interactions;
+    `);
+};
@@ -0,0 +1,15 @@
+// 002 — trained_responses.script (added in v7)
+// Pre-v7 databases already had trained_responses without this column,
+// and CREATE TABLE IF NOT EXISTS never added it.
+
+exports.up = async (client) => {
+    await client.query(`
+        ALTER TABLE trained_responses ADD COLUMN IF NOT EXISTS script TEXT DEFAULT '';
+    `);
+};
+
+exports.down = async (client) => {
+    await client.query(`
+        ALTER TABLE trained_responses DROP COLUMN IF EXISTS script;
+    `);
+};
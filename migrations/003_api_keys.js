@@ -0,0 +1,26 @@
+// 003 — per-experience API keys (see lib/auth.js)
+
+exports.up = async (client) => {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS api_keys (
+            id                  SERIAL PRIMARY KEY,
+            key_id              VARCHAR(32)  NOT NULL UNIQUE,
+            universe_id         VARCHAR(64)  NOT NULL,
+            name                VARCHAR(128) DEFAULT '',
+            secret              VARCHAR(128) NOT NULL,
+            previous_secret     VARCHAR(128),
+            previous_expires_at TIMESTAMP,
+            scopes              TEXT[]       NOT NULL DEFAULT '{read}',
+            created_at          TIMESTAMP DEFAULT NOW(),
+            rotated_at          TIMESTAMP,
+            revoked_at          TIMESTAMP,
+            last_used_at        TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_api_keys_universe ON api_keys (universe_id);
+    `);
+};
+
+exports.down = async (client) => {
+    await client.query(`DROP TABLE IF EXISTS api_keys;`);
+};
@@ -0,0 +1,32 @@
+// 004 — edit history for trained_responses
+// Every update/revert stores the version being replaced, plus who
+// replaced it and when.
+
+exports.up = async (client) => {
+    await client.query(`
+        ALTER TABLE trained_responses ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+
+        CREATE TABLE IF NOT EXISTS trained_response_revisions (
+            id           SERIAL PRIMARY KEY,
+            response_id  INTEGER      NOT NULL REFERENCES trained_responses (id) ON DELETE CASCADE,
+            user_id      VARCHAR(64)  NOT NULL,
+            revision     INTEGER      NOT NULL,
+            pattern      TEXT         NOT NULL,
+            response     TEXT         NOT NULL,
+            script       TEXT         DEFAULT '',
+            change_type  VARCHAR(16)  NOT NULL DEFAULT 'update',
+            changed_by   VARCHAR(128),
+            changed_at   TIMESTAMP DEFAULT NOW(),
+            UNIQUE (response_id, revision)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_revisions_response ON trained_response_revisions (response_id);
+    `);
+};
+
+exports.down = async (client) => {
+    await client.query(`
+        DROP TABLE IF EXISTS trained_response_revisions;
+        ALTER TABLE trained_responses DROP COLUMN IF EXISTS updated_at;
+    `);
+};
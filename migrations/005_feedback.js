@@ -0,0 +1,52 @@
+// 005 — player feedback on bot responses
+// interaction_feedback holds one rating per interaction; the
+// success_rate columns are recomputed from it server-side.
+
+exports.up = async (client) => {
+    await client.query(`
+        ALTER TABLE interactions
+            ADD COLUMN IF NOT EXISTS trained_response_id INTEGER;
+
+        ALTER TABLE trained_responses
+            ADD COLUMN IF NOT EXISTS feedback_up   INTEGER DEFAULT 0,
+            ADD COLUMN IF NOT EXISTS feedback_down INTEGER DEFAULT 0,
+            ADD COLUMN IF NOT EXISTS success_rate  FLOAT;
+
+        CREATE TABLE IF NOT EXISTS interaction_feedback (
+            id                   SERIAL PRIMARY KEY,
+            interaction_id       INTEGER     NOT NULL UNIQUE REFERENCES interactions (id) ON DELETE CASCADE,
+            user_id              VARCHAR(64) NOT NULL,
+            rating               SMALLINT    NOT NULL CHECK (rating IN (-1, 1)),
+            corrected_response   TEXT,
+            promoted_response_id INTEGER,
+            created_at           TIMESTAMP DEFAULT NOW(),
+            updated_at           TIMESTAMP DEFAULT NOW()
+        );
+
+        CREATE TABLE IF NOT EXISTS intent_stats (
+            id            SERIAL PRIMARY KEY,
+            user_id       VARCHAR(64) NOT NULL,
+            intent        VARCHAR(64) NOT NULL,
+            feedback_up   INTEGER DEFAULT 0,
+            feedback_down INTEGER DEFAULT 0,
+            success_rate  FLOAT,
+            updated_at    TIMESTAMP DEFAULT NOW(),
+            UNIQUE (user_id, intent)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_feedback_user           ON interaction_feedback (user_id);
+        CREATE INDEX IF NOT EXISTS idx_interactions_trained_id ON interactions         (trained_response_id);
+    `);
+};
+
+exports.down = async (client) => {
+    await client.query(`
+        DROP TABLE IF EXISTS intent_stats;
+        DROP TABLE IF EXISTS interaction_feedback;
+        ALTER TABLE trained_responses
+            DROP COLUMN IF EXISTS feedback_up,
+            DROP COLUMN IF EXISTS feedback_down,
+            DROP COLUMN IF EXISTS success_rate;
+        ALTER TABLE interactions DROP COLUMN IF EXISTS trained_response_id;
+    `);
+};
@@ -0,0 +1,30 @@
+// 006 — shared knowledge base
+// Players opt in to publishing a trained pair; an admin approves it
+// before /api/respond will use it as a fallback for everyone.
+
+exports.up = async (client) => {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS shared_responses (
+            id                 SERIAL PRIMARY KEY,
+            source_response_id INTEGER REFERENCES trained_responses (id) ON DELETE SET NULL,
+            submitted_by       VARCHAR(64)  NOT NULL,
+            pattern            TEXT         NOT NULL,
+            response           TEXT         NOT NULL,
+            script             TEXT         DEFAULT '',
+            status             VARCHAR(16)  NOT NULL DEFAULT 'pending'
+                               CHECK (status IN ('pending', 'approved', 'rejected')),
+            review_note        TEXT,
+            reviewed_by        VARCHAR(128),
+            reviewed_at        TIMESTAMP,
+            hits               INTEGER DEFAULT 0,
+            created_at         TIMESTAMP DEFAULT NOW()
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_shared_status    ON shared_responses (status);
+        CREATE INDEX IF NOT EXISTS idx_shared_submitter ON shared_responses (submitted_by);
+    `);
+};
+
+exports.down = async (client) => {
+    await client.query(`DROP TABLE IF EXISTS shared_responses;`);
+};
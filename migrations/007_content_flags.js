@@ -0,0 +1,29 @@
+// 007 — content filter flags
+// One row per screened field that hit a rule. record_id is NULL for
+// rejected writes, which never reached their table.
+
+exports.up = async (client) => {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS content_flags (
+            id           SERIAL PRIMARY KEY,
+            table_name   VARCHAR(64)  NOT NULL,
+            record_id    INTEGER,
+            user_id      VARCHAR(64),
+            field        VARCHAR(64)  NOT NULL,
+            action       VARCHAR(16)  NOT NULL,
+            severity     VARCHAR(16)  NOT NULL,
+            rules        TEXT[]       NOT NULL,
+            excerpt      TEXT,
+            resolved_at  TIMESTAMP,
+            resolved_by  VARCHAR(128),
+            created_at   TIMESTAMP DEFAULT NOW()
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_flags_open   ON content_flags (resolved_at, created_at);
+        CREATE INDEX IF NOT EXISTS idx_flags_record ON content_flags (table_name, record_id);
+    `);
+};
+
+exports.down = async (client) => {
+    await client.query(`DROP TABLE IF EXISTS content_flags;`);
+};
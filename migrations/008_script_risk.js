@@ -0,0 +1,33 @@
+// 008 — static risk analysis of stored scripts (see lib/luaanalyzer.js)
+// script_risk holds the full report; script_risk_score is copied out
+// so it can be filtered and sorted on.
+
+exports.up = async (client) => {
+    await client.query(`
+        ALTER TABLE trained_responses
+            ADD COLUMN IF NOT EXISTS script_risk_score SMALLINT,
+            ADD COLUMN IF NOT EXISTS script_risk       JSONB;
+
+        ALTER TABLE interactions
+            ADD COLUMN IF NOT EXISTS script_risk_score SMALLINT,
+            ADD COLUMN IF NOT EXISTS script_risk       JSONB;
+
+        ALTER TABLE shared_responses
+            ADD COLUMN IF NOT EXISTS script_risk_score SMALLINT,
+            ADD COLUMN IF NOT EXISTS script_risk       JSONB;
+    `);
+};
+
+exports.down = async (client) => {
+    await client.query(`
+        ALTER TABLE shared_responses
+            DROP COLUMN IF EXISTS script_risk_score,
+            DROP COLUMN IF EXISTS script_risk;
+        ALTER TABLE interactions
+            DROP COLUMN IF EXISTS script_risk_score,
+            DROP COLUMN IF EXISTS script_risk;
+        ALTER TABLE trained_responses
+            DROP COLUMN IF EXISTS script_risk_score,
+            DROP COLUMN IF EXISTS script_risk;
+    `);
+};
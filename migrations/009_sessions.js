@@ -0,0 +1,32 @@
+// 009 — conversation sessions
+// A session groups a player's interactions on one game server so the
+// bot and analytics can see what came before a prompt.
+
+exports.up = async (client) => {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS sessions (
+            id               VARCHAR(64) PRIMARY KEY,
+            user_id          VARCHAR(64) NOT NULL,
+            game_server_id   VARCHAR(64),
+            place_id         VARCHAR(32),
+            turn_count       INTEGER DEFAULT 0,
+            started_at       TIMESTAMP DEFAULT NOW(),
+            last_activity_at TIMESTAMP DEFAULT NOW(),
+            ended_at         TIMESTAMP,
+            end_reason       VARCHAR(16)
+        );
+
+        ALTER TABLE interactions ADD COLUMN IF NOT EXISTS session_id VARCHAR(64);
+
+        CREATE INDEX IF NOT EXISTS idx_sessions_user        ON sessions     (user_id, started_at);
+        CREATE INDEX IF NOT EXISTS idx_sessions_open        ON sessions     (last_activity_at) WHERE ended_at IS NULL;
+        CREATE INDEX IF NOT EXISTS idx_interactions_session ON interactions (session_id, id);
+    `);
+};
+
+exports.down = async (client) => {
+    await client.query(`
+        ALTER TABLE interactions DROP COLUMN IF EXISTS session_id;
+        DROP TABLE IF EXISTS sessions;
+    `);
+};
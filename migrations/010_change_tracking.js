@@ -0,0 +1,87 @@
+// 010 — change tracking for delta sync + sync idempotency keys
+//
+// vocab, trained_responses and user_preferences get a change_txid
+// column stamped by trigger with the writing transaction's id. Deletes
+// leave a tombstone in deleted_records. Readers hand out the xmin of
+// their snapshot as a cursor; everything with change_txid >= cursor may
+// not have been visible yet and is sent again next time (see
+// lib/deltasync.js). Needs PostgreSQL 13+ for xid8.
+
+const TRACKED = [
+    // table, key column used in tombstones
+    ["vocab",             "word"],
+    ["trained_responses", "id"],
+    ["user_preferences",  "user_id"],
+];
+
+exports.up = async (client) => {
+    await client.query(`
+        CREATE OR REPLACE FUNCTION track_change() RETURNS trigger AS $$
+        BEGIN
+            NEW.change_txid := pg_current_xact_id();
+            RETURN NEW;
+        END
+        $$ LANGUAGE plpgsql;
+
+        CREATE TABLE IF NOT EXISTS deleted_records (
+            id           SERIAL PRIMARY KEY,
+            table_name   VARCHAR(64) NOT NULL,
+            user_id      VARCHAR(64) NOT NULL,
+            record_key   TEXT        NOT NULL,
+            change_txid  xid8        NOT NULL DEFAULT pg_current_xact_id(),
+            deleted_at   TIMESTAMP DEFAULT NOW()
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_deleted_lookup ON deleted_records (table_name, user_id, change_txid);
+
+        CREATE OR REPLACE FUNCTION track_delete() RETURNS trigger AS $$
+        BEGIN
+            INSERT INTO deleted_records (table_name, user_id, record_key)
+            VALUES (TG_TABLE_NAME, OLD.user_id, to_jsonb(OLD) ->> TG_ARGV[0]);
+            RETURN OLD;
+        END
+        $$ LANGUAGE plpgsql;
+
+        CREATE TABLE IF NOT EXISTS sync_batches (
+            user_id         VARCHAR(64)  NOT NULL,
+            idempotency_key VARCHAR(128) NOT NULL,
+            response        JSONB,
+            created_at      TIMESTAMP DEFAULT NOW(),
+            PRIMARY KEY (user_id, idempotency_key)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_sync_batches_created ON sync_batches (created_at);
+    `);
+
+    for (const [table, key] of TRACKED) {
+        await client.query(`
+            ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS change_txid xid8 NOT NULL DEFAULT pg_current_xact_id();
+            CREATE INDEX IF NOT EXISTS idx_${table}_change ON ${table} (user_id, change_txid);
+
+            DROP TRIGGER IF EXISTS trg_${table}_change ON ${table};
+            CREATE TRIGGER trg_${table}_change BEFORE INSERT OR UPDATE ON ${table}
+                FOR EACH ROW EXECUTE FUNCTION track_change();
+
+            DROP TRIGGER IF EXISTS trg_${table}_delete ON ${table};
+            CREATE TRIGGER trg_${table}_delete AFTER DELETE ON ${table}
+                FOR EACH ROW EXECUTE FUNCTION track_delete('${key}');
+        `);
+    }
+};
+
+exports.down = async (client) => {
+    for (const [table] of TRACKED) {
+        await client.query(`
+            DROP TRIGGER IF EXISTS trg_${table}_delete ON ${table};
+            DROP TRIGGER IF EXISTS trg_${table}_change ON ${table};
+            DROP INDEX IF EXISTS idx_${table}_change;
+            ALTER TABLE ${table} DROP COLUMN IF EXISTS change_txid;
+        `);
+    }
+    await client.query(`
+        DROP TABLE IF EXISTS sync_batches;
+        DROP TABLE IF EXISTS deleted_records;
+        DROP FUNCTION IF EXISTS track_delete();
+        DROP FUNCTION IF EXISTS track_change();
+    `);
+};
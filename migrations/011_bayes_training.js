@@ -0,0 +1,32 @@
+// 011 — server-side naive Bayes training
+// bayesian_probs rows now say where they came from (client push or the
+// server trainer) and carry the smoothed probability for words an
+// intent never saw. interactions.intent_source separates labels the
+// client sent from intents /api/respond guessed itself, so the trainer
+// doesn't learn from its own output.
+
+exports.up = async (client) => {
+    await client.query(`
+        ALTER TABLE bayesian_probs ADD COLUMN IF NOT EXISTS source       VARCHAR(16) DEFAULT 'client';
+        ALTER TABLE bayesian_probs ADD COLUMN IF NOT EXISTS unseen_prob  FLOAT;
+        ALTER TABLE bayesian_probs ADD COLUMN IF NOT EXISTS sample_count INTEGER;
+        ALTER TABLE bayesian_probs ADD COLUMN IF NOT EXISTS trained_at   TIMESTAMP;
+
+        ALTER TABLE interactions ADD COLUMN IF NOT EXISTS intent_source VARCHAR(16) DEFAULT 'client';
+        UPDATE interactions SET intent_source = 'server' WHERE intent IN ('trained', 'shared');
+
+        CREATE INDEX IF NOT EXISTS idx_interactions_labelled ON interactions (user_id, id)
+            WHERE intent_source = 'client' AND intent IS NOT NULL;
+    `);
+};
+
+exports.down = async (client) => {
+    await client.query(`
+        DROP INDEX IF EXISTS idx_interactions_labelled;
+        ALTER TABLE interactions   DROP COLUMN IF EXISTS intent_source;
+        ALTER TABLE bayesian_probs DROP COLUMN IF EXISTS trained_at;
+        ALTER TABLE bayesian_probs DROP COLUMN IF EXISTS sample_count;
+        ALTER TABLE bayesian_probs DROP COLUMN IF EXISTS unseen_prob;
+        ALTER TABLE bayesian_probs DROP COLUMN IF EXISTS source;
+    `);
+};
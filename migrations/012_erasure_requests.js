@@ -0,0 +1,28 @@
+// 012 — right-to-erasure audit log
+// One row per erasure request, kept after the user's data is gone so
+// we can show when and how each request was honoured. Only the user id
+// and per-table row counts are stored, never the erased content.
+
+exports.up = async (client) => {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS erasure_requests (
+            id              SERIAL PRIMARY KEY,
+            user_id         VARCHAR(64)  NOT NULL,
+            source          VARCHAR(16)  NOT NULL,
+            notification_id VARCHAR(128) UNIQUE,
+            requested_by    VARCHAR(128),
+            game_ids        TEXT[],
+            status          VARCHAR(16)  NOT NULL,
+            rows_deleted    JSONB,
+            error           TEXT,
+            requested_at    TIMESTAMP DEFAULT NOW(),
+            completed_at    TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_erasure_user ON erasure_requests (user_id);
+    `);
+};
+
+exports.down = async (client) => {
+    await client.query(`DROP TABLE IF EXISTS erasure_requests;`);
+};
@@ -0,0 +1,55 @@
+// 013 — retention rollups + background job runs
+// Raw interactions and script_analytics past their retention window
+// are folded into per-day aggregates and deleted (see lib/retention.js).
+// job_runs records every run of the in-process job runner (lib/jobs.js).
+
+exports.up = async (client) => {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS interaction_daily (
+            user_id        VARCHAR(64) NOT NULL,
+            day            DATE        NOT NULL,
+            intent         VARCHAR(64) NOT NULL DEFAULT '',
+            interactions   INTEGER     NOT NULL DEFAULT 0,
+            confidence_sum FLOAT       NOT NULL DEFAULT 0,
+            confidence_n   INTEGER     NOT NULL DEFAULT 0,
+            PRIMARY KEY (user_id, day, intent)
+        );
+
+        CREATE TABLE IF NOT EXISTS script_analytics_daily (
+            user_id     VARCHAR(64) NOT NULL DEFAULT '',
+            day         DATE        NOT NULL,
+            script_type VARCHAR(64) NOT NULL DEFAULT '',
+            total       INTEGER     NOT NULL DEFAULT 0,
+            successful  INTEGER     NOT NULL DEFAULT 0,
+            PRIMARY KEY (user_id, day, script_type)
+        );
+
+        CREATE TABLE IF NOT EXISTS job_runs (
+            id          SERIAL PRIMARY KEY,
+            job_name    VARCHAR(64)  NOT NULL,
+            trigger     VARCHAR(16)  NOT NULL,
+            instance    VARCHAR(128),
+            status      VARCHAR(16)  NOT NULL,
+            result      JSONB,
+            error       TEXT,
+            started_at  TIMESTAMP DEFAULT NOW(),
+            finished_at TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_job_runs_name         ON job_runs          (job_name, started_at);
+        CREATE INDEX IF NOT EXISTS idx_interactions_created  ON interactions      (created_at);
+        CREATE INDEX IF NOT EXISTS idx_analytics_created     ON script_analytics  (created_at);
+        CREATE INDEX IF NOT EXISTS idx_learning_user_type    ON learning_patterns (user_id, pattern_type, id);
+    `);
+};
+
+exports.down = async (client) => {
+    await client.query(`
+        DROP INDEX IF EXISTS idx_learning_user_type;
+        DROP INDEX IF EXISTS idx_analytics_created;
+        DROP INDEX IF EXISTS idx_interactions_created;
+        DROP TABLE IF EXISTS job_runs;
+        DROP TABLE IF EXISTS script_analytics_daily;
+        DROP TABLE IF EXISTS interaction_daily;
+    `);
+};
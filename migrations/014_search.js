@@ -0,0 +1,50 @@
+// 014 — full-text and vector search over interactions and trained pairs
+//
+// search_tsv is a generated column (prompt/pattern weighted above the
+// response) with a GIN index behind it; adding it rewrites both tables
+// once, so run this off-peak on large databases. search_embeddings
+// holds the local vectors from lib/embedding.js, keyed by source row;
+// the embeddings job fills it and content_md5 tells it which rows were
+// edited since.
+
+exports.up = async (client) => {
+    await client.query(`
+        ALTER TABLE interactions ADD COLUMN IF NOT EXISTS search_tsv tsvector
+            GENERATED ALWAYS AS (
+                setweight(to_tsvector('english', coalesce(user_prompt, '')), 'A') ||
+                setweight(to_tsvector('english', coalesce(bot_response, '')), 'B')
+            ) STORED;
+
+        ALTER TABLE trained_responses ADD COLUMN IF NOT EXISTS search_tsv tsvector
+            GENERATED ALWAYS AS (
+                setweight(to_tsvector('english', coalesce(pattern, '')), 'A') ||
+                setweight(to_tsvector('english', coalesce(response, '')), 'B')
+            ) STORED;
+
+        CREATE INDEX IF NOT EXISTS idx_interactions_search ON interactions      USING GIN (search_tsv);
+        CREATE INDEX IF NOT EXISTS idx_training_search     ON trained_responses USING GIN (search_tsv);
+
+        CREATE TABLE IF NOT EXISTS search_embeddings (
+            source       VARCHAR(16) NOT NULL,   -- 'interaction' | 'trained'
+            record_id    INTEGER     NOT NULL,
+            user_id      VARCHAR(64) NOT NULL,
+            content_md5  CHAR(32)    NOT NULL,
+            version      SMALLINT    NOT NULL,
+            embedding    REAL[]      NOT NULL,
+            updated_at   TIMESTAMP DEFAULT NOW(),
+            PRIMARY KEY (source, record_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_search_embeddings_user ON search_embeddings (user_id);
+    `);
+};
+
+exports.down = async (client) => {
+    await client.query(`
+        DROP TABLE IF EXISTS search_embeddings;
+        DROP INDEX IF EXISTS idx_training_search;
+        DROP INDEX IF EXISTS idx_interactions_search;
+        ALTER TABLE trained_responses DROP COLUMN IF EXISTS search_tsv;
+        ALTER TABLE interactions      DROP COLUMN IF EXISTS search_tsv;
+    `);
+};
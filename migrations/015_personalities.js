@@ -0,0 +1,48 @@
+// 015 — personality profiles
+// Player-defined profiles (built-ins live in config/personalities.json;
+// a row here with the same name overrides one for that player), and
+// per-personality variants of trained responses. /api/respond records
+// which personality answered in interactions.personality.
+
+exports.up = async (client) => {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS personalities (
+            id           SERIAL PRIMARY KEY,
+            user_id      VARCHAR(64)  NOT NULL,
+            name         VARCHAR(64)  NOT NULL,
+            description  TEXT         DEFAULT '',
+            tone         JSONB        NOT NULL DEFAULT '{}',
+            template     TEXT         NOT NULL DEFAULT '{response}',
+            greetings    JSONB        NOT NULL DEFAULT '[]',
+            fallbacks    JSONB        NOT NULL DEFAULT '[]',
+            intents      JSONB        NOT NULL DEFAULT '{}',
+            created_at   TIMESTAMP DEFAULT NOW(),
+            updated_at   TIMESTAMP DEFAULT NOW(),
+            UNIQUE (user_id, name)
+        );
+
+        CREATE TABLE IF NOT EXISTS trained_response_variants (
+            id           SERIAL PRIMARY KEY,
+            response_id  INTEGER      NOT NULL REFERENCES trained_responses (id) ON DELETE CASCADE,
+            user_id      VARCHAR(64)  NOT NULL,
+            personality  VARCHAR(64)  NOT NULL,
+            response     TEXT         NOT NULL,
+            script       TEXT,                       -- NULL: use the pair's script
+            created_at   TIMESTAMP DEFAULT NOW(),
+            updated_at   TIMESTAMP DEFAULT NOW(),
+            UNIQUE (response_id, personality)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_variants_user ON trained_response_variants (user_id, personality);
+
+        ALTER TABLE interactions ADD COLUMN IF NOT EXISTS personality VARCHAR(64);
+    `);
+};
+
+exports.down = async (client) => {
+    await client.query(`
+        ALTER TABLE interactions DROP COLUMN IF EXISTS personality;
+        DROP TABLE IF EXISTS trained_response_variants;
+        DROP TABLE IF EXISTS personalities;
+    `);
+};
@@ -0,0 +1,144 @@
+// 016 — tenants (one per Roblox universe)
+//
+// Every player-keyed table gets a tenant_id so the same Roblox user id
+// playing two of our games keeps two separate sets of vocab, training,
+// preferences and history. Rows that existed before this migration are
+// assigned to the 'default' tenant; API keys issued before it serve
+// that tenant too (see lib/tenants.js). Unique keys and the per-user
+// indexes are rebuilt with tenant_id in front, and tombstones record
+// the tenant of the deleted row.
+//
+// tenants holds optional per-tenant configuration (limits, content
+// filter overrides, default personality); a tenant without a row runs
+// on the defaults. erasure_requests.tenant_id is NULL for an erasure
+// that covered every tenant (the Roblox webhook).
+
+const TENANT_TABLES = [
+    "interactions", "vocab", "learning_patterns", "user_preferences", "bayesian_probs",
+    "script_analytics", "trained_responses", "api_keys", "trained_response_revisions",
+    "interaction_feedback", "intent_stats", "shared_responses", "content_flags", "sessions",
+    "deleted_records", "sync_batches", "interaction_daily", "script_analytics_daily",
+    "search_embeddings", "personalities", "trained_response_variants",
+];
+
+// [table, old constraint, new definition]
+const KEYS = [
+    ["vocab",                  "vocab_user_id_word_key",            "UNIQUE (tenant_id, user_id, word)"],
+    ["user_preferences",       "user_preferences_pkey",             "PRIMARY KEY (tenant_id, user_id)"],
+    ["bayesian_probs",         "bayesian_probs_user_id_intent_key", "UNIQUE (tenant_id, user_id, intent)"],
+    ["intent_stats",           "intent_stats_user_id_intent_key",   "UNIQUE (tenant_id, user_id, intent)"],
+    ["personalities",          "personalities_user_id_name_key",    "UNIQUE (tenant_id, user_id, name)"],
+    ["sync_batches",           "sync_batches_pkey",                 "PRIMARY KEY (tenant_id, user_id, idempotency_key)"],
+    ["interaction_daily",      "interaction_daily_pkey",            "PRIMARY KEY (tenant_id, user_id, day, intent)"],
+    ["script_analytics_daily", "script_analytics_daily_pkey",       "PRIMARY KEY (tenant_id, user_id, day, script_type)"],
+];
+
+// [index, table, columns before, columns after]
+const INDEXES = [
+    ["idx_interactions_user",         "interactions",              "(user_id)",                        "(tenant_id, user_id)"],
+    ["idx_training_user",             "trained_responses",         "(user_id)",                        "(tenant_id, user_id)"],
+    ["idx_vocab_user",                "vocab",                     "(user_id)",                        "(tenant_id, user_id)"],
+    ["idx_learning_user",             "learning_patterns",         "(user_id)",                        "(tenant_id, user_id)"],
+    ["idx_learning_user_type",        "learning_patterns",         "(user_id, pattern_type, id)",      "(tenant_id, user_id, pattern_type, id)"],
+    ["idx_feedback_user",             "interaction_feedback",      "(user_id)",                        "(tenant_id, user_id)"],
+    ["idx_sessions_user",             "sessions",                  "(user_id, started_at)",            "(tenant_id, user_id, started_at)"],
+    ["idx_shared_submitter",          "shared_responses",          "(submitted_by)",                   "(tenant_id, submitted_by)"],
+    ["idx_search_embeddings_user",    "search_embeddings",         "(user_id)",                        "(tenant_id, user_id)"],
+    ["idx_variants_user",             "trained_response_variants", "(user_id, personality)",           "(tenant_id, user_id, personality)"],
+    ["idx_erasure_user",              "erasure_requests",          "(user_id)",                        "(tenant_id, user_id)"],
+    ["idx_deleted_lookup",            "deleted_records",           "(table_name, user_id, change_txid)", "(table_name, tenant_id, user_id, change_txid)"],
+    ["idx_vocab_change",              "vocab",                     "(user_id, change_txid)",           "(tenant_id, user_id, change_txid)"],
+    ["idx_trained_responses_change",  "trained_responses",         "(user_id, change_txid)",           "(tenant_id, user_id, change_txid)"],
+    ["idx_user_preferences_change",   "user_preferences",          "(user_id, change_txid)",           "(tenant_id, user_id, change_txid)"],
+];
+
+const LABELLED_WHERE = "WHERE intent_source = 'client' AND intent IS NOT NULL";
+
+function trackDelete(withTenant) {
+    return `
+        CREATE OR REPLACE FUNCTION track_delete() RETURNS trigger AS $$
+        BEGIN
+            INSERT INTO deleted_records (table_name, ${withTenant ? "tenant_id, " : ""}user_id, record_key)
+            VALUES (TG_TABLE_NAME, ${withTenant ? "OLD.tenant_id, " : ""}OLD.user_id, to_jsonb(OLD) ->> TG_ARGV[0]);
+            RETURN OLD;
+        END
+        $$ LANGUAGE plpgsql;
+    `;
+}
+
+exports.up = async (client) => {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS tenants (
+            id          VARCHAR(64)  PRIMARY KEY,
+            name        VARCHAR(128) NOT NULL DEFAULT '',
+            config      JSONB        NOT NULL DEFAULT '{}',
+            created_at  TIMESTAMP DEFAULT NOW(),
+            updated_at  TIMESTAMP DEFAULT NOW()
+        );
+        INSERT INTO tenants (id, name) VALUES ('default', 'Default') ON CONFLICT DO NOTHING;
+    `);
+
+    // The default fills existing rows; it is dropped afterwards so a
+    // write that forgets its tenant fails instead of landing in 'default'
+    for (const table of TENANT_TABLES) {
+        await client.query(`
+            ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(64) NOT NULL DEFAULT 'default';
+            ALTER TABLE ${table} ALTER COLUMN tenant_id DROP DEFAULT;
+        `);
+    }
+    await client.query(`
+        ALTER TABLE erasure_requests ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(64);
+        UPDATE erasure_requests SET tenant_id = 'default' WHERE tenant_id IS NULL;
+        ALTER TABLE user_preferences ALTER COLUMN personality DROP DEFAULT;
+    `);
+
+    for (const [table, constraint, definition] of KEYS) {
+        await client.query(`
+            ALTER TABLE ${table} DROP CONSTRAINT IF EXISTS ${constraint};
+            ALTER TABLE ${table} ADD CONSTRAINT ${constraint} ${definition};
+        `);
+    }
+    for (const [index, table, , columns] of INDEXES) {
+        await client.query(`
+            DROP INDEX IF EXISTS ${index};
+            CREATE INDEX ${index} ON ${table} ${columns};
+        `);
+    }
+    await client.query(`
+        DROP INDEX IF EXISTS idx_interactions_labelled;
+        CREATE INDEX idx_interactions_labelled ON interactions (tenant_id, user_id, id) ${LABELLED_WHERE};
+        CREATE INDEX IF NOT EXISTS idx_api_keys_tenant ON api_keys (tenant_id);
+        ${trackDelete(true)}
+    `);
+};
+
+exports.down = async (client) => {
+    await client.query(`
+        ${trackDelete(false)}
+        DROP INDEX IF EXISTS idx_api_keys_tenant;
+        DROP INDEX IF EXISTS idx_interactions_labelled;
+        CREATE INDEX idx_interactions_labelled ON interactions (user_id, id) ${LABELLED_WHERE};
+    `);
+    for (const [index, table, columns] of INDEXES) {
+        await client.query(`
+            DROP INDEX IF EXISTS ${index};
+            CREATE INDEX ${index} ON ${table} ${columns};
+        `);
+    }
+    // Rows that only differ by tenant can't be merged back automatically;
+    // this fails on a database that already holds such duplicates
+    for (const [table, constraint, definition] of KEYS) {
+        await client.query(`
+            ALTER TABLE ${table} DROP CONSTRAINT IF EXISTS ${constraint};
+            ALTER TABLE ${table} ADD CONSTRAINT ${constraint} ${definition.replace("tenant_id, ", "")};
+        `);
+    }
+    await client.query(`
+        ALTER TABLE user_preferences ALTER COLUMN personality SET DEFAULT 'Friendly';
+        ALTER TABLE erasure_requests DROP COLUMN IF EXISTS tenant_id;
+    `);
+    for (const table of TENANT_TABLES) {
+        await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS tenant_id;`);
+    }
+    await client.query(`DROP TABLE IF EXISTS tenants;`);
+};
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// scripts/bench-bulk.js — row-by-row vs set-based batch writes
+//
+//   node scripts/bench-bulk.js [words] [interactions] [rounds]
+//   (defaults 2000 500 5; npm run bench:bulk)
+//
+// Writes a vocab save and a sync-sized batch of interactions both ways
+// — the old one-INSERT-per-item loop and lib/bulkwrite.js — against
+// DATABASE_URL. Every round runs in a transaction that is rolled back,
+// so nothing is left behind, but point it at a local database: it
+// needs the schema migrated (npm run migrate) and holds row locks
+// while it runs.
+
+const { pool } = require("../lib/db");
+const bulk     = require("../lib/bulkwrite");
+
+const TENANT = "default";
+const USER   = "bench-bulk";
+
+function makeVocab(n) {
+    return Array.from({ length: n }, (_, i) => ({
+        word: `benchword${i}`, freq: 1 + (i % 7), category: "general", weight: 1 + (i % 3) / 10,
+    }));
+}
+
+function makeInteractions(n) {
+    return Array.from({ length: n }, (_, i) => ({
+        user_id: USER, user_prompt: `bench prompt ${i}`, bot_response: `bench response ${i}`,
+        script: null, intent: i % 2 ? "greet" : null, confidence: 0.5, timestamp: Date.now(),
+        script_risk_score: null, script_risk: null, session_id: null,
+    }));
+}
+
+// The loops /api/vocab/save and /api/sync ran before lib/bulkwrite.js
+const rowByRow = {
+    async vocab(db, entries) {
+        for (const e of entries) {
+            await db.query(
+                `INSERT INTO vocab (tenant_id, user_id, word, freq, category, weight)
+                 VALUES ($6,$1,$2,$3,$4,$5)
+                 ON CONFLICT (tenant_id, user_id, word)
+                 DO UPDATE SET
+                    freq       = GREATEST(vocab.freq, EXCLUDED.freq),
+                    weight     = GREATEST(vocab.weight, EXCLUDED.weight),
+                    updated_at = NOW()`,
+                [USER, e.word, e.freq, e.category, e.weight, TENANT]
+            );
+        }
+    },
+    async interactions(db, rows) {
+        for (const r of rows) {
+            await db.query(
+                `INSERT INTO interactions
+                    (tenant_id, user_id, user_prompt, bot_response, script, intent, confidence, timestamp,
+                     script_risk_score, script_risk, session_id)
+                 VALUES ($11,$1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+                 RETURNING id`,
+                [r.user_id, r.user_prompt, r.bot_response, r.script, r.intent, r.confidence,
+                 r.timestamp, r.script_risk_score, r.script_risk, r.session_id, TENANT]
+            );
+        }
+    },
+};
+
+const setBased = {
+    vocab:        (db, entries) => bulk.upsertVocab(db, TENANT, USER, entries, "max"),
+    interactions: (db, rows)    => bulk.insertInteractions(db, TENANT, rows),
+};
+
+// → median milliseconds over `rounds` rolled-back runs
+async function time(fn, rounds) {
+    const client = await pool.connect();
+    const samples = [];
+    try {
+        for (let i = 0; i < rounds; i++) {
+            await client.query("BEGIN");
+            const start = process.hrtime.bigint();
+            await fn(client);
+            samples.push(Number(process.hrtime.bigint() - start) / 1e6);
+            await client.query("ROLLBACK");
+        }
+    } finally {
+        client.release();
+    }
+    samples.sort((a, b) => a - b);
+    return samples[Math.floor(samples.length / 2)];
+}
+
+function report(label, rows, oldMs, newMs) {
+    const rate = (ms) => `${Math.round(rows / (ms / 1000)).toLocaleString()} rows/s`;
+    console.log(`${label.padEnd(14)} ${String(rows).padStart(6)} rows   ` +
+        `row-by-row ${oldMs.toFixed(1).padStart(8)} ms (${rate(oldMs)})   ` +
+        `set-based ${newMs.toFixed(1).padStart(7)} ms (${rate(newMs)})   ` +
+        `${(oldMs / newMs).toFixed(1)}x`);
+}
+
+async function main() {
+    const [words = 2000, interactions = 500, rounds = 5] = process.argv.slice(2).map(Number);
+    const vocab = makeVocab(words);
+    const rows  = makeInteractions(interactions);
+    console.log(`Median of ${rounds} rounds, chunks of ${bulk.CHUNK_ROWS} rows\n`);
+
+    // Warm the connection and plan caches so the first variant isn't penalized
+    await time(db => setBased.vocab(db, vocab.slice(0, 10)), 1);
+
+    report("vocab save", words,
+        await time(db => rowByRow.vocab(db, vocab), rounds),
+        await time(db => setBased.vocab(db, vocab), rounds));
+    report("interactions", interactions,
+        await time(db => rowByRow.interactions(db, rows), rounds),
+        await time(db => setBased.interactions(db, rows), rounds));
+}
+
+main()
+    .catch(err => {
+        console.error("❌", err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+// scripts/migrate.js — migration CLI
+//
+//   node scripts/migrate.js status       list migrations and whether they ran
+//   node scripts/migrate.js up           apply pending migrations
+//   node scripts/migrate.js down [n]     revert the last n migrations (default 1)
+
+const { pool }  = require("../lib/db");
+const migrate   = require("../lib/migrate");
+
+async function main() {
+    const [command = "status", arg] = process.argv.slice(2);
+
+    if (command === "status") {
+        const rows = await migrate.status(pool);
+        for (const r of rows) {
+            const mark = r.missing ? "⚠️ " : r.applied ? "✅" : "⏳";
+            const when = r.applied_at ? new Date(r.applied_at).toISOString() : "pending";
+            console.log(`${mark} ${String(r.version).padStart(3, "0")}_${r.name}  ${when}${r.missing ? "  (file missing)" : ""}`);
+        }
+        const pending = rows.filter(r => !r.applied).length;
+        console.log(`\n${rows.length} migrations, ${pending} pending`);
+    } else if (command === "up") {
+        const ran = await migrate.up(pool);
+        console.log(ran.length ? `Applied ${ran.length} migration(s)` : "Already up to date");
+    } else if (command === "down") {
+        const steps = parseInt(arg) || 1;
+        const ran = await migrate.down(pool, steps);
+        console.log(ran.length ? `Reverted ${ran.length} migration(s)` : "Nothing to revert");
+    } else {
+        console.error(`Unknown command "${command}". Use status, up or down [n].`);
+        process.exitCode = 1;
+    }
+}
+
+main()
+    .catch(err => {
+        console.error("❌", err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -2,271 +2,618 @@
 // Adds: trained_responses table + CRUD, improved DB schema
 
 require("dotenv").config();
+const crypto  = require("crypto");
 const express = require("express");
-const { Pool } = require("pg");
 const cors     = require("cors");
+const { createRepository } = require("./lib/repository");
+const matcher  = require("./lib/matcher");
+const auth     = require("./lib/auth");
+const csv      = require("./lib/csv");
+const luaAnalyzer = require("./lib/luaanalyzer");
+const deltaSync   = require("./lib/deltasync");
+const bayes       = require("./lib/bayes");
+const erasure     = require("./lib/erasure");
+const personality = require("./lib/personality");
+const retention   = require("./lib/retention");
+const { createJobRunner } = require("./lib/jobs");
+const { createRealtime }  = require("./lib/realtime");
+const { createRateLimiter } = require("./lib/ratelimit");
+const { createTenants, TENANT_ID } = require("./lib/tenants");
+const { envelope, internalError, sendError } = require("./lib/errors");
+const { validate, validateValue } = require("./lib/validate");
+const { LIMITS, SCHEMAS, SYNC_ITEM, INTERACTION_DATA, VOCAB_DATA } = require("./lib/schemas");
+const { buildOpenApi } = require("./lib/openapi");
+const { logger, requestContext } = require("./lib/logger");
+const { registry } = require("./lib/metrics");
+
+// Storage (lib/repository): Postgres unless STORAGE_BACKEND=memory
+const repo = createRepository();
 
 const app = express();
-app.use(cors());
-app.use(express.json({ limit: "10mb" }));
+app.set("trust proxy", parseInt(process.env.TRUST_PROXY_HOPS) || 1);   // Railway edge proxy
 
 // ═══════════════════════════════════════════════════════════════
-// DATABASE CONNECTION
-// Railway injects DATABASE_URL automatically when you link a
-// PostgreSQL service. Make sure the two services are linked.
+// OBSERVABILITY
+// JSON logs with a request id on every line (lib/logger.js) and
+// Prometheus metrics at /metrics (lib/metrics.js). Routes are labelled
+// by their template, so /api/training/:userId is one series.
 // ═══════════════════════════════════════════════════════════════
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: process.env.DATABASE_URL && process.env.DATABASE_URL.includes("railway")
-        ? { rejectUnauthorized: false }
-        : false,
-    max: 10,
-    idleTimeoutMillis: 30000,
-    connectionTimeoutMillis: 5000,
+const httpRequests = registry.counter("chatbot_http_requests_total",
+    "HTTP requests by route and status", ["method", "route", "status"]);
+const httpDuration = registry.histogram("chatbot_http_request_duration_seconds",
+    "HTTP request latency by route", ["method", "route"]);
+const syncBatchItems = registry.histogram("chatbot_sync_batch_items",
+    "Items per /api/sync batch", [], [1, 5, 10, 25, 50, 100, 250, 500, 1000]);
+const syncItems = registry.counter("chatbot_sync_items_total",
+    "/api/sync items by type and outcome", ["type", "outcome"]);
+registry.gauge("chatbot_db_pool_connections", "pg pool clients by state", ["state"], () => {
+    const stats = repo.poolStats();
+    if (!stats) return [];
+    return [
+        [{ state: "total" },   stats.total],
+        [{ state: "idle" },    stats.idle],
+        [{ state: "waiting" }, stats.waiting],
+    ];
 });
 
-pool.on("error", (err) => {
-    console.error("Unexpected PG pool error:", err.message);
+const PROBE_PATHS = ["/health", "/health/live", "/health/ready", "/metrics"];
+app.use(requestContext({ quiet: PROBE_PATHS }));
+app.use((req, res, next) => {
+    const start = process.hrtime.bigint();
+    res.on("finish", () => {
+        // Requests turned away before routing (auth, rate limit, 404) share one series
+        const route = req.route ? req.baseUrl + req.route.path : "unmatched";
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        httpDuration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - start) / 1e9);
+    });
+    next();
 });
 
+app.use(cors());
+app.use(envelope);   // { error, code, details? } on every error (lib/errors.js)
+
+// ═══════════════════════════════════════════════════════════════
+// RATE LIMITING
+// Per-IP bucket on every /api request (checked before auth so floods
+// never reach the DB), plus per-user and per-route buckets attached to
+// each route below. See lib/ratelimit.js for the env overrides.
+// ═══════════════════════════════════════════════════════════════
+const limiter = createRateLimiter();
+app.use("/api", limiter.perIp);
+app.use(express.json({ limit: "10mb", verify: auth.captureRawBody }));
+app.use(express.text({ type: "text/csv", limit: "10mb", verify: auth.captureRawBody }));
+
+// Per-request caps; a tenant can override any of them (see TENANTS),
+// so routes read req.tenant.limits
+const DEFAULT_LIMITS = {
+    syncItems:       parseInt(process.env.MAX_SYNC_ITEMS)   || 500,
+    vocabItems:      parseInt(process.env.MAX_VOCAB_ITEMS)  || 5000,
+    importRows:      parseInt(process.env.MAX_IMPORT_ROWS)  || 5000,
+    scriptLength:    LIMITS.SCRIPT_MAX,
+    respondMinScore: parseFloat(process.env.RESPOND_MIN_SCORE) || 0.55,
+};
+
+// ═══════════════════════════════════════════════════════════════
+// AUTH
+// All /api routes require a signed request from a per-experience
+// API key (see lib/auth.js). /health stays public. Admin routes also
+// sit behind requireScope("admin"), matched the way Express matches
+// the routes themselves.
+// ═══════════════════════════════════════════════════════════════
+const apiAuth = auth.createAuth(repo);
+app.use("/api", apiAuth.middleware);
+app.use(auth.ADMIN_PATHS, apiAuth.requireScope("admin"));
+
 // ═══════════════════════════════════════════════════════════════
-// SCHEMA INIT
+// TENANTS
+// One per Roblox universe (lib/tenants.js). Routes work through
+// req.repo, which only sees the request's tenant, and take limits, the
+// content filter and the default personality from req.tenant. The root
+// repo is left to admin-wide routes, the Roblox webhook and the jobs.
+// ═══════════════════════════════════════════════════════════════
+const PERSONALITIES = personality.loadBuiltins();
+const tenants = createTenants(repo, { limits: DEFAULT_LIMITS, personality: PERSONALITIES });
+app.use("/api", tenants.middleware);
+
+// ═══════════════════════════════════════════════════════════════
+// SCHEMA
+// Versioned migrations in /migrations (see lib/migrate.js). Pending
+// ones are applied on boot unless MIGRATE_ON_START=false, in which
+// case run `npm run migrate` as a release step instead.
 // ═══════════════════════════════════════════════════════════════
 async function initDB() {
-    const client = await pool.connect();
-    try {
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS interactions (
-                id           SERIAL PRIMARY KEY,
-                user_id      VARCHAR(64)  NOT NULL,
-                user_prompt  TEXT         NOT NULL,
-                bot_response TEXT         NOT NULL,
-                script       TEXT,
-                intent       VARCHAR(64),
-                confidence   FLOAT,
-                timestamp    BIGINT,
-                created_at   TIMESTAMP DEFAULT NOW()
-            );
-
-            CREATE TABLE IF NOT EXISTS vocab (
-                id           SERIAL PRIMARY KEY,
-                user_id      VARCHAR(64)  NOT NULL,
-                word         VARCHAR(128) NOT NULL,
-                freq         INTEGER DEFAULT 1,
-                category     VARCHAR(64)  DEFAULT 'general',
-                weight       FLOAT        DEFAULT 1.0,
-                updated_at   TIMESTAMP DEFAULT NOW(),
-                UNIQUE (user_id, word)
-            );
-
-            CREATE TABLE IF NOT EXISTS learning_patterns (
-                id           SERIAL PRIMARY KEY,
-                user_id      VARCHAR(64)  NOT NULL,
-                patterns     JSONB        NOT NULL,
-                pattern_type VARCHAR(64)  DEFAULT 'general',
-                success_rate FLOAT        DEFAULT 0,
-                created_at   TIMESTAMP DEFAULT NOW()
-            );
-
-            CREATE TABLE IF NOT EXISTS user_preferences (
-                user_id            VARCHAR(64) PRIMARY KEY,
-                personality        VARCHAR(64) DEFAULT 'Friendly',
-                settings           JSONB,
-                total_interactions INTEGER DEFAULT 0,
-                last_active        TIMESTAMP DEFAULT NOW()
-            );
-
-            CREATE TABLE IF NOT EXISTS bayesian_probs (
-                id                SERIAL PRIMARY KEY,
-                user_id           VARCHAR(64) NOT NULL,
-                intent            VARCHAR(64) NOT NULL,
-                prior_probability FLOAT,
-                conditional_probs JSONB,
-                updated_at        TIMESTAMP DEFAULT NOW(),
-                UNIQUE (user_id, intent)
-            );
-
-            CREATE TABLE IF NOT EXISTS script_analytics (
-                id                SERIAL PRIMARY KEY,
-                user_id           VARCHAR(64),
-                script_type       VARCHAR(64),
-                execution_success BOOLEAN,
-                error_message     TEXT,
-                created_at        TIMESTAMP DEFAULT NOW()
-            );
-
-            CREATE TABLE IF NOT EXISTS trained_responses (
-                id           SERIAL PRIMARY KEY,
-                user_id      VARCHAR(64)  NOT NULL,
-                pattern      TEXT         NOT NULL,
-                response     TEXT         NOT NULL,
-                script       TEXT         DEFAULT '',
-                created_at   TIMESTAMP DEFAULT NOW()
-            );
-        `);
-
-        // Create indexes separately (correct PostgreSQL syntax)
-        await client.query(`
-            CREATE INDEX IF NOT EXISTS idx_interactions_user   ON interactions      (user_id);
-            CREATE INDEX IF NOT EXISTS idx_interactions_ts     ON interactions      (timestamp);
-            CREATE INDEX IF NOT EXISTS idx_vocab_user          ON vocab             (user_id);
-            CREATE INDEX IF NOT EXISTS idx_vocab_word          ON vocab             (word);
-            CREATE INDEX IF NOT EXISTS idx_learning_user       ON learning_patterns (user_id);
-            CREATE INDEX IF NOT EXISTS idx_analytics_type      ON script_analytics  (script_type);
-            CREATE INDEX IF NOT EXISTS idx_training_user       ON trained_responses (user_id);
-        `);
-
-        console.log("✅ Database schema ready (v7)");
-    } finally {
-        client.release();
-    }
-}
-
-// ═══════════════════════════════════════════════════════════════
-// HEALTH
-// ═══════════════════════════════════════════════════════════════
-app.get("/health", async (req, res) => {
-    let dbOk = false;
-    try {
-        await pool.query("SELECT 1");
-        dbOk = true;
-    } catch {}
-    res.json({
-        status: "healthy",
-        db: dbOk ? "connected" : "error",
+    if (process.env.MIGRATE_ON_START === "false") return;
+    const ran = await repo.migrate({ log: (msg) => logger.info(msg) });
+    logger.info("Database schema ready", { applied: ran.length });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CONTENT FILTER
+// Player text and scripts are screened on write (see
+// lib/contentfilter.js for rules and actions). Every hit is recorded
+// in content_flags for admin review; rejected writes get a 422. The
+// filter is the tenant's: req.tenant.filter.
+// ═══════════════════════════════════════════════════════════════
+
+async function recordFlags(db, table, recordId, userId, flags) {
+    await db.flags.insertMany(flags.map(f => ({ table, recordId, userId, ...f })));
+}
+
+function rejectContent(res, rejected) {
+    return res.status(422).json({
+        error: "Content rejected by filter",
+        code: "CONTENT_REJECTED",
+        field: rejected.field,
+        rules: rejected.rules,
+    });
+}
+
+// Vocab words are single tokens: anything worse than a flag is dropped
+function vocabWordAllowed(filter, word) {
+    const action = filter.check(word).action;
+    return action === "allow" || action === "flag";
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SCRIPT RISK
+// Scripts are analyzed on save (lib/luaanalyzer.js). The full report
+// goes in script_risk, the 0..100 score in script_risk_score.
+// ═══════════════════════════════════════════════════════════════
+// [score, reportJson] ready for the two columns; nulls for no script
+function scriptRisk(script) {
+    if (!script) return [null, null];
+    const report = luaAnalyzer.analyze(script);
+    return [report.score, JSON.stringify(report)];
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SESSION HELPERS
+// A session idle for SESSION_IDLE_MS is expired the next time it is
+// used, and by the sweep started at boot (see START).
+// ═══════════════════════════════════════════════════════════════
+const SESSION_IDLE_MS = parseInt(process.env.SESSION_IDLE_MS) || 30 * 60 * 1000;
+
+// The session row if it belongs to userId and is still live, else null
+async function openSession(db, userId, sessionId) {
+    if (!sessionId) return null;
+    return db.sessions.open(userId, sessionId, SESSION_IDLE_MS);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CHANGE NOTIFICATIONS
+// Writes to training, preferences, personalities and vocab publish an
+// event for the user (lib/realtime.js); GET /api/events/:userId streams them. Inside
+// a transaction, await it on the transaction (tx) so it goes out on
+// commit. Outside one, use publish() on req.repo — a lost event must
+// not fail a write that already happened.
+// ═══════════════════════════════════════════════════════════════
+const realtime = createRealtime(repo);
+registry.gauge("chatbot_sse_streams", "Open /api/events streams on this replica", [],
+    () => [[{}, realtime.subscriberCount()]]);
+
+function publish(db, userId, type, data) {
+    realtime.notify(db, userId, type, data)
+        .catch(err => logger.error("Notify error", { err, type }));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// HEALTH + METRICS
+// /health/live says the process is serving; /health/ready also needs
+// the database to answer and every migration to be applied, so an
+// instance booted with MIGRATE_ON_START=false stays out of rotation
+// until `npm run migrate` has run. /health reports the same as ready
+// for existing monitors. Set METRICS_TOKEN to require
+// "Authorization: Bearer <token>" on /metrics.
+// ═══════════════════════════════════════════════════════════════
+const READY_TIMEOUT_MS = parseInt(process.env.READY_TIMEOUT_MS) || 2000;
+
+async function readiness() {
+    const checks = { db: "ok", migrations: "ok" };
+    try {
+        await repo.ping(READY_TIMEOUT_MS);
+        const pending = await repo.pendingMigrations();
+        if (pending.length) {
+            checks.migrations = "pending";
+            checks.pendingMigrations = pending;
+        }
+    } catch (err) {
+        logger.warn("Readiness check failed", { err });
+        checks.db = "error";
+        checks.migrations = "unknown";
+    }
+    return { ready: checks.db === "ok" && checks.migrations === "ok", checks };
+}
+
+app.get("/health/live", validate(SCHEMAS.healthLive), (req, res) => {
+    res.json({ status: "ok", uptime: Math.round(process.uptime()), ts: new Date().toISOString() });
+});
+
+app.get("/health/ready", validate(SCHEMAS.healthReady), async (req, res) => {
+    const { ready, checks } = await readiness();
+    res.status(ready ? 200 : 503).json({ status: ready ? "ready" : "not_ready", ...checks, ts: new Date().toISOString() });
+});
+
+app.get("/health", validate(SCHEMAS.health), async (req, res) => {
+    const { ready, checks } = await readiness();
+    res.status(ready ? 200 : 503).json({
+        status: ready ? "healthy" : "unhealthy",
+        db: checks.db === "ok" ? "connected" : "error",
+        migrations: checks.migrations,
         version: "7.0",
         ts: new Date().toISOString()
     });
 });
 
+function metricsTokenOk(header) {
+    const token = process.env.METRICS_TOKEN;
+    if (!token) return true;
+    const digest = (v) => crypto.createHash("sha256").update(String(v || "")).digest();
+    return crypto.timingSafeEqual(digest(header), digest(`Bearer ${token}`));
+}
+
+app.get("/metrics", validate(SCHEMAS.metrics), (req, res) => {
+    if (!metricsTokenOk(req.get("authorization")))
+        return res.status(401).json({ error: "Invalid metrics token" });
+    res.type("text/plain; version=0.0.4").send(registry.render());
+});
+
+// Generated from the route schemas (lib/schemas.js) on first request
+let openApiDoc = null;
+app.get("/openapi.json", (req, res) => {
+    if (!openApiDoc) openApiDoc = buildOpenApi(app);
+    res.json(openApiDoc);
+});
+
 // ═══════════════════════════════════════════════════════════════
 // SYNC  (batch interactions + vocab)
 // ═══════════════════════════════════════════════════════════════
-app.post("/api/sync", async (req, res) => {
-    const { userId, data } = req.body;
+// Interactions are attached to `sessionId` (batch level) or the item's
+// own SessionId. Sessions that are unknown, ended or expired are
+// listed in staleSessions; those interactions are stored unattached.
+//
+// Send an Idempotency-Key header (or idempotencyKey in the body) to
+// make retries safe: a key that already committed returns the original
+// response with `Idempotent-Replayed: true` and writes nothing.
+//
+// Items that fail SYNC_ITEM (lib/schemas.js) or the content filter are
+// skipped and listed in `errors` as { index, path, code, message }; the
+// rest of the batch still commits.
+const IDEMPOTENCY_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+function syncItemErrors(item, index) {
+    const path = `data[${index}]`;
+    let errors = validateValue(SYNC_ITEM, item, path);
+    if (!errors.length)
+        errors = validateValue(item.Type === "vocab" ? VOCAB_DATA : INTERACTION_DATA, item.Data, `${path}.Data`);
+    return errors.map(e => ({ index, ...e }));
+}
+
+app.post("/api/sync", limiter.route("sync"), validate(SCHEMAS.sync), async (req, res) => {
+    const { userId, data, sessionId } = req.body;
+    const idemKey = req.get("idempotency-key") || req.body.idempotencyKey;
     if (!userId || !Array.isArray(data))
         return res.status(400).json({ error: "Invalid body" });
+    if (idemKey !== undefined && (typeof idemKey !== "string" || !idemKey || idemKey.length > 128))
+        return res.status(400).json({ error: "Idempotency key must be a string of 1-128 chars" });
+    const { limits, filter } = req.tenant;
+    if (data.length > limits.syncItems)
+        return res.status(413).json({ error: `Too many items (max ${limits.syncItems} per sync)` });
+    const syncVocabCount = data.reduce((n, item) =>
+        n + (item && item.Type === "vocab" && item.Data ? Object.keys(item.Data).length : 0), 0);
+    if (syncVocabCount > limits.vocabItems)
+        return res.status(413).json({ error: `Too many vocab entries (max ${limits.vocabItems} per sync)` });
+
+    try {
+        const outcome = await req.repo.transaction(async (tx) => {
+            if (idemKey && !await tx.syncBatches.claim(userId, idemKey)) {
+                return tx.rollback({ replayed: (await tx.syncBatches.response(userId, idemKey)) || { success: true } });
+            }
+
+            // Screened and collected first, then written set-based (lib/bulkwrite.js)
+            const rows         = [];          // interactions to insert
+            const rowFlags     = [];          // content flags per row in `rows`
+            const vocabEntries = [];
+            const flags        = [];          // flags on rejected items
+            let rejected     = 0;
+            let vocabFiltered = 0;
+            const errors       = [];
+            const sessionLive  = new Map();   // sessionId → bool
+            const sessionTurns = new Map();   // sessionId → interactions added
+
+            for (const [index, item] of data.entries()) {
+                const invalid = syncItemErrors(item, index);
+                if (invalid.length) { errors.push(...invalid); continue; }
 
-    const client = await pool.connect();
-    try {
-        await client.query("BEGIN");
-
-        let interactions = 0;
-        let vocabUpdates = 0;
-
-        for (const item of data) {
-            if (item.Type === "interaction" && item.Data) {
-                await client.query(
-                    `INSERT INTO interactions
-                        (user_id, user_prompt, bot_response, script, intent, confidence, timestamp)
-                     VALUES ($1,$2,$3,$4,$5,$6,$7)`,
-                    [
-                        userId,
-                        item.Data.UserPrompt  || "",
-                        item.Data.BotResponse || "",
-                        item.Data.Script      || null,
-                        item.Data.Intent      || null,
-                        item.Data.Confidence  || null,
-                        item.Timestamp        || Date.now(),
-                    ]
-                );
-                interactions++;
-
-            } else if (item.Type === "vocab" && item.Data) {
-                for (const [word, info] of Object.entries(item.Data)) {
-                    await client.query(
-                        `INSERT INTO vocab (user_id, word, freq, category, weight)
-                         VALUES ($1,$2,$3,$4,$5)
-                         ON CONFLICT (user_id, word)
-                         DO UPDATE SET
-                            freq       = vocab.freq + EXCLUDED.freq,
-                            weight     = GREATEST(vocab.weight, EXCLUDED.weight),
-                            updated_at = NOW()`,
-                        [userId, word, info.freq || 1, info.cat || "general", info.weight || 1.0]
-                    );
-                    vocabUpdates++;
+                if (item.Type === "interaction") {
+                    const screened = filter.screen({
+                        user_prompt:  item.Data.UserPrompt  || "",
+                        bot_response: item.Data.BotResponse || "",
+                        script:       item.Data.Script      || null,
+                    }, { scriptFields: ["script"] });
+                    if (screened.rejected) {
+                        flags.push(...screened.flags.map(f => ({ table: "interactions", recordId: null, userId, ...f })));
+                        errors.push({ index, path: `data[${index}].Data`, code: "CONTENT_REJECTED",
+                                      message: `Content rejected by filter (${screened.rejected.rules.join(", ")})` });
+                        rejected++;
+                        continue;
+                    }
+                    const sid = item.SessionId || sessionId || null;
+                    if (sid && !sessionLive.has(sid))
+                        sessionLive.set(sid, !!(await openSession(tx, userId, sid)));
+                    const liveSid = sid && sessionLive.get(sid) ? String(sid) : null;
+
+                    const [riskScore, risk] = scriptRisk(screened.values.script);
+                    rows.push({
+                        user_id:           userId,
+                        user_prompt:       screened.values.user_prompt,
+                        bot_response:      screened.values.bot_response,
+                        script:            screened.values.script,
+                        intent:            item.Data.Intent      || null,
+                        confidence:        item.Data.Confidence  || null,
+                        timestamp:         item.Timestamp        || Date.now(),
+                        script_risk_score: riskScore,
+                        script_risk:       risk,
+                        session_id:        liveSid,
+                    });
+                    rowFlags.push(screened.flags);
+                    if (liveSid) sessionTurns.set(liveSid, (sessionTurns.get(liveSid) || 0) + 1);
+
+                } else {
+                    for (const [word, info] of Object.entries(item.Data)) {
+                        if (!vocabWordAllowed(filter, word)) { vocabFiltered++; continue; }
+                        vocabEntries.push({ word, freq: info.freq || 1, category: info.cat || "general", weight: info.weight || 1.0 });
+                    }
                 }
             }
-        }
 
-        await client.query(
-            `INSERT INTO user_preferences (user_id, total_interactions, last_active)
-             VALUES ($1,$2,NOW())
-             ON CONFLICT (user_id)
-             DO UPDATE SET
-                total_interactions = user_preferences.total_interactions + $2,
-                last_active        = NOW()`,
-            [userId, interactions]
-        );
+            const ids = await tx.interactions.insertMany(rows);
+            ids.forEach((id, i) => {
+                for (const f of rowFlags[i]) flags.push({ table: "interactions", recordId: id, userId, ...f });
+            });
+            await tx.flags.insertMany(flags);
+            await tx.vocab.upsert(userId, vocabEntries, "add");
+            const interactions = rows.length;
+            const vocabUpdates = vocabEntries.length;
+            const vocabWords   = [...new Set(vocabEntries.map(e => e.word))];
 
-        await client.query("COMMIT");
-        res.json({ success: true, interactions, vocabUpdates, ts: new Date().toISOString() });
+            for (const [sid, turns] of sessionTurns) await tx.sessions.touch(sid, turns);
+
+            await tx.preferences.countInteractions(userId, interactions);
+
+            const staleSessions = [...sessionLive].filter(([, live]) => !live).map(([sid]) => sid);
+            const payload = {
+                success: true,
+                interactions,
+                vocabUpdates,
+                rejected,
+                vocabFiltered,
+                invalid: errors.length - rejected,
+                errors,
+                staleSessions,
+                ts: new Date().toISOString()
+            };
+            if (idemKey) await tx.syncBatches.complete(userId, idemKey, payload);
+            if (vocabWords.length)
+                await realtime.notify(tx, userId, "vocab.changed", { words: vocabWords });
+            return { payload, counts: { interactions, rejected, vocabUpdates, vocabFiltered } };
+        });
+
+        if (outcome.replayed) {
+            res.set("Idempotent-Replayed", "true");
+            return res.json(outcome.replayed);
+        }
+        const { payload, counts } = outcome;
+        syncBatchItems.observe({}, data.length);
+        syncItems.inc({ type: "interaction", outcome: "stored" },   counts.interactions);
+        syncItems.inc({ type: "interaction", outcome: "rejected" }, counts.rejected);
+        syncItems.inc({ type: "vocab",       outcome: "stored" },   counts.vocabUpdates);
+        syncItems.inc({ type: "vocab",       outcome: "filtered" }, counts.vocabFiltered);
+        syncItems.inc({ type: "any",         outcome: "invalid" },  payload.invalid);
+        res.json(payload);
 
     } catch (err) {
-        await client.query("ROLLBACK");
-        console.error("Sync error:", err.message);
-        res.status(500).json({ error: err.message });
-    } finally {
-        client.release();
+        internalError(res, err, "Sync");
     }
 });
 
 // ═══════════════════════════════════════════════════════════════
 // VOCAB  —  save & load
 // ═══════════════════════════════════════════════════════════════
-app.post("/api/vocab/save", async (req, res) => {
+app.post("/api/vocab/save", limiter.route("vocab.save"), validate(SCHEMAS.vocabSave), async (req, res) => {
     const { userId, vocab } = req.body;
     if (!userId || !vocab || typeof vocab !== "object")
         return res.status(400).json({ error: "Invalid body" });
+    const max = req.tenant.limits.vocabItems;
+    if (Object.keys(vocab).length > max)
+        return res.status(413).json({ error: `Too many vocab entries (max ${max} per save)` });
 
-    const client = await pool.connect();
     try {
-        await client.query("BEGIN");
-        let count = 0;
+        let filtered = 0;
+        const entries = [];
+        const errors  = [];
         for (const [word, info] of Object.entries(vocab)) {
-            if (typeof word !== "string" || word.length > 128) continue;
-            await client.query(
-                `INSERT INTO vocab (user_id, word, freq, category, weight)
-                 VALUES ($1,$2,$3,$4,$5)
-                 ON CONFLICT (user_id, word)
-                 DO UPDATE SET
-                    freq       = GREATEST(vocab.freq, EXCLUDED.freq),
-                    weight     = GREATEST(vocab.weight, EXCLUDED.weight),
-                    updated_at = NOW()`,
-                [userId, word, info.freq || 1, info.cat || "general", info.weight || 1.0]
-            );
-            count++;
+            const invalid = validateValue(VOCAB_DATA, { [word]: info }, "vocab");
+            if (invalid.length) { errors.push(...invalid); continue; }
+            if (!vocabWordAllowed(req.tenant.filter, word)) { filtered++; continue; }
+            entries.push({ word, freq: info.freq || 1, category: info.cat || "general", weight: info.weight || 1.0 });
         }
-        await client.query("COMMIT");
-        res.json({ success: true, saved: count });
+        const count = await req.repo.transaction(async (tx) => {
+            const saved = await tx.vocab.upsert(userId, entries, "max");
+            const words = entries.map(e => e.word);
+            if (words.length) await realtime.notify(tx, userId, "vocab.changed", { words });
+            return saved;
+        });
+        res.json({ success: true, saved: count, filtered, invalid: errors.length, errors });
     } catch (err) {
-        await client.query("ROLLBACK");
-        console.error("Vocab save error:", err.message);
-        res.status(500).json({ error: err.message });
-    } finally {
-        client.release();
+        internalError(res, err, "Vocab save");
     }
 });
 
-app.get("/api/vocab/:userId", async (req, res) => {
+// ?since=<cursor> returns only words changed since that cursor plus
+// `deleted` words. Every response carries the next cursor; `full`
+// tells the client whether to replace its copy or merge into it.
+const VOCAB_LOAD_MAX = 5000;
+
+app.get("/api/vocab/:userId", limiter.route("vocab.load"), validate(SCHEMAS.vocabLoad), async (req, res) => {
     const { userId } = req.params;
+    const { since, error } = deltaSync.parseSince(req.query.since);
+    if (error)
+        return res.status(400).json({ error });
     try {
-        const result = await pool.query(
-            `SELECT word, freq, category AS cat, weight
-             FROM vocab
-             WHERE user_id = $1
-             ORDER BY freq * weight DESC
-             LIMIT 5000`,
-            [userId]
-        );
+        const cursor = await req.repo.cursor();
+        let full = !since;
+        let rows, deleted = [];
+        if (since) {
+            rows = await req.repo.vocab.changedSince(userId, since, VOCAB_LOAD_MAX + 1);
+            // Too much changed to be worth a delta: fall back to a snapshot
+            if (rows.length > VOCAB_LOAD_MAX) full = true;
+            else deleted = await req.repo.tombstones.deletedSince("vocab", userId, since);
+        }
+        if (full) rows = await req.repo.vocab.snapshot(userId, VOCAB_LOAD_MAX);
         const vocab = {};
-        for (const row of result.rows) {
+        for (const row of rows) {
             vocab[row.word] = { freq: row.freq, cat: row.cat, weight: parseFloat(row.weight) };
         }
-        res.json({ vocab, count: result.rows.length, ts: new Date().toISOString() });
+        res.json({ vocab, deleted, full, cursor, count: rows.length, ts: new Date().toISOString() });
+    } catch (err) {
+        internalError(res, err, "Vocab load");
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// PERSONALITIES
+// Built-ins come from config/personalities.json (lib/personality.js);
+// players add their own, or override a built-in for themselves by
+// saving one under the same name. Deleting an override brings the
+// built-in back. user_preferences.personality picks the active one;
+// without one it is the tenant's default.
+// ═══════════════════════════════════════════════════════════════
+
+function builtinProfile(name) {
+    const p = PERSONALITIES.builtins[name];
+    return p ? { ...p, builtin: true, custom: false } : null;
+}
+
+function profileFromRow(row) {
+    return {
+        ...personality.normalizeProfile(row.name, row),
+        builtin:    !!PERSONALITIES.builtins[row.name],
+        custom:     true,
+        updated_at: row.updated_at,
+    };
+}
+
+// → profile or null; the player's own wins over a built-in
+async function findPersonality(db, userId, name) {
+    const row = await db.personalities.get(userId, name);
+    return row ? profileFromRow(row) : builtinProfile(name);
+}
+
+// The personality to answer with: the requested one (null if it
+// doesn't exist), else the saved preference, else the tenant's default.
+// A saved name that has since been deleted falls back to the default.
+async function activePersonality(req, userId, requested) {
+    if (requested) return findPersonality(req.repo, userId, requested);
+    const saved = await req.repo.preferences.personality(userId);
+    return (saved && await findPersonality(req.repo, userId, saved))
+        || findPersonality(req.repo, userId, req.tenant.defaultPersonality);
+}
+
+// Preferences as sent to clients: no saved personality means the default
+function withDefaultPersonality(req, prefs) {
+    return prefs && !prefs.personality ? { ...prefs, personality: req.tenant.defaultPersonality } : prefs;
+}
+
+// Variant writes touch the parent pair so delta sync sends it again
+async function touchPairs(tx, userId, ids) {
+    if (!ids.length) return;
+    await tx.training.touch(userId, ids);
+    await realtime.notify(tx, userId, "training.updated", { ids });
+}
+
+app.get("/api/personalities/:userId", limiter.route("personalities"), validate(SCHEMAS.personalityList), async (req, res) => {
+    const { userId } = req.params;
+    try {
+        const [own, saved] = await Promise.all([
+            req.repo.personalities.list(userId),
+            req.repo.preferences.personality(userId),
+        ]);
+        const byName = new Map(Object.keys(PERSONALITIES.builtins).map(name => [name, builtinProfile(name)]));
+        for (const row of own) byName.set(row.name, profileFromRow(row));
+        const fallback = req.tenant.defaultPersonality;
+        res.json({
+            personalities: [...byName.values()],
+            active:        saved && byName.has(saved) ? saved : fallback,
+            default:       fallback,
+        });
+    } catch (err) {
+        internalError(res, err, "Personality list");
+    }
+});
+
+app.get("/api/personalities/:userId/:name", limiter.route("personalities"), validate(SCHEMAS.personalityLoad), async (req, res) => {
+    const { userId, name } = req.params;
+    try {
+        const profile = await findPersonality(req.repo, userId, name);
+        if (!profile)
+            return res.status(404).json({ error: "Personality not found" });
+        res.json({ personality: profile });
+    } catch (err) {
+        internalError(res, err, "Personality load");
+    }
+});
+
+// Create or replace (the body is the whole profile; omitted parts reset to defaults)
+app.put("/api/personalities/:userId/:name", limiter.route("personalities"), validate(SCHEMAS.personalitySave), async (req, res) => {
+    const { userId, name } = req.params;
+    const profile = personality.normalizeProfile(name, req.body);
+    const invalid = personality.profileError(profile);
+    if (invalid)
+        return res.status(400).json({ error: invalid });
+
+    try {
+        const screened = personality.screenProfile(req.tenant.filter, profile);
+        if (screened.rejected) {
+            await recordFlags(req.repo, "personalities", null, userId, screened.flags);
+            return rejectContent(res, screened.rejected);
+        }
+        const row = await req.repo.personalities.save(userId, name, screened.profile);
+        await recordFlags(req.repo, "personalities", row.id, userId, screened.flags);
+        publish(req.repo, userId, "personality.updated", { name });
+        res.json({
+            success:     true,
+            created:     row.created,
+            personality: profileFromRow(row),
+            flagged:     screened.flags.map(f => f.field),
+        });
+    } catch (err) {
+        internalError(res, err, "Personality save");
+    }
+});
+
+// Variants written for a name that no longer exists are deleted with it
+app.delete("/api/personalities/:userId/:name", limiter.route("personalities"), validate(SCHEMAS.personalityDelete), async (req, res) => {
+    const { userId, name } = req.params;
+    const builtin = !!PERSONALITIES.builtins[name];
+    try {
+        const variants = await req.repo.transaction(async (tx) => {
+            if (!await tx.personalities.delete(userId, name)) return null;
+            let ids = [];
+            if (!builtin) {
+                ids = await tx.variants.deleteFor(userId, name);
+                await touchPairs(tx, userId, ids);
+            }
+            await realtime.notify(tx, userId, "personality.deleted", { name });
+            return ids;
+        });
+        if (!variants) {
+            return builtin
+                ? res.status(400).json({ error: "Built-in personalities can't be deleted" })
+                : res.status(404).json({ error: "Personality not found" });
+        }
+        res.json({ success: true, deleted: name, restoredBuiltin: builtin, variantsDeleted: variants.length });
     } catch (err) {
-        console.error("Vocab load error:", err.message);
-        res.status(500).json({ error: err.message });
+        internalError(res, err, "Personality delete");
     }
 });
 
@@ -275,306 +622,1669 @@ app.get("/api/vocab/:userId", async (req, res) => {
 // The bot's actual learning — user-defined prompt→response pairs
 // ═══════════════════════════════════════════════════════════════
 
+const PATTERN_MAX  = LIMITS.PATTERN_MAX;
+const RESPONSE_MAX = LIMITS.RESPONSE_MAX;
+
+// Shared by save and import — returns an error message or null
+function validatePair(pattern, response) {
+    if (typeof pattern !== "string" || !pattern.trim() || typeof response !== "string" || !response)
+        return "pattern and response are required";
+    if (pattern.length > PATTERN_MAX)
+        return `Pattern too long (max ${PATTERN_MAX} chars)`;
+    if (response.length > RESPONSE_MAX)
+        return `Response too long (max ${RESPONSE_MAX} chars)`;
+    return null;
+}
+
+// maxLength: the tenant's limits.scriptLength
+function validateScript(script, maxLength) {
+    if (script === undefined || script === null || script === "") return null;
+    if (typeof script !== "string") return "script must be a string";
+    if (script.length > maxLength) return `Script too long (max ${maxLength} chars)`;
+    return null;
+}
+
+function normalizePattern(pattern) {
+    return pattern.toLowerCase().trim();
+}
+
 // Save a trained pair
-app.post("/api/training/save", async (req, res) => {
+app.post("/api/training/save", limiter.route("training.save"), validate(SCHEMAS.trainingSave), async (req, res) => {
     const { userId, pattern, response, script } = req.body;
     if (!userId || !pattern || !response)
         return res.status(400).json({ error: "userId, pattern, and response are required" });
 
     // Sanitize
-    if (pattern.length > 500)
-        return res.status(400).json({ error: "Pattern too long (max 500 chars)" });
-    if (response.length > 5000)
-        return res.status(400).json({ error: "Response too long (max 5000 chars)" });
+    const invalid = validatePair(pattern, response) || validateScript(script, req.tenant.limits.scriptLength);
+    if (invalid)
+        return res.status(400).json({ error: invalid });
 
     try {
-        const result = await pool.query(
-            `INSERT INTO trained_responses (user_id, pattern, response, script)
-             VALUES ($1, $2, $3, $4)
-             RETURNING id, created_at`,
-            [userId, pattern.toLowerCase().trim(), response, script || ""]
-        );
-        res.json({ success: true, id: result.rows[0].id, created_at: result.rows[0].created_at });
+        const screened = req.tenant.filter.screen({ pattern, response, script: script || "" }, { scriptFields: ["script"] });
+        if (screened.rejected) {
+            await recordFlags(req.repo, "trained_responses", null, userId, screened.flags);
+            return rejectContent(res, screened.rejected);
+        }
+        const v = screened.values;
+        const [riskScore, risk] = scriptRisk(v.script);
+        const row = await req.repo.training.create(userId, {
+            pattern: normalizePattern(v.pattern), response: v.response, script: v.script, riskScore, risk,
+        });
+        await recordFlags(req.repo, "trained_responses", row.id, userId, screened.flags);
+        publish(req.repo, userId, "training.created", { ids: [row.id] });
+        res.json({
+            success: true,
+            id: row.id,
+            created_at: row.created_at,
+            flagged: screened.flags.map(f => f.field),
+            scriptRiskScore: riskScore,
+        });
     } catch (err) {
-        console.error("Training save error:", err.message);
-        res.status(500).json({ error: err.message });
+        internalError(res, err, "Training save");
     }
 });
 
-// Load all trained pairs for a user
-app.get("/api/training/:userId", async (req, res) => {
+// Load trained pairs for a user — all of them, or with ?since=<cursor>
+// only those changed since, plus the ids `deleted` since. Each pair
+// carries its personality variants: { personality: { response, script } }
+app.get("/api/training/:userId", limiter.route("training.load"), validate(SCHEMAS.trainingLoad), async (req, res) => {
     const { userId } = req.params;
+    const { since, error } = deltaSync.parseSince(req.query.since);
+    if (error)
+        return res.status(400).json({ error });
     try {
-        const result = await pool.query(
-            `SELECT id, pattern, response, script, created_at AS ts
-             FROM trained_responses
-             WHERE user_id = $1
-             ORDER BY created_at ASC`,
-            [userId]
-        );
+        const cursor = await req.repo.cursor();
+        const pairs = await req.repo.training.list(userId, since);
+        const deleted = since
+            ? (await req.repo.tombstones.deletedSince("trained_responses", userId, since)).map(Number)
+            : [];
         res.json({
-            pairs: result.rows,
-            count: result.rows.length,
+            pairs,
+            deleted,
+            full: !since,
+            cursor,
+            count: pairs.length,
             ts: new Date().toISOString()
         });
     } catch (err) {
-        console.error("Training load error:", err.message);
-        res.status(500).json({ error: err.message });
+        internalError(res, err, "Training load");
     }
 });
 
 // Delete a trained pair
-app.delete("/api/training/:userId/:id", async (req, res) => {
+app.delete("/api/training/:userId/:id", limiter.route("training.delete"), validate(SCHEMAS.trainingDelete), async (req, res) => {
     const { userId, id } = req.params;
     const numId = parseInt(id);
     if (isNaN(numId))
         return res.status(400).json({ error: "Invalid id" });
     try {
-        const result = await pool.query(
-            `DELETE FROM trained_responses
-             WHERE user_id = $1 AND id = $2
-             RETURNING id`,
-            [userId, numId]
-        );
-        if (result.rows.length === 0)
+        if (!await req.repo.training.delete(userId, numId))
             return res.status(404).json({ error: "Training pair not found" });
+        publish(req.repo, userId, "training.deleted", { ids: [numId] });
         res.json({ success: true, deleted: numId });
     } catch (err) {
-        console.error("Training delete error:", err.message);
-        res.status(500).json({ error: err.message });
+        internalError(res, err, "Training delete");
     }
 });
 
 // ═══════════════════════════════════════════════════════════════
-// USER DATA
+// TRAINING EDITS + REVISION HISTORY
+// Updates keep the id and created_at. The version being replaced is
+// copied into trained_response_revisions first, so history lists
+// every prior state and any of them can be restored.
 // ═══════════════════════════════════════════════════════════════
-app.get("/api/user/:userId", async (req, res) => {
-    const { userId } = req.params;
-    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+// Who to blame in history: an explicit editedBy (e.g. the Roblox
+// username of the builder) or else the API key that made the call.
+function changedBy(req) {
+    const editor = req.body && typeof req.body.editedBy === "string" ? req.body.editedBy.slice(0, 128) : "";
+    return editor || (req.apiKey ? req.apiKey.keyId : null);
+}
+
+// Edit a trained pair (any of pattern, response, script)
+app.put("/api/training/:userId/:id", limiter.route("training.update"), validate(SCHEMAS.trainingUpdate), async (req, res) => {
+    const { userId, id } = req.params;
+    const numId = parseInt(id);
+    if (isNaN(numId))
+        return res.status(400).json({ error: "Invalid id" });
+    const { pattern, response, script } = req.body;
+    if (pattern === undefined && response === undefined && script === undefined)
+        return res.status(400).json({ error: "Nothing to update (pattern, response or script)" });
+    const badScript = validateScript(script, req.tenant.limits.scriptLength);
+    if (badScript)
+        return res.status(400).json({ error: badScript });
+
+    try {
+        const outcome = await req.repo.transaction(async (tx) => {
+            const current = await tx.training.get(userId, numId);
+            if (!current)
+                return tx.rollback({ status: 404, error: "Training pair not found" });
+            const next = {
+                pattern:  pattern  !== undefined ? pattern  : current.pattern,
+                response: response !== undefined ? response : current.response,
+                script:   script   !== undefined ? (script || "") : (current.script || ""),
+            };
+            const invalid = validatePair(next.pattern, next.response);
+            if (invalid)
+                return tx.rollback({ status: 400, error: invalid });
+            const screened = req.tenant.filter.screen(next, { scriptFields: ["script"] });
+            if (screened.rejected)
+                return tx.rollback({ screened });
+            const v = screened.values;
+
+            // Copies the current row into history (and locks it) first
+            const revision = await tx.training.recordRevision(userId, numId, "update", changedBy(req));
+            const [riskScore, risk] = scriptRisk(v.script);
+            const pair = await tx.training.update(userId, numId, {
+                pattern: normalizePattern(v.pattern), response: v.response, script: v.script, riskScore, risk,
+            });
+            await recordFlags(tx, "trained_responses", numId, userId, screened.flags);
+            await realtime.notify(tx, userId, "training.updated", { ids: [numId] });
+            return { pair, revision };
+        });
+        if (outcome.screened) {
+            await recordFlags(req.repo, "trained_responses", numId, userId, outcome.screened.flags);
+            return rejectContent(res, outcome.screened.rejected);
+        }
+        if (outcome.error)
+            return res.status(outcome.status).json({ error: outcome.error });
+        res.json({ success: true, pair: outcome.pair, previousRevision: outcome.revision });
+    } catch (err) {
+        internalError(res, err, "Training update");
+    }
+});
+
+// Prior versions of a pair, newest first
+app.get("/api/training/:userId/:id/history", limiter.route("training.history"), validate(SCHEMAS.trainingHistory), async (req, res) => {
+    const { userId, id } = req.params;
+    const numId = parseInt(id);
+    if (isNaN(numId))
+        return res.status(400).json({ error: "Invalid id" });
     try {
-        const [interactions, prefs, vocab, training] = await Promise.all([
-            pool.query(
-                `SELECT id, user_prompt, bot_response, intent, confidence, created_at
-                 FROM interactions WHERE user_id=$1 ORDER BY created_at DESC LIMIT $2`,
-                [userId, limit]
-            ),
-            pool.query("SELECT * FROM user_preferences WHERE user_id=$1", [userId]),
-            pool.query(
-                `SELECT word, freq, category, weight FROM vocab
-                 WHERE user_id=$1 ORDER BY freq DESC LIMIT 200`,
-                [userId]
-            ),
-            pool.query(
-                `SELECT id, pattern, response FROM trained_responses
-                 WHERE user_id=$1 ORDER BY created_at ASC`,
-                [userId]
-            ),
+        const [pair, revisions] = await Promise.all([
+            req.repo.training.get(userId, numId),
+            req.repo.training.revisions(userId, numId),
         ]);
+        if (!pair)
+            return res.status(404).json({ error: "Training pair not found" });
+        const { id: pairId, pattern, response, script, created_at, updated_at } = pair;
         res.json({
-            interactions: interactions.rows,
-            preferences:  prefs.rows[0] || null,
-            topVocab:     vocab.rows,
-            trainedPairs: training.rows,
-            ts: new Date().toISOString(),
+            current:   { id: pairId, pattern, response, script, created_at, updated_at },
+            revisions,
+            count:     revisions.length,
+            ts: new Date().toISOString()
         });
     } catch (err) {
-        console.error("User data error:", err.message);
-        res.status(500).json({ error: err.message });
+        internalError(res, err, "Training history");
     }
 });
 
-// ═══════════════════════════════════════════════════════════════
-// LEARNING PATTERNS
-// ═══════════════════════════════════════════════════════════════
-app.post("/api/learning", async (req, res) => {
-    const { userId, patterns, patternType, successRate } = req.body;
-    if (!userId || !patterns) return res.status(400).json({ error: "Invalid body" });
+// Restore a prior revision (the current state is itself kept as a revision)
+app.post("/api/training/:userId/:id/revert", limiter.route("training.update"), validate(SCHEMAS.trainingRevert), async (req, res) => {
+    const { userId, id } = req.params;
+    const numId    = parseInt(id);
+    const revision = parseInt(req.body.revision);
+    if (isNaN(numId) || isNaN(revision))
+        return res.status(400).json({ error: "Invalid id or revision" });
+
     try {
-        await pool.query(
-            `INSERT INTO learning_patterns (user_id, patterns, pattern_type, success_rate)
-             VALUES ($1,$2,$3,$4)`,
-            [userId, JSON.stringify(patterns), patternType || "general", successRate || 0]
-        );
-        res.json({ success: true });
+        const outcome = await req.repo.transaction(async (tx) => {
+            const target = await tx.training.revision(userId, numId, revision);
+            if (!target)
+                return tx.rollback({ status: 404, error: "Revision not found" });
+            const saved = await tx.training.recordRevision(userId, numId, "revert", changedBy(req));
+            if (saved === null)
+                return tx.rollback({ status: 404, error: "Training pair not found" });
+            const [riskScore, risk] = scriptRisk(target.script);
+            const pair = await tx.training.update(userId, numId, {
+                pattern: target.pattern, response: target.response, script: target.script || "", riskScore, risk,
+            });
+            await realtime.notify(tx, userId, "training.updated", { ids: [numId] });
+            return { pair, saved };
+        });
+        if (outcome.error)
+            return res.status(outcome.status).json({ error: outcome.error });
+        res.json({ success: true, pair: outcome.pair, revertedTo: revision, previousRevision: outcome.saved });
     } catch (err) {
-        console.error("Learning save error:", err.message);
-        res.status(500).json({ error: err.message });
+        internalError(res, err, "Training revert");
     }
 });
 
 // ═══════════════════════════════════════════════════════════════
-// BAYESIAN PROBABILITIES
+// PERSONALITY VARIANTS
+// A trained pair can answer differently per personality. /api/respond
+// matches on the pair's pattern as usual, then uses the active
+// personality's variant verbatim if there is one; otherwise the base
+// response goes through that personality's tone and template. A
+// variant without a script keeps the pair's script.
 // ═══════════════════════════════════════════════════════════════
-app.post("/api/bayesian/update", async (req, res) => {
-    const { userId, intent, priorProb, conditionalProbs } = req.body;
-    if (!userId || !intent || priorProb === undefined)
-        return res.status(400).json({ error: "Invalid body" });
+app.get("/api/training/:userId/:id/variants", limiter.route("training.load"), validate(SCHEMAS.trainingVariants), async (req, res) => {
+    const { userId, id } = req.params;
+    const numId = parseInt(id);
     try {
-        await pool.query(
-            `INSERT INTO bayesian_probs (user_id, intent, prior_probability, conditional_probs, updated_at)
-             VALUES ($1,$2,$3,$4,NOW())
-             ON CONFLICT (user_id, intent)
-             DO UPDATE SET
-                prior_probability = $3,
-                conditional_probs = $4,
-                updated_at        = NOW()`,
-            [userId, intent, priorProb, JSON.stringify(conditionalProbs || {})]
-        );
-        res.json({ success: true });
+        const [pair, variants] = await Promise.all([
+            req.repo.training.get(userId, numId),
+            req.repo.variants.list(userId, numId),
+        ]);
+        if (!pair)
+            return res.status(404).json({ error: "Training pair not found" });
+        res.json({ id: numId, variants });
     } catch (err) {
-        console.error("Bayesian update error:", err.message);
-        res.status(500).json({ error: err.message });
+        internalError(res, err, "Variant list");
     }
 });
 
-app.get("/api/bayesian/:userId", async (req, res) => {
-    const { userId } = req.params;
+app.put("/api/training/:userId/:id/variants/:personality", limiter.route("training.update"), validate(SCHEMAS.trainingVariantSave), async (req, res) => {
+    const { userId, id, personality: name } = req.params;
+    const numId = parseInt(id);
+    const { response, script } = req.body;
+    const badScript = validateScript(script, req.tenant.limits.scriptLength);
+    if (badScript)
+        return res.status(400).json({ error: badScript });
+
     try {
-        const result = await pool.query(
-            "SELECT * FROM bayesian_probs WHERE user_id=$1", [userId]
-        );
-        res.json({ probabilities: result.rows, ts: new Date().toISOString() });
+        if (!(await findPersonality(req.repo, userId, name)))
+            return res.status(400).json({ error: `Unknown personality: ${name}` });
+        const screened = req.tenant.filter.screen({ response, script: script || "" }, { scriptFields: ["script"] });
+        if (screened.rejected) {
+            await recordFlags(req.repo, "trained_response_variants", null, userId, screened.flags);
+            return rejectContent(res, screened.rejected);
+        }
+        const v = screened.values;
+
+        const saved = await req.repo.transaction(async (tx) => {
+            if (!await tx.training.get(userId, numId, { lock: true })) return null;
+            const row = await tx.variants.save(userId, numId, name, v.response,
+                script === undefined || script === null ? null : v.script);
+            await recordFlags(tx, "trained_response_variants", row.id, userId, screened.flags);
+            await touchPairs(tx, userId, [numId]);
+            return row;
+        });
+        if (!saved)
+            return res.status(404).json({ error: "Training pair not found" });
+        const { id: variantId, created, ...variant } = saved;
+        res.json({ success: true, created, id: numId, variant, flagged: screened.flags.map(f => f.field) });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        internalError(res, err, "Variant save");
     }
 });
 
-// ═══════════════════════════════════════════════════════════════
-// USER PREFERENCES
-// ═══════════════════════════════════════════════════════════════
-app.put("/api/user/:userId/preferences", async (req, res) => {
-    const { userId } = req.params;
-    const { personality, settings } = req.body;
-    try {
-        await pool.query(
-            `INSERT INTO user_preferences (user_id, personality, settings)
-             VALUES ($1,$2,$3)
-             ON CONFLICT (user_id)
-             DO UPDATE SET
-                personality = COALESCE($2, user_preferences.personality),
-                settings    = COALESCE($3::jsonb, user_preferences.settings),
-                last_active = NOW()`,
-            [userId, personality || null, settings ? JSON.stringify(settings) : null]
-        );
-        res.json({ success: true });
+app.delete("/api/training/:userId/:id/variants/:personality", limiter.route("training.update"), validate(SCHEMAS.trainingVariantDelete), async (req, res) => {
+    const { userId, id, personality: name } = req.params;
+    const numId = parseInt(id);
+    try {
+        const deleted = await req.repo.transaction(async (tx) => {
+            if (!await tx.variants.delete(userId, numId, name)) return false;
+            await touchPairs(tx, userId, [numId]);
+            return true;
+        });
+        if (!deleted)
+            return res.status(404).json({ error: "Variant not found" });
+        res.json({ success: true, id: numId, deleted: name });
     } catch (err) {
-        console.error("Prefs update error:", err.message);
-        res.status(500).json({ error: err.message });
+        internalError(res, err, "Variant delete");
     }
 });
 
 // ═══════════════════════════════════════════════════════════════
-// SCRIPT ANALYTICS
+// SCRIPT RISK QUERIES
+// Clients check these before running a stored script. Reports from an
+// older analyzer version are recomputed (and saved) on read.
 // ═══════════════════════════════════════════════════════════════
-app.post("/api/analytics/script", async (req, res) => {
-    const { userId, scriptType, executionSuccess, errorMessage } = req.body;
-    try {
-        await pool.query(
-            `INSERT INTO script_analytics (user_id, script_type, execution_success, error_message)
-             VALUES ($1,$2,$3,$4)`,
-            [userId, scriptType, executionSuccess, errorMessage || null]
-        );
-        res.json({ success: true });
-    } catch (err) {
-        res.status(500).json({ error: err.message });
+async function loadScriptRisk(db, table, userId, id) {
+    const row = await db.scriptRisk.get(table, userId, id);
+    if (!row) return null;
+    let report = row.script_risk;
+    if (row.script && (!report || report.version !== luaAnalyzer.ANALYZER_VERSION)) {
+        const [score, json] = scriptRisk(row.script);
+        await db.scriptRisk.save(table, userId, id, score, json);
+        report = JSON.parse(json);
     }
+    return { id: row.id, hasScript: !!row.script, risk: report || luaAnalyzer.analyze("") };
+}
+
+function scriptRiskRoute(table, label) {
+    return async (req, res) => {
+        const { userId, id } = req.params;
+        const numId = parseInt(id);
+        if (isNaN(numId))
+            return res.status(400).json({ error: "Invalid id" });
+        try {
+            const found = await loadScriptRisk(req.repo, table, userId, numId);
+            if (!found)
+                return res.status(404).json({ error: `${label} not found` });
+            res.json({ ...found, ts: new Date().toISOString() });
+        } catch (err) {
+            internalError(res, err, "Script risk");
+        }
+    };
+}
+
+app.get("/api/training/:userId/:id/script-risk", limiter.route("scripts"), validate(SCHEMAS.trainingScriptRisk),
+    scriptRiskRoute("trained_responses", "Training pair"));
+app.get("/api/interactions/:userId/:id/script-risk", limiter.route("scripts"), validate(SCHEMAS.interactionScriptRisk),
+    scriptRiskRoute("interactions", "Interaction"));
+
+// Analyze an arbitrary script without storing it
+app.post("/api/scripts/analyze", limiter.route("scripts"), validate(SCHEMAS.scriptsAnalyze), (req, res) => {
+    const { script } = req.body;
+    if (typeof script !== "string")
+        return res.status(400).json({ error: "script is required" });
+    const invalid = validateScript(script, req.tenant.limits.scriptLength);
+    if (invalid)
+        return res.status(400).json({ error: invalid });
+    res.json({ risk: luaAnalyzer.analyze(script), ts: new Date().toISOString() });
 });
 
-app.get("/api/analytics/:userId", async (req, res) => {
+// ═══════════════════════════════════════════════════════════════
+// TRAINING IMPORT / EXPORT
+// Builders author pairs in spreadsheets. CSV columns are
+// pattern,response,script (export adds id and created_at; import
+// ignores unknown columns).
+// ═══════════════════════════════════════════════════════════════
+app.get("/api/training/:userId/export", limiter.route("training.export"), validate(SCHEMAS.trainingExport), async (req, res) => {
     const { userId } = req.params;
+    const format = (req.query.format || "json").toLowerCase();
+    if (format !== "json" && format !== "csv")
+        return res.status(400).json({ error: "format must be json or csv" });
     try {
-        const [scriptStats, interactionStats] = await Promise.all([
-            pool.query(
-                `SELECT script_type,
-                        COUNT(*) AS total,
-                        SUM(CASE WHEN execution_success THEN 1 ELSE 0 END) AS successful
-                 FROM script_analytics WHERE user_id=$1
-                 GROUP BY script_type`,
-                [userId]
-            ),
-            pool.query(
-                `SELECT DATE(created_at) AS date, COUNT(*) AS interactions
-                 FROM interactions
-                 WHERE user_id=$1 AND created_at > NOW() - INTERVAL '30 days'
-                 GROUP BY DATE(created_at)
-                 ORDER BY date DESC`,
-                [userId]
-            ),
-        ]);
+        const pairs = await req.repo.training.exportRows(userId);
+        const filename = `training-${userId.replace(/[^\w-]/g, "_")}.${format}`;
+        res.set("Content-Disposition", `attachment; filename="${filename}"`);
+
+        if (format === "csv") {
+            const rows = [["id", "pattern", "response", "script", "created_at"]];
+            for (const r of pairs) {
+                rows.push([r.id, r.pattern, r.response, r.script || "", new Date(r.created_at).toISOString()]);
+            }
+            return res.type("text/csv").send(csv.stringify(rows));
+        }
         res.json({
-            scriptStats:      scriptStats.rows,
-            interactionStats: interactionStats.rows,
-            ts: new Date().toISOString(),
+            userId,
+            pairs,
+            count: pairs.length,
+            ts: new Date().toISOString()
         });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        internalError(res, err, "Training export");
     }
 });
 
-// ═══════════════════════════════════════════════════════════════
-// GLOBAL STATS (admin)
-// ═══════════════════════════════════════════════════════════════
-app.get("/api/stats/global", async (req, res) => {
-    try {
-        const [users, total, topScripts, topVocab, topTraining] = await Promise.all([
-            pool.query("SELECT COUNT(DISTINCT user_id) AS count FROM interactions"),
-            pool.query("SELECT COUNT(*) AS count FROM interactions"),
-            pool.query(`
-                SELECT script_type, COUNT(*) AS cnt
-                FROM script_analytics GROUP BY script_type ORDER BY cnt DESC LIMIT 10
-            `),
-            pool.query(`
-                SELECT word, SUM(freq) AS total_freq
-                FROM vocab GROUP BY word ORDER BY total_freq DESC LIMIT 20
-            `),
-            pool.query(`
-                SELECT COUNT(*) AS count FROM trained_responses
-            `),
-        ]);
+// Body is either JSON ({ pairs: [...] } or { csv: "..." }) or raw
+// text/csv. Options come from the query string or the JSON body:
+//   mode=merge|replace      replace deletes the user's existing pairs first
+//   onDuplicate=skip|overwrite   merge only: what to do when a pattern exists
+//   dryRun=true             validate and report without writing
+app.post("/api/training/:userId/import", limiter.route("training.import"), validate(SCHEMAS.trainingImport), async (req, res) => {
+    const { userId } = req.params;
+    const body = typeof req.body === "object" && req.body !== null ? req.body : {};
+    const opt  = (name) => req.query[name] !== undefined ? req.query[name] : body[name];
+
+    const mode        = String(opt("mode") || "merge").toLowerCase();
+    const onDuplicate = String(opt("onDuplicate") || "skip").toLowerCase();
+    const dryRun      = String(opt("dryRun")) === "true";
+    if (mode !== "merge" && mode !== "replace")
+        return res.status(400).json({ error: "mode must be merge or replace" });
+    if (onDuplicate !== "skip" && onDuplicate !== "overwrite")
+        return res.status(400).json({ error: "onDuplicate must be skip or overwrite" });
+
+    let rows;
+    try {
+        if (typeof req.body === "string")         rows = csv.parseObjects(req.body);
+        else if (typeof body.csv === "string")    rows = csv.parseObjects(body.csv);
+        else if (Array.isArray(body.pairs))       rows = body.pairs;
+        else return res.status(400).json({ error: "Provide pairs (JSON array) or csv" });
+    } catch (err) {
+        return res.status(400).json({ error: `CSV parse error: ${err.message}` });
+    }
+    const { limits, filter } = req.tenant;
+    if (rows.length > limits.importRows)
+        return res.status(413).json({ error: `Too many rows (max ${limits.importRows} per import)` });
+
+    // Validate rows and catch duplicate patterns inside the file
+    const errors = [];
+    const valid  = [];
+    const seen   = new Map();   // normalized pattern → row number
+    const rejectedFlags = [];
+    rows.forEach((r, idx) => {
+        const rowNum = idx + 1;
+        if (!r || typeof r !== "object")
+            return errors.push({ row: rowNum, error: "Row must be an object" });
+        const invalid = validatePair(r.pattern, r.response) || validateScript(r.script ? String(r.script) : "", limits.scriptLength);
+        if (invalid)
+            return errors.push({ row: rowNum, error: invalid });
+        const screened = filter.screen(
+            { pattern: r.pattern, response: r.response, script: r.script ? String(r.script) : "" },
+            { scriptFields: ["script"] }
+        );
+        if (screened.rejected) {
+            rejectedFlags.push(...screened.flags);
+            return errors.push({ row: rowNum, error: `Content rejected by filter (${screened.rejected.rules.join(", ")})` });
+        }
+        const pattern = normalizePattern(screened.values.pattern);
+        if (seen.has(pattern))
+            return errors.push({ row: rowNum, error: `Duplicate pattern (same as row ${seen.get(pattern)})` });
+        seen.set(pattern, rowNum);
+        valid.push({
+            row: rowNum,
+            pattern,
+            response: screened.values.response,
+            script:   screened.values.script,
+            flags:    screened.flags,
+        });
+    });
+
+    try {
+        const counts = await req.repo.transaction(async (tx) => {
+            let deletedIds = [];
+            let existing = new Map();
+            if (mode === "replace") deletedIds = await tx.training.deleteAll(userId);
+            else existing = await tx.training.idsByPattern(userId, valid.map(v => v.pattern));
+
+            const toInsert = [];
+            const toUpdate = [];
+            const skipped  = [];
+            for (const v of valid) {
+                if (!existing.has(v.pattern)) toInsert.push(v);
+                else if (onDuplicate === "overwrite") toUpdate.push({ ...v, id: existing.get(v.pattern) });
+                else skipped.push({ row: v.row, pattern: v.pattern, reason: "Pattern already trained" });
+            }
+
+            let insertedIds = [];
+            if (toInsert.length) {
+                const inserted = await tx.training.createMany(userId, toInsert.map(v => {
+                    const [riskScore, risk] = scriptRisk(v.script);
+                    return { pattern: v.pattern, response: v.response, script: v.script, riskScore, risk };
+                }));
+                const idByPattern = new Map(inserted.map(r => [r.pattern, r.id]));
+                insertedIds = inserted.map(r => r.id);
+                for (const v of toInsert) {
+                    await recordFlags(tx, "trained_responses", idByPattern.get(v.pattern), userId, v.flags);
+                }
+            }
+            for (const v of toUpdate) {
+                await tx.training.recordRevision(userId, v.id, "import", changedBy(req));
+                const [riskScore, risk] = scriptRisk(v.script);
+                await tx.training.update(userId, v.id, { response: v.response, script: v.script, riskScore, risk });
+                await recordFlags(tx, "trained_responses", v.id, userId, v.flags);
+            }
+            await recordFlags(tx, "trained_responses", null, userId, rejectedFlags);
+
+            const counts = { inserted: toInsert.length, updated: toUpdate.length, deleted: deletedIds.length, skipped };
+            if (dryRun) return tx.rollback(counts);
+            if (deletedIds.length)
+                await realtime.notify(tx, userId, "training.deleted", { ids: deletedIds });
+            if (insertedIds.length)
+                await realtime.notify(tx, userId, "training.created", { ids: insertedIds });
+            if (toUpdate.length)
+                await realtime.notify(tx, userId, "training.updated", { ids: toUpdate.map(v => v.id) });
+            return counts;
+        });
         res.json({
-            totalUsers:         parseInt(users.rows[0].count),
-            totalInteractions:  parseInt(total.rows[0].count),
-            totalTrainedPairs:  parseInt(topTraining.rows[0].count),
-            topScriptTypes:     topScripts.rows,
-            globalTopVocab:     topVocab.rows,
-            ts: new Date().toISOString(),
+            success:  true,
+            dryRun,
+            mode,
+            total:    rows.length,
+            inserted: counts.inserted,
+            updated:  counts.updated,
+            deleted:  counts.deleted,
+            skipped:  counts.skipped,
+            errors,
+            ts: new Date().toISOString()
         });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        internalError(res, err, "Training import");
     }
 });
 
 // ═══════════════════════════════════════════════════════════════
-// ERROR HANDLERS
+// SHARED KNOWLEDGE BASE
+// Opt-in: a player publishes one of their trained pairs, it waits in
+// the moderation queue, and once an admin approves it every user's
+// /api/respond can fall back to it. Sharing stays within the tenant,
+// and so does moderation: admins pick the tenant with X-Universe-Id.
 // ═══════════════════════════════════════════════════════════════
-app.use((err, req, res, next) => {
-    console.error("Unhandled error:", err.message);
-    res.status(500).json({ error: "Internal server error" });
-});
-app.use((req, res) => res.status(404).json({ error: "Not found" }));
+const SHARED_CACHE_MS = 60 * 1000;
+const SHARED_MAX      = 5000;
+const sharedCache = new Map();   // tenant → { index, expires }
+
+// The tenant's approved pairs as a matcher index, built once per
+// SHARED_CACHE_MS rather than on every fallback
+async function loadSharedIndex(db) {
+    const hit = sharedCache.get(db.tenant);
+    if (hit && hit.expires > Date.now()) return hit.index;
+    const index = matcher.buildIndex(await db.shared.approved(SHARED_MAX));
+    sharedCache.set(db.tenant, { index, expires: Date.now() + SHARED_CACHE_MS });
+    return index;
+}
+
+// Submit one of the user's trained pairs for review
+app.post("/api/shared/publish", limiter.route("shared.publish"), validate(SCHEMAS.sharedPublish), async (req, res) => {
+    const { userId, trainedId } = req.body;
+    const numId = parseInt(trainedId);
+    if (!userId || isNaN(numId))
+        return res.status(400).json({ error: "userId and trainedId are required" });
+    try {
+        const pair = await req.repo.training.get(userId, numId);
+        if (!pair)
+            return res.status(404).json({ error: "Training pair not found" });
+
+        const dupe = await req.repo.shared.findLive(pair.pattern, pair.response);
+        if (dupe)
+            return res.status(409).json({ error: "Already shared", id: dupe.id, status: dupe.status });
+
+        const submitted = await req.repo.shared.submit(userId, pair);
+        res.json({ success: true, ...submitted });
+    } catch (err) {
+        internalError(res, err, "Shared publish");
+    }
+});
+
+// A user's own submissions and their moderation status
+app.get("/api/shared/:userId/submissions", limiter.route("shared.load"), validate(SCHEMAS.sharedSubmissions), async (req, res) => {
+    const { userId } = req.params;
+    try {
+        const submissions = await req.repo.shared.submissions(userId);
+        res.json({ submissions, count: submissions.length, ts: new Date().toISOString() });
+    } catch (err) {
+        internalError(res, err, "Shared submissions");
+    }
+});
+
+// Withdraw a submission (pending or approved)
+app.delete("/api/shared/:userId/:id", limiter.route("shared.publish"), validate(SCHEMAS.sharedWithdraw), async (req, res) => {
+    const { userId, id } = req.params;
+    const numId = parseInt(id);
+    if (isNaN(numId))
+        return res.status(400).json({ error: "Invalid id" });
+    try {
+        const status = await req.repo.shared.withdraw(userId, numId);
+        if (!status)
+            return res.status(404).json({ error: "Submission not found" });
+        if (status === "approved") sharedCache.delete(req.tenant.id);
+        res.json({ success: true, deleted: numId });
+    } catch (err) {
+        internalError(res, err, "Shared delete");
+    }
+});
+
+// Moderation queue (admin)
+app.get("/api/admin/shared", limiter.route("admin"), validate(SCHEMAS.adminSharedQueue), async (req, res) => {
+    const status = req.query.status || "pending";
+    if (!["pending", "approved", "rejected"].includes(status))
+        return res.status(400).json({ error: "status must be pending, approved or rejected" });
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    try {
+        const submissions = await req.repo.shared.queue(status, limit);
+        res.json({ submissions, count: submissions.length, ts: new Date().toISOString() });
+    } catch (err) {
+        internalError(res, err, "Shared queue");
+    }
+});
+
+app.post("/api/admin/shared/:id/:decision", limiter.route("admin"), validate(SCHEMAS.adminSharedReview), async (req, res) => {
+    const { id, decision } = req.params;
+    const numId  = parseInt(id);
+    const status = { approve: "approved", reject: "rejected" }[decision];
+    if (isNaN(numId) || !status)
+        return res.status(400).json({ error: "Use /api/admin/shared/:id/approve or /reject" });
+    try {
+        const reviewed = await req.repo.shared.review(numId, status, req.body.note || null, req.apiKey ? req.apiKey.keyId : null);
+        if (!reviewed)
+            return res.status(404).json({ error: "Submission not found" });
+        sharedCache.delete(req.tenant.id);
+        res.json({ success: true, ...reviewed });
+    } catch (err) {
+        internalError(res, err, "Shared review");
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// RESPOND  —  server-side matching over trained_responses
+// Scores the prompt against every trained pair (fuzzy token overlap
+// weighted by the user's vocab), falls back to bayesian_probs intent
+// priors when nothing clears minScore, and logs the exchange into
+// interactions the same way /api/sync does. Pair scores are nudged by
+// player feedback (see /api/feedback). Approved shared pairs are tried
+// between the user's own pairs and the Bayesian fallback. Answers are
+// worded by the active personality (see PERSONALITY VARIANTS); when
+// nothing matches, `fallback` holds one of its fallback lines. The
+// default minScore is the tenant's limits.respondMinScore.
+// ═══════════════════════════════════════════════════════════════
+
+app.post("/api/respond", limiter.route("respond"), validate(SCHEMAS.respond), async (req, res) => {
+    const { userId, prompt, sessionId } = req.body;
+    if (!userId || typeof prompt !== "string" || !prompt.trim())
+        return res.status(400).json({ error: "userId and prompt are required" });
+    if (prompt.length > LIMITS.PROMPT_MAX)
+        return res.status(400).json({ error: `Prompt too long (max ${LIMITS.PROMPT_MAX} chars)` });
+
+    const screened = req.tenant.filter.screen({ user_prompt: prompt });
+    if (screened.rejected) {
+        try {
+            await recordFlags(req.repo, "interactions", null, userId, screened.flags);
+        } catch (err) {
+            logger.error("Flag record error", { err });
+        }
+        return rejectContent(res, screened.rejected);
+    }
+
+    const minScore = req.body.minScore !== undefined
+        ? Math.min(Math.max(parseFloat(req.body.minScore) || 0, 0), 1)
+        : req.tenant.limits.respondMinScore;
+    const tokens = matcher.tokenize(prompt);
+
+    try {
+        const profile = await activePersonality(req, userId, req.body.personality);
+        if (!profile)
+            return res.status(400).json({ error: `Unknown personality: ${req.body.personality}` });
+
+        const [pairs, vocab] = await Promise.all([
+            req.repo.training.forMatching(userId, profile.name),
+            req.repo.vocab.weights(userId, tokens),
+        ]);
+
+        const weights = {};
+        for (const row of vocab) weights[row.word] = parseFloat(row.weight);
+
+        const best = matcher.bestMatch(prompt, pairs, weights);
+        let result;
+
+        const shared = (!best || best.score < minScore) && req.body.useShared !== false
+            ? matcher.bestMatch(prompt, await loadSharedIndex(req.repo), weights)
+            : null;
+
+        if (best && best.score >= minScore) {
+            const variant = best.pair.variant_response !== null;
+            result = {
+                matched:  true,
+                source:   "trained",
+                id:       best.pair.id,
+                pattern:  best.pair.pattern,
+                response: variant ? best.pair.variant_response : personality.render(profile, best.pair.response),
+                script:   (variant && best.pair.variant_script !== null ? best.pair.variant_script : best.pair.script) || "",
+                intent:   "trained",
+                score:    best.score,
+                variant,
+            };
+        } else if (shared && shared.score >= minScore) {
+            result = {
+                matched:  true,
+                source:   "shared",
+                id:       shared.pair.id,
+                pattern:  shared.pair.pattern,
+                response: personality.render(profile, shared.pair.response),
+                script:   shared.pair.script || "",
+                intent:   "shared",
+                score:    shared.score,
+            };
+            req.repo.shared.hit(shared.pair.id)
+                .catch(err => logger.error("Shared hit update error", { err }));
+        } else {
+            const guess = matcher.classifyIntent(prompt, await req.repo.bayes.model(userId));
+            result = {
+                matched:  false,
+                source:   guess ? "bayesian" : "none",
+                response: null,
+                script:   "",
+                intent:   guess ? guess.intent : null,
+                score:    guess ? guess.confidence : (best ? best.score : 0),
+                intents:  guess ? guess.ranked.slice(0, 3) : [],
+                fallback: personality.fallback(profile, guess ? guess.intent : null),
+            };
+        }
+        result.personality = profile.name;
+
+        const [riskScore, risk] = scriptRisk(result.script);
+        result.scriptRiskScore = riskScore;
+
+        const interactionId = await req.repo.transaction(async (tx) => {
+            const session = await openSession(tx, userId, sessionId);
+            if (sessionId && !session) result.sessionExpired = true;
+            const id = await tx.interactions.insert({
+                user_id:             userId,
+                user_prompt:         screened.values.user_prompt,
+                bot_response:        result.response || result.fallback || "",
+                script:              result.script || null,
+                intent:              result.intent,
+                confidence:          result.score,
+                timestamp:           Date.now(),
+                trained_response_id: result.source === "trained" ? result.id : null,
+                script_risk_score:   riskScore,
+                script_risk:         risk,
+                session_id:          session ? session.id : null,
+                personality:         profile.name,
+            });
+            if (session) await tx.sessions.touch(session.id, 1);
+            await recordFlags(tx, "interactions", id, userId, screened.flags);
+            await tx.preferences.countInteractions(userId, 1);
+            return id;
+        });
+
+        res.json({ ...result, interactionId, ts: new Date().toISOString() });
+    } catch (err) {
+        internalError(res, err, "Respond");
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// FEEDBACK
+// Players rate a logged interaction up or down, optionally with the
+// response they expected. Each rating recomputes the success rate of
+// the interaction's intent (intent_stats, mirrored onto that intent's
+// learning_patterns rows) and, for trained matches, of the pair itself.
+// A correction can be promoted straight into trained_responses.
+// ═══════════════════════════════════════════════════════════════
+async function feedbackCounts(db, userId, key) {
+    const { up, down } = await db.feedback.counts(userId, key);
+    return { up, down, rate: up + down > 0 ? up / (up + down) : null };
+}
+
+async function recomputeSuccessRates(tx, userId, intent, trainedId) {
+    if (trainedId) {
+        const c = await feedbackCounts(tx, userId, { trainedId });
+        await tx.training.setFeedback(userId, trainedId, c);
+    }
+    if (intent) {
+        const c = await feedbackCounts(tx, userId, { intent });
+        await tx.feedback.saveIntentStats(userId, intent, c);
+        if (c.rate !== null) await tx.learning.setSuccessRate(userId, intent, c.rate);
+    }
+}
+
+app.post("/api/feedback", limiter.route("feedback"), validate(SCHEMAS.feedback), async (req, res) => {
+    const { userId, interactionId, rating, correctedResponse, promote } = req.body;
+    const numId = parseInt(interactionId);
+    const score = rating === "up" || rating === 1 ? 1 : rating === "down" || rating === -1 ? -1 : 0;
+    if (!userId || isNaN(numId) || !score)
+        return res.status(400).json({ error: "userId, interactionId and rating (up|down) are required" });
+    if (correctedResponse !== undefined && correctedResponse !== null
+        && (typeof correctedResponse !== "string" || correctedResponse.length > RESPONSE_MAX))
+        return res.status(400).json({ error: `correctedResponse must be a string (max ${RESPONSE_MAX} chars)` });
+    if (promote && !correctedResponse)
+        return res.status(400).json({ error: "promote requires correctedResponse" });
+    const screened = req.tenant.filter.screen({ corrected_response: correctedResponse || null });
+    if (screened.rejected) {
+        try {
+            await recordFlags(req.repo, "interaction_feedback", null, userId, screened.flags);
+        } catch (err) {
+            logger.error("Flag record error", { err });
+        }
+        return rejectContent(res, screened.rejected);
+    }
+    const correction = screened.values.corrected_response;
+
+    try {
+        const outcome = await req.repo.transaction(async (tx) => {
+            const it = await tx.interactions.get(userId, numId);
+            if (!it)
+                return tx.rollback({ status: 404, error: "Interaction not found" });
+
+            let promotedId = null;
+            if (promote) {
+                const invalid = validatePair(it.user_prompt, correction);
+                if (invalid)
+                    return tx.rollback({ status: 400, error: invalid });
+                const pattern = normalizePattern(it.user_prompt);
+                promotedId = await tx.training.firstByPattern(userId, pattern);
+                if (promotedId !== null) {
+                    await tx.training.recordRevision(userId, promotedId, "feedback", changedBy(req));
+                    await tx.training.update(userId, promotedId, { response: correction });
+                    await realtime.notify(tx, userId, "training.updated", { ids: [promotedId] });
+                } else {
+                    promotedId = (await tx.training.create(userId, { pattern, response: correction, script: "" })).id;
+                    await realtime.notify(tx, userId, "training.created", { ids: [promotedId] });
+                }
+            }
+
+            const feedbackId = await tx.feedback.save({
+                interactionId: numId, userId, rating: score, correction: correction || null, promotedId,
+            });
+            await recordFlags(tx, "interaction_feedback", feedbackId, userId, screened.flags);
+            await recomputeSuccessRates(tx, userId, it.intent, it.trained_response_id);
+            return { promotedId };
+        });
+        if (outcome.error)
+            return res.status(outcome.status).json({ error: outcome.error });
+
+        res.json({ success: true, interactionId: numId, rating: score, promotedId: outcome.promotedId, ts: new Date().toISOString() });
+    } catch (err) {
+        internalError(res, err, "Feedback");
+    }
+});
+
+// Server-computed success rates per intent and per trained pattern
+app.get("/api/feedback/:userId", limiter.route("feedback.load"), validate(SCHEMAS.feedbackLoad), async (req, res) => {
+    const { userId } = req.params;
+    try {
+        const [intents, patterns] = await Promise.all([
+            req.repo.feedback.intentStats(userId),
+            req.repo.training.rated(userId),
+        ]);
+        res.json({ intents, patterns, ts: new Date().toISOString() });
+    } catch (err) {
+        internalError(res, err, "Feedback load");
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SESSIONS
+// One conversation = one player on one game server. Starting a new
+// session ends the player's other open ones. Pass the returned
+// sessionId to /api/sync and /api/respond. The response also carries a
+// greeting line from the active personality.
+// ═══════════════════════════════════════════════════════════════
+const SESSION_TURNS_MAX = 50;
+
+app.post("/api/sessions/start", limiter.route("sessions"), validate(SCHEMAS.sessionStart), async (req, res) => {
+    const { userId, gameServerId, placeId } = req.body;
+    if (!userId)
+        return res.status(400).json({ error: "userId is required" });
+
+    const sessionId = crypto.randomUUID();
+    try {
+        const profile = await activePersonality(req, userId, req.body.personality);
+        if (!profile)
+            return res.status(400).json({ error: `Unknown personality: ${req.body.personality}` });
+        const { replaced, started } = await req.repo.transaction(async (tx) => ({
+            replaced: await tx.sessions.endOpen(userId),
+            started:  await tx.sessions.create({
+                id:           sessionId,
+                userId,
+                gameServerId: gameServerId ? String(gameServerId).slice(0, 64) : null,
+                placeId:      placeId ? String(placeId).slice(0, 32) : null,
+            }),
+        }));
+        res.json({
+            success: true,
+            sessionId,
+            started_at: started.started_at,
+            idleTimeoutMs: SESSION_IDLE_MS,
+            replaced,
+            personality: profile.name,
+            greeting: personality.greeting(profile),
+        });
+    } catch (err) {
+        internalError(res, err, "Session start");
+    }
+});
+
+app.post("/api/sessions/:userId/:sessionId/end", limiter.route("sessions"), validate(SCHEMAS.sessionEnd), async (req, res) => {
+    const { userId, sessionId } = req.params;
+    try {
+        const session = await req.repo.sessions.end(userId, sessionId);
+        if (!session)
+            return res.status(404).json({ error: "Open session not found" });
+        res.json({ success: true, session });
+    } catch (err) {
+        internalError(res, err, "Session end");
+    }
+});
+
+// Last N turns of a session, oldest first, for use as bot context
+app.get("/api/sessions/:userId/:sessionId/turns", limiter.route("sessions"), validate(SCHEMAS.sessionTurns), async (req, res) => {
+    const { userId, sessionId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 10, SESSION_TURNS_MAX);
+    try {
+        const [session, turns] = await Promise.all([
+            req.repo.sessions.get(userId, sessionId),
+            req.repo.sessions.turns(userId, sessionId, limit),
+        ]);
+        if (!session)
+            return res.status(404).json({ error: "Session not found" });
+        res.json({
+            session,
+            turns:   turns.reverse(),
+            count:   turns.length,
+            ts: new Date().toISOString()
+        });
+    } catch (err) {
+        internalError(res, err, "Session turns");
+    }
+});
+
+app.get("/api/sessions/:userId", limiter.route("sessions"), validate(SCHEMAS.sessionList), async (req, res) => {
+    const { userId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    try {
+        const sessions = await req.repo.sessions.list(userId, limit);
+        res.json({ sessions, count: sessions.length, ts: new Date().toISOString() });
+    } catch (err) {
+        internalError(res, err, "Session list");
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// USER DATA
+// ═══════════════════════════════════════════════════════════════
+app.get("/api/user/:userId", limiter.route("user.load"), validate(SCHEMAS.userLoad), async (req, res) => {
+    const { userId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    try {
+        const [interactions, preferences, topVocab, trainedPairs] = await Promise.all([
+            req.repo.interactions.recent(userId, limit),
+            req.repo.preferences.get(userId),
+            req.repo.vocab.top(userId, 200),
+            req.repo.training.summaries(userId),
+        ]);
+        res.json({
+            interactions,
+            preferences: withDefaultPersonality(req, preferences),
+            topVocab,
+            trainedPairs,
+            ts: new Date().toISOString(),
+        });
+    } catch (err) {
+        internalError(res, err, "User data");
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// DATA EXPORT + ERASURE
+// Every table that holds the user's rows (lib/erasure.js USER_TABLES),
+// untruncated. Erasure is logged in erasure_requests; Roblox's
+// right-to-erasure webhook lands on /webhooks/roblox below. The API
+// erases the user in the request's tenant; the webhook, in every one.
+// ═══════════════════════════════════════════════════════════════
+app.get("/api/user/:userId/export", limiter.route("user.export"), validate(SCHEMAS.userExport), async (req, res) => {
+    const { userId } = req.params;
+    try {
+        const tables = await req.repo.users.exportData(userId);
+        res.set("Content-Disposition", `attachment; filename="user-${userId.replace(/[^\w-]/g, "_")}-export.json"`);
+        res.json({ userId, tables, ts: new Date().toISOString() });
+    } catch (err) {
+        internalError(res, err, "User export");
+    }
+});
+
+app.delete("/api/user/:userId", limiter.route("user.erase"), validate(SCHEMAS.userErase), async (req, res) => {
+    const { userId } = req.params;
+    try {
+        const result = await req.repo.users.erase(userId, {
+            source: "api",
+            requestedBy: changedBy(req),
+        });
+        sharedCache.delete(req.tenant.id);
+        res.json({ success: true, ...result, ts: new Date().toISOString() });
+    } catch (err) {
+        internalError(res, err, "User erase");
+    }
+});
+
+// Audit log across tenants, newest first; ?userId= narrows to one user
+app.get("/api/admin/erasures", limiter.route("admin"), validate(SCHEMAS.adminErasures), async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    try {
+        const requests = await repo.users.erasures(req.query.userId, limit);
+        res.json({ requests, count: requests.length });
+    } catch (err) {
+        internalError(res, err, "Erasure list");
+    }
+});
+
+// Roblox open-cloud webhook. Not under /api: Roblox can't sign with our
+// API keys, so it is verified with ROBLOX_WEBHOOK_SECRET instead.
+// Non-erasure notifications are acknowledged and ignored; a repeated
+// NotificationId is acknowledged without erasing again.
+app.post("/webhooks/roblox", validate(SCHEMAS.robloxWebhook), async (req, res) => {
+    const secret = process.env.ROBLOX_WEBHOOK_SECRET;
+    if (!secret)
+        return res.status(503).json({ error: "Webhook not configured" });
+    if (!erasure.verifyRobloxSignature(req.get("roblox-signature"), req.rawBody, secret))
+        return res.status(401).json({ error: "Invalid signature" });
+
+    const event = erasure.parseRobloxErasure(req.body);
+    if (event.error)
+        return res.status(400).json({ error: event.error });
+    if (event.ignored)
+        return res.json({ success: true, ignored: event.ignored });
+    try {
+        if (event.notificationId) {
+            const seen = await repo.users.erasureByNotification(event.notificationId);
+            if (seen)
+                return res.json({ success: true, duplicate: true, requestId: seen.id });
+        }
+        const result = await repo.users.erase(event.userId, {
+            source: "roblox",
+            requestedBy: "roblox-webhook",
+            notificationId: event.notificationId,
+            gameIds: event.gameIds,
+        });
+        sharedCache.clear();
+        logger.info("Erased user", { userId: event.userId, notificationId: event.notificationId });
+        res.json({ success: true, requestId: result.requestId });
+    } catch (err) {
+        internalError(res, err, "Roblox erasure");
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// LEARNING PATTERNS
+// ═══════════════════════════════════════════════════════════════
+app.post("/api/learning", limiter.route("learning"), validate(SCHEMAS.learning), async (req, res) => {
+    const { userId, patterns, patternType, successRate } = req.body;
+    if (!userId || !patterns) return res.status(400).json({ error: "Invalid body" });
+    try {
+        await req.repo.learning.add(userId, patterns, patternType || "general", successRate || 0);
+        res.json({ success: true });
+    } catch (err) {
+        internalError(res, err, "Learning save");
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// BAYESIAN PROBABILITIES
+// Clients may still push their own priors, but the server trains the
+// model from the user's labelled interactions (intent_source='client')
+// and a retrain replaces whatever was pushed. The maintenance job
+// retrains users with BAYES_RETRAIN_MIN_NEW new labels since their last
+// training; POST .../train does it on demand.
+// ═══════════════════════════════════════════════════════════════
+const BAYES_MIN_SAMPLES     = parseInt(process.env.BAYES_MIN_SAMPLES) || 5;
+const BAYES_RETRAIN_MIN_NEW = parseInt(process.env.BAYES_RETRAIN_MIN_NEW) || 5;
+const BAYES_MAX_SAMPLES     = 50000;
+const BAYES_JOB_BATCH       = 20;
+
+function parseAlpha(raw) {
+    if (raw === undefined || raw === "") return bayes.DEFAULT_ALPHA;
+    const alpha = parseFloat(raw);
+    return alpha > 0 && alpha <= 100 ? alpha : null;
+}
+
+// Most recent labelled prompts for a user, as trainer examples
+function loadLabelled(db, userId) {
+    return db.interactions.labelled(userId, BAYES_MAX_SAMPLES);
+}
+
+// → { trained, samples, intents, vocabSize } — trained is false when
+// the user has fewer than BAYES_MIN_SAMPLES labelled interactions.
+// db is the tenant's repository.
+async function trainUserModel(db, userId, alpha = bayes.DEFAULT_ALPHA) {
+    const examples = await loadLabelled(db, userId);
+    if (examples.length < BAYES_MIN_SAMPLES)
+        return { trained: false, samples: examples.length, minSamples: BAYES_MIN_SAMPLES };
+
+    const model = bayes.train(examples, { alpha });
+    await db.transaction(tx => tx.bayes.replace(userId, bayes.toRows(model)));
+    return { trained: true, samples: model.samples, intents: model.intents.length, vocabSize: model.vocabSize, alpha };
+}
+
+// Background job: retrain users (in any tenant) with enough new labels
+// since their last run
+async function retrainStaleModels() {
+    const stale = await repo.interactions.untrainedUsers(
+        Math.max(BAYES_MIN_SAMPLES, BAYES_RETRAIN_MIN_NEW), BAYES_JOB_BATCH
+    );
+    for (const { tenant_id: tenant, user_id: userId } of stale) {
+        await trainUserModel(repo.forTenant(tenant), userId).catch(err =>
+            logger.error("Bayes training error", { err, tenant, userId }));
+    }
+    return stale.length;
+}
+
+app.post("/api/bayesian/:userId/train", limiter.route("bayesian.train"), validate(SCHEMAS.bayesTrain), async (req, res) => {
+    const { userId } = req.params;
+    const alpha = parseAlpha(req.body.alpha);
+    if (alpha === null)
+        return res.status(400).json({ error: "alpha must be > 0 and <= 100" });
+    try {
+        const result = await trainUserModel(req.repo, userId, alpha);
+        res.json({ success: true, ...result, ts: new Date().toISOString() });
+    } catch (err) {
+        internalError(res, err, "Bayes training");
+    }
+});
+
+// ?prompt=...&top=3 → most likely intents with probabilities
+app.get("/api/bayesian/:userId/classify", limiter.route("bayesian.classify"), validate(SCHEMAS.bayesClassify), async (req, res) => {
+    const { userId } = req.params;
+    const prompt = req.query.prompt;
+    const top = Math.min(Math.max(parseInt(req.query.top) || 3, 1), 20);
+    if (typeof prompt !== "string" || !prompt.trim() || prompt.length > PATTERN_MAX)
+        return res.status(400).json({ error: `prompt required (max ${PATTERN_MAX} chars)` });
+    try {
+        const guess = matcher.classifyIntent(prompt, await req.repo.bayes.model(userId));
+        res.json({
+            intent:     guess ? guess.intent : null,
+            confidence: guess ? guess.confidence : 0,
+            intents:    guess ? guess.ranked.slice(0, top) : [],
+            ts: new Date().toISOString()
+        });
+    } catch (err) {
+        internalError(res, err, "Bayes classify");
+    }
+});
+
+// Trains on the user's labelled interactions minus a held-out share
+// (?holdout=0.2, deterministic by interaction id) and scores that share.
+// Nothing is stored.
+app.get("/api/bayesian/:userId/evaluate", limiter.route("bayesian.evaluate"), validate(SCHEMAS.bayesEvaluate), async (req, res) => {
+    const { userId } = req.params;
+    const alpha = parseAlpha(req.query.alpha);
+    const holdout = req.query.holdout === undefined ? 0.2 : parseFloat(req.query.holdout);
+    if (alpha === null)
+        return res.status(400).json({ error: "alpha must be > 0 and <= 100" });
+    if (!(holdout > 0 && holdout < 1))
+        return res.status(400).json({ error: "holdout must be between 0 and 1" });
+    try {
+        const examples = await loadLabelled(req.repo, userId);
+        res.json({ samples: examples.length, ...bayes.evaluate(examples, { alpha, holdout }), ts: new Date().toISOString() });
+    } catch (err) {
+        internalError(res, err, "Bayes evaluate");
+    }
+});
+
+app.post("/api/bayesian/update", limiter.route("bayesian.update"), validate(SCHEMAS.bayesUpdate), async (req, res) => {
+    const { userId, intent, priorProb, conditionalProbs } = req.body;
+    if (!userId || !intent || priorProb === undefined)
+        return res.status(400).json({ error: "Invalid body" });
+    try {
+        await req.repo.bayes.push(userId, intent, priorProb, conditionalProbs || {});
+        res.json({ success: true });
+    } catch (err) {
+        internalError(res, err, "Bayesian update");
+    }
+});
+
+app.get("/api/bayesian/:userId", limiter.route("bayesian.load"), validate(SCHEMAS.bayesLoad), async (req, res) => {
+    const { userId } = req.params;
+    try {
+        const probabilities = await req.repo.bayes.all(userId);
+        res.json({ probabilities, ts: new Date().toISOString() });
+    } catch (err) {
+        internalError(res, err, "Bayesian load");
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// USER PREFERENCES
+// ═══════════════════════════════════════════════════════════════
+// ?since=<cursor>: preferences is null when nothing changed
+app.get("/api/user/:userId/preferences", limiter.route("preferences"), validate(SCHEMAS.preferencesLoad), async (req, res) => {
+    const { userId } = req.params;
+    const { since, error } = deltaSync.parseSince(req.query.since);
+    if (error)
+        return res.status(400).json({ error });
+    try {
+        const cursor = await req.repo.cursor();
+        const preferences = await req.repo.preferences.load(userId, since);
+        res.json({
+            preferences: withDefaultPersonality(req, preferences),
+            changed:     !since || preferences !== null,
+            full:        !since,
+            cursor,
+            ts: new Date().toISOString()
+        });
+    } catch (err) {
+        internalError(res, err, "Prefs load");
+    }
+});
+
+app.put("/api/user/:userId/preferences", limiter.route("preferences"), validate(SCHEMAS.preferencesSave), async (req, res) => {
+    const { userId } = req.params;
+    const { personality: name, settings } = req.body;
+    try {
+        if (name && !(await findPersonality(req.repo, userId, name)))
+            return res.status(400).json({ error: `Unknown personality: ${name}` });
+        await req.repo.preferences.save(userId, name || null, settings || null);
+        publish(req.repo, userId, "preferences.updated", { personality: name || undefined, settings: settings || undefined });
+        res.json({ success: true });
+    } catch (err) {
+        internalError(res, err, "Prefs update");
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// REALTIME EVENTS (Server-Sent Events)
+// One stream per game server; Roblox reads it with
+// HttpService:CreateWebStreamClient. The first event, `ready`, carries
+// a delta cursor: fetch /api/training|vocab/:userId?since=<old cursor>
+// once to cover anything missed while disconnected, then keep the new
+// one. After that, events are training.created / training.updated /
+// training.deleted ({ ids }), vocab.changed ({ words }),
+// preferences.updated ({ personality, settings }) and
+// personality.updated / personality.deleted ({ name }). Lists longer than
+// 100 entries arrive with truncated: true — refetch with the cursor.
+// ═══════════════════════════════════════════════════════════════
+const SSE_HEARTBEAT_MS     = 25 * 1000;
+const MAX_STREAMS_PER_USER = parseInt(process.env.MAX_STREAMS_PER_USER) || 20;
+
+app.get("/api/events/:userId", limiter.route("events"), validate(SCHEMAS.events), async (req, res) => {
+    const { userId } = req.params;
+    if (realtime.subscriberCount(req.tenant.id, userId) >= MAX_STREAMS_PER_USER)
+        return res.status(429).json({ error: `Too many open streams (max ${MAX_STREAMS_PER_USER} per user)` });
+
+    try {
+        await realtime.ensureListener();
+    } catch (err) {
+        logger.error("Realtime listen error", { err });
+        return res.status(503).json({ error: "Realtime channel unavailable" });
+    }
+
+    res.set({
+        "Content-Type":      "text/event-stream",
+        "Cache-Control":     "no-cache",
+        "Connection":        "keep-alive",
+        "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    let eventId = 0;
+    const send = (event, data) => res.write(`id: ${++eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    // Subscribe before taking the cursor so nothing falls in between;
+    // events arriving meanwhile are held until `ready` has gone out
+    let held = [];
+    const unsubscribe = realtime.subscribe(req.tenant.id, userId, (msg) => {
+        const data = { ...msg.data, at: msg.at };
+        if (held) held.push([msg.type, data]);
+        else send(msg.type, data);
+    });
+    let heartbeat = null;
+    req.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+    try {
+        send("ready", { cursor: await req.repo.cursor(), ts: new Date().toISOString() });
+    } catch (err) {
+        logger.error("Realtime cursor error", { err });
+        send("closed", { error: "Could not start stream" });
+        return res.end();
+    }
+    for (const [type, data] of held) send(type, data);
+    held = null;
+
+    heartbeat = setInterval(() => res.write(": ping\n\n"), SSE_HEARTBEAT_MS);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SEARCH
+// Full-text (default) or local-vector search over interactions and
+// trained pairs — see lib/search.js for the query syntax and scoring.
+// from/to are ISO dates or date-times on created_at (to is exclusive).
+// ═══════════════════════════════════════════════════════════════
+const SEARCH_VECTOR_CANDIDATES = parseInt(process.env.SEARCH_VECTOR_CANDIDATES) || 5000;
+const SEARCH_SOURCES = { all: ["interaction", "trained"], interactions: ["interaction"], training: ["trained"] };
+
+app.get("/api/search", limiter.route("search"), validate(SCHEMAS.search), async (req, res) => {
+    const { q, userId, intent } = req.query;
+    const mode = req.query.mode || "text";
+    const range = {};
+    for (const key of ["from", "to"]) {
+        if (req.query[key] === undefined) continue;
+        const date = new Date(req.query[key]);
+        if (isNaN(date))
+            return sendError(res, 400, "VALIDATION_FAILED", `query.${key} must be an ISO date`);
+        range[key] = date;
+    }
+    const opts = {
+        q, userId, intent, ...range,
+        sources:    SEARCH_SOURCES[req.query.source || "all"],
+        limit:      Math.min(parseInt(req.query.limit) || 20, 100),
+        minScore:   req.query.minScore !== undefined ? parseFloat(req.query.minScore) : 0.1,
+        candidates: SEARCH_VECTOR_CANDIDATES,
+    };
+    try {
+        const found = mode === "vector"
+            ? await req.repo.search.vector(opts)
+            : await req.repo.search.text(opts);
+        res.json({ query: q, mode, ...found, count: found.results.length, ts: new Date().toISOString() });
+    } catch (err) {
+        internalError(res, err, "Search");
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SCRIPT ANALYTICS
+// ═══════════════════════════════════════════════════════════════
+app.post("/api/analytics/script", limiter.route("analytics.script"), validate(SCHEMAS.scriptAnalytics), async (req, res) => {
+    const { userId, scriptType, executionSuccess, errorMessage } = req.body;
+    try {
+        await req.repo.analytics.recordScript(userId, scriptType, executionSuccess, errorMessage || null);
+        res.json({ success: true });
+    } catch (err) {
+        internalError(res, err, "Script analytics");
+    }
+});
+
+app.get("/api/analytics/:userId", limiter.route("analytics.load"), validate(SCHEMAS.analyticsLoad), async (req, res) => {
+    const { userId } = req.params;
+    try {
+        const [scriptStats, interactionStats] = await Promise.all([
+            req.repo.analytics.scriptStats(userId),
+            req.repo.analytics.dailyInteractions(userId),
+        ]);
+        res.json({
+            scriptStats,
+            interactionStats,
+            ts: new Date().toISOString(),
+        });
+    } catch (err) {
+        internalError(res, err, "Analytics load");
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// GLOBAL STATS (admin)
+// /api/stats/global covers every tenant; /api/stats/tenants lists the
+// headline numbers per tenant and /api/stats/tenants/:tenantId has the
+// global breakdown for one.
+// ═══════════════════════════════════════════════════════════════
+function statsBody(stats) {
+    return {
+        totalUsers:         stats.users,
+        totalInteractions:  stats.interactions,
+        totalTrainedPairs:  stats.trainedPairs,
+        topScriptTypes:     stats.topScripts,
+        globalTopVocab:     stats.topVocab,
+        sharedPairs:        stats.shared,
+        topSharedPairs:     stats.topShared,
+        ts: new Date().toISOString(),
+    };
+}
+
+app.get("/api/stats/global", limiter.route("stats.global"), validate(SCHEMAS.globalStats), async (req, res) => {
+    try {
+        res.json(statsBody(await repo.analytics.global()));
+    } catch (err) {
+        internalError(res, err, "Global stats");
+    }
+});
+
+app.get("/api/stats/tenants", limiter.route("stats.global"), validate(SCHEMAS.tenantsStats), async (req, res) => {
+    try {
+        const tenantStats = await repo.analytics.tenants();
+        res.json({ tenants: tenantStats, count: tenantStats.length, ts: new Date().toISOString() });
+    } catch (err) {
+        internalError(res, err, "Tenant stats");
+    }
+});
+
+app.get("/api/stats/tenants/:tenantId", limiter.route("stats.global"), validate(SCHEMAS.tenantStats), async (req, res) => {
+    const { tenantId } = req.params;
+    try {
+        res.json({ tenantId, ...statsBody(await repo.forTenant(tenantId).analytics.global()) });
+    } catch (err) {
+        internalError(res, err, "Tenant stats");
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// CONTENT FLAGS (admin)
+// Review queue for everything the content filter caught.
+// ═══════════════════════════════════════════════════════════════
+app.get("/api/admin/flags", limiter.route("admin"), validate(SCHEMAS.adminFlags), async (req, res) => {
+    const status = req.query.status || "open";
+    if (status !== "open" && status !== "resolved" && status !== "all")
+        return res.status(400).json({ error: "status must be open, resolved or all" });
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const filter = { status };
+    for (const key of ["table", "userId", "action", "severity"])
+        if (req.query[key]) filter[key] = req.query[key];
+    try {
+        const flags = await req.repo.flags.list(filter, limit);
+        res.json({ flags, count: flags.length, rules: req.tenant.filter.rules, ts: new Date().toISOString() });
+    } catch (err) {
+        internalError(res, err, "Flag list");
+    }
+});
+
+app.post("/api/admin/flags/:id/resolve", limiter.route("admin"), validate(SCHEMAS.adminFlagResolve), async (req, res) => {
+    const numId = parseInt(req.params.id);
+    if (isNaN(numId))
+        return res.status(400).json({ error: "Invalid id" });
+    try {
+        const flag = await req.repo.flags.resolve(numId, req.apiKey ? req.apiKey.keyId : null);
+        if (!flag)
+            return res.status(404).json({ error: "Open flag not found" });
+        res.json({ success: true, ...flag });
+    } catch (err) {
+        internalError(res, err, "Flag resolve");
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// API KEYS (admin)
+// One key per Roblox experience (universe). The secret is only ever
+// returned on create/rotate; store it in the game's server config.
+// ═══════════════════════════════════════════════════════════════
+function parseScopes(scopes) {
+    if (scopes === undefined) return ["read", "write"];
+    if (!Array.isArray(scopes) || !scopes.length || scopes.some(s => !auth.SCOPES.includes(s)))
+        return null;
+    return [...new Set(scopes)];
+}
+
+app.get("/api/admin/keys", limiter.route("admin"), validate(SCHEMAS.adminKeys), async (req, res) => {
+    try {
+        const keys = await repo.apiKeys.list();
+        res.json({ keys, count: keys.length, ts: new Date().toISOString() });
+    } catch (err) {
+        internalError(res, err, "Key list");
+    }
+});
+
+// The key serves tenantId, by default the universe's own tenant
+app.post("/api/admin/keys", limiter.route("admin"), validate(SCHEMAS.adminKeyCreate), async (req, res) => {
+    const { universeId, name } = req.body;
+    const scopes = parseScopes(req.body.scopes);
+    if (!universeId)
+        return res.status(400).json({ error: "universeId is required" });
+    if (!scopes)
+        return res.status(400).json({ error: `scopes must be a non-empty subset of ${auth.SCOPES.join(", ")}` });
+
+    const tenantId = String(req.body.tenantId || universeId);
+    if (!TENANT_ID.test(tenantId))
+        return res.status(400).json({ error: "tenantId must be 1-64 letters, digits, _ or -" });
+
+    const keyId  = auth.newKeyId();
+    const secret = auth.newSecret();
+    try {
+        await repo.tenants.save(tenantId, null, null);
+        const created = await repo.apiKeys.create({
+            keyId, universeId: String(universeId), tenantId, name: name || "", secret, scopes,
+        });
+        res.json({ success: true, keyId, secret, universeId: String(universeId), tenantId, scopes,
+                   created_at: created.created_at });
+    } catch (err) {
+        internalError(res, err, "Key create");
+    }
+});
+
+// Issue a new secret; the old one stays valid for the rotation grace period
+app.post("/api/admin/keys/:keyId/rotate", limiter.route("admin"), validate(SCHEMAS.adminKeyRotate), async (req, res) => {
+    const { keyId } = req.params;
+    const secret = auth.newSecret();
+    try {
+        const rotated = await repo.apiKeys.rotate(keyId, secret, auth.ROTATION_GRACE_MS);
+        if (!rotated)
+            return res.status(404).json({ error: "Active key not found" });
+        apiAuth.invalidate(keyId);
+        res.json({ success: true, keyId, secret, previousValidUntil: rotated.previous_expires_at });
+    } catch (err) {
+        internalError(res, err, "Key rotate");
+    }
+});
+
+app.delete("/api/admin/keys/:keyId", limiter.route("admin"), validate(SCHEMAS.adminKeyRevoke), async (req, res) => {
+    const { keyId } = req.params;
+    try {
+        if (!(await repo.apiKeys.revoke(keyId)))
+            return res.status(404).json({ error: "Active key not found" });
+        apiAuth.invalidate(keyId);
+        res.json({ success: true, revoked: keyId });
+    } catch (err) {
+        internalError(res, err, "Key revoke");
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// TENANTS (admin)
+// config is replaced as a whole on PUT (see lib/tenants.js for what it
+// holds); omit it to only rename. Other replicas pick up a change
+// within the settings cache window.
+// ═══════════════════════════════════════════════════════════════
+app.get("/api/admin/tenants", limiter.route("admin"), validate(SCHEMAS.adminTenants), async (req, res) => {
+    try {
+        const list = await repo.tenants.list();
+        res.json({ tenants: list, count: list.length, ts: new Date().toISOString() });
+    } catch (err) {
+        internalError(res, err, "Tenant list");
+    }
+});
+
+app.get("/api/admin/tenants/:tenantId", limiter.route("admin"), validate(SCHEMAS.adminTenantLoad), async (req, res) => {
+    const { tenantId } = req.params;
+    try {
+        const [row, settings] = await Promise.all([repo.tenants.get(tenantId), tenants.settings(tenantId)]);
+        if (!row)
+            return res.status(404).json({ error: "Tenant not found" });
+        res.json({
+            tenant:    row,
+            effective: {
+                limits:             settings.limits,
+                defaultPersonality: settings.defaultPersonality,
+                contentRules:       settings.filter.rules,
+            },
+        });
+    } catch (err) {
+        internalError(res, err, "Tenant load");
+    }
+});
+
+app.put("/api/admin/tenants/:tenantId", limiter.route("admin"), validate(SCHEMAS.adminTenantSave), async (req, res) => {
+    const { tenantId } = req.params;
+    const { name, config } = req.body;
+    const invalid = config ? tenants.configError(config) : null;
+    if (invalid)
+        return res.status(400).json({ error: invalid });
+    try {
+        const row = await repo.tenants.save(tenantId, name === undefined ? null : name, config || null);
+        tenants.invalidate(tenantId);
+        const { created, ...tenant } = row;
+        res.json({ success: true, created, tenant });
+    } catch (err) {
+        internalError(res, err, "Tenant save");
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// BACKGROUND JOBS (admin)
+// Scheduled in-process (lib/jobs.js) once START has run migrations;
+// one replica at a time runs each job. JOBS=off stops the timers but
+// jobs can still be triggered by hand. Retention windows: see
+// lib/retention.js.
+// ═══════════════════════════════════════════════════════════════
+const jobs = createJobRunner(repo);
+
+jobs.register("sessions", 5 * 60 * 1000, async () => ({
+    expired: await repo.sessions.expireIdle(SESSION_IDLE_MS),
+}));
+
+// Old idempotency keys and tombstones past the cursor lifetime
+jobs.register("sync-cleanup", 60 * 60 * 1000, async () => {
+    return {
+        syncBatches: await repo.syncBatches.prune(IDEMPOTENCY_KEY_TTL_MS),
+        tombstones:  await repo.tombstones.prune(deltaSync.TOMBSTONE_RETENTION_MS),
+    };
+});
+
+if (process.env.BAYES_AUTO_TRAIN !== "false") {
+    jobs.register("bayes-train", 5 * 60 * 1000, async () => ({
+        usersTrained: await retrainStaleModels(),
+    }));
+}
+
+// Vectors for vector search; rows it hasn't reached are embedded at query time
+if (process.env.SEARCH_EMBEDDINGS !== "false") {
+    jobs.register("search-embeddings", parseInt(process.env.SEARCH_EMBED_INTERVAL_MS) || 10 * 60 * 1000,
+        () => repo.search.refreshEmbeddings());
+}
+
+jobs.register("retention", parseInt(process.env.RETENTION_INTERVAL_MS) || 60 * 60 * 1000,
+    () => repo.retention.run());
+
+app.get("/api/admin/jobs", limiter.route("admin"), validate(SCHEMAS.adminJobs), async (req, res) => {
+    try {
+        res.json({
+            scheduler: process.env.JOBS === "off" ? "off" : "on",
+            retention: retention.loadPolicy(),
+            jobs:      await jobs.status(),
+            ts: new Date().toISOString(),
+        });
+    } catch (err) {
+        internalError(res, err, "Job status");
+    }
+});
+
+// Runs the job now and answers when it finishes; 409 while another
+// replica holds it
+app.post("/api/admin/jobs/:name/run", limiter.route("admin"), validate(SCHEMAS.adminJobRun), async (req, res) => {
+    const { name } = req.params;
+    if (!jobs.has(name))
+        return res.status(404).json({ error: "Unknown job" });
+    try {
+        const outcome = await jobs.run(name, "manual");
+        if (outcome.status === "locked")
+            return res.status(409).json({ error: "Job is already running" });
+        res.status(outcome.status === "ok" ? 200 : 500).json({ job: name, ...outcome });
+    } catch (err) {
+        internalError(res, err, "Job trigger");
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ERROR HANDLERS
+// ═══════════════════════════════════════════════════════════════
+app.use((err, req, res, next) => {
+    if (err.type === "entity.parse.failed")
+        return sendError(res, 400, "INVALID_JSON", "Request body is not valid JSON");
+    if (err.type === "entity.too.large")
+        return sendError(res, 413, "PAYLOAD_TOO_LARGE", `Request body too large (max ${err.limit} bytes)`);
+    internalError(res, err, "Unhandled");
+});
+app.use((req, res) => res.status(404).json({ error: "Not found" }));
 
 // ═══════════════════════════════════════════════════════════════
 // START
 // ═══════════════════════════════════════════════════════════════
+// `node server.js` listens on PORT; tests require() the module and
+// call start() themselves (port 0 picks a free one) → http.Server
 const PORT = process.env.PORT || 3000;
 
-(async () => {
-    try {
-        await initDB();
-        app.listen(PORT, () => {
-            console.log("═══════════════════════════════════════════════════");
-            console.log("🚂 NeuralChatbot v7 — Railway API Server");
-            console.log("═══════════════════════════════════════════════════");
-            console.log(`🌐  Port     : ${PORT}`);
-            console.log(`🗄️  Database : ${process.env.DATABASE_URL ? "✅ connected" : "❌ DATABASE_URL missing!"}`);
-            console.log(`🔗  Health   : /health`);
-            console.log(`🎓  Training : /api/training/:userId`);
-            console.log("═══════════════════════════════════════════════════");
+async function start(port = PORT) {
+    await initDB();
+    if (process.env.JOBS !== "off") jobs.start();
+    if (repo.backend === "postgres" && !process.env.DATABASE_URL) logger.warn("DATABASE_URL missing");
+    if (repo.backend === "memory") logger.warn("In-memory storage (STORAGE_BACKEND=memory): nothing is persisted");
+    if (process.env.API_AUTH === "off") logger.warn("API auth DISABLED (API_AUTH=off)");
+    return new Promise((resolve, reject) => {
+        const server = app.listen(port, () => {
+            logger.info("NeuralChatbot v7 API listening", {
+                port: server.address().port,
+                storage: repo.backend,
+                auth: process.env.API_AUTH === "off" ? "off" : "hmac",
+                jobs: process.env.JOBS === "off" ? "off" : "on",
+            });
+            resolve(server);
         });
-    } catch (err) {
-        console.error("❌ Startup failed:", err.message);
+        server.once("error", reject);
+    });
+}
+
+// For tests: after server.close(), frees the realtime connection and
+// the repository so the process can exit
+async function stop() {
+    realtime.close();
+    await repo.close();
+}
+
+if (require.main === module) {
+    start().catch((err) => {
+        logger.error("Startup failed", { err });
         process.exit(1);
-    }
-})();
+    });
+}
 
-module.exports = app;
+module.exports = { app, repo, jobs, start, stop };
@@ -0,0 +1,92 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { boot, uid } = require("./helpers");
+
+let api;
+before(async () => { api = await boot(); });
+after(() => api.close());
+
+describe("content flags", () => {
+    it("lists flags with filters and resolves them", async () => {
+        const userId = uid();
+        await api.post("/api/training/save", { userId, pattern: "socials", response: "add me on discord" });
+
+        const open = await api.get(`/api/admin/flags?userId=${userId}`);
+        assert.equal(open.status, 200);
+        assert.equal(open.body.count, 1);
+        const [flag] = open.body.flags;
+        assert.equal(flag.table_name, "trained_responses");
+        assert.equal(flag.action, "flag");
+        assert.equal(flag.severity, "low");
+        assert.ok(Array.isArray(open.body.rules));
+        assert.equal((await api.get(`/api/admin/flags?userId=${userId}&severity=high`)).body.count, 0);
+
+        const resolve = await api.post(`/api/admin/flags/${flag.id}/resolve`);
+        assert.equal(resolve.status, 200);
+        assert.equal(resolve.body.id, flag.id);
+        assert.ok(resolve.body.resolved_at);
+        assert.equal((await api.post(`/api/admin/flags/${flag.id}/resolve`)).status, 404);
+
+        assert.equal((await api.get(`/api/admin/flags?userId=${userId}`)).body.count, 0);
+        const resolved = await api.get(`/api/admin/flags?userId=${userId}&status=resolved`);
+        assert.equal(resolved.body.count, 1);
+        assert.equal((await api.get(`/api/admin/flags?userId=${userId}&status=all`)).body.count, 1);
+    });
+});
+
+describe("API keys", () => {
+    it("issues, lists, rotates and revokes keys", async () => {
+        const universeId = uid("universe");
+        const created = await api.post("/api/admin/keys", { universeId, name: "Main game", scopes: ["read"] });
+        assert.equal(created.status, 200);
+        assert.match(created.body.keyId, /^nck_/);
+        assert.equal(created.body.secret.length, 64);
+        assert.deepEqual(created.body.scopes, ["read"]);
+
+        const list = await api.get("/api/admin/keys");
+        const listed = list.body.keys.find(k => k.key_id === created.body.keyId);
+        assert.equal(listed.universe_id, universeId);
+        assert.ok(!("secret" in listed));
+
+        const rotated = await api.post(`/api/admin/keys/${created.body.keyId}/rotate`);
+        assert.equal(rotated.status, 200);
+        assert.notEqual(rotated.body.secret, created.body.secret);
+        assert.ok(new Date(rotated.body.previousValidUntil) > new Date());
+
+        const revoked = await api.del(`/api/admin/keys/${created.body.keyId}`);
+        assert.equal(revoked.status, 200);
+        assert.equal((await api.del(`/api/admin/keys/${created.body.keyId}`)).status, 404);
+        assert.equal((await api.post(`/api/admin/keys/${created.body.keyId}/rotate`)).status, 404);
+    });
+
+    it("validates new keys", async () => {
+        assert.equal((await api.post("/api/admin/keys", { name: "no universe" })).status, 400);
+        assert.equal((await api.post("/api/admin/keys", { universeId: "1", scopes: [] })).status, 400);
+    });
+});
+
+describe("background jobs", () => {
+    it("lists the registered jobs", async () => {
+        const res = await api.get("/api/admin/jobs");
+        assert.equal(res.status, 200);
+        assert.equal(res.body.scheduler, "off");
+        assert.ok(res.body.retention);
+        const names = res.body.jobs.map(j => j.name);
+        for (const name of ["sessions", "sync-cleanup", "bayes-train", "search-embeddings", "retention"])
+            assert.ok(names.includes(name), name);
+    });
+
+    it("runs every job by hand and records the run", async () => {
+        const userId = uid();
+        await api.post("/api/respond", { userId, prompt: "something to embed" });
+        for (const name of ["sessions", "sync-cleanup", "bayes-train", "search-embeddings", "retention"]) {
+            const res = await api.post(`/api/admin/jobs/${name}/run`);
+            assert.equal(res.status, 200, `${name}: ${JSON.stringify(res.body)}`);
+            assert.equal(res.body.status, "ok");
+        }
+        const status = (await api.get("/api/admin/jobs")).body.jobs;
+        const embeddings = status.find(j => j.name === "search-embeddings");
+        assert.equal(embeddings.lastRun.status, "ok");
+        assert.equal((await api.post("/api/admin/jobs/nope/run")).status, 404);
+    });
+});
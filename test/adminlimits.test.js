@@ -0,0 +1,31 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.RATE_LIMIT = "on";
+process.env.RATE_LIMIT_ROUTE_ADMIN = "2/60";
+const { boot } = require("./helpers");
+
+let api;
+before(async () => { api = await boot(); });
+after(() => api.close());
+
+// Each check comes from its own address (trust proxy is on), so it gets
+// fresh buckets
+let lastOctet = 0;
+async function statuses(method, path) {
+    const headers = { "x-forwarded-for": `203.0.113.${++lastOctet}` };
+    const out = [];
+    for (let i = 0; i < 3; i++) out.push((await api.request(method, path, method === "GET" ? undefined : {}, headers)).status);
+    return out;
+}
+
+describe("admin rate limits", () => {
+    it("limits the erasure log", async () => {
+        assert.deepEqual(await statuses("GET", "/api/admin/erasures"), [200, 200, 429]);
+    });
+
+    it("limits job status and manual runs", async () => {
+        assert.deepEqual(await statuses("GET", "/api/admin/jobs"), [200, 200, 429]);
+        assert.deepEqual(await statuses("POST", "/api/admin/jobs/sessions/run"), [200, 200, 429]);
+    });
+});
@@ -0,0 +1,131 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const auth   = require("../lib/auth");
+
+process.env.API_AUTH    = "on";
+process.env.ADMIN_TOKEN = "test-admin-token";
+const { boot, uid } = require("./helpers");
+
+let api;
+before(async () => { api = await boot(); });
+after(() => api.close());
+
+// Signs the way a game server does (see lib/auth.js)
+function signed(key, method, path, body) {
+    const ts = String(Date.now());
+    const raw = body === undefined ? "" : JSON.stringify(body);
+    const signature = crypto.createHmac("sha256", key.secret).update(`${ts}\n${method}\n${path}\n${raw}`).digest("hex");
+    return { "x-api-key": key.keyId, "x-timestamp": ts, "x-signature": signature };
+}
+
+describe("API auth", () => {
+    const admin = { authorization: "Bearer test-admin-token" };
+
+    async function issue(scopes) {
+        return (await api.post("/api/admin/keys", { universeId: uid("universe"), scopes }, admin)).body;
+    }
+
+    it("requires credentials on /api but not on health checks", async () => {
+        assert.equal((await api.get(`/api/training/${uid()}`)).status, 401);
+        assert.equal((await api.get("/api/admin/keys", { authorization: "Bearer wrong" })).status, 401);
+        assert.equal((await api.get("/health/live")).status, 200);
+    });
+
+    it("accepts signed requests within the key's scopes", async () => {
+        const key = await issue(["read", "write"]);
+        const userId = uid();
+        const body = { userId, pattern: "signed", response: "yes" };
+        const save = await api.post("/api/training/save", body, signed(key, "POST", "/api/training/save", body));
+        assert.equal(save.status, 200);
+
+        const list = await api.get(`/api/training/${userId}`, signed(key, "GET", `/api/training/${userId}`));
+        assert.equal(list.status, 200);
+        assert.equal(list.body.count, 1);
+        // The query string is part of what is signed
+        const unsigned = await api.get(`/api/training/${userId}?format=csv`, signed(key, "GET", `/api/training/${userId}`));
+        assert.equal(unsigned.status, 401);
+
+        const denied = await api.get("/api/admin/keys", signed(key, "GET", "/api/admin/keys"));
+        assert.equal(denied.status, 403);
+    });
+
+    it("needs the admin scope however an admin path is cased", async () => {
+        const key = await issue(["read", "write"]);
+        for (const path of ["/api/Admin/keys", "/api/ADMIN/jobs", "/api/Stats/global", "/api/stats/Tenants"]) {
+            assert.equal((await api.get(path, signed(key, "GET", path))).status, 403, path);
+        }
+        const body = { universeId: uid("universe"), scopes: ["admin"] };
+        const mint = await api.post("/api/Admin/keys", body, signed(key, "POST", "/api/Admin/keys", body));
+        assert.equal(mint.status, 403);
+        assert.equal((await api.get("/api/Admin/keys", admin)).status, 200);
+    });
+
+    it("refuses tampered, replayed and read-only writes", async () => {
+        const key = await issue(["read"]);
+        const userId = uid();
+        const body = { userId, pattern: "x", response: "y" };
+        const headers = signed(key, "POST", "/api/training/save", body);
+        assert.equal((await api.post("/api/training/save", { ...body, response: "z" }, headers)).status, 401);
+        assert.equal((await api.post("/api/training/save", body, headers)).status, 403);
+        assert.equal((await api.post("/api/training/save", body, headers)).status, 401);
+    });
+
+    it("honours the previous secret after a rotation and nothing after a revoke", async () => {
+        const key = await issue(["read"]);
+        const rotated = (await api.post(`/api/admin/keys/${key.keyId}/rotate`, {}, admin)).body;
+        const path = `/api/sessions/${uid()}`;
+        assert.equal((await api.get(path, signed(key, "GET", path))).status, 200);
+        assert.equal((await api.get(path, signed({ ...key, secret: rotated.secret }, "GET", path))).status, 200);
+
+        await api.del(`/api/admin/keys/${key.keyId}`, undefined, admin);
+        assert.equal((await api.get(path, signed({ ...key, secret: rotated.secret }, "GET", path))).status, 401);
+    });
+
+    it("scopes a key to its universe; admin credentials may pick one", async () => {
+        const key = await issue(["read", "write"]);
+        assert.equal(key.tenantId, key.universeId);
+        const userId = uid();
+        const body = { userId, pattern: "mine", response: "only" };
+        await api.post("/api/training/save", body, signed(key, "POST", "/api/training/save", body));
+
+        const path = `/api/training/${userId}`;
+        const other = { ...signed(key, "GET", path), "x-universe-id": uid("universe") };
+        assert.equal((await api.get(path, other)).status, 403);
+        assert.equal((await api.get(path, { ...admin, "x-universe-id": key.tenantId })).body.count, 1);
+        assert.equal((await api.get(path, admin)).body.count, 0);
+    });
+});
+
+describe("request signing", () => {
+    it("signs timestamp, method, path and body", () => {
+        const base = auth.sign("s3cret", "1700000000000", "post", "/api/sync", "{}");
+        assert.match(base, /^[0-9a-f]{64}$/);
+        assert.equal(base, auth.sign("s3cret", "1700000000000", "POST", "/api/sync", "{}"));
+        assert.notEqual(base, auth.sign("s3cret", "1700000000000", "POST", "/api/sync?x=1", "{}"));
+        assert.notEqual(base, auth.sign("s3cret", "1700000000001", "POST", "/api/sync", "{}"));
+        assert.notEqual(base, auth.sign("other", "1700000000000", "POST", "/api/sync", "{}"));
+        assert.equal(auth.sign("k", "1", "GET", "/x", undefined), auth.sign("k", "1", "GET", "/x", ""));
+    });
+
+    it("issues distinct key ids and secrets", () => {
+        assert.match(auth.newKeyId(), /^nck_[0-9a-f]{16}$/);
+        assert.match(auth.newSecret(), /^[0-9a-f]{64}$/);
+        assert.notEqual(auth.newSecret(), auth.newSecret());
+    });
+
+    it("refuses stale timestamps and missing headers", async () => {
+        const key = (await api.post("/api/admin/keys", { universeId: uid("universe") },
+            { authorization: "Bearer test-admin-token" })).body;
+        const path = `/api/sessions/${uid()}`;
+        const stale = String(Date.now() - 10 * 60 * 1000);
+        const headers = {
+            "x-api-key": key.keyId,
+            "x-timestamp": stale,
+            "x-signature": auth.sign(key.secret, stale, "GET", path, ""),
+        };
+        assert.equal((await api.get(path, headers)).status, 401);
+        assert.equal((await api.get(path, { "x-api-key": key.keyId })).status, 401);
+        assert.equal((await api.get(path, { ...headers, "x-api-key": "nck_unknown" })).status, 401);
+    });
+});
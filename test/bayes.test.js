@@ -0,0 +1,136 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { boot, uid } = require("./helpers");
+const bayes = require("../lib/bayes");
+const matcher = require("../lib/matcher");
+
+let api;
+before(async () => { api = await boot(); });
+after(() => api.close());
+
+describe("intent model", () => {
+    const LABELLED = [
+        ["hello there", "greeting"], ["hi friend", "greeting"], ["hey hello", "greeting"], ["good morning hi", "greeting"],
+        ["bye now", "farewell"], ["goodbye friend", "farewell"], ["see you later bye", "farewell"], ["bye bye", "farewell"],
+    ];
+
+    async function label(userId) {
+        await api.post("/api/sync", { userId, data: LABELLED.map(([UserPrompt, Intent]) => ({
+            Type: "interaction", Data: { UserPrompt, BotResponse: "", Intent },
+        })) });
+    }
+
+    it("stores and loads client-pushed probabilities", async () => {
+        const userId = uid();
+        const res = await api.post("/api/bayesian/update", { userId, intent: "shop", priorProb: 0.4, conditionalProbs: { buy: 0.7 } });
+        assert.equal(res.status, 200);
+        const load = await api.get(`/api/bayesian/${userId}`);
+        assert.equal(load.status, 200);
+        assert.equal(load.body.probabilities.length, 1);
+        assert.equal(load.body.probabilities[0].source, "client");
+        assert.deepEqual(load.body.probabilities[0].conditional_probs, { buy: 0.7 });
+    });
+
+    it("needs enough labelled interactions to train", async () => {
+        const res = await api.post(`/api/bayesian/${uid()}/train`, {});
+        assert.equal(res.status, 200);
+        assert.equal(res.body.trained, false);
+        assert.equal(res.body.samples, 0);
+    });
+
+    it("trains from labelled interactions, replacing pushed priors", async () => {
+        const userId = uid();
+        await api.post("/api/bayesian/update", { userId, intent: "shop", priorProb: 0.4 });
+        await label(userId);
+
+        const train = await api.post(`/api/bayesian/${userId}/train`, { alpha: 0.5 });
+        assert.equal(train.body.trained, true);
+        assert.equal(train.body.samples, LABELLED.length);
+        assert.equal(train.body.intents, 2);
+
+        const probs = (await api.get(`/api/bayesian/${userId}`)).body.probabilities;
+        assert.deepEqual(probs.map(p => p.intent).sort(), ["farewell", "greeting"]);
+        assert.ok(probs.every(p => p.source === "server"));
+
+        const guess = await api.get(`/api/bayesian/${userId}/classify?prompt=${encodeURIComponent("bye for now")}&top=2`);
+        assert.equal(guess.status, 200);
+        assert.equal(guess.body.intent, "farewell");
+        assert.equal(guess.body.intents.length, 2);
+    });
+
+    it("evaluates on a held-out share without storing anything", async () => {
+        const userId = uid();
+        await label(userId);
+        const res = await api.get(`/api/bayesian/${userId}/evaluate?holdout=0.5`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.samples, LABELLED.length);
+        assert.equal(typeof res.body.accuracy, "number");
+        assert.deepEqual((await api.get(`/api/bayesian/${userId}`)).body.probabilities, []);
+        assert.equal((await api.get(`/api/bayesian/${userId}/evaluate?alpha=0`)).status, 400);
+    });
+
+    it("stores learning pattern snapshots, which feedback keeps rated", async () => {
+        const userId = uid();
+        const res = await api.post("/api/learning", { userId, patterns: ["hi", "hello"], patternType: "greeting", successRate: 0.2 });
+        assert.equal(res.status, 200);
+
+        await label(userId);
+        const { interactions } = (await api.get(`/api/user/${userId}`)).body;
+        const greeting = interactions.find(i => i.intent === "greeting");
+        await api.post("/api/feedback", { userId, interactionId: greeting.id, rating: "up" });
+
+        const exported = (await api.get(`/api/user/${userId}/export`)).body.tables;
+        assert.equal(exported.learning_patterns.length, 1);
+        assert.equal(exported.learning_patterns[0].success_rate, 1);
+    });
+});
+
+describe("naive Bayes trainer", () => {
+    const examples = [
+        { id: 1, intent: "greeting", text: "hello there" },
+        { id: 2, intent: "greeting", text: "hello friend" },
+        { id: 3, intent: "farewell", text: "bye friend" },
+    ];
+
+    it("computes smoothed priors and conditionals", () => {
+        const model = bayes.train(examples);
+        assert.equal(model.alpha, bayes.DEFAULT_ALPHA);
+        assert.equal(model.samples, 3);
+        assert.equal(model.vocabSize, 4);   // hello there friend bye
+
+        const [greeting, farewell] = model.intents;
+        assert.equal(greeting.intent, "greeting");
+        assert.equal(greeting.prior, 3 / 5);                     // (2 + 1) / (3 + 1·2)
+        assert.equal(greeting.conditional.hello, 3 / 8);         // (2 + 1) / (4 words + 1·4)
+        assert.equal(greeting.unseen, 1 / 8);
+        assert.equal(greeting.conditional.bye, undefined);
+        assert.equal(farewell.prior, 2 / 5);
+        assert.equal(farewell.conditional.bye, 2 / 6);
+    });
+
+    it("produces rows the matcher can classify with", () => {
+        const rows = bayes.toRows(bayes.train(examples, { alpha: 0.5 }));
+        assert.deepEqual(Object.keys(rows[0]).sort(),
+            ["conditional_probs", "intent", "prior_probability", "sample_count", "unseen_prob"]);
+        assert.equal(matcher.classifyIntent("bye bye", rows).intent, "farewell");
+        assert.equal(matcher.classifyIntent("hello", rows).intent, "greeting");
+    });
+
+    it("evaluates on the same held-out split every time", () => {
+        const many = [];
+        for (let id = 1; id <= 200; id++) {
+            many.push(id % 2
+                ? { id, intent: "greeting", text: `hello there number ${id}` }
+                : { id, intent: "farewell", text: `goodbye now number ${id}` });
+        }
+        const first = bayes.evaluate(many, { holdout: 0.25 });
+        assert.deepEqual(bayes.evaluate(many, { holdout: 0.25 }), first);
+        assert.equal(first.trainSize + first.testSize, 200);
+        assert.ok(first.testSize > 20 && first.testSize < 80, `held out ${first.testSize}`);
+        assert.equal(first.accuracy, 1);
+        assert.equal(first.intents, 2);
+        assert.ok(first.baselineAccuracy < 1);
+        assert.deepEqual(first.perIntent.map(s => s.recall), [1, 1]);
+        assert.equal(bayes.evaluate([], {}).accuracy, null);
+    });
+});
@@ -0,0 +1,72 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const bulk = require("../lib/bulkwrite");
+
+// Records each statement's params; answers id queries with sequential ids
+function fakeDb() {
+    const calls = [];
+    let nextId = 1;
+    return {
+        calls,
+        async query(sql, params) {
+            calls.push({ sql, params });
+            return { rows: /SELECT id FROM input/.test(sql) ? params[0].map(() => ({ id: nextId++ })) : [] };
+        },
+    };
+}
+
+describe("bulk writes", () => {
+    it("splits rows into chunks", () => {
+        assert.deepEqual(bulk.chunks([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+        assert.deepEqual(bulk.chunks([], 2), []);
+    });
+
+    it("merges repeated words before one sorted upsert", async () => {
+        const entries = [
+            { word: "sword", freq: 2, category: "item", weight: 1 },
+            { word: "apple", freq: 1, category: null, weight: 3 },
+            { word: "sword", freq: 5, category: "item", weight: 2 },
+        ];
+        const add = fakeDb();
+        assert.equal(await bulk.upsertVocab(add, "t1", "u1", entries, "add"), 2);
+        assert.equal(add.calls.length, 1);
+        const [userId, words, freqs, categories, weights, tenantId] = add.calls[0].params;
+        assert.deepEqual([userId, tenantId], ["u1", "t1"]);
+        assert.deepEqual(words, ["apple", "sword"]);
+        assert.deepEqual(freqs, [1, 7]);
+        assert.deepEqual(categories, [null, "item"]);
+        assert.deepEqual(weights, [3, 2]);
+        assert.match(add.calls[0].sql, /freq\s+= vocab\.freq \+ EXCLUDED\.freq/);
+
+        const max = fakeDb();
+        await bulk.upsertVocab(max, "t1", "u1", entries, "max");
+        assert.deepEqual(max.calls[0].params[2], [1, 5]);
+        assert.match(max.calls[0].sql, /GREATEST\(vocab\.freq, EXCLUDED\.freq\)/);
+    });
+
+    it("inserts interactions chunk by chunk, returning ids in row order", async () => {
+        const rows = Array.from({ length: bulk.CHUNK_ROWS + 2 }, (_, i) => ({ user_id: "u1", user_prompt: `p${i}` }));
+        const db = fakeDb();
+        const ids = await bulk.insertInteractions(db, "t1", rows);
+        assert.equal(db.calls.length, 2);
+        assert.deepEqual(ids.slice(0, 3), [1, 2, 3]);
+        assert.equal(ids.length, rows.length);
+        const params = db.calls[1].params;
+        assert.deepEqual(params[1], [`p${bulk.CHUNK_ROWS}`, `p${bulk.CHUNK_ROWS + 1}`]);
+        assert.deepEqual(params[4], [null, null]);   // missing columns become NULL
+        assert.equal(params[10], "t1");
+    });
+
+    it("writes flags as one multi-row insert per 500", async () => {
+        const flag = { table: "interactions", recordId: 1, userId: "u1", field: "user_prompt",
+                       action: "flag", severity: "low", rules: ["r"], excerpt: "x" };
+        const db = fakeDb();
+        await bulk.insertFlags(db, "t1", Array.from({ length: 501 }, () => flag));
+        assert.equal(db.calls.length, 2);
+        assert.equal(db.calls[0].params.length, 1 + 500 * 8);
+        assert.match(db.calls[1].sql, /VALUES \(\$1,\$2,\$3,\$4,\$5,\$6,\$7,\$8,\$9\)/);
+        assert.deepEqual(db.calls[1].params, ["t1", "interactions", 1, "u1", "user_prompt", "flag", "low", ["r"], "x"]);
+        await bulk.insertFlags(db, "t1", []);
+        assert.equal(db.calls.length, 2);
+    });
+});
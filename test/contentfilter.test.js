@@ -0,0 +1,70 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createContentFilter, loadConfig } = require("../lib/contentfilter");
+
+const filter = createContentFilter({
+    pii:   { email: "medium", url: "low" },
+    rules: [
+        { id: "scam",  severity: "high",   pattern: "\\bfree\\s+robux\\b" },
+        { id: "rude",  severity: "medium", words: ["dang"] },
+        { id: "brand", severity: "low",    words: ["discord"] },
+    ],
+});
+
+describe("content filter", () => {
+    it("allows clean text untouched", () => {
+        const r = filter.check("hello there");
+        assert.deepEqual(r, { text: "hello there", action: "allow", severity: null, hits: [] });
+    });
+
+    it("takes the strictest action of every rule hit", () => {
+        assert.equal(filter.check("join my discord").action, "flag");
+        assert.equal(filter.check("join my discord").text, "join my discord");
+
+        const masked = filter.check("dang, mail a@b.de");
+        assert.equal(masked.action, "mask");
+        assert.equal(masked.severity, "medium");
+        assert.equal(masked.text, "####, mail ######");
+        assert.deepEqual(masked.hits.map(h => h.rule), ["rude", "pii-email"]);
+
+        const rejected = filter.check("free robux, dang");
+        assert.equal(rejected.action, "reject");
+        assert.equal(rejected.severity, "high");
+    });
+
+    it("flags instead of masking inside scripts", () => {
+        const r = filter.check('print("dang")', { script: true });
+        assert.equal(r.action, "flag");
+        assert.equal(r.text, 'print("dang")');
+    });
+
+    it("screens a record, reporting the first rejected field and every flag", () => {
+        const out = filter.screen({ pattern: "hi dang", response: "free robux", script: "" });
+        assert.equal(out.values.pattern, "hi ####");
+        assert.deepEqual(out.rejected, { field: "response", rules: ["scam"] });
+        assert.deepEqual(out.flags.map(f => [f.field, f.action]), [["pattern", "mask"], ["response", "reject"]]);
+    });
+
+    it("never puts PII in an excerpt, even for rejected text or scripts", () => {
+        const out = filter.screen(
+            { response: "free robux, write kid@example.com", script: '-- kid@example.com\nprint("see www.evil.gg")' },
+            { scriptFields: ["script"] }
+        );
+        assert.equal(out.rejected.field, "response");
+        const [response, script] = out.flags;
+        assert.equal(script.action, "flag");
+        assert.equal(out.values.script, '-- kid@example.com\nprint("see www.evil.gg")');
+        for (const flag of [response, script]) {
+            assert.ok(!flag.excerpt.includes("kid@example.com"), flag.excerpt);
+            assert.ok(!flag.excerpt.includes("evil.gg"), flag.excerpt);
+        }
+        assert.match(response.excerpt, /^free robux, write #+$/);
+    });
+
+    it("refuses rules it can't compile", () => {
+        assert.throws(() => createContentFilter({ rules: [{ id: "x", severity: "extreme", words: ["a"] }] }), /severity/);
+        assert.throws(() => createContentFilter({ rules: [{ id: "x", severity: "low" }] }), /words or pattern/);
+        assert.throws(() => createContentFilter({ pii: { fax: "low" } }), /Unknown PII detector/);
+        assert.ok(createContentFilter(loadConfig()).rules.some(r => r.id === "pii-email"));
+    });
+});
@@ -0,0 +1,39 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const csv = require("../lib/csv");
+
+describe("csv", () => {
+    it("parses quotes, embedded newlines, CRLF, a BOM and blank lines", () => {
+        const text = '\uFEFFpattern,response\r\n"say ""hi""","line one\nline two"\r\n\r\nplain,"a,b"\n';
+        assert.deepEqual(csv.parse(text), [
+            ["pattern", "response"],
+            ['say "hi"', "line one\nline two"],
+            ["plain", "a,b"],
+        ]);
+        assert.throws(() => csv.parse('a,"open'), /Unterminated/);
+    });
+
+    it("keys rows by trimmed, lower-cased headers", () => {
+        assert.deepEqual(csv.parseObjects(" Pattern ,RESPONSE\nhi\n"), [{ pattern: "hi", response: "" }]);
+        assert.deepEqual(csv.parseObjects(""), []);
+    });
+
+    it("round-trips what it writes", () => {
+        const rows = [["id", "text"], [1, 'a "quoted", multi\nline'], [2, null]];
+        const text = csv.stringify(rows);
+        assert.ok(text.endsWith("\r\n"));
+        assert.deepEqual(csv.parse(text), [["id", "text"], ["1", 'a "quoted", multi\nline'], ["2", ""]]);
+    });
+
+    it("neutralizes cells a spreadsheet would run as formulas", () => {
+        const cells = ["=HYPERLINK(\"http://x\")", "+1", "-2+3", "@SUM(A1)", "\tcmd", "safe = fine"];
+        const [row] = csv.parse(csv.stringify([cells]));
+        assert.deepEqual(row, ["'=HYPERLINK(\"http://x\")", "'+1", "'-2+3", "'@SUM(A1)", "'\tcmd", "safe = fine"]);
+    });
+
+    it("strips the formula escape again when reading objects", () => {
+        const cells = ["-- greet\nprint(1)", "-x", "=1", "'quoted", "''-twice"];
+        const text = csv.stringify([["a", "b", "c", "d", "e"], cells]);
+        assert.deepEqual(csv.parseObjects(text), [{ a: "-- greet\nprint(1)", b: "-x", c: "=1", d: "'quoted", e: "''-twice" }]);
+    });
+});
@@ -0,0 +1,43 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const deltaSync = require("../lib/deltasync");
+
+const cursorAt = (xmin, t) => Buffer.from(JSON.stringify({ x: String(xmin), t })).toString("base64url");
+
+describe("delta sync cursors", () => {
+    it("round-trips an xmin through an opaque cursor", () => {
+        const cursor = deltaSync.encodeCursor("123456789012");
+        assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+        const decoded = deltaSync.decodeCursor(cursor);
+        assert.equal(decoded.xmin, "123456789012");
+        assert.ok(Math.abs(decoded.issuedAt - Date.now()) < 1000);
+    });
+
+    it("rejects malformed cursors", () => {
+        for (const bad of ["garbage", cursorAt("12; DROP", Date.now()), Buffer.from('{"x":"1"}').toString("base64url")]) {
+            assert.equal(deltaSync.decodeCursor(bad), null);
+            assert.deepEqual(deltaSync.parseSince(bad), { error: "Invalid since cursor" });
+        }
+    });
+
+    it("asks for a full snapshot without a cursor or with one older than the tombstones", () => {
+        assert.deepEqual(deltaSync.parseSince(undefined), { since: null });
+        assert.deepEqual(deltaSync.parseSince(""), { since: null });
+        const stale = cursorAt(42, Date.now() - deltaSync.TOMBSTONE_RETENTION_MS - 1000);
+        assert.deepEqual(deltaSync.parseSince(stale), { since: null, expired: true });
+        assert.deepEqual(deltaSync.parseSince(cursorAt(42, Date.now())), { since: "42" });
+    });
+
+    it("reads the snapshot xmin and tenant-scoped tombstones", async () => {
+        const queries = [];
+        const db = {
+            async query(sql, params) {
+                queries.push({ sql, params });
+                return /pg_snapshot_xmin/.test(sql) ? { rows: [{ xmin: "777" }] } : { rows: [{ record_key: "5" }] };
+            },
+        };
+        assert.equal(deltaSync.decodeCursor(await deltaSync.readCursor(db)).xmin, "777");
+        assert.deepEqual(await deltaSync.deletedSince(db, "t1", "vocabulary", "u1", "777"), ["5"]);
+        assert.deepEqual(queries[1].params, ["vocabulary", "t1", "u1", "777"]);
+    });
+});
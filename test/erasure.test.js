@@ -0,0 +1,83 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs     = require("fs");
+const path   = require("path");
+const erasure = require("../lib/erasure");
+
+const SECRET = "shh";
+const sign = (body, t, secret = SECRET) =>
+    `t=${t},v1=${crypto.createHmac("sha256", secret).update(`${t}.${body}`).digest("base64")}`;
+
+// Records statements; fails the one matching `failOn`
+function fakePool(failOn) {
+    const statements = [];
+    const client = {
+        async query(sql, params) {
+            statements.push([sql.trim().split(/\s+/).slice(0, 3).join(" "), params]);
+            if (failOn && sql.includes(failOn)) throw new Error("disk full");
+            return { rowCount: 1, rows: [{ id: 9 }] };
+        },
+        release() {},
+    };
+    return { statements, connect: async () => client, query: client.query };
+}
+
+describe("erasure", () => {
+    it("verifies Roblox webhook signatures within the tolerance", () => {
+        const now = 1700000000;
+        const body = '{"EventType":"RightToErasureRequest"}';
+        assert.equal(erasure.verifyRobloxSignature(sign(body, now), body, SECRET, now), true);
+        assert.equal(erasure.verifyRobloxSignature(sign(body, now - 300), body, SECRET, now), true);
+        assert.equal(erasure.verifyRobloxSignature(sign(body, now - 601), body, SECRET, now), false);
+        assert.equal(erasure.verifyRobloxSignature(sign(body, now, "other"), body, SECRET, now), false);
+        assert.equal(erasure.verifyRobloxSignature(sign(body, now), body + " ", SECRET, now), false);
+        assert.equal(erasure.verifyRobloxSignature(`t=${now}`, body, SECRET, now), false);
+        assert.equal(erasure.verifyRobloxSignature(undefined, body, SECRET, now), false);
+    });
+
+    it("parses erasure notifications and ignores other events", () => {
+        assert.deepEqual(erasure.parseRobloxErasure({
+            NotificationId: "n-1", EventType: "RightToErasureRequest", EventPayload: { UserId: 123, GameIds: [4, 5] },
+        }), { notificationId: "n-1", userId: "123", gameIds: [4, 5] });
+        assert.deepEqual(erasure.parseRobloxErasure({ EventType: "SampleNotification" }), { ignored: "SampleNotification" });
+        assert.ok(erasure.parseRobloxErasure({ EventType: "RightToErasureRequest", EventPayload: { UserId: "x1" } }).error);
+        assert.ok(erasure.parseRobloxErasure(null).error);
+    });
+
+    it("deletes from every user table in one transaction and logs it", async () => {
+        const pool = fakePool();
+        const result = await erasure.eraseUser(pool, "t1", "u1", { requestedBy: "admin" });
+        assert.equal(result.requestId, 9);
+        assert.deepEqual(Object.keys(result.rowsDeleted), erasure.USER_TABLES.map(([table]) => table));
+        const kinds = pool.statements.map(s => s[0]);
+        assert.equal(kinds[0], "BEGIN");
+        assert.equal(kinds.filter(k => k.startsWith("DELETE FROM")).length, erasure.USER_TABLES.length);
+        assert.equal(kinds[kinds.length - 1], "COMMIT");
+        assert.ok(pool.statements.every(([kind, params]) => !kind.startsWith("DELETE") || params[1] === "t1"));
+    });
+
+    it("rolls a failed erasure back and logs the failure", async () => {
+        const pool = fakePool("DELETE FROM vocab");
+        await assert.rejects(erasure.eraseUser(pool, null, "u1"), /disk full/);
+        const kinds = pool.statements.map(s => s[0]);
+        assert.ok(kinds.includes("ROLLBACK"));
+        assert.ok(!kinds.includes("COMMIT"));
+        const failed = pool.statements[pool.statements.length - 1];
+        assert.equal(failed[0], "INSERT INTO erasure_requests");
+        assert.equal(failed[1][0], null);
+        assert.equal(failed[1][5], "disk full");
+    });
+
+    it("lists every table that has a user column", () => {
+        const dir = path.join(__dirname, "..", "migrations");
+        const sql = fs.readdirSync(dir).map(f => fs.readFileSync(path.join(dir, f), "utf8")).join("\n");
+        const covered = new Set(erasure.USER_TABLES.map(([table]) => table));
+        const userTables = [...sql.matchAll(/CREATE TABLE(?: IF NOT EXISTS)? (\w+) \(([^;]*?)\n\s*\);/g)]
+            .filter(([, , body]) => /\b(user_id|submitted_by)\b/.test(body))
+            .map(([, table]) => table);
+        assert.ok(userTables.length > 10);
+        covered.add("erasure_requests");   // the audit log outlives the data on purpose
+        for (const table of userTables) assert.ok(covered.has(table), `${table} missing from USER_TABLES`);
+    });
+});
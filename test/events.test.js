@@ -0,0 +1,69 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { boot, uid } = require("./helpers");
+
+let api;
+before(async () => { api = await boot(); });
+after(() => api.close());
+
+// Reads an SSE response one event at a time → { event, data }
+function eventReader(res) {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    return async function next() {
+        for (;;) {
+            const end = buffer.indexOf("\n\n");
+            if (end >= 0) {
+                const block = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                if (block.startsWith(":")) continue;   // heartbeat
+                const fields = Object.fromEntries(block.split("\n").map(line => {
+                    const colon = line.indexOf(": ");
+                    return [line.slice(0, colon), line.slice(colon + 2)];
+                }));
+                return { event: fields.event, data: JSON.parse(fields.data) };
+            }
+            const { value, done } = await reader.read();
+            if (done) throw new Error("stream ended");
+            buffer += decoder.decode(value, { stream: true });
+        }
+    };
+}
+
+describe("realtime events", () => {
+    it("streams a cursor, then the user's committed changes", async () => {
+        const userId = uid();
+        const controller = new AbortController();
+        const res = await fetch(`${api.base}/api/events/${userId}`, { signal: controller.signal });
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+        const next = eventReader(res);
+
+        const ready = await next();
+        assert.equal(ready.event, "ready");
+        assert.equal(typeof ready.data.cursor, "string");
+
+        // Another user's change and a rolled-back dry run must not show up
+        await api.post("/api/training/save", { userId: uid(), pattern: "elsewhere", response: "x" });
+        await api.post(`/api/training/${userId}/import?dryRun=true`, { pairs: [{ pattern: "dry", response: "run" }] });
+
+        const { id } = (await api.post("/api/training/save", { userId, pattern: "live", response: "update" })).body;
+        const created = await next();
+        assert.equal(created.event, "training.created");
+        assert.deepEqual(created.data.ids, [id]);
+
+        await api.post("/api/vocab/save", { userId, vocab: { live: { freq: 1 } } });
+        await api.put(`/api/user/${userId}/preferences`, { personality: "Playful" });
+        assert.deepEqual((await next()).data.words, ["live"]);
+        const prefs = await next();
+        assert.equal(prefs.event, "preferences.updated");
+        assert.equal(prefs.data.personality, "Playful");
+
+        // Changes since the ready cursor are what a reconnecting client fetches
+        const missed = await api.get(`/api/training/${userId}?since=${encodeURIComponent(ready.data.cursor)}`);
+        assert.deepEqual(missed.body.pairs.map(p => p.id), [id]);
+
+        controller.abort();
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { boot } = require("./helpers");
+
+let api;
+before(async () => { api = await boot(); });
+after(() => api.close());
+
+describe("health, metrics and docs", () => {
+    it("reports liveness", async () => {
+        const res = await api.get("/health/live");
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, "ok");
+        assert.equal(typeof res.body.uptime, "number");
+    });
+
+    it("reports readiness once migrations have run", async () => {
+        const res = await api.get("/health/ready");
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, "ready");
+        assert.equal(res.body.db, "ok");
+        assert.equal(res.body.migrations, "ok");
+    });
+
+    it("drops out of rotation while the database is down or migrations are pending", async () => {
+        const { ping, pendingMigrations } = api.repo;
+        try {
+            api.repo.ping = async () => { throw new Error("connection refused"); };
+            const down = await api.get("/health/ready");
+            assert.equal(down.status, 503);
+            assert.deepEqual([down.body.status, down.body.db, down.body.migrations], ["not_ready", "error", "unknown"]);
+            assert.equal((await api.get("/health")).status, 503);
+            assert.equal((await api.get("/health/live")).status, 200);
+
+            api.repo.ping = ping;
+            api.repo.pendingMigrations = async () => ["99_future"];
+            const pending = await api.get("/health/ready");
+            assert.equal(pending.status, 503);
+            assert.deepEqual(pending.body.pendingMigrations, ["99_future"]);
+        } finally {
+            Object.assign(api.repo, { ping, pendingMigrations });
+        }
+    });
+
+    it("echoes a sane incoming request id and makes one up otherwise", async () => {
+        const given = await api.get("/health/live", { "x-request-id": "trace-123" });
+        assert.equal(given.headers.get("x-request-id"), "trace-123");
+        const replaced = await api.get("/health/live", { "x-request-id": "bad id with spaces" });
+        assert.match(replaced.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+    });
+
+    it("keeps the legacy /health summary", async () => {
+        const res = await api.get("/health");
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, "healthy");
+        assert.equal(res.body.db, "connected");
+        assert.equal(res.body.version, "7.0");
+    });
+
+    it("serves Prometheus metrics labelled by route template", async () => {
+        await api.get("/api/training/metrics-user");
+        const res = await api.get("/metrics");
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get("content-type"), /^text\/plain/);
+        assert.match(res.body, /chatbot_http_requests_total\{method="GET",route="\/api\/training\/:userId",status="200"\} \d+/);
+    });
+
+    it("generates an OpenAPI document covering the routes", async () => {
+        const res = await api.get("/openapi.json");
+        assert.equal(res.status, 200);
+        assert.match(res.body.openapi, /^3\./);
+        assert.ok(res.body.paths["/api/respond"].post);
+        assert.ok(res.body.paths["/api/training/{userId}/{id}"].put);
+    });
+
+    it("answers unknown routes with a 404 envelope", async () => {
+        const res = await api.get("/api/nope");
+        assert.equal(res.status, 404);
+        assert.equal(res.body.code, "NOT_FOUND");
+    });
+
+    it("rejects malformed JSON", async () => {
+        const res = await api.request("POST", "/api/respond", "{not json", { "content-type": "application/json" });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.code, "INVALID_JSON");
+    });
+
+    it("rejects bodies that fail the route schema", async () => {
+        const res = await api.post("/api/training/save", { userId: "x", pattern: "" });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.code, "VALIDATION_FAILED");
+        assert.ok(res.body.details.length > 0);
+    });
+});
@@ -0,0 +1,70 @@
+// test/helpers.js — boots server.js for the integration tests
+//
+// Runs against the in-memory repository unless STORAGE_BACKEND says
+// otherwise (DATABASE_URL=… npm run test:postgres runs the same suite
+// against a real database; test/repository.test.js also checks both
+// backends directly when DATABASE_URL is set). Auth, rate limits and
+// the job scheduler are off unless a test file sets them before
+// requiring this.
+// node --test runs each file in its own process, so every file gets a
+// fresh server and, on memory, a fresh store. Boot once per file, in
+// top-level before/after hooks: server.js holds one repository, and
+// close() ends it for good.
+
+const crypto = require("crypto");
+
+const DEFAULTS = {
+    STORAGE_BACKEND: "memory",
+    API_AUTH:        "off",
+    RATE_LIMIT:      "off",
+    JOBS:            "off",
+    LOG_LEVEL:       "error",
+};
+for (const [name, value] of Object.entries(DEFAULTS)) {
+    if (process.env[name] === undefined) process.env[name] = value;
+}
+
+const { app, repo, start, stop } = require("../server");
+
+// A user id no other test (or earlier run against Postgres) has used
+function uid(prefix = "u") {
+    return `${prefix}-${crypto.randomBytes(6).toString("hex")}`;
+}
+
+// → { base, request, get, post, put, del, close }. request() resolves
+// to { status, headers, body } with body parsed when it is JSON.
+async function boot() {
+    const server = await start(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    async function request(method, path, body, headers = {}) {
+        const init = { method, headers: { ...headers } };
+        if (body !== undefined) {
+            init.body = typeof body === "string" ? body : JSON.stringify(body);
+            if (!init.headers["content-type"])
+                init.headers["content-type"] = typeof body === "string" ? "text/plain" : "application/json";
+        }
+        const res = await fetch(base + path, init);
+        const text = await res.text();
+        const json = (res.headers.get("content-type") || "").includes("json");
+        return { status: res.status, headers: res.headers, body: json && text ? JSON.parse(text) : text };
+    }
+
+    return {
+        app,
+        repo,
+        base,
+        request,
+        get:  (path, headers) => request("GET", path, undefined, headers),
+        post: (path, body, headers) => request("POST", path, body === undefined ? {} : body, headers),
+        put:  (path, body, headers) => request("PUT", path, body === undefined ? {} : body, headers),
+        del:  (path, body, headers) => request("DELETE", path, body, headers),
+        async close() {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            await stop();
+        },
+    };
+}
+
+module.exports = { boot, uid };
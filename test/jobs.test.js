@@ -0,0 +1,99 @@
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createRepository } = require("../lib/repository");
+const { createJobRunner } = require("../lib/jobs");
+const retention = require("../lib/retention");
+
+const repo = createRepository("memory");
+after(() => repo.close());
+
+const quiet = { error() {} };
+
+describe("job runner", () => {
+    it("runs a job and records the result", async () => {
+        const jobs = createJobRunner(repo, { log: quiet, instance: "test-1" });
+        jobs.register("count", 60 * 1000, async () => ({ counted: 3 }));
+
+        const outcome = await jobs.run("count", "manual");
+        assert.equal(outcome.status, "ok");
+        assert.deepEqual(outcome.result, { counted: 3 });
+
+        const [status] = await jobs.status();
+        assert.equal(status.name, "count");
+        assert.equal(status.lastRun.id, outcome.runId);
+        assert.equal(status.lastRun.instance, "test-1");
+        assert.equal(status.lastRun.trigger, "manual");
+        assert.equal(status.lastSuccess.id, outcome.runId);
+        await assert.rejects(jobs.run("missing"), /Unknown job 'missing'/);
+        assert.equal(jobs.has("count"), true);
+    });
+
+    it("skips a scheduled run after a recent success, but not a manual one", async () => {
+        const jobs = createJobRunner(repo, { log: quiet });
+        let runs = 0;
+        jobs.register("recent", 60 * 1000, async () => ++runs);
+        assert.equal((await jobs.run("recent")).status, "ok");
+        assert.equal((await jobs.run("recent")).status, "skipped");
+        assert.equal((await jobs.run("recent", "manual")).status, "ok");
+        assert.equal(runs, 2);
+    });
+
+    it("records failures without throwing", async () => {
+        const jobs = createJobRunner(repo, { log: quiet });
+        jobs.register("broken", 60 * 1000, async () => { throw new Error("no disk"); });
+        const outcome = await jobs.run("broken");
+        assert.deepEqual({ status: outcome.status, error: outcome.error }, { status: "failed", error: "no disk" });
+        const [status] = await jobs.status();
+        assert.equal(status.lastRun.error, "no disk");
+        assert.equal(status.lastSuccess, null);
+    });
+
+    it("reports a job held by another run as locked", async () => {
+        const jobs = createJobRunner(repo, { log: quiet });
+        let release;
+        jobs.register("slow", 60 * 1000, () => new Promise(r => { release = r; }));
+        const first = jobs.run("slow", "manual");
+        await new Promise(r => setImmediate(r));
+        assert.deepEqual(await jobs.run("slow", "manual"), { status: "locked" });
+        release("done");
+        assert.equal((await first).result, "done");
+    });
+});
+
+describe("retention", () => {
+    it("reads windows from the environment, ignoring bad values", () => {
+        const saved = { ...process.env };
+        try {
+            process.env.RETENTION_INTERACTIONS_DAYS = "0";
+            process.env.RETENTION_SCRIPT_ANALYTICS_DAYS = "-3";
+            process.env.RETENTION_LEARNING_KEEP = "0";
+            process.env.RETENTION_JOB_RUNS_DAYS = "7";
+            assert.deepEqual(retention.loadPolicy(), {
+                interactionsDays: 0, scriptAnalyticsDays: 90, learningDays: 30, learningKeep: 1, jobRunsDays: 7,
+            });
+        } finally {
+            process.env = saved;
+        }
+    });
+
+    it("works through a backlog in batches and skips disabled windows", async () => {
+        const calls = [];
+        const db = {
+            async query(sql, params) {
+                calls.push(sql);
+                if (/job_runs/.test(sql)) return { rowCount: 4 };
+                // A full first batch, then a short one
+                const n = calls.filter(s => s === sql).length === 1 ? params[params.length - 1] : 10;
+                return { rows: [{ n: String(n) }] };
+            },
+        };
+        const counts = await retention.runRetention(db, {
+            interactionsDays: 90, scriptAnalyticsDays: 0, learningDays: 30, learningKeep: 20, jobRunsDays: 30,
+        });
+        assert.equal(counts.interactionsRolledUp, 5010);
+        assert.equal(counts.scriptAnalyticsRolledUp, 0);
+        assert.equal(counts.learningPatternsPruned, 5010);
+        assert.equal(counts.jobRunsPruned, 4);
+        assert.ok(!calls.some(sql => /script_analytics/.test(sql)));
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ANALYZER_VERSION, analyze, tokenize, LuaSyntaxError } = require("../lib/luaanalyzer");
+
+const rules = (source) => analyze(source).findings.map(f => f.rule);
+
+describe("lua analyzer", () => {
+    it("passes ordinary scripts with no findings", () => {
+        const report = analyze(`
+            local Players = game:GetService("Players")
+            for _, p in ipairs(Players:GetPlayers()) do
+                if p.Team then print(p.Name) end
+            end
+            while true do task.wait(1) end
+        `);
+        assert.deepEqual(report, { score: 0, level: "none", findings: [], parseError: null, version: ANALYZER_VERSION });
+        assert.equal(analyze("").level, "none");
+        assert.equal(analyze(null).score, 0);
+    });
+
+    it("finds remote code, fenv and catalog requires", () => {
+        assert.deepEqual(rules('loadstring(game:HttpGet("http://x"))()'), ["loadstring", "remote-fetch"]);
+        assert.deepEqual(rules("setfenv(1, {})"), ["fenv"]);
+        assert.deepEqual(rules("require(123456)"), ["require-asset"]);
+        assert.deepEqual(rules("require(script.Parent.Module)"), []);
+        assert.deepEqual(rules("obj.loadstring(x)"), []);
+    });
+
+    it("only counts GetAsync as a request alongside HttpService", () => {
+        const http = rules('local H = game:GetService("HttpService")\nH:GetAsync("http://x")');
+        assert.deepEqual(http, ["service-HttpService", "http-request"]);
+        assert.deepEqual(rules('local s = game:GetService("DataStoreService"):GetDataStore("x")\ns:GetAsync("k")'),
+            ["service-DataStoreService"]);
+    });
+
+    it("flags loops that never yield, with their line", () => {
+        const report = analyze("local n = 0\nwhile true do\n  n += 1\nend");
+        assert.deepEqual(report.findings.map(f => [f.rule, f.line]), [["infinite-loop", 2]]);
+        assert.equal(report.level, "high");
+        assert.deepEqual(rules("repeat x() until false"), ["infinite-loop"]);
+        assert.deepEqual(rules("while true do if done then break end end"), []);
+        assert.deepEqual(rules("while 1 do wait() end"), []);
+    });
+
+    it("spots long runs of escaped bytes", () => {
+        assert.deepEqual(rules(`print("${"\\65".repeat(40)}")`), ["obfuscation"]);
+    });
+
+    it("reports scripts that don't parse", () => {
+        const unclosed = analyze("function f()\n  print(1)");
+        assert.match(unclosed.parseError, /'function' block is never closed \(line 1\)/);
+        assert.deepEqual(unclosed.findings.map(f => f.rule), ["parse-error"]);
+        assert.match(analyze('print("open').parseError, /line 1/);
+        assert.match(analyze("x = 1 end").parseError, /'end' without matching block/);
+        assert.throws(() => tokenize('"'), LuaSyntaxError);
+    });
+
+    it("scores each rule once and caps at 100", () => {
+        const twice = analyze('loadstring("a")\nloadstring("b")');
+        assert.equal(twice.findings.length, 2);
+        assert.equal(twice.score, 50);
+        const everything = analyze('loadstring(game:HttpGet("x"))\nrequire(1)\nsetfenv(1, {})');
+        assert.equal(everything.score, 100);
+        assert.equal(analyze("getfenv(1)").level, "medium");
+        assert.equal(analyze('game:GetService("DataStoreService")').level, "low");
+    });
+
+    it("keeps comments, strings and Luau if-expressions out of the way", () => {
+        assert.deepEqual(rules('-- loadstring("x")\n--[[ while true do ]]\nlocal s = "require(1)"'), []);
+        assert.deepEqual(rules("local v = if a then 1 else 2\nprint(v)"), []);
+        assert.deepEqual(rules("local t = [==[ end ]==]"), []);
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const matcher = require("../lib/matcher");
+
+describe("matcher", () => {
+    it("normalizes and tokenizes prompts", () => {
+        assert.equal(matcher.normalize("  Where's the SHOP?! "), "where s the shop");
+        assert.deepEqual(matcher.tokenize("Hi,  there"), ["hi", "there"]);
+        assert.deepEqual(matcher.tokenize("?!"), []);
+    });
+
+    it("scores identical, typo'd and unrelated patterns in that order", () => {
+        const exact = matcher.scorePair("where is the shop", "Where is the shop?");
+        const typo  = matcher.scorePair("wher is the shopp", "where is the shop");
+        const other = matcher.scorePair("where is the shop", "how do I fly");
+        assert.equal(exact, 1);
+        assert.ok(typo > 0.7 && typo < 1, `typo scored ${typo}`);
+        assert.ok(other < 0.3, `unrelated scored ${other}`);
+        assert.equal(matcher.scorePair("", "anything"), 0);
+    });
+
+    it("weights tokens by the user's vocab", () => {
+        const plain    = matcher.scorePair("red sword", "red shield");
+        const weighted = matcher.scorePair("red sword", "red shield", { red: 5 });
+        assert.ok(weighted > plain);
+    });
+
+    it("nudges scores by feedback, leaving unrated pairs alone", () => {
+        assert.equal(matcher.feedbackFactor(0, 0), 1);
+        assert.ok(matcher.feedbackFactor(10, 0) > 1 && matcher.feedbackFactor(10, 0) <= 1.2);
+        assert.ok(matcher.feedbackFactor(0, 10) < 1 && matcher.feedbackFactor(0, 10) >= 0.8);
+        assert.equal(matcher.feedbackFactor(1, 1), 1);
+    });
+
+    it("picks the best pair, with feedback breaking near ties", () => {
+        const pairs = [
+            { id: 1, pattern: "open the door", feedback_up: 0, feedback_down: 8 },
+            { id: 2, pattern: "open the doors", feedback_up: 8, feedback_down: 0 },
+            { id: 3, pattern: "buy a pet" },
+        ];
+        const best = matcher.bestMatch("open the door", pairs);
+        assert.equal(best.pair.id, 2);
+        assert.ok(best.rawScore < 1);
+        assert.equal(matcher.bestMatch("open the door", []), null);
+        assert.equal(matcher.bestMatch("zzz", pairs), null);
+    });
+
+    it("only fully scores the closest candidates, from a reusable index", () => {
+        const pairs = Array.from({ length: 500 }, (_, i) => ({ id: i, pattern: `quest number ${i} in the forest` }));
+        pairs.push({ id: "dragon", pattern: "where does the dragon sleep" });
+        const index = matcher.buildIndex(pairs);
+        const found = matcher.candidates(index, matcher.normalize("where does the dragon sleep"), 10);
+        assert.equal(found.length, 10);
+        assert.equal(found[0].pair.id, "dragon");
+        assert.equal(matcher.bestMatch("where does the dragon sleep", index).pair.id, "dragon");
+    });
+
+    it("keeps very long patterns cheap to score", () => {
+        const long = "a".repeat(5000) + " treasure";
+        const pairs = Array.from({ length: 2000 }, (_, i) => ({ id: i, pattern: `${long} ${i}` }));
+        const started = Date.now();
+        matcher.bestMatch(`${"a".repeat(400)} treasure`, pairs);
+        assert.ok(Date.now() - started < 2000, "matching took too long");
+    });
+
+    it("classifies intents from Bayesian rows", () => {
+        const rows = [
+            { intent: "greet", prior_probability: "0.5", conditional_probs: { hello: 0.5, hi: 0.4 } },
+            { intent: "trade", prior_probability: "0.5", conditional_probs: { buy: 0.5, sell: 0.4 } },
+            { intent: "never", prior_probability: "0" },
+        ];
+        const guess = matcher.classifyIntent("hello there", rows);
+        assert.equal(guess.intent, "greet");
+        assert.equal(guess.ranked.length, 2);
+        assert.ok(Math.abs(guess.ranked.reduce((n, r) => n + r.probability, 0) - 1) < 1e-9);
+        assert.equal(matcher.classifyIntent("hello", []), null);
+    });
+});
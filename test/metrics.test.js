@@ -0,0 +1,83 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createRegistry } = require("../lib/metrics");
+const { createLogger, context } = require("../lib/logger");
+
+describe("metrics registry", () => {
+    it("renders counters, gauges and cumulative histograms", () => {
+        const registry = createRegistry();
+        const hits = registry.counter("hits_total", "Hits", ["route"]);
+        hits.inc({ route: "/a" });
+        hits.inc({ route: "/a" }, 2);
+        hits.inc({ route: 'say "hi"\n' });
+        registry.gauge("pool", "Pool", ["state"], () => [[{ state: "idle" }, 4]]);
+        const latency = registry.histogram("latency_seconds", "Latency", [], [0.1, 1]);
+        latency.observe({}, 0.05);
+        latency.observe({}, 0.5);
+        latency.observe({}, 3);
+
+        const lines = registry.render().split("\n");
+        for (const line of [
+            "# HELP hits_total Hits",
+            "# TYPE hits_total counter",
+            'hits_total{route="/a"} 3',
+            'hits_total{route="say \\"hi\\"\\n"} 1',
+            'pool{state="idle"} 4',
+            "# TYPE latency_seconds histogram",
+            'latency_seconds_bucket{le="0.1"} 1',
+            'latency_seconds_bucket{le="1"} 2',
+            'latency_seconds_bucket{le="+Inf"} 3',
+            "latency_seconds_sum 3.55",
+            "latency_seconds_count 3",
+        ]) assert.ok(lines.includes(line), `missing: ${line}`);
+    });
+
+    it("refuses to register a name twice", () => {
+        const registry = createRegistry();
+        registry.counter("once_total", "Once");
+        assert.throws(() => registry.gauge("once_total", "Again"), /already registered/);
+    });
+});
+
+describe("structured logger", () => {
+    // Runs fn with stdout/stderr captured → { out, err } lines
+    function capture(fn) {
+        const out = [], err = [];
+        const { write: writeOut } = process.stdout;
+        const { write: writeErr } = process.stderr;
+        process.stdout.write = (line) => { out.push(line); return true; };
+        process.stderr.write = (line) => { err.push(line); return true; };
+        try { fn(); } finally {
+            process.stdout.write = writeOut;
+            process.stderr.write = writeErr;
+        }
+        return { out, err };
+    }
+
+    it("writes one JSON object per line above the threshold, errors to stderr", () => {
+        const log = createLogger({ service: "test" }, { level: "info", format: "json" });
+        const { out, err } = capture(() => {
+            log.debug("hidden");
+            log.info("Saved", { rows: 3, skipped: undefined });
+            log.error("Failed", { err: Object.assign(new Error("duplicate key"), { code: "23505" }) });
+        });
+        assert.equal(out.length, 1);
+        const entry = JSON.parse(out[0]);
+        assert.deepEqual({ ...entry, ts: undefined }, { ts: undefined, level: "info", msg: "Saved", service: "test", rows: 3 });
+        assert.deepEqual(JSON.parse(err[0]).err, { message: "duplicate key", code: "23505" });
+    });
+
+    it("carries the request id and child fields", () => {
+        const log = createLogger({}, { level: "debug", format: "json" }).child({ job: "sessions" });
+        const { out } = capture(() => context.run({ requestId: "req-1" }, () => log.info("Ran")));
+        const entry = JSON.parse(out[0]);
+        assert.equal(entry.requestId, "req-1");
+        assert.equal(entry.job, "sessions");
+    });
+
+    it("prints key=value lines in text format", () => {
+        const log = createLogger({}, { level: "info", format: "text" });
+        const { out } = capture(() => log.warn("Slow query", { ms: 120, table: "vocab" }));
+        assert.match(out[0], /^\S+ WARN  Slow query ms=120 table=vocab\n$/);
+    });
+});
@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs   = require("fs");
+const os   = require("os");
+const path = require("path");
+const migrate = require("../lib/migrate");
+
+// Records every statement; `applied` answers the schema_migrations reads
+function fakePool(applied, { failOn } = {}) {
+    const statements = [];
+    const client = {
+        async query(sql, params) {
+            statements.push(params ? [sql.trim(), params] : sql.trim());
+            if (failOn && sql.includes(failOn)) throw new Error("boom");
+            if (/^SELECT version/.test(sql.trim())) return { rows: applied.map(version => ({ version })) };
+            return { rows: [] };
+        },
+        release() {},
+    };
+    return { statements, connect: async () => client, query: client.query };
+}
+
+describe("migrations", () => {
+    let dir;
+    before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-")); });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it("loads every migration in version order, each with up and down", () => {
+        const all = migrate.loadMigrations();
+        assert.ok(all.length >= 16);
+        all.forEach((m, i) => {
+            assert.equal(typeof m.up, "function");
+            assert.equal(typeof m.down, "function");
+            if (i) assert.ok(m.version > all[i - 1].version);
+        });
+        assert.equal(all[0].name, "initial_schema");
+    });
+
+    it("refuses duplicate versions and migrations without down()", () => {
+        fs.writeFileSync(path.join(dir, "001_a.js"), "exports.up = async () => {}; exports.down = async () => {};");
+        fs.writeFileSync(path.join(dir, "001_b.js"), "exports.up = async () => {}; exports.down = async () => {};");
+        assert.throws(() => migrate.loadMigrations(dir), /Duplicate migration version 1/);
+
+        fs.rmSync(path.join(dir, "001_b.js"));
+        fs.writeFileSync(path.join(dir, "002_c.js"), "exports.up = async () => {};");
+        assert.throws(() => migrate.loadMigrations(dir), /must export up\(\) and down\(\)/);
+    });
+
+    it("applies only pending migrations, each in a transaction under the lock", async () => {
+        const all = migrate.loadMigrations();
+        const last = all[all.length - 1];
+        const pool = fakePool(all.slice(0, -1).map(m => m.version));
+        const ran = await migrate.up(pool, { log: () => {} });
+        assert.deepEqual(ran, [last.version]);
+
+        const sql = pool.statements.map(s => (Array.isArray(s) ? s[0] : s));
+        assert.match(sql[0], /pg_advisory_lock/);
+        assert.ok(sql.indexOf("BEGIN") < sql.indexOf("COMMIT"));
+        assert.ok(pool.statements.some(s => Array.isArray(s) && /INSERT INTO schema_migrations/.test(s[0])
+            && s[1][0] === last.version));
+        assert.match(sql[sql.length - 1], /pg_advisory_unlock/);
+    });
+
+    it("rolls a failed step back and names it", async () => {
+        const all = migrate.loadMigrations();
+        const pool = fakePool(all.slice(0, -1).map(m => m.version), { failOn: "INSERT INTO schema_migrations" });
+        await assert.rejects(migrate.up(pool, { log: () => {} }), /Migration \d+_\w+ \(up\) failed: boom/);
+        assert.ok(pool.statements.includes("ROLLBACK"));
+    });
+
+    it("reverts the newest applied migrations", async () => {
+        const all = migrate.loadMigrations();
+        const pool = fakePool(all.map(m => m.version));
+        const ran = await migrate.down(pool, 2, { log: () => {} });
+        assert.deepEqual(ran, [all[all.length - 1].version, all[all.length - 2].version]);
+    });
+
+    it("reports everything pending before the table exists", async () => {
+        const pool = {
+            query: async () => { throw Object.assign(new Error("missing"), { code: "42P01" }); },
+        };
+        assert.equal((await migrate.pending(pool)).length, migrate.loadMigrations().length);
+    });
+});
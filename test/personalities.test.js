@@ -0,0 +1,153 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { boot, uid } = require("./helpers");
+const personality = require("../lib/personality");
+const { createContentFilter } = require("../lib/contentfilter");
+
+let api;
+before(async () => { api = await boot(); });
+after(() => api.close());
+
+describe("personalities", () => {
+    const PIRATE = {
+        description: "Talks like a pirate",
+        tone:        { case: "as-is", ending: "exclaim", replace: { hello: "ahoy" } },
+        template:    "{response}, matey",
+        greetings:   ["Arr!"],
+        fallbacks:   ["Shiver me timbers, I know not."],
+    };
+
+    it("lists the built-ins and the active one", async () => {
+        const res = await api.get(`/api/personalities/${uid()}`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.default, "Friendly");
+        assert.equal(res.body.active, "Friendly");
+        assert.deepEqual(res.body.personalities.map(p => p.name).sort(), ["Concise", "Friendly", "Playful", "Professional"]);
+        assert.ok(res.body.personalities.every(p => p.builtin && !p.custom));
+    });
+
+    it("creates, loads, uses and deletes a custom personality", async () => {
+        const userId = uid();
+        const put = await api.put(`/api/personalities/${userId}/Pirate`, PIRATE);
+        assert.equal(put.status, 200);
+        assert.equal(put.body.created, true);
+        assert.equal(put.body.personality.custom, true);
+        assert.equal((await api.put(`/api/personalities/${userId}/Pirate`, PIRATE)).body.created, false);
+
+        const load = await api.get(`/api/personalities/${userId}/Pirate`);
+        assert.equal(load.status, 200);
+        assert.equal(load.body.personality.template, "{response}, matey");
+        assert.equal((await api.get(`/api/personalities/${uid()}/Pirate`)).status, 404);
+
+        await api.put(`/api/user/${userId}/preferences`, { personality: "Pirate" });
+        assert.equal((await api.get(`/api/personalities/${userId}`)).body.active, "Pirate");
+
+        await api.post("/api/training/save", { userId, pattern: "greet me", response: "hello there" });
+        const reply = await api.post("/api/respond", { userId, prompt: "greet me" });
+        assert.equal(reply.body.personality, "Pirate");
+        assert.equal(reply.body.response, "ahoy there!, matey");
+
+        const session = await api.post("/api/sessions/start", { userId });
+        assert.equal(session.body.greeting, "Arr!");
+
+        const del = await api.del(`/api/personalities/${userId}/Pirate`);
+        assert.equal(del.status, 200);
+        assert.equal(del.body.restoredBuiltin, false);
+        assert.equal((await api.del(`/api/personalities/${userId}/Pirate`)).status, 404);
+        // The saved preference now points nowhere: back to the default
+        assert.equal((await api.get(`/api/personalities/${userId}`)).body.active, "Friendly");
+    });
+
+    it("deletes a custom personality's variants with it", async () => {
+        const userId = uid();
+        await api.put(`/api/personalities/${userId}/Pirate`, PIRATE);
+        const { id } = (await api.post("/api/training/save", { userId, pattern: "treasure", response: "gold" })).body;
+        await api.put(`/api/training/${userId}/${id}/variants/Pirate`, { response: "doubloons" });
+
+        const del = await api.del(`/api/personalities/${userId}/Pirate`);
+        assert.equal(del.body.variantsDeleted, 1);
+        assert.deepEqual((await api.get(`/api/training/${userId}/${id}/variants`)).body.variants, []);
+    });
+
+    it("overrides a built-in for one player and restores it on delete", async () => {
+        const userId = uid();
+        const put = await api.put(`/api/personalities/${userId}/Concise`, { ...PIRATE, description: "Mine now" });
+        assert.equal(put.body.personality.builtin, true);
+        assert.equal(put.body.personality.custom, true);
+        assert.equal((await api.get(`/api/personalities/${userId}/Concise`)).body.personality.description, "Mine now");
+        assert.equal((await api.get(`/api/personalities/${uid()}/Concise`)).body.personality.custom, false);
+
+        const del = await api.del(`/api/personalities/${userId}/Concise`);
+        assert.equal(del.body.restoredBuiltin, true);
+        assert.equal((await api.get(`/api/personalities/${userId}/Concise`)).body.personality.custom, false);
+        assert.equal((await api.del(`/api/personalities/${userId}/Concise`)).status, 400);
+    });
+
+    it("validates profiles", async () => {
+        const userId = uid();
+        assert.equal((await api.put(`/api/personalities/${userId}/Bad`, { template: "no placeholder" })).status, 400);
+        assert.equal((await api.put(`/api/personalities/${userId}/Bad`, { greetings: ["free robux"] })).status, 422);
+    });
+});
+
+describe("personality rendering", () => {
+    const profile = (raw) => personality.normalizeProfile("Test", raw);
+
+    it("applies replacements, case and endings, keeping questions", () => {
+        const tone = { case: "sentence", ending: "period", replace: { hey: "hello", gonna: "going to" } };
+        assert.equal(personality.applyTone("hey. gonna go now!", tone), "Hello. Going to go now.");
+        assert.equal(personality.applyTone("Hey there", tone), "Hello there.");
+        assert.equal(personality.applyTone("ready?", { ...tone, ending: "exclaim" }), "Ready?");
+        assert.equal(personality.applyTone("cool :)", { ending: "period" }), "cool :)");
+        assert.equal(personality.applyTone("done!!", { ending: "none" }), "done");
+        assert.equal(personality.applyTone("Shout", { case: "upper", ending: "keep" }), "SHOUT");
+    });
+
+    it("fills templates, prefers intent overrides and truncates on a word", () => {
+        const p = profile({
+            tone: { ending: "exclaim", maxLength: 20 },
+            template: "[{personality}] {response}",
+            intents: { shop: { template: "{intent}: {response}", tone: { ending: "none" } } },
+        });
+        assert.equal(personality.render(p, "hi"), "[Test] hi!");
+        assert.equal(personality.render(p, "buy it.", "shop"), "shop: buy it");
+        assert.equal(personality.render(p, "this sentence is far too long to keep"), "[Test] this…");
+    });
+
+    it("picks greetings and fallbacks, with intent responses first", () => {
+        const p = profile({ greetings: ["a", "b"], fallbacks: ["f"], intents: { bye: { responses: ["later"] } } });
+        assert.equal(personality.greeting(p, () => 0.99), "b");
+        assert.equal(personality.fallback(p, "bye", () => 0), "later");
+        assert.equal(personality.fallback(p, "other", () => 0), "f");
+        assert.equal(personality.greeting(profile({})), null);
+    });
+
+    it("validates profiles and the built-in config", () => {
+        assert.equal(personality.profileError(profile({ template: "no placeholder" })), "template must contain {response}");
+        assert.match(personality.profileError(profile({ tone: { case: "title" } })), /^tone\.case must be one of/);
+        assert.match(personality.profileError(profile({ intents: { x: { tone: { ending: "?" } } } })), /^intents\.x\.tone\.ending/);
+        assert.equal(personality.profileError(profile({})), null);
+
+        const { defaultName, builtins } = personality.loadBuiltins();
+        assert.equal(defaultName, "Friendly");
+        assert.ok(builtins.Concise.tone.maxLength > 0);
+        assert.throws(() => personality.loadBuiltins({ default: "Ghost", personalities: {} }), /Ghost is not defined/);
+        assert.throws(() => personality.loadBuiltins({ personalities: { Bad: { template: "x" } } }), /Personality Bad/);
+    });
+
+    it("screens every player-written line", () => {
+        const filter = createContentFilter({ pii: { email: "medium" }, rules: [{ id: "scam", severity: "high", words: ["robux"] }] });
+        const masked = personality.screenProfile(filter, profile({
+            greetings: ["mail me@example.com"], tone: { replace: { hi: "write me@example.com" } },
+            intents: { help: { responses: ["ok", "me@example.com"] } },
+        }));
+        assert.equal(masked.rejected, null);
+        assert.equal(masked.profile.greetings[0], "mail ##############");
+        assert.equal(masked.profile.tone.replace.hi, "write ##############");
+        assert.deepEqual(masked.profile.intents.help.responses, ["ok", "##############"]);
+        assert.deepEqual(masked.flags.map(f => f.field), ["greetings.0", "tone.replace.hi", "intents.help.responses.1"]);
+
+        const rejected = personality.screenProfile(filter, profile({ fallbacks: ["robux"] }));
+        assert.equal(rejected.rejected.field, "fallbacks.0");
+    });
+});
@@ -0,0 +1,92 @@
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { MemoryStore, createRateLimiter, parseLimit } = require("../lib/ratelimit");
+
+// Just enough of Express' req/res for the middleware
+function call(middleware, req) {
+    return new Promise(resolve => {
+        const res = {
+            headers: {},
+            set(name, value) { this.headers[name] = value; return this; },
+            status(code) { this.statusCode = code; return this; },
+            json(body) { resolve({ status: this.statusCode, body, headers: this.headers }); },
+        };
+        middleware({ ip: "10.0.0.1", params: {}, body: {}, ...req }, res, () =>
+            resolve({ status: 200, headers: res.headers }));
+    });
+}
+
+describe("rate limiting", () => {
+    const stores = [];
+    const newStore = () => { const s = new MemoryStore(); stores.push(s); return s; };
+    after(() => stores.forEach(s => clearInterval(s.sweeper)));
+
+    it("parses capacity/seconds limits", () => {
+        assert.deepEqual(parseLimit("10/60"), { capacity: 10, refillPerSec: 10 / 60 });
+        assert.deepEqual(parseLimit(" 5 / 1 "), { capacity: 5, refillPerSec: 5 });
+        for (const bad of ["", "10", "0/60", "10/0", "ten/60", undefined]) assert.equal(parseLimit(bad), null);
+    });
+
+    it("empties a bucket, then refills it over time", async () => {
+        const store = newStore();
+        const limit = { capacity: 2, refillPerSec: 1000 };
+        assert.equal((await store.take("k", limit)).remaining, 1);
+        assert.equal((await store.take("k", limit)).remaining, 0);
+        const denied = await store.take("k", limit);
+        assert.equal(denied.allowed, false);
+        assert.ok(denied.retryAfterMs > 0 && denied.retryAfterMs <= 1);
+        await new Promise(r => setTimeout(r, 5));
+        assert.equal((await store.take("k", limit)).allowed, true);
+        assert.equal((await store.take("other", limit)).remaining, 1);
+    });
+
+    it("sweeps buckets that have refilled", async () => {
+        const store = newStore();
+        await store.take("fast", { capacity: 1, refillPerSec: 1e6 });
+        await store.take("slow", { capacity: 1, refillPerSec: 1e-6 });
+        await new Promise(r => setTimeout(r, 5));
+        store.sweep();
+        assert.deepEqual([...store.buckets.keys()], ["slow"]);
+    });
+
+    it("limits a route per user within a tenant, with headers", async () => {
+        const saved = { ...process.env };
+        delete process.env.RATE_LIMIT;
+        process.env.RATE_LIMIT_ROUTE_TEST_ONE = "2/60";
+        try {
+            const limiter = createRateLimiter({ store: newStore() });
+            const route = limiter.route("test.one");
+            const alice = { body: { userId: "alice" }, tenant: { id: "a" } };
+
+            const first = await call(route, alice);
+            assert.equal(first.status, 200);
+            assert.equal(first.headers["X-RateLimit-Limit"], "2");
+            assert.equal(first.headers["X-RateLimit-Remaining"], "1");
+            await call(route, alice);
+            const third = await call(route, alice);
+            assert.equal(third.status, 429);
+            assert.equal(third.body.error, "Too many requests");
+            assert.ok(Number(third.headers["Retry-After"]) >= 1);
+
+            assert.equal((await call(route, { ...alice, tenant: { id: "b" } })).status, 200);
+            assert.equal((await call(route, { body: { userId: "bob" }, tenant: { id: "a" } })).status, 200);
+        } finally {
+            process.env = saved;
+        }
+    });
+
+    it("lets requests through when disabled or when the store fails", async () => {
+        const saved = { ...process.env };
+        try {
+            process.env.RATE_LIMIT = "off";
+            const off = createRateLimiter({ store: { take: async () => ({ allowed: false, retryAfterMs: 1000 }) } });
+            assert.equal((await call(off.perIp, {})).status, 200);
+
+            delete process.env.RATE_LIMIT;
+            const broken = createRateLimiter({ store: { take: async () => { throw new Error("down"); } } });
+            assert.equal((await call(broken.route("respond"), { body: { userId: "x" } })).status, 200);
+        } finally {
+            process.env = saved;
+        }
+    });
+});
@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createRepository } = require("../lib/repository");
+const { createRealtime } = require("../lib/realtime");
+
+const repo = createRepository("memory");
+const rt = createRealtime(repo, { log: { error() {}, warn() {} } });
+before(() => rt.ensureListener());
+after(() => { rt.close(); return repo.close(); });
+
+// Lets queued deliveries (setImmediate in the memory backend) run
+const settle = () => new Promise(r => setImmediate(r));
+
+describe("realtime notifications", () => {
+    it("delivers to the user's subscribers in the writing tenant only", async () => {
+        const got = { a: [], b: [], other: [] };
+        const offA = rt.subscribe("a", "u1", msg => got.a.push(msg));
+        const offB = rt.subscribe("b", "u1", msg => got.b.push(msg));
+        const offOther = rt.subscribe("a", "u2", msg => got.other.push(msg));
+        assert.equal(rt.subscriberCount("a", "u1"), 1);
+        assert.equal(rt.subscriberCount(), 3);
+
+        await rt.notify(repo.forTenant("a"), "u1", "training.created", { ids: [7] });
+        await settle();
+        assert.equal(got.a.length, 1);
+        assert.deepEqual({ ...got.a[0], at: 0 }, { t: "a", u: "u1", type: "training.created", data: { ids: [7] }, at: 0 });
+        assert.deepEqual([got.b.length, got.other.length], [0, 0]);
+
+        offA(); offB(); offOther();
+        assert.equal(rt.subscriberCount(), 0);
+        await rt.notify(repo.forTenant("a"), "u1", "training.created", { ids: [8] });
+        await settle();
+        assert.equal(got.a.length, 1);
+    });
+
+    it("delivers on commit and drops on rollback", async () => {
+        const got = [];
+        const off = rt.subscribe("tx", "u1", msg => got.push(msg.data.ids[0]));
+        const db = repo.forTenant("tx");
+        await db.transaction(async (tx) => rt.notify(tx, "u1", "training.updated", { ids: [1] }));
+        await db.transaction(async (tx) => {
+            await rt.notify(tx, "u1", "training.updated", { ids: [2] });
+            return tx.rollback({});
+        });
+        await assert.rejects(db.transaction(async (tx) => {
+            await rt.notify(tx, "u1", "training.updated", { ids: [3] });
+            throw new Error("write failed");
+        }));
+        await settle();
+        assert.deepEqual(got, [1]);
+        off();
+    });
+
+    it("cuts long lists and oversized payloads", async () => {
+        const got = [];
+        const off = rt.subscribe("big", "u1", msg => got.push(msg.data));
+        const ids = Array.from({ length: 250 }, (_, i) => i);
+        await rt.notify(repo.forTenant("big"), "u1", "training.deleted", { ids });
+        await rt.notify(repo.forTenant("big"), "u1", "vocab.updated", { note: "x".repeat(9000) });
+        await settle();
+        assert.equal(got[0].ids.length, 100);
+        assert.equal(got[0].truncated, true);
+        assert.deepEqual(got[1], { truncated: true });
+        off();
+    });
+
+    it("keeps delivering when one subscriber throws", async () => {
+        const got = [];
+        const offBad  = rt.subscribe("s", "u1", () => { throw new Error("bad subscriber"); });
+        const offGood = rt.subscribe("s", "u1", msg => got.push(msg.type));
+        await rt.notify(repo.forTenant("s"), "u1", "preferences.updated");
+        await settle();
+        assert.deepEqual(got, ["preferences.updated"]);
+        offBad(); offGood();
+    });
+});
@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createRepository } = require("../lib/repository");
+const deltaSync = require("../lib/deltasync");
+const { uid } = require("./helpers");
+
+// The same contract against both backends; Postgres only runs when
+// DATABASE_URL points at a database the suite may migrate and write to
+const BACKENDS = [
+    ["memory",   false],
+    ["postgres", process.env.DATABASE_URL ? false : "DATABASE_URL is not set"],
+];
+
+for (const [backend, skip] of BACKENDS) {
+    describe(`${backend} repository`, { skip }, () => {
+        let repo;
+        before(async () => {
+            repo = createRepository(backend);
+            await repo.migrate({ log: () => {} });
+        });
+        after(() => repo.close());
+
+        const since = async (db) => deltaSync.decodeCursor(await db.cursor()).xmin;
+
+        it("merges vocab per mode and keeps tenants apart", async () => {
+            const userId = uid();
+            const a = repo.forTenant(uid("universe"));
+            const b = repo.forTenant(uid("universe"));
+            const word = (w, freq, weight = 1) => ({ word: w, freq, category: "noun", weight });
+
+            assert.equal(await a.vocab.upsert(userId, [word("sword", 2), word("sword", 3), word("shield", 1)], "add"), 2);
+            await a.vocab.upsert(userId, [word("sword", 4, 2)], "add");
+            await a.vocab.upsert(userId, [word("shield", 6), word("shield", 2)], "max");
+
+            const top = await a.vocab.top(userId, 10);
+            assert.deepEqual(top.map(v => [v.word, v.freq, v.weight]), [["sword", 9, 2], ["shield", 6, 1]]);
+            assert.deepEqual(await b.vocab.top(userId, 10), []);
+        });
+
+        it("reports pairs changed and deleted since a cursor", async () => {
+            const userId = uid();
+            const db = repo.forTenant(uid("universe"));
+            const kept = await db.training.create(userId, { pattern: "where is the shop", response: "spawn" });
+            const gone = await db.training.create(userId, { pattern: "how do i fly", response: "jump twice" });
+            assert.ok(kept.created_at instanceof Date);
+
+            const cursor = await since(db);
+            assert.deepEqual(await db.training.list(userId, cursor), []);
+            assert.deepEqual(await db.tombstones.deletedSince("trained_responses", userId, cursor), []);
+
+            const edited = await db.training.update(userId, kept.id, { response: "next to spawn" });
+            assert.equal(edited.response, "next to spawn");
+            assert.equal(await db.training.delete(userId, gone.id), true);
+            assert.equal(await db.training.delete(userId, gone.id), false);
+
+            const changed = await db.training.list(userId, cursor);
+            assert.deepEqual(changed.map(p => [p.id, p.response]), [[kept.id, "next to spawn"]]);
+            assert.deepEqual(changed[0].variants, {});
+            const deleted = await db.tombstones.deletedSince("trained_responses", userId, cursor);
+            assert.deepEqual(deleted.map(Number), [Number(gone.id)]);
+            assert.equal((await db.training.list(userId, null)).length, 1);
+        });
+
+        it("commits transactions, and rolls them back on throw or tx.rollback()", async () => {
+            const userId = uid();
+            const db = repo.forTenant(uid("universe"));
+            const pair = (pattern) => ({ pattern, response: "ok" });
+
+            await db.transaction(tx => tx.training.create(userId, pair("kept")));
+            const value = await db.transaction(async (tx) => {
+                await tx.training.create(userId, pair("undone"));
+                return tx.rollback("nope");
+            });
+            assert.equal(value, "nope");
+            await assert.rejects(db.transaction(async (tx) => {
+                await tx.training.create(userId, pair("thrown"));
+                throw new Error("boom");
+            }), /boom/);
+
+            assert.deepEqual((await db.training.summaries(userId)).map(p => p.pattern), ["kept"]);
+        });
+
+        it("stores interactions in order and reads them back per user", async () => {
+            const userId = uid();
+            const db = repo.forTenant(uid("universe"));
+            const ids = await db.interactions.insertMany([
+                { user_id: userId, user_prompt: "first", bot_response: "one", intent: "greet" },
+                { user_id: userId, user_prompt: "second", bot_response: "two" },
+            ]);
+            assert.equal(ids.length, 2);
+            assert.ok(Number(ids[1]) > Number(ids[0]));
+
+            const row = await db.interactions.get(userId, ids[0]);
+            assert.equal(row.user_prompt, "first");
+            assert.equal(row.intent, "greet");
+            assert.equal(await db.interactions.get(uid(), ids[0]) || null, null);
+            assert.deepEqual((await db.interactions.recent(userId, 10)).map(r => r.user_prompt), ["second", "first"]);
+        });
+
+        it("erases a user in one tenant, or in every tenant from the root", async () => {
+            const userId = uid();
+            const a = repo.forTenant(uid("universe"));
+            const b = repo.forTenant(uid("universe"));
+            for (const db of [a, b]) await db.training.create(userId, { pattern: "mine", response: "ok" });
+
+            const scoped = await a.users.erase(userId, { source: "api" });
+            assert.equal(scoped.rowsDeleted.trained_responses, 1);
+            assert.deepEqual(await a.training.summaries(userId), []);
+            assert.equal((await b.training.summaries(userId)).length, 1);
+
+            const everywhere = await repo.users.erase(userId, { source: "api" });
+            assert.equal(everywhere.rowsDeleted.trained_responses, 1);
+            assert.deepEqual(await b.training.summaries(userId), []);
+
+            const log = await repo.users.erasures(userId, 10);
+            assert.deepEqual(log.map(e => e.status), ["completed", "completed"]);
+            // A tenant's log also lists the erasures run across every tenant
+            assert.deepEqual((await a.users.erasures(userId, 10)).map(e => e.tenant_id), [null, a.tenant]);
+            assert.deepEqual((await b.users.erasures(userId, 10)).map(e => e.tenant_id), [null]);
+        });
+    });
+}
@@ -0,0 +1,222 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { boot, uid } = require("./helpers");
+
+let api;
+before(async () => { api = await boot(); });
+after(() => api.close());
+
+describe("respond and feedback", () => {
+    it("answers from a trained pair and logs the interaction", async () => {
+        const userId = uid();
+        const saved = await api.post("/api/training/save", { userId, pattern: "where is the shop", response: "Next to spawn" });
+
+        const res = await api.post("/api/respond", { userId, prompt: "Where is the shop?" });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.matched, true);
+        assert.equal(res.body.source, "trained");
+        assert.equal(res.body.id, saved.body.id);
+        assert.equal(res.body.response, "Next to spawn!");       // Friendly ends statements with !
+        assert.equal(res.body.personality, "Friendly");
+        assert.equal(typeof res.body.interactionId, "number");
+
+        const user = await api.get(`/api/user/${userId}`);
+        assert.equal(user.body.interactions.length, 1);
+        assert.equal(user.body.interactions[0].user_prompt, "Where is the shop?");
+        assert.equal(user.body.preferences.total_interactions, 1);
+    });
+
+    it("falls back to the intent model, then to a fallback line", async () => {
+        const userId = uid();
+        const none = await api.post("/api/respond", { userId, prompt: "zzz qqq" });
+        assert.equal(none.body.matched, false);
+        assert.equal(none.body.source, "none");
+        assert.equal(typeof none.body.fallback, "string");
+
+        await api.post("/api/bayesian/update", {
+            userId, intent: "greeting", priorProb: 0.9, conditionalProbs: { hello: 0.8, hi: 0.5 },
+        });
+        const guess = await api.post("/api/respond", { userId, prompt: "hello friend", useShared: false });
+        assert.equal(guess.body.source, "bayesian");
+        assert.equal(guess.body.intent, "greeting");
+    });
+
+    it("rejects filtered prompts", async () => {
+        const res = await api.post("/api/respond", { userId: uid(), prompt: "tell me your password" });
+        assert.equal(res.status, 422);
+        const flags = await api.get("/api/admin/flags?table=interactions&action=reject");
+        assert.ok(flags.body.flags.some(f => f.rules.includes("credential-phishing")));
+    });
+
+    it("answers in the requested personality, using a variant when there is one", async () => {
+        const userId = uid();
+        const { id } = (await api.post("/api/training/save", { userId, pattern: "hey there", response: "yeah hey" })).body;
+
+        const pro = await api.post("/api/respond", { userId, prompt: "hey there", personality: "Professional" });
+        assert.equal(pro.body.response, "Yes hello.");
+        assert.equal(pro.body.variant, false);
+
+        await api.put(`/api/training/${userId}/${id}/variants/Playful`, { response: "HEYOOO" });
+        const playful = await api.post("/api/respond", { userId, prompt: "hey there", personality: "Playful" });
+        assert.equal(playful.body.response, "HEYOOO");
+        assert.equal(playful.body.variant, true);
+
+        assert.equal((await api.post("/api/respond", { userId, prompt: "hey", personality: "Nobody" })).status, 400);
+    });
+
+    it("records ratings and recomputes success rates", async () => {
+        const userId = uid();
+        await api.post("/api/training/save", { userId, pattern: "rate me", response: "ok" });
+        const first  = (await api.post("/api/respond", { userId, prompt: "rate me" })).body.interactionId;
+        const second = (await api.post("/api/respond", { userId, prompt: "rate me" })).body.interactionId;
+
+        const up = await api.post("/api/feedback", { userId, interactionId: first, rating: "up" });
+        assert.equal(up.status, 200);
+        assert.equal(up.body.rating, 1);
+        await api.post("/api/feedback", { userId, interactionId: second, rating: -1 });
+
+        const stats = await api.get(`/api/feedback/${userId}`);
+        assert.equal(stats.status, 200);
+        assert.equal(stats.body.patterns.length, 1);
+        assert.equal(stats.body.patterns[0].feedback_up, 1);
+        assert.equal(stats.body.patterns[0].feedback_down, 1);
+        assert.equal(stats.body.patterns[0].success_rate, 0.5);
+        assert.equal(stats.body.intents[0].intent, "trained");
+
+        // Rating the same interaction again replaces the earlier rating
+        await api.post("/api/feedback", { userId, interactionId: second, rating: "up" });
+        const after = (await api.get(`/api/feedback/${userId}`)).body.patterns[0];
+        assert.equal(after.feedback_up, 2);
+        assert.equal(after.feedback_down, 0);
+    });
+
+    it("promotes a correction into a trained pair", async () => {
+        const userId = uid();
+        const asked = (await api.post("/api/respond", { userId, prompt: "who made this game" })).body.interactionId;
+
+        const res = await api.post("/api/feedback", {
+            userId, interactionId: asked, rating: "down", correctedResponse: "The builders club", promote: true,
+        });
+        assert.equal(res.status, 200);
+        assert.equal(typeof res.body.promotedId, "number");
+        const pairs = (await api.get(`/api/training/${userId}`)).body.pairs;
+        assert.deepEqual(pairs.map(p => [p.pattern, p.response]), [["who made this game", "The builders club"]]);
+
+        // A second promotion updates that pair and records a revision
+        const again = await api.post("/api/feedback", {
+            userId, interactionId: asked, rating: "down", correctedResponse: "Us!", promote: true,
+        });
+        assert.equal(again.body.promotedId, res.body.promotedId);
+        const history = (await api.get(`/api/training/${userId}/${res.body.promotedId}/history`)).body;
+        assert.equal(history.current.response, "Us!");
+        assert.equal(history.revisions[0].change_type, "feedback");
+    });
+
+    it("validates feedback", async () => {
+        const userId = uid();
+        assert.equal((await api.post("/api/feedback", { userId, interactionId: 999999, rating: "up" })).status, 404);
+        assert.equal((await api.post("/api/feedback", { userId, interactionId: 1, rating: "meh" })).status, 400);
+        const asked = (await api.post("/api/respond", { userId, prompt: "anything" })).body.interactionId;
+        const bad = await api.post("/api/feedback", { userId, interactionId: asked, rating: "down", correctedResponse: "free robux", promote: true });
+        assert.equal(bad.status, 422);
+        const bare = await api.post("/api/feedback", { userId, interactionId: asked, rating: "down", promote: true });
+        assert.equal(bare.status, 400);
+        assert.equal((await api.post("/api/feedback", { userId: uid(), interactionId: asked, rating: "up" })).status, 404);
+    });
+
+    it("lets ratings decide between near-equal pairs", async () => {
+        const userId = uid();
+        const door  = (await api.post("/api/training/save", { userId, pattern: "open the door", response: "it is locked" })).body.id;
+        const doors = (await api.post("/api/training/save", { userId, pattern: "open the doors", response: "they swing open" })).body.id;
+
+        for (let i = 0; i < 2; i++) {
+            const turn = (await api.post("/api/respond", { userId, prompt: "open the door" })).body;
+            assert.equal(turn.id, door);
+            await api.post("/api/feedback", { userId, interactionId: turn.interactionId, rating: "down" });
+        }
+        const rerated = (await api.post("/api/respond", { userId, prompt: "open the door" })).body;
+        assert.equal(rerated.id, doors);
+        assert.ok(rerated.score < 1);
+    });
+});
+
+describe("sessions", () => {
+    it("starts a session with a greeting and replaces an open one", async () => {
+        const userId = uid();
+        const first = await api.post("/api/sessions/start", { userId, gameServerId: "job-1", placeId: 42 });
+        assert.equal(first.status, 200);
+        assert.equal(typeof first.body.sessionId, "string");
+        assert.deepEqual(first.body.replaced, []);
+        assert.equal(first.body.personality, "Friendly");
+        assert.equal(typeof first.body.greeting, "string");
+
+        const second = await api.post("/api/sessions/start", { userId, personality: "Concise" });
+        assert.deepEqual(second.body.replaced, [first.body.sessionId]);
+        assert.equal(second.body.personality, "Concise");
+
+        const list = await api.get(`/api/sessions/${userId}`);
+        assert.equal(list.status, 200);
+        assert.equal(list.body.count, 2);
+        const old = list.body.sessions.find(s => s.id === first.body.sessionId);
+        assert.equal(old.end_reason, "replaced");
+        assert.equal(old.place_id, "42");
+
+        assert.equal((await api.post("/api/sessions/start", { userId, personality: "Nobody" })).status, 400);
+    });
+
+    it("attaches respond and sync turns to the session", async () => {
+        const userId = uid();
+        const { sessionId } = (await api.post("/api/sessions/start", { userId })).body;
+        await api.post("/api/respond", { userId, prompt: "first", sessionId });
+        await api.post("/api/sync", { userId, sessionId, data: [
+            { Type: "interaction", Data: { UserPrompt: "second", BotResponse: "two" } },
+        ] });
+        await api.post("/api/respond", { userId, prompt: "third", sessionId });
+
+        const turns = await api.get(`/api/sessions/${userId}/${sessionId}/turns`);
+        assert.equal(turns.status, 200);
+        assert.equal(turns.body.session.turn_count, 3);
+        assert.deepEqual(turns.body.turns.map(t => t.user_prompt), ["first", "second", "third"]);
+
+        const last = await api.get(`/api/sessions/${userId}/${sessionId}/turns?limit=1`);
+        assert.deepEqual(last.body.turns.map(t => t.user_prompt), ["third"]);
+        assert.equal((await api.get(`/api/sessions/${userId}/nope/turns`)).status, 404);
+    });
+
+    it("ends a session; later turns are stored unattached", async () => {
+        const userId = uid();
+        const { sessionId } = (await api.post("/api/sessions/start", { userId })).body;
+
+        const end = await api.post(`/api/sessions/${userId}/${sessionId}/end`);
+        assert.equal(end.status, 200);
+        assert.equal(end.body.session.id, sessionId);
+        assert.ok(end.body.session.ended_at);
+        assert.equal((await api.post(`/api/sessions/${userId}/${sessionId}/end`)).status, 404);
+
+        const reply = await api.post("/api/respond", { userId, prompt: "late", sessionId });
+        assert.equal(reply.body.sessionExpired, true);
+        const sync = await api.post("/api/sync", { userId, sessionId, data: [
+            { Type: "interaction", Data: { UserPrompt: "later", BotResponse: "" } },
+        ] });
+        assert.deepEqual(sync.body.staleSessions, [sessionId]);
+    });
+
+    it("expires idle sessions, lazily and in the sweep, across tenants", async () => {
+        const userId = uid();
+        const other = { "x-universe-id": uid("universe") };
+        const lazy  = (await api.post("/api/sessions/start", { userId })).body.sessionId;
+        const swept = (await api.post("/api/sessions/start", { userId }, other)).body.sessionId;
+        await new Promise(r => setTimeout(r, 20));
+
+        assert.equal(await api.repo.forTenant("default").sessions.open(userId, lazy, 10), null);
+        assert.ok(await api.repo.sessions.expireIdle(10) >= 1);
+
+        for (const [sessionId, headers] of [[lazy, undefined], [swept, other]]) {
+            const session = (await api.get(`/api/sessions/${userId}`, headers)).body.sessions[0];
+            assert.equal(session.id, sessionId);
+            assert.equal(session.end_reason, "expired");
+            const reply = await api.post("/api/respond", { userId, prompt: "still there?", sessionId }, headers);
+            assert.equal(reply.body.sessionExpired, true);
+        }
+    });
+});
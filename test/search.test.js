@@ -0,0 +1,143 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { boot, uid } = require("./helpers");
+const embedding = require("../lib/embedding");
+const searchLib = require("../lib/search");
+
+let api;
+before(async () => { api = await boot(); });
+after(() => api.close());
+
+describe("search", () => {
+    let userId;
+    before(async () => {
+        userId = uid();
+        await api.post("/api/training/save", { userId, pattern: "where do dragons live", response: "In the volcano cave" });
+        await api.post("/api/training/save", { userId, pattern: "how to tame a dragon", response: "Feed it golden apples" });
+        await api.post("/api/sync", { userId, data: [
+            { Type: "interaction", Data: { UserPrompt: "dragon eggs", BotResponse: "They hatch at night", Intent: "lore" } },
+            { Type: "interaction", Data: { UserPrompt: "sell my sword", BotResponse: "Visit the blacksmith", Intent: "shop" } },
+        ] });
+    });
+    const search = (query) => api.get(`/api/search?userId=${userId}&${query}`);
+
+    it("finds matches by full text with highlighted snippets", async () => {
+        const res = await search("q=volcano");
+        assert.equal(res.status, 200);
+        assert.equal(res.body.mode, "text");
+        assert.equal(res.body.count, 1);
+        assert.equal(res.body.results[0].source, "trained");
+        assert.match(res.body.results[0].snippet, /<mark>volcano<\/mark>/i);
+    });
+
+    it("filters by source, intent and exclusions", async () => {
+        const dragons = await search("q=dragon");
+        assert.ok(dragons.body.count >= 2);
+        const interactions = await search("q=dragon&source=interactions");
+        assert.deepEqual(interactions.body.results.map(r => r.source), ["interaction"]);
+        const shop = await search("q=sword&intent=shop");
+        assert.equal(shop.body.count, 1);
+        assert.equal((await search("q=sword&intent=lore")).body.count, 0);
+        const excluded = await search(`q=${encodeURIComponent("dragon -volcano")}`);
+        assert.ok(excluded.body.results.every(r => !/volcano/i.test(r.response)));
+        assert.equal((await api.get(`/api/search?q=dragon&userId=${uid()}`)).body.count, 0);
+    });
+
+    it("ranks by vector similarity", async () => {
+        const res = await search(`q=${encodeURIComponent("tame dragon")}&mode=vector&minScore=0.2`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.mode, "vector");
+        assert.equal(res.body.results[0].text, "how to tame a dragon");
+        assert.ok(res.body.results.every((r, i, all) => i === 0 || all[i - 1].score >= r.score));
+    });
+
+    it("restricts to a date range", async () => {
+        const past = await search("q=dragon&to=2000-01-01");
+        assert.equal(past.body.count, 0);
+        assert.equal((await search("q=dragon&from=not-a-date")).status, 400);
+    });
+});
+
+describe("analytics and global stats", () => {
+    it("records script runs and reports success rates", async () => {
+        const userId = uid();
+        await api.post("/api/analytics/script", { userId, scriptType: "door", executionSuccess: true });
+        await api.post("/api/analytics/script", { userId, scriptType: "door", executionSuccess: false, errorMessage: "nil value" });
+        await api.post("/api/respond", { userId, prompt: "hello" });
+
+        const res = await api.get(`/api/analytics/${userId}`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.scriptStats.length, 1);
+        assert.equal(Number(res.body.scriptStats[0].total), 2);
+        assert.equal(Number(res.body.scriptStats[0].successful), 1);
+        assert.equal(res.body.interactionStats.length, 1);
+        assert.equal(Number(res.body.interactionStats[0].interactions), 1);
+    });
+
+    it("reports totals across users", async () => {
+        const before = (await api.get("/api/stats/global")).body;
+        const userId = uid();
+        await api.post("/api/training/save", { userId, pattern: "stats", response: "counted" });
+        await api.post("/api/respond", { userId, prompt: "stats" });
+
+        const res = await api.get("/api/stats/global");
+        assert.equal(res.status, 200);
+        assert.equal(res.body.totalUsers, before.totalUsers + 1);
+        assert.equal(res.body.totalInteractions, before.totalInteractions + 1);
+        assert.equal(res.body.totalTrainedPairs, before.totalTrainedPairs + 1);
+        assert.deepEqual(Object.keys(res.body.sharedPairs).sort(), ["approved", "pending", "rejected"]);
+        assert.ok(Array.isArray(res.body.topScriptTypes));
+        assert.ok(Array.isArray(res.body.globalTopVocab));
+    });
+});
+
+describe("embeddings", () => {
+    const norm = (v) => Math.sqrt(v.reduce((n, x) => n + x * x, 0));
+
+    it("makes unit vectors of DIM, the same every time", () => {
+        const vec = embedding.embed("teleport to the lobby");
+        assert.equal(vec.length, embedding.DIM);
+        assert.ok(Math.abs(norm(vec) - 1) < 1e-4);
+        assert.deepEqual(embedding.embed("teleport to the lobby"), vec);
+        assert.equal(norm(embedding.embed("what is the")), 0);   // stopwords only
+    });
+
+    it("keeps word forms close and unrelated text apart", () => {
+        const q = embedding.embed("teleporting to the lobby");
+        const near = embedding.cosine(q, embedding.embed("teleport lobby"));
+        const far  = embedding.cosine(q, embedding.embed("buy a golden sword"));
+        assert.ok(near > 0.5 && far < 0.2, `near ${near}, far ${far}`);
+        assert.equal(embedding.cosine(q, [1, 2]), 0);
+    });
+});
+
+describe("vector search", () => {
+    // Answers the candidate query with `rows` and records its params
+    function fakeDb(rows) {
+        const calls = [];
+        return { calls, async query(sql, params) { calls.push(params); return { rows }; } };
+    }
+    const row = (id, text, stored) => ({
+        source: "trained", id, user_id: "u", text, response: "", intent: null, created_at: new Date(0),
+        md5: "m", content_md5: stored ? "m" : null, version: stored ? embedding.VERSION : null,
+        embedding: stored || null,
+    });
+
+    it("uses current stored vectors, embeds the rest, and ranks by similarity", async () => {
+        const stored = embedding.embed("castle gate");
+        const db = fakeDb([row(1, "castle gate", stored), row(2, "castle gates"), row(3, "fishing rod")]);
+        const out = await searchLib.searchVector(db, {
+            q: "castle gate", sources: ["trained"], tenantId: "t1", userId: "u", limit: 5, candidates: 3, minScore: 0.2,
+        });
+        assert.deepEqual(out.results.map(r => r.id), [1, 2]);
+        assert.equal(out.results[0].score, 1);
+        assert.deepEqual([out.scanned, out.computed, out.truncated], [3, 2, true]);
+        assert.deepEqual(db.calls[0], ["trained", "t1", "u", 3]);
+    });
+
+    it("searches interactions only when filtering by intent", () => {
+        assert.deepEqual(searchLib.sourcesFor({}), ["interaction", "trained"]);
+        assert.deepEqual(searchLib.sourcesFor({ intent: "shop" }), ["interaction"]);
+        assert.deepEqual(searchLib.sourcesFor({ intent: "shop", sources: ["trained"] }), []);
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { boot, uid } = require("./helpers");
+
+let api;
+before(async () => { api = await boot(); });
+after(() => api.close());
+
+describe("shared knowledge base", () => {
+    async function trained(userId, pattern, response) {
+        return (await api.post("/api/training/save", { userId, pattern, response })).body.id;
+    }
+
+    it("publishes, moderates and answers other players from approved pairs", async () => {
+        const author = uid();
+        const trainedId = await trained(author, "how do i rebirth", "Reach level 50 and press Rebirth");
+
+        const pub = await api.post("/api/shared/publish", { userId: author, trainedId });
+        assert.equal(pub.status, 200);
+        assert.equal(pub.body.status, "pending");
+        const dupe = await api.post("/api/shared/publish", { userId: author, trainedId });
+        assert.equal(dupe.status, 409);
+        assert.equal(dupe.body.id, pub.body.id);
+
+        const queue = await api.get("/api/admin/shared");
+        assert.ok(queue.body.submissions.some(s => s.id === pub.body.id));
+
+        const other = uid();
+        const before = await api.post("/api/respond", { userId: other, prompt: "how do i rebirth" });
+        assert.equal(before.body.matched, false);
+
+        const approve = await api.post(`/api/admin/shared/${pub.body.id}/approve`, { note: "useful" });
+        assert.equal(approve.status, 200);
+        assert.equal(approve.body.status, "approved");
+
+        const after = await api.post("/api/respond", { userId: other, prompt: "how do i rebirth" });
+        assert.equal(after.body.source, "shared");
+        assert.equal(after.body.id, pub.body.id);
+        const optOut = await api.post("/api/respond", { userId: other, prompt: "how do i rebirth", useShared: false });
+        assert.equal(optOut.body.matched, false);
+
+        const mine = await api.get(`/api/shared/${author}/submissions`);
+        assert.equal(mine.body.count, 1);
+        assert.equal(mine.body.submissions[0].status, "approved");
+        assert.equal(mine.body.submissions[0].review_note, "useful");
+
+        const withdraw = await api.del(`/api/shared/${author}/${pub.body.id}`);
+        assert.equal(withdraw.status, 200);
+        const gone = await api.post("/api/respond", { userId: other, prompt: "how do i rebirth" });
+        assert.equal(gone.body.matched, false);
+        assert.equal((await api.del(`/api/shared/${author}/${pub.body.id}`)).status, 404);
+    });
+
+    it("rejects submissions", async () => {
+        const author = uid();
+        const trainedId = await trained(author, "secret spot", "behind the waterfall");
+        const { id } = (await api.post("/api/shared/publish", { userId: author, trainedId })).body;
+
+        const reject = await api.post(`/api/admin/shared/${id}/reject`, {});
+        assert.equal(reject.body.status, "rejected");
+        const rejected = await api.get("/api/admin/shared?status=rejected");
+        assert.ok(rejected.body.submissions.some(s => s.id === id));
+        assert.equal((await api.post("/api/admin/shared/999999/approve", {})).status, 404);
+    });
+
+    it("finds one approved pair among many, and sees new approvals", async () => {
+        const tenant = uid("universe");
+        const as = { "x-universe-id": tenant };
+        const db = api.repo.forTenant(tenant);
+        const seeder = uid();
+        const seeded = Array.from({ length: 300 }, (_, i) => ({ pattern: `where is checkpoint ${i}`, response: `stage ${i}` }));
+        const ids = await db.training.createMany(seeder, seeded);
+        for (const [i, { id }] of ids.entries()) {
+            const row = await db.shared.submit(seeder, { id, ...seeded[i] });
+            await db.shared.review(row.id, "approved", null, "test");
+        }
+
+        const hit = await api.post("/api/respond", { userId: uid(), prompt: "where is checkpoint 217" }, as);
+        assert.equal(hit.body.source, "shared");
+        assert.equal(hit.body.pattern, "where is checkpoint 217");
+
+        const author = uid();
+        const trainedId = (await api.post("/api/training/save", { userId: author, pattern: "best pet", response: "the owl" }, as)).body.id;
+        const { id } = (await api.post("/api/shared/publish", { userId: author, trainedId }, as)).body;
+        await api.post(`/api/admin/shared/${id}/approve`, {}, as);
+        const fresh = await api.post("/api/respond", { userId: uid(), prompt: "best pet" }, as);
+        assert.equal(fresh.body.id, id);
+    });
+
+    it("only publishes the user's own pairs", async () => {
+        const trainedId = await trained(uid(), "not yours", "nope");
+        assert.equal((await api.post("/api/shared/publish", { userId: uid(), trainedId })).status, 404);
+    });
+});
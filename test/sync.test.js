@@ -0,0 +1,129 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { boot, uid } = require("./helpers");
+
+let api;
+before(async () => { api = await boot(); });
+after(() => api.close());
+
+describe("sync", () => {
+    it("stores interactions and vocab, reporting bad items without failing the batch", async () => {
+        const userId = uid();
+        const res = await api.post("/api/sync", { userId, data: [
+            { Type: "interaction", Data: { UserPrompt: "hi", BotResponse: "hello", Intent: "greeting", Confidence: 0.9 } },
+            { Type: "vocab", Data: { hi: { freq: 2, cat: "greeting" }, shit: { freq: 1 } } },
+            { Type: "interaction", Data: { UserPrompt: "free robux pls", BotResponse: "" } },
+            { Type: "bogus", Data: {} },
+        ] });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.interactions, 1);
+        assert.equal(res.body.vocabUpdates, 1);
+        assert.equal(res.body.vocabFiltered, 1);
+        assert.equal(res.body.rejected, 1);
+        assert.equal(res.body.invalid, 1);
+        assert.deepEqual(res.body.errors.map(e => [e.index, e.code]), [[2, "CONTENT_REJECTED"], [3, "enum"]]);
+
+        const user = (await api.get(`/api/user/${userId}`)).body;
+        assert.equal(user.interactions[0].intent, "greeting");
+        assert.deepEqual(user.topVocab.map(v => [v.word, v.freq]), [["hi", 2]]);
+    });
+
+    it("adds to vocab frequencies across syncs", async () => {
+        const userId = uid();
+        for (let i = 0; i < 2; i++)
+            await api.post("/api/sync", { userId, data: [{ Type: "vocab", Data: { blox: { freq: 3 } } }] });
+        const vocab = (await api.get(`/api/vocab/${userId}`)).body.vocab;
+        assert.equal(vocab.blox.freq, 6);
+    });
+
+    it("replays a batch sent again with the same idempotency key", async () => {
+        const userId = uid();
+        const batch = { userId, data: [{ Type: "interaction", Data: { UserPrompt: "once", BotResponse: "" } }] };
+        const first = await api.post("/api/sync", batch, { "idempotency-key": "batch-1" });
+        const again = await api.post("/api/sync", batch, { "idempotency-key": "batch-1" });
+        assert.equal(again.status, 200);
+        assert.equal(again.headers.get("idempotent-replayed"), "true");
+        assert.deepEqual(again.body, first.body);
+        assert.equal((await api.get(`/api/user/${userId}`)).body.interactions.length, 1);
+
+        const body = await api.post("/api/sync", { ...batch, idempotencyKey: "batch-2" });
+        assert.equal(body.headers.get("idempotent-replayed"), null);
+        assert.equal((await api.get(`/api/user/${userId}`)).body.interactions.length, 2);
+    });
+
+    it("refuses oversized and malformed batches", async () => {
+        const userId = uid();
+        assert.equal((await api.post("/api/sync", { userId })).status, 400);
+        const big = Array.from({ length: 1001 }, () => ({ Type: "interaction", Data: {} }));
+        assert.equal((await api.post("/api/sync", { userId, data: big })).status, 413);
+    });
+});
+
+describe("vocab", () => {
+    it("saves keeping the highest frequency and weight", async () => {
+        const userId = uid();
+        const res = await api.post("/api/vocab/save", { userId, vocab: {
+            sword: { freq: 5, cat: "item", weight: 2 },
+            bitch: { freq: 1 },
+            bad:   { freq: -1 },
+        } });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.saved, 1);
+        assert.equal(res.body.filtered, 1);
+        assert.equal(res.body.invalid, 1);
+
+        await api.post("/api/vocab/save", { userId, vocab: { sword: { freq: 3, weight: 4 } } });
+        const load = await api.get(`/api/vocab/${userId}`);
+        assert.equal(load.status, 200);
+        assert.equal(load.body.full, true);
+        assert.deepEqual(load.body.vocab.sword, { freq: 5, cat: "item", weight: 4 });
+    });
+
+    it("returns only changed words since a cursor", async () => {
+        const userId = uid();
+        await api.post("/api/vocab/save", { userId, vocab: { old: { freq: 1 }, stays: { freq: 1 } } });
+        const { cursor } = (await api.get(`/api/vocab/${userId}`)).body;
+
+        await api.post("/api/vocab/save", { userId, vocab: { old: { freq: 9 }, fresh: { freq: 1 } } });
+        const delta = await api.get(`/api/vocab/${userId}?since=${encodeURIComponent(cursor)}`);
+        assert.equal(delta.body.full, false);
+        assert.deepEqual(Object.keys(delta.body.vocab).sort(), ["fresh", "old"]);
+        assert.deepEqual(delta.body.deleted, []);
+
+        // Erasure takes the user's tombstones too: nothing is left to sync
+        await api.del(`/api/user/${userId}`);
+        const erased = await api.get(`/api/vocab/${userId}?since=${encodeURIComponent(delta.body.cursor)}`);
+        assert.deepEqual(erased.body.vocab, {});
+        assert.deepEqual(erased.body.deleted, []);
+    });
+});
+
+describe("preferences", () => {
+    it("saves personality and settings, keeping what is not sent", async () => {
+        const userId = uid();
+        assert.equal((await api.get(`/api/user/${userId}/preferences`)).body.preferences, null);
+
+        assert.equal((await api.put(`/api/user/${userId}/preferences`, { personality: "Playful", settings: { volume: 3 } })).status, 200);
+        await api.put(`/api/user/${userId}/preferences`, { settings: { volume: 5 } });
+        const prefs = (await api.get(`/api/user/${userId}/preferences`)).body.preferences;
+        assert.equal(prefs.personality, "Playful");
+        assert.deepEqual(prefs.settings, { volume: 5 });
+
+        assert.equal((await api.put(`/api/user/${userId}/preferences`, { personality: "Nobody" })).status, 400);
+    });
+
+    it("reports unchanged preferences since a cursor", async () => {
+        const userId = uid();
+        await api.put(`/api/user/${userId}/preferences`, { settings: { a: 1 } });
+        const { cursor } = (await api.get(`/api/user/${userId}/preferences`)).body;
+
+        const quiet = await api.get(`/api/user/${userId}/preferences?since=${encodeURIComponent(cursor)}`);
+        assert.equal(quiet.body.changed, false);
+        assert.equal(quiet.body.preferences, null);
+
+        await api.put(`/api/user/${userId}/preferences`, { settings: { a: 2 } });
+        const changed = await api.get(`/api/user/${userId}/preferences?since=${encodeURIComponent(cursor)}`);
+        assert.equal(changed.body.changed, true);
+        assert.deepEqual(changed.body.preferences.settings, { a: 2 });
+    });
+});
@@ -0,0 +1,111 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { boot, uid } = require("./helpers");
+
+let api;
+before(async () => { api = await boot(); });
+after(() => api.close());
+
+// API_AUTH is off here, so X-Universe-Id alone picks the tenant
+const as = (tenant) => ({ "x-universe-id": tenant });
+
+describe("tenants", () => {
+    it("keeps one player's data apart in each universe", async () => {
+        const [a, b] = [uid("universe"), uid("universe")];
+        const userId = uid();
+        await api.post("/api/training/save", { userId, pattern: "where is the shop", response: "north gate" }, as(a));
+        await api.post("/api/vocab/save", { userId, vocab: { sword: { freq: 3 } } }, as(a));
+        await api.put(`/api/user/${userId}/preferences`, { personality: "Concise" }, as(a));
+
+        assert.equal((await api.get(`/api/training/${userId}`, as(a))).body.count, 1);
+        assert.equal((await api.get(`/api/training/${userId}`, as(b))).body.count, 0);
+        assert.deepEqual((await api.get(`/api/vocab/${userId}`, as(b))).body.vocab, {});
+        assert.equal((await api.get(`/api/training/${userId}`)).body.count, 0);   // the default tenant
+        assert.equal((await api.get(`/api/personalities/${userId}`, as(b))).body.active, "Friendly");
+
+        const reply = await api.post("/api/respond", { userId, prompt: "where is the shop" }, as(b));
+        assert.equal(reply.body.matched, false);
+
+        await api.post("/api/training/save", { userId, pattern: "hi", response: "hello" }, as(b));
+        await api.del(`/api/user/${userId}`, undefined, as(b));
+        assert.equal((await api.get(`/api/training/${userId}`, as(b))).body.count, 0);
+        assert.equal((await api.get(`/api/training/${userId}`, as(a))).body.count, 1);
+    });
+
+    it("rejects a malformed universe id", async () => {
+        const res = await api.get(`/api/training/${uid()}`, as("not a universe!"));
+        assert.equal(res.status, 400);
+    });
+
+    it("reports stats per tenant", async () => {
+        const tenant = uid("universe");
+        const userId = uid();
+        await api.post("/api/training/save", { userId, pattern: "ping", response: "pong" }, as(tenant));
+        await api.post("/api/respond", { userId, prompt: "ping" }, as(tenant));
+
+        const list = await api.get("/api/stats/tenants");
+        assert.equal(list.status, 200);
+        const row = list.body.tenants.find(t => t.tenant_id === tenant);
+        assert.deepEqual(
+            { users: row.users, interactions: row.interactions, trainedPairs: row.trainedPairs },
+            { users: 1, interactions: 1, trainedPairs: 1 },
+        );
+
+        const one = await api.get(`/api/stats/tenants/${tenant}`);
+        assert.equal(one.status, 200);
+        assert.equal(one.body.tenantId, tenant);
+        assert.equal(one.body.totalUsers, 1);
+        assert.equal(one.body.totalTrainedPairs, 1);
+        assert.ok((await api.get("/api/stats/global")).body.totalTrainedPairs >= 1);
+    });
+
+    it("applies a tenant's limits, filter rules and default personality", async () => {
+        const tenant = uid("universe");
+        const config = {
+            limits:             { syncItems: 2, scriptLength: 10 },
+            contentFilter:      { rules: [{ id: "no-spoilers", severity: "high", words: ["rosebud"] }] },
+            defaultPersonality: "Concise",
+        };
+        const put = await api.put(`/api/admin/tenants/${tenant}`, { name: "Spoiler Island", config });
+        assert.equal(put.status, 200);
+        assert.equal(put.body.created, true);
+        assert.deepEqual(put.body.tenant.config, config);
+
+        const load = await api.get(`/api/admin/tenants/${tenant}`);
+        assert.equal(load.body.tenant.name, "Spoiler Island");
+        assert.equal(load.body.effective.limits.syncItems, 2);
+        assert.equal(load.body.effective.limits.importRows, 5000);
+        assert.ok(load.body.effective.contentRules.some(r => r.id === "no-spoilers"));
+        assert.ok((await api.get("/api/admin/tenants")).body.tenants.some(t => t.id === tenant));
+
+        const userId = uid();
+        const item = { Type: "interaction", Data: { UserPrompt: "hi", BotResponse: "hello" } };
+        assert.equal((await api.post("/api/sync", { userId, data: [item, item, item] }, as(tenant))).status, 413);
+        assert.equal((await api.post("/api/sync", { userId, data: [item, item, item] })).status, 200);
+
+        const spoiler = { userId, pattern: "the sled", response: "it was rosebud" };
+        assert.equal((await api.post("/api/training/save", spoiler, as(tenant))).status, 422);
+        assert.equal((await api.post("/api/training/save", spoiler)).status, 200);
+        const script = { userId, pattern: "run", response: "ok", script: "print('hello world')" };
+        assert.equal((await api.post("/api/training/save", script, as(tenant))).status, 400);
+
+        const personalities = await api.get(`/api/personalities/${userId}`, as(tenant));
+        assert.equal(personalities.body.default, "Concise");
+        assert.equal(personalities.body.active, "Concise");
+        await api.post("/api/sync", { userId, data: [item] }, as(tenant));
+        const prefs = await api.get(`/api/user/${userId}/preferences`, as(tenant));
+        assert.equal(prefs.body.preferences.personality, "Concise");
+    });
+
+    it("validates tenant config", async () => {
+        const tenant = uid("universe");
+        const save = (config) => api.put(`/api/admin/tenants/${tenant}`, { config });
+        assert.equal((await save({ defaultPersonality: "Nobody" })).status, 400);
+        assert.equal((await save({ limits: { syncItems: 0 } })).status, 400);
+        assert.equal((await save({ colour: "blue" })).status, 400);
+        const badRegex = await save({ contentFilter: { rules: [{ id: "x", severity: "low", pattern: "(" }] } });
+        assert.equal(badRegex.status, 400);
+        assert.match(badRegex.body.error, /contentFilter/);
+        assert.equal((await api.get(`/api/admin/tenants/${tenant}`)).status, 404);
+    });
+});
@@ -0,0 +1,295 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { boot, uid } = require("./helpers");
+
+let api;
+before(async () => { api = await boot(); });
+after(() => api.close());
+
+describe("trained pairs", () => {
+    async function save(userId, pattern, response, script) {
+        const res = await api.post("/api/training/save", { userId, pattern, response, script });
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        return res.body.id;
+    }
+
+    it("saves, lists and deletes pairs", async () => {
+        const userId = uid();
+        const res = await api.post("/api/training/save", { userId, pattern: "  Hello There ", response: "Hi!" });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.success, true);
+        assert.equal(typeof res.body.id, "number");
+        assert.deepEqual(res.body.flagged, []);
+
+        let list = await api.get(`/api/training/${userId}`);
+        assert.equal(list.status, 200);
+        assert.equal(list.body.full, true);
+        assert.equal(list.body.count, 1);
+        assert.equal(list.body.pairs[0].pattern, "hello there");
+        assert.deepEqual(list.body.pairs[0].variants, {});
+
+        const del = await api.del(`/api/training/${userId}/${res.body.id}`);
+        assert.equal(del.status, 200);
+        assert.equal(del.body.deleted, res.body.id);
+        assert.equal((await api.del(`/api/training/${userId}/${res.body.id}`)).status, 404);
+
+        list = await api.get(`/api/training/${userId}`);
+        assert.equal(list.body.count, 0);
+    });
+
+    it("keeps one user's pairs away from another", async () => {
+        const owner = uid();
+        const id = await save(owner, "mine", "all mine");
+        assert.equal((await api.get(`/api/training/${uid()}`)).body.count, 0);
+        assert.equal((await api.del(`/api/training/${uid()}/${id}`)).status, 404);
+    });
+
+    it("returns only changes and deletions since a cursor", async () => {
+        const userId = uid();
+        const kept    = await save(userId, "kept", "unchanged");
+        const edited  = await save(userId, "edited", "before");
+        const removed = await save(userId, "removed", "soon gone");
+        const { cursor } = (await api.get(`/api/training/${userId}`)).body;
+
+        await api.put(`/api/training/${userId}/${edited}`, { response: "after" });
+        await api.del(`/api/training/${userId}/${removed}`);
+        const added = await save(userId, "added", "new");
+
+        const delta = await api.get(`/api/training/${userId}?since=${encodeURIComponent(cursor)}`);
+        assert.equal(delta.status, 200);
+        assert.equal(delta.body.full, false);
+        assert.deepEqual(delta.body.pairs.map(p => p.id).sort((a, b) => a - b), [edited, added]);
+        assert.deepEqual(delta.body.deleted, [removed]);
+        assert.ok(!delta.body.pairs.some(p => p.id === kept));
+
+        const quiet = await api.get(`/api/training/${userId}?since=${encodeURIComponent(delta.body.cursor)}`);
+        assert.equal(quiet.body.count, 0);
+        assert.deepEqual(quiet.body.deleted, []);
+    });
+
+    it("rejects a malformed cursor and answers a stale one in full", async () => {
+        const res = await api.get(`/api/training/${uid()}?since=garbage`);
+        assert.equal(res.status, 400);
+
+        const userId = uid();
+        await save(userId, "old", "news");
+        const stale = Buffer.from(JSON.stringify({ x: "1", t: 0 })).toString("base64url");
+        const full = await api.get(`/api/training/${userId}?since=${stale}`);
+        assert.equal(full.body.full, true);
+        assert.equal(full.body.count, 1);
+    });
+
+    it("edits a pair and keeps the previous version in history", async () => {
+        const userId = uid();
+        const id = await save(userId, "what is this", "a test");
+
+        const res = await api.put(`/api/training/${userId}/${id}`, { response: "an edited test", editedBy: "builder" });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.pair.response, "an edited test");
+        assert.equal(res.body.pair.pattern, "what is this");
+        assert.equal(typeof res.body.previousRevision, "number");
+
+        const history = await api.get(`/api/training/${userId}/${id}/history`);
+        assert.equal(history.status, 200);
+        assert.equal(history.body.current.response, "an edited test");
+        assert.equal(history.body.count, 1);
+        assert.equal(history.body.revisions[0].response, "a test");
+        assert.equal(history.body.revisions[0].changed_by, "builder");
+        assert.equal(history.body.revisions[0].change_type, "update");
+
+        assert.equal((await api.put(`/api/training/${userId}/${id}`, {})).status, 400);
+        assert.equal((await api.put(`/api/training/${userId}/999999`, { response: "x" })).status, 404);
+        assert.equal((await api.get(`/api/training/${userId}/999999/history`)).status, 404);
+    });
+
+    it("reverts to an earlier revision", async () => {
+        const userId = uid();
+        const id = await save(userId, "revert me", "first");
+        const first = (await api.put(`/api/training/${userId}/${id}`, { response: "second" })).body.previousRevision;
+
+        const res = await api.post(`/api/training/${userId}/${id}/revert`, { revision: first });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.pair.response, "first");
+        assert.equal(res.body.revertedTo, first);
+
+        const history = (await api.get(`/api/training/${userId}/${id}/history`)).body;
+        assert.deepEqual(history.revisions.map(r => r.response), ["second", "first"]);
+        assert.equal((await api.post(`/api/training/${userId}/${id}/revert`, { revision: 999999 })).status, 404);
+    });
+
+    it("keeps the id and created_at across edits; rejected edits leave no revision", async () => {
+        const userId = uid();
+        const id = await save(userId, "the castle", "is north");
+        const original = (await api.get(`/api/training/${userId}/${id}/history`)).body.current;
+
+        const edited = await api.put(`/api/training/${userId}/${id}`, { pattern: "  The CASTLE gate " });
+        assert.equal(edited.body.pair.id, id);
+        assert.equal(edited.body.pair.pattern, "the castle gate");
+        assert.equal(edited.body.pair.response, "is north");
+        const edits = (await api.get(`/api/training/${userId}/${id}/history`)).body;
+        assert.equal(edits.current.created_at, original.created_at);
+
+        const rejected = await api.put(`/api/training/${userId}/${id}`, { response: "free robux here" });
+        assert.equal(rejected.status, 422);
+        assert.equal((await api.get(`/api/training/${userId}/${id}/history`)).body.count, edits.count);
+
+        const reverted = await api.post(`/api/training/${userId}/${id}/revert`, { revision: edits.revisions[0].revision });
+        assert.equal(reverted.body.pair.pattern, "the castle");
+        const history = (await api.get(`/api/training/${userId}/${id}/history`)).body;
+        assert.equal(history.revisions[0].change_type, "revert");
+
+        assert.equal((await api.put(`/api/training/${uid()}/${id}`, { response: "x" })).status, 404);
+    });
+
+    it("rejects filtered content and masks what the filter masks", async () => {
+        const userId = uid();
+        const rejected = await api.post("/api/training/save", { userId, pattern: "robux", response: "get free robux here" });
+        assert.equal(rejected.status, 422);
+        assert.equal(rejected.body.code, "CONTENT_REJECTED");
+
+        const masked = await api.post("/api/training/save", { userId, pattern: "contact", response: "mail me at kid@example.com" });
+        assert.equal(masked.status, 200);
+        assert.deepEqual(masked.body.flagged, ["response"]);
+        const pair = (await api.get(`/api/training/${userId}`)).body.pairs[0];
+        assert.ok(!pair.response.includes("kid@example.com"));
+    });
+
+    it("stores personality variants on a pair", async () => {
+        const userId = uid();
+        const id = await save(userId, "how are you", "good");
+
+        const put = await api.put(`/api/training/${userId}/${id}/variants/Professional`, { response: "I am well, thank you." });
+        assert.equal(put.status, 200);
+        assert.equal(put.body.created, true);
+        assert.equal(put.body.variant.personality, "Professional");
+        const again = await api.put(`/api/training/${userId}/${id}/variants/Professional`, { response: "Very well." });
+        assert.equal(again.body.created, false);
+
+        const list = await api.get(`/api/training/${userId}/${id}/variants`);
+        assert.equal(list.status, 200);
+        assert.equal(list.body.variants.length, 1);
+        assert.equal(list.body.variants[0].response, "Very well.");
+        const pair = (await api.get(`/api/training/${userId}`)).body.pairs[0];
+        assert.equal(pair.variants.Professional.response, "Very well.");
+
+        assert.equal((await api.put(`/api/training/${userId}/${id}/variants/Nobody`, { response: "x" })).status, 400);
+        assert.equal((await api.put(`/api/training/${userId}/999999/variants/Playful`, { response: "x" })).status, 404);
+        assert.equal((await api.get(`/api/training/${userId}/999999/variants`)).status, 404);
+
+        const del = await api.del(`/api/training/${userId}/${id}/variants/Professional`);
+        assert.equal(del.status, 200);
+        assert.equal((await api.del(`/api/training/${userId}/${id}/variants/Professional`)).status, 404);
+    });
+});
+
+describe("scripts", () => {
+    const RISKY = 'local h = game:GetService("HttpService")\nh:PostAsync("https://example.com", "x")';
+
+    it("analyzes a script without storing it", async () => {
+        const res = await api.post("/api/scripts/analyze", { script: RISKY });
+        assert.equal(res.status, 200);
+        assert.ok(res.body.risk.score > 0);
+        assert.ok(Array.isArray(res.body.risk.findings));
+        assert.equal((await api.post("/api/scripts/analyze", {})).status, 400);
+    });
+
+    it("reports the stored risk of a pair's and an interaction's script", async () => {
+        const userId = uid();
+        const saved = await api.post("/api/training/save", { userId, pattern: "run it", response: "ok", script: RISKY });
+        assert.ok(saved.body.scriptRiskScore > 0);
+
+        const pair = await api.get(`/api/training/${userId}/${saved.body.id}/script-risk`);
+        assert.equal(pair.status, 200);
+        assert.equal(pair.body.hasScript, true);
+        assert.equal(pair.body.risk.score, saved.body.scriptRiskScore);
+
+        const reply = await api.post("/api/respond", { userId, prompt: "run it" });
+        const interaction = await api.get(`/api/interactions/${userId}/${reply.body.interactionId}/script-risk`);
+        assert.equal(interaction.status, 200);
+        assert.equal(interaction.body.hasScript, true);
+
+        assert.equal((await api.get(`/api/training/${userId}/999999/script-risk`)).status, 404);
+        assert.equal((await api.get(`/api/interactions/${userId}/999999/script-risk`)).status, 404);
+    });
+});
+
+describe("training import and export", () => {
+    it("exports pairs as JSON and CSV", async () => {
+        const userId = uid();
+        await api.post("/api/training/save", { userId, pattern: "one", response: "1, with a comma" });
+        await api.post("/api/training/save", { userId, pattern: "two", response: "2" });
+
+        const json = await api.get(`/api/training/${userId}/export`);
+        assert.equal(json.status, 200);
+        assert.equal(json.body.count, 2);
+        assert.match(json.headers.get("content-disposition"), /training-.*\.json/);
+
+        const csv = await api.get(`/api/training/${userId}/export?format=csv`);
+        assert.equal(csv.status, 200);
+        assert.match(csv.headers.get("content-type"), /^text\/csv/);
+        const lines = csv.body.trim().split(/\r?\n/);
+        assert.equal(lines[0], "id,pattern,response,script,created_at");
+        assert.equal(lines.length, 3);
+        assert.ok(lines.some(l => l.includes('"1, with a comma"')));
+    });
+
+    it("merges, skipping or overwriting duplicates", async () => {
+        const userId = uid();
+        await api.post("/api/training/save", { userId, pattern: "hello", response: "old" });
+
+        const skip = await api.post(`/api/training/${userId}/import`, {
+            pairs: [{ pattern: "Hello", response: "new" }, { pattern: "bye", response: "later" }, { pattern: "", response: "x" }],
+        });
+        assert.equal(skip.status, 200);
+        assert.equal(skip.body.inserted, 1);
+        assert.equal(skip.body.skipped.length, 1);
+        assert.equal(skip.body.errors.length, 1);
+
+        const overwrite = await api.post(`/api/training/${userId}/import?onDuplicate=overwrite`, {
+            pairs: [{ pattern: "hello", response: "new" }],
+        });
+        assert.equal(overwrite.body.updated, 1);
+        const pairs = (await api.get(`/api/training/${userId}`)).body.pairs;
+        assert.equal(pairs.find(p => p.pattern === "hello").response, "new");
+        assert.equal(pairs.length, 2);
+    });
+
+    it("replaces everything from a CSV body, and dry runs write nothing", async () => {
+        const userId = uid();
+        await api.post("/api/training/save", { userId, pattern: "gone", response: "soon" });
+        const csv = "pattern,response,script\nfirst,one,\nsecond,two,print(1)\n";
+
+        const dry = await api.request("POST", `/api/training/${userId}/import?mode=replace&dryRun=true`, csv, { "content-type": "text/csv" });
+        assert.equal(dry.status, 200);
+        assert.equal(dry.body.dryRun, true);
+        assert.equal(dry.body.inserted, 2);
+        assert.equal(dry.body.deleted, 1);
+        assert.deepEqual((await api.get(`/api/training/${userId}`)).body.pairs.map(p => p.pattern), ["gone"]);
+
+        const real = await api.request("POST", `/api/training/${userId}/import?mode=replace`, csv, { "content-type": "text/csv" });
+        assert.equal(real.body.inserted, 2);
+        const patterns = (await api.get(`/api/training/${userId}`)).body.pairs.map(p => p.pattern).sort();
+        assert.deepEqual(patterns, ["first", "second"]);
+    });
+
+    it("re-imports its own CSV export unchanged, formula escapes included", async () => {
+        const userId = uid();
+        const script = '-- greet\nprint("hi")';
+        await api.post("/api/training/save", { userId, pattern: "-- wave", response: "+1 to you", script });
+        const exported = (await api.get(`/api/training/${userId}/export?format=csv`)).body;
+        assert.ok(exported.includes("'-- wave"));
+
+        const copy = uid();
+        const imported = await api.request("POST", `/api/training/${copy}/import`, exported, { "content-type": "text/csv" });
+        assert.equal(imported.body.inserted, 1);
+        const [pair] = (await api.get(`/api/training/${copy}`)).body.pairs;
+        assert.deepEqual([pair.pattern, pair.response, pair.script], ["-- wave", "+1 to you", script]);
+    });
+
+    it("validates import options", async () => {
+        const userId = uid();
+        assert.equal((await api.post(`/api/training/${userId}/import`, {})).status, 400);
+        assert.equal((await api.post(`/api/training/${userId}/import`, { pairs: [], mode: "wipe" })).status, 400);
+        assert.equal((await api.post(`/api/training/${userId}/import`, { csv: 'pattern,response\n"unterminated' })).status, 400);
+    });
+});
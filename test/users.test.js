@@ -0,0 +1,121 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+process.env.ROBLOX_WEBHOOK_SECRET = "test-webhook-secret";
+const { boot, uid } = require("./helpers");
+
+let api;
+before(async () => { api = await boot(); });
+after(() => api.close());
+
+function robloxSignature(body, secret = process.env.ROBLOX_WEBHOOK_SECRET) {
+    const t = Math.floor(Date.now() / 1000);
+    const v1 = crypto.createHmac("sha256", secret).update(`${t}.${body}`).digest("base64");
+    return `t=${t},v1=${v1}`;
+}
+
+describe("user data, export and erasure", () => {
+    async function populate(userId) {
+        await api.post("/api/training/save", { userId, pattern: "hello", response: "hi" });
+        await api.post("/api/sync", { userId, data: [
+            { Type: "interaction", Data: { UserPrompt: "hello", BotResponse: "hi" } },
+            { Type: "vocab", Data: { hello: { freq: 4 } } },
+        ] });
+        await api.put(`/api/user/${userId}/preferences`, { personality: "Concise" });
+        await api.post("/api/analytics/script", { userId, scriptType: "door", executionSuccess: true });
+    }
+
+    it("summarises a user's data", async () => {
+        const userId = uid();
+        await populate(userId);
+        const res = await api.get(`/api/user/${userId}?limit=10`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.interactions.length, 1);
+        assert.equal(res.body.preferences.personality, "Concise");
+        assert.deepEqual(res.body.topVocab.map(v => v.word), ["hello"]);
+        assert.deepEqual(res.body.trainedPairs.map(p => p.pattern), ["hello"]);
+
+        const empty = await api.get(`/api/user/${uid()}`);
+        assert.equal(empty.body.preferences, null);
+        assert.deepEqual(empty.body.interactions, []);
+    });
+
+    it("exports every table holding the user's rows", async () => {
+        const userId = uid();
+        await populate(userId);
+        const res = await api.get(`/api/user/${userId}/export`);
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get("content-disposition"), /-export\.json/);
+        const { tables } = res.body;
+        assert.equal(tables.trained_responses.length, 1);
+        assert.equal(tables.interactions.length, 1);
+        assert.equal(tables.vocab.length, 1);
+        assert.equal(tables.user_preferences.length, 1);
+        assert.equal(tables.script_analytics.length, 1);
+        assert.ok(!("search_tsv" in tables.interactions[0]));
+    });
+
+    it("erases everything and logs the request", async () => {
+        const userId = uid();
+        const bystander = uid();
+        await populate(userId);
+        await populate(bystander);
+
+        const res = await api.del(`/api/user/${userId}`, { editedBy: "support" });
+        assert.equal(res.status, 200);
+        assert.equal(typeof res.body.requestId, "number");
+        assert.ok(res.body.rowsDeleted.trained_responses >= 1);
+
+        const { tables } = (await api.get(`/api/user/${userId}/export`)).body;
+        for (const [table, rows] of Object.entries(tables))
+            assert.deepEqual(rows, [], `${table} still has rows`);
+        assert.equal((await api.get(`/api/training/${bystander}`)).body.count, 1);
+
+        const log = await api.get(`/api/admin/erasures?userId=${userId}`);
+        assert.equal(log.status, 200);
+        assert.equal(log.body.count, 1);
+        assert.equal(log.body.requests[0].status, "completed");
+        assert.equal(log.body.requests[0].source, "api");
+        assert.equal(log.body.requests[0].requested_by, "support");
+    });
+
+    it("erases on a signed Roblox webhook, once per notification", async () => {
+        const userId = String(Date.now() % 1e9 + 1e9);   // Roblox ids are numeric
+        await populate(userId);
+        const body = JSON.stringify({
+            NotificationId: uid("n"),
+            EventType: "RightToErasureRequest",
+            EventPayload: { UserId: Number(userId), GameIds: [123] },
+        });
+        const headers = () => ({ "content-type": "application/json", "roblox-signature": robloxSignature(body) });
+
+        const first = await api.request("POST", "/webhooks/roblox", body, headers());
+        assert.equal(first.status, 200);
+        assert.equal(typeof first.body.requestId, "number");
+        assert.equal((await api.get(`/api/training/${userId}`)).body.count, 0);
+
+        const again = await api.request("POST", "/webhooks/roblox", body, headers());
+        assert.equal(again.body.duplicate, true);
+        assert.equal(again.body.requestId, first.body.requestId);
+
+        const log = (await api.get(`/api/admin/erasures?userId=${userId}`)).body.requests;
+        assert.equal(log.length, 1);
+        assert.equal(log[0].source, "roblox");
+        assert.deepEqual(log[0].game_ids, ["123"]);
+    });
+
+    it("refuses unsigned webhooks and ignores other events", async () => {
+        const body = JSON.stringify({ EventType: "SomethingElse", EventPayload: {} });
+        const unsigned = await api.request("POST", "/webhooks/roblox", body, { "content-type": "application/json" });
+        assert.equal(unsigned.status, 401);
+        const forged = await api.request("POST", "/webhooks/roblox", body,
+            { "content-type": "application/json", "roblox-signature": robloxSignature(body, "wrong") });
+        assert.equal(forged.status, 401);
+
+        const other = await api.request("POST", "/webhooks/roblox", body,
+            { "content-type": "application/json", "roblox-signature": robloxSignature(body) });
+        assert.equal(other.status, 200);
+        assert.equal(other.body.ignored, "SomethingElse");
+    });
+});
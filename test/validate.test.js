@@ -0,0 +1,102 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { validate, validateValue } = require("../lib/validate");
+const errors = require("../lib/errors");
+
+// Just enough of Express' res for sendError() and envelope()
+function fakeRes() {
+    return {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+}
+
+describe("request validation", () => {
+    const item = {
+        type: "object",
+        required: ["name"],
+        additionalProperties: false,
+        properties: {
+            name:  { type: "string", minLength: 1, maxLength: 5 },
+            count: { type: "integer", minimum: 0, maximum: 10 },
+            tags:  { type: "array", maxItems: 2, items: { type: "string", enum: ["a", "b"] } },
+            note:  { type: ["string", "null"] },
+        },
+    };
+
+    it("accepts valid values", () => {
+        assert.deepEqual(validateValue(item, { name: "ok", count: 3, tags: ["a"], note: null }), []);
+    });
+
+    it("reports every problem with its path and code", () => {
+        const found = validateValue(item, { name: "", count: 11, tags: ["a", "c", "b"], extra: 1 }, "body");
+        assert.deepEqual(found.map(e => [e.path, e.code]), [
+            ["body.name", "required"],
+            ["body.count", "too_large"],
+            ["body.tags", "too_many"],
+            ["body.tags[1]", "enum"],
+            ["body.extra", "unknown_field"],
+        ]);
+        assert.deepEqual(validateValue(item, {}).map(e => e.path), ["value.name"]);
+        assert.equal(validateValue(item, [])[0].code, "type");
+        assert.equal(validateValue({ type: "number" }, 1.5).length, 0);
+        assert.equal(validateValue({ type: "integer" }, 1.5)[0].code, "type");
+    });
+
+    it("checks map-shaped objects through propertyNames and additionalProperties", () => {
+        const vocab = { type: "object", maxProperties: 2, propertyNames: { pattern: "^[a-z]+$" },
+                        additionalProperties: { type: "integer" } };
+        assert.deepEqual(validateValue(vocab, { ok: 1 }), []);
+        assert.deepEqual(validateValue(vocab, { Bad: 1, ok: "x", z: 2 }).map(e => e.code),
+            ["too_many", "pattern", "type"]);
+    });
+
+    it("checks query strings as the numbers and booleans they spell", () => {
+        const query = { type: "object", properties: { limit: { type: "integer", maximum: 5 }, dry: { type: "boolean" } } };
+        assert.deepEqual(validateValue(query, { limit: "3", dry: "true" }, "query", { coerce: true }), []);
+        assert.equal(validateValue(query, { limit: "9" }, "query", { coerce: true })[0].code, "too_large");
+        assert.equal(validateValue(query, { limit: "3" })[0].code, "type");
+    });
+
+    it("answers 400 VALIDATION_FAILED from the middleware, leaving req alone", () => {
+        const mw = validate({ params: { type: "object", properties: { id: { type: "integer" } } }, body: item });
+        assert.deepEqual(mw.spec.body, item);
+
+        let called = false;
+        const req = { params: { id: "12" }, query: {}, body: { name: "fine" } };
+        mw(req, fakeRes(), () => { called = true; });
+        assert.equal(called, true);
+        assert.equal(req.params.id, "12");
+
+        const res = fakeRes();
+        mw({ params: { id: "x" }, query: {}, body: { name: "toolong" } }, res, () => assert.fail("next called"));
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.code, "VALIDATION_FAILED");
+        assert.equal(res.body.error, "params.id must be integer");
+        assert.equal(res.body.details.length, 2);
+    });
+});
+
+describe("error envelope", () => {
+    it("adds the status's default code to plain error bodies", () => {
+        const res = fakeRes();
+        errors.envelope({}, res, () => {});
+        res.status(404).json({ error: "Nope" });
+        assert.deepEqual(res.body, { error: "Nope", code: "NOT_FOUND" });
+        res.status(429).json({ error: "Slow down", code: "CUSTOM" });
+        assert.equal(res.body.code, "CUSTOM");
+        res.status(200).json({ error: "not an error" });
+        assert.equal(res.body.code, undefined);
+        res.status(418).json({ error: "teapot" });
+        assert.equal(res.body.code, "INVALID_REQUEST");
+    });
+
+    it("maps database errors to safe statuses and messages", () => {
+        assert.deepEqual(errors.classify({ code: "23505", message: "duplicate key value violates unique constraint \"x\"" }),
+            [409, "CONFLICT", "Conflicts with an existing record"]);
+        assert.deepEqual(errors.classify({ code: "ECONNREFUSED" }), [503, "DB_UNAVAILABLE", "Database unavailable, retry shortly"]);
+        assert.equal(errors.classify({ code: "08006" })[0], 503);
+        assert.deepEqual(errors.classify(new Error("secret detail")), [500, "INTERNAL", "Internal server error"]);
+    });
+});